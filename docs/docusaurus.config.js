@@ -4,8 +4,87 @@
 // There are various equivalent ways to declare your Docusaurus config.
 // See: https://docusaurus.io/docs/api/docusaurus-config
 
+import path from 'path';
+import {fileURLToPath} from 'url';
 import { themes as prismThemes } from 'prism-react-renderer';
 
+import {
+  DOCS_PACKAGES,
+  docsVersionOptions,
+  readDocsVersions,
+  readPubspec,
+} from './scripts/pubspec.mjs';
+import remarkApiLinks from './plugins/api-links/remark.js';
+import remarkCodeRegion from './plugins/remark-code-region/index.js';
+import remarkGlossary from './plugins/glossary/remark.js';
+import {GLOSSARY} from './src/data/glossary.js';
+import {STRATEGIES} from './src/data/strategies.js';
+
+const siteDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Docs versions are keyed to the polly_dart release in the root pubspec.yaml.
+// Cut a snapshot with `npm run docs:version` when releasing.
+const pollyDart = readPubspec(path.join(siteDir, '..', DOCS_PACKAGES.default));
+
+// Links `Type` and `Type.member` code spans to the polly_dart API reference.
+// ```dart blocks are linked by the api-links plugin below.
+const apiLinks = [
+  remarkApiLinks,
+  {
+    sourceDirs: [path.join(siteDir, '..', 'lib', 'src')],
+    apiPath: '/api',
+    siteDir,
+  },
+];
+
+// Links the first mention of each glossary term on a page to the Glossary,
+// with the definition as a tooltip.
+const glossary = [remarkGlossary, {entries: GLOSSARY, routePath: '/glossary'}];
+
+/**
+ * The extensions are released separately from polly_dart, so each one gets
+ * its own docs instance at /<id>, versioned with its pubspec.yaml, and an API
+ * reference generated from its sources that links back to the core API.
+ * @param {'polly-dart-http' | 'polly-dart-dio'} id
+ * @returns {import('@docusaurus/types').PluginConfig[]}
+ */
+function extensionDocs(id) {
+  const pubspec = DOCS_PACKAGES[id];
+  const packageDir = path.posix.dirname(pubspec);
+  const {version} = readPubspec(path.join(siteDir, '..', pubspec));
+  return [
+    [
+      './plugins/dart-api',
+      {
+        id,
+        sourceDirs: [`../${packageDir}/lib/src`],
+        outDir: `${id}/api`,
+        proseDir: `api-prose/${id}`,
+        // The Since badges follow the polly_dart changelog.
+        changelog: null,
+        linkApi: {sourceDirs: ['../lib/src'], path: '/api'},
+      },
+    ],
+    [
+      '@docusaurus/plugin-content-docs',
+      /** @type {import('@docusaurus/plugin-content-docs').Options} */
+      ({
+        id,
+        path: id,
+        routeBasePath: id,
+        sidebarPath: `./sidebars-${id}.js`,
+        ...docsVersionOptions(version, readDocsVersions(siteDir, id)),
+        remarkPlugins: [
+          [remarkCodeRegion, {repoDir: path.join(siteDir, '..')}],
+          apiLinks,
+          glossary,
+        ],
+        editUrl: 'https://github.com/flutterninja9/polly_dart/tree/main/docs/',
+      }),
+    ],
+  ];
+}
+
 /** @type {import('@docusaurus/types').Config} */
 const config = {
   title: 'Polly Dart',
@@ -23,6 +102,11 @@ const config = {
   organizationName: 'flutterninja9', // Usually your GitHub org/user name.
   projectName: 'polly_dart', // Usually your repo name.
 
+  // Read by the homepage's install snippet.
+  customFields: {
+    pollyDartVersion: pollyDart.version,
+  },
+
   onBrokenLinks: 'warn',
   onBrokenMarkdownLinks: 'warn',
 
@@ -37,7 +121,219 @@ const config = {
   markdown: {
     mermaid: true,
   },
-  themes: ['@docusaurus/theme-mermaid'],
+  themes: [
+    '@docusaurus/theme-mermaid',
+    [
+      '@easyops-cn/docusaurus-search-local',
+      /** @type {import('@easyops-cn/docusaurus-search-local').PluginOptions} */
+      ({
+        // The index is built at build time and served as static files, so
+        // search keeps working on offline mirrors of the site.
+        hashed: true,
+        language: ['en'],
+        indexDocs: true,
+        indexBlog: true,
+        indexPages: true,
+        docsRouteBasePath: '/',
+        blogRouteBasePath: '/blog',
+        searchResultLimits: 10,
+        searchResultContextMaxLength: 80,
+        explicitSearchResultPath: true,
+        highlightSearchTermsOnTargetPage: true,
+      }),
+    ],
+  ],
+
+  plugins: [
+    [
+      './plugins/dart-api',
+      {
+        // Generates docs/api/*.md from the public declarations in lib/src,
+        // merged with the hand-written prose in api-prose/.
+        sourceDirs: ['../lib/src'],
+        outDir: 'docs/api',
+        proseDir: 'api-prose',
+      },
+    ],
+    [
+      './plugins/blog',
+      /** @type {import('@docusaurus/plugin-content-blog').Options} */
+      ({
+        showReadingTime: true,
+        feedOptions: {
+          type: ['rss', 'atom'],
+          xslt: true,
+        },
+        // Please change this to your repo.
+        // Remove this to remove the "edit this page" links.
+        editUrl: 'https://github.com/flutterninja9/polly_dart/tree/main/docs/',
+        // Useful options to enforce blogging best practices
+        onInlineTags: 'warn',
+        onInlineAuthors: 'warn',
+        onUntruncatedBlogPosts: 'warn',
+        remarkPlugins: [apiLinks, glossary],
+      }),
+    ],
+    [
+      './plugins/changelog',
+      {
+        // Writes release-notes/*.md from the root CHANGELOG.md, and the
+        // version that introduced each API symbol for <Since />.
+        changelog: '../CHANGELOG.md',
+        outDir: 'release-notes',
+        routeBasePath: 'release-notes',
+      },
+    ],
+    [
+      '@docusaurus/plugin-content-docs',
+      /** @type {import('@docusaurus/plugin-content-docs').Options} */
+      ({
+        id: 'release-notes',
+        path: 'release-notes',
+        routeBasePath: 'release-notes',
+        // The pages are generated by the changelog plugin, and the default
+        // sidebar lists them by sidebar_position, newest first.
+      }),
+    ],
+    ...extensionDocs('polly-dart-http'),
+    ...extensionDocs('polly-dart-dio'),
+    [
+      './plugins/design-docs',
+      {
+        // Writes design/ from the specs and plans in superpowers/, with the
+        // Date, Branch and Status header lines of each spec as metadata.
+        specsDir: 'superpowers/specs',
+        plansDir: 'superpowers/plans',
+        outDir: 'design',
+        routeBasePath: 'design',
+      },
+    ],
+    [
+      '@docusaurus/plugin-content-docs',
+      /** @type {import('@docusaurus/plugin-content-docs').Options} */
+      ({
+        id: 'design',
+        path: 'design',
+        routeBasePath: 'design',
+        // Autogenerated: each spec is a category holding its plan.
+      }),
+    ],
+    [
+      './plugins/dart-options',
+      {
+        // Feeds <OptionsTable type="..." /> with the fields, defaults and docs
+        // of the classes in these directories.
+        sourceDirs: ['../lib/src/strategies', '../lib/src/caching'],
+        apiPath: '/api',
+      },
+    ],
+    [
+      './plugins/api-links',
+      {
+        // Publishes the types of lib/src for linking in ```dart blocks.
+        sourceDirs: ['../lib/src'],
+        apiPath: '/api',
+      },
+    ],
+    [
+      './plugins/web-manifest',
+      {
+        // Writes static/pwa/: the web app manifest, and its icons resized
+        // from the logo.
+        logo: 'static/img/logo.png',
+        outDir: 'static/pwa',
+        themeColor: '#2e8555',
+      },
+    ],
+    [
+      '@docusaurus/plugin-pwa',
+      {
+        // Precache the whole site for every visitor, not only once the app
+        // is installed, so the docs open on a plane. A new deploy then shows
+        // the "New version available" popup instead of updating silently.
+        offlineModeActivationStrategies: ['always'],
+        injectManifestConfig: {
+          // The search index is larger than Workbox's 2 MB default.
+          maximumFileSizeToCacheInBytes: 10 * 1024 * 1024,
+          // Social cards are for link previews, not for reading.
+          globIgnores: ['img/social/**'],
+        },
+      },
+    ],
+    [
+      './plugins/glossary',
+      {
+        // Writes docs/glossary.md from src/data/glossary.js, and lists the
+        // option and enum names of lib/src that the docs use in prose
+        // without defining them.
+        entries: GLOSSARY,
+        source: 'src/data/glossary.js',
+        outFile: 'docs/glossary.md',
+        routePath: '/glossary',
+        sourceDirs: ['../lib/src'],
+        docsDirs: ['docs', 'api-prose', 'polly-dart-http', 'polly-dart-dio'],
+        onUndefinedTerms: 'warn',
+      },
+    ],
+    [
+      './plugins/dart-snippets',
+      {
+        // Fails the build when a ```dart block uses a polly_dart type,
+        // constructor or named parameter that lib/src doesn't declare.
+        sourceDirs: ['../lib/src', '../extensions/*/lib'],
+        docsDirs: ['docs', 'api-prose', 'polly-dart-http', 'polly-dart-dio'],
+        // dart:io, and application types the examples use without declaring.
+        ignoreTypes: [
+          'HttpClient',
+          'OrderRejectedException',
+          'UnreliableCacheProvider',
+        ],
+        onUnknownApi: 'throw',
+      },
+    ],
+    [
+      './plugins/docs-export',
+      {
+        // Writes the docs of the sidebar as one Markdown file and a PDF,
+        // with an llms.txt index of them, to the root of the build.
+        sidebar: 'tutorialSidebar',
+        bundleFile: 'polly-dart-docs.md',
+        pdfFile: 'polly-dart-docs.pdf',
+        indexFile: 'llms.txt',
+      },
+    ],
+    [
+      './plugins/recipes',
+      {
+        // Gathers the `recipes` listed in the front matter of the docs for
+        // the gallery on docs/examples/recipes.md.
+        strategies: [
+          ...STRATEGIES.map(({id, name}) => ({id, label: name})),
+          {id: 'custom', label: 'Custom strategy'},
+        ],
+        extensions: [
+          {id: 'polly_dart_http', label: 'polly_dart_http'},
+          {id: 'polly_dart_dio', label: 'polly_dart_dio'},
+        ],
+      },
+    ],
+    [
+      './plugins/social-cards',
+      {
+        // Draws an og:image for every doc and blog post into
+        // build/img/social, in the colors of src/css/custom.css.
+        outDir: 'img/social',
+        colors: {from: '#205d3b', to: '#0f2a1b', accent: '#3cd38a'},
+        sectionLabels: {'Resilience Strategies': 'Strategies'},
+        instanceSections: {
+          'polly-dart-http': 'Extensions',
+          'polly-dart-dio': 'Extensions',
+          'release-notes': 'Release Notes',
+          design: 'Design',
+        },
+      },
+    ],
+  ],
 
   presets: [
     [
@@ -47,26 +343,22 @@ const config = {
         docs: {
           sidebarPath: './sidebars.js',
           routeBasePath: '/', // Serve the docs at the site's root
+          ...docsVersionOptions(pollyDart.version, readDocsVersions(siteDir)),
+          // ```dart file=<path>#<region> blocks are filled from the examples
+          // and tests, see plugins/remark-code-region.
+          remarkPlugins: [
+            [remarkCodeRegion, {repoDir: path.join(siteDir, '..')}],
+            apiLinks,
+            glossary,
+          ],
           // Please change this to your repo.
           // Remove this to remove the "edit this page" links.
           editUrl:
             'https://github.com/flutterninja9/polly_dart/tree/main/docs/',
         },
-        blog: {
-          showReadingTime: true,
-          feedOptions: {
-            type: ['rss', 'atom'],
-            xslt: true,
-          },
-          // Please change this to your repo.
-          // Remove this to remove the "edit this page" links.
-          editUrl:
-            'https://github.com/flutterninja9/polly_dart/tree/main/docs/',
-          // Useful options to enforce blogging best practices
-          onInlineTags: 'warn',
-          onInlineAuthors: 'warn',
-          onUntruncatedBlogPosts: 'warn',
-        },
+        // Registered below as ./plugins/blog, which also publishes the
+        // latest post for the homepage.
+        blog: false,
         theme: {
           customCss: './src/css/custom.css',
         },
@@ -77,8 +369,8 @@ const config = {
   themeConfig:
     /** @type {import('@docusaurus/preset-classic').ThemeConfig} */
     ({
-      // Replace with your project's social card
-      image: 'img/logo.png',
+      // Drawn by ./plugins/social-cards, like the card of each page.
+      image: 'img/social/default.png',
       navbar: {
         title: 'Polly Dart',
         logo: {
@@ -92,7 +384,45 @@ const config = {
             position: 'left',
             label: 'Documentation',
           },
+          {
+            type: 'dropdown',
+            label: 'Extensions',
+            position: 'left',
+            items: [
+              {
+                type: 'docSidebar',
+                docsPluginId: 'polly-dart-http',
+                sidebarId: 'extensionSidebar',
+                label: 'polly_dart_http',
+              },
+              {
+                type: 'docSidebar',
+                docsPluginId: 'polly-dart-dio',
+                sidebarId: 'extensionSidebar',
+                label: 'polly_dart_dio',
+              },
+            ],
+          },
           {to: '/blog', label: 'Blog', position: 'left'},
+          {to: '/release-notes', label: 'Release Notes', position: 'left'},
+          {
+            // Versions of whichever of these docs instances is being read,
+            // see src/theme/NavbarItem/ComponentTypes.js.
+            type: 'custom-activeDocsVersionDropdown',
+            position: 'right',
+            docsPluginIds: ['default', 'polly-dart-http', 'polly-dart-dio'],
+          },
+          {
+            // Switches the <ClientVariants> snippets on every page.
+            type: 'custom-httpClient',
+            position: 'right',
+          },
+          {
+            // Whether this page is saved for offline reading, once the
+            // service worker has precached the site.
+            type: 'custom-offlineStatus',
+            position: 'right',
+          },
           {
             href: 'https://pub.dev/packages/polly_dart',
             label: 'pub.dev',
@@ -103,6 +433,10 @@ const config = {
             label: 'GitHub',
             position: 'right',
           },
+          {
+            type: 'search',
+            position: 'right',
+          },
         ],
       },
       footer: {
@@ -141,6 +475,14 @@ const config = {
                 label: 'Blog',
                 to: '/blog',
               },
+              {
+                label: 'Release Notes',
+                to: '/release-notes',
+              },
+              {
+                label: 'Design',
+                to: '/design',
+              },
               {
                 label: 'GitHub',
                 href: 'https://github.com/flutterninja9/polly_dart',
@@ -154,24 +496,16 @@ const config = {
         ],
         copyright: `Copyright © ${new Date().getFullYear()} Anirudh Singh. Built with Docusaurus.`,
       },
+      // src/theme/Mermaid themes the diagrams with the Infima palette of
+      // src/css/custom.css, on top of Mermaid's `base` theme.
+      mermaid: {
+        theme: {light: 'base', dark: 'base'},
+      },
       prism: {
         theme: prismThemes.github,
         darkTheme: prismThemes.dracula,
         additionalLanguages: ['dart', 'yaml'],
       },
-      algolia: {
-        // The application ID provided by Algolia
-        appId: 'YOUR_APP_ID',
-        // Public API key: it is safe to commit it
-        apiKey: 'YOUR_SEARCH_API_KEY',
-        indexName: 'polly_dart',
-        // Optional: see doc section below
-        contextualSearch: true,
-        // Optional: Algolia search parameters
-        searchParameters: {},
-        // Optional: path for search page that enabled by default (`false` to disable it)
-        searchPagePath: 'search',
-      },
     }),
 };
 
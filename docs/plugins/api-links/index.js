@@ -0,0 +1,82 @@
+// @ts-check
+/**
+ * Docusaurus plugin that publishes the polly_dart types and their API
+ * reference entries as global data, for the `CodeBlock/Line/Token` theme
+ * component that links them in ```dart blocks. Inline code is linked at
+ * build time by `remark.js`, from the same table.
+ *
+ * Each docs version links to its own API reference: the table of the current
+ * sources is snapshotted with the docs, and cut versions use their copy.
+ */
+
+import path from 'path';
+
+import {versionedData} from '../versioned-data.js';
+import {readLinkTable} from './table.js';
+
+/**
+ * @typedef {object} ApiLinksPluginOptions
+ * @property {string[]} [sourceDirs] Dart sources of the API reference, relative to the site.
+ * @property {string} [apiPath] Path the API reference pages are served at,
+ *   within a docs version.
+ * @property {string} [snapshot] Path of the table's snapshot, within a docs
+ *   version. `remark.js` reads it from there.
+ */
+
+const DEFAULT_OPTIONS = {
+  sourceDirs: ['../lib/src'],
+  apiPath: '/api',
+  snapshot: 'api/links.json',
+};
+
+/** @typedef {import('./table.js').ApiLink} ApiLink */
+
+/**
+ * The link table of each docs version, by version name.
+ * @param {string} siteDir
+ * @param {string[]} sourceDirs Absolute paths.
+ * @param {Required<ApiLinksPluginOptions>} options
+ */
+function versionedLinkTable(siteDir, sourceDirs, options) {
+  return versionedData(
+    siteDir,
+    options.snapshot,
+    readLinkTable(sourceDirs, options.apiPath),
+  );
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {ApiLinksPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<Record<string, Record<string, ApiLink>>>}
+ */
+export default function apiLinksPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<ApiLinksPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const sourceDirs = options.sourceDirs.map((dir) => path.resolve(siteDir, dir));
+  // Snapshotted with the docs by `npm run docs:version`, which loads no
+  // content.
+  versionedLinkTable(siteDir, sourceDirs, options);
+
+  return {
+    name: 'docusaurus-plugin-api-links',
+
+    getPathsToWatch() {
+      return sourceDirs.map((dir) => path.posix.join(dir, '**/*.dart'));
+    },
+
+    async loadContent() {
+      // Code blocks only link types; members are looked up by the remark
+      // plugin, where the qualified name is in the source.
+      const tables = versionedLinkTable(siteDir, sourceDirs, options);
+      return Object.fromEntries(
+        Object.entries(tables).map(([version, table]) => [version, table.types]),
+      );
+    },
+
+    async contentLoaded({content, actions}) {
+      actions.setGlobalData(content);
+    },
+  };
+}
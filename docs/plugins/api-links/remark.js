@@ -0,0 +1,100 @@
+// @ts-check
+/**
+ * Remark plugin that links inline code naming a public polly_dart symbol to
+ * its entry in the API reference, with the signature as the link title so
+ * it shows on hover:
+ *
+ *     `ResiliencePipelineBuilder`, `Outcome<T>`, `Outcome.tryGetResult()`
+ *
+ * Type arguments and a trailing `()` are ignored when looking the symbol up.
+ * Unqualified member names (`tryGetResult()`) are left alone, as are code
+ * spans in headings and links. ```dart blocks are linked in the browser by
+ * the `CodeBlock/Line/Token` theme component, from the plugin's global data.
+ *
+ * Pages of a cut docs version link to that version's API reference, from the
+ * snapshot the api-links plugin left in its docs. Pages outside the versioned
+ * docs link to the version served at the root.
+ */
+
+import path from 'path';
+
+import {docsVersions, readSnapshot, versionOfFile} from '../versioned-data.js';
+import {readLinkTable} from './table.js';
+
+/**
+ * @typedef {object} ApiLinksOptions
+ * @property {string[]} [sourceDirs] Dart sources of the API reference,
+ *   as absolute paths.
+ * @property {string} [apiPath] Path the API reference pages are served at,
+ *   within a docs version.
+ * @property {string} [siteDir] The site, whose versions are linked.
+ * @property {string} [snapshot] Path of the api-links plugin's snapshot of
+ *   the table, within a docs version.
+ */
+
+const DEFAULT_OPTIONS = {
+  sourceDirs: [path.resolve(process.cwd(), '../lib/src')],
+  apiPath: '/api',
+  siteDir: process.cwd(),
+  snapshot: 'api/links.json',
+};
+
+/** `Type`, `Type.member`, with optional type arguments and `()`. */
+const SYMBOL = /^([A-Z][\w$]*(?:\.[A-Za-z_$][\w$]*)?)(?:<[^()]*>)?(?:\(\))?$/;
+
+/**
+ * @param {any} node
+ * @param {(node: any, index: number, parent: any) => void} visitor
+ */
+function visitInlineCode(node, visitor) {
+  if (!Array.isArray(node.children)) return;
+  if (node.type === 'heading' || node.type === 'link') return;
+  node.children.forEach((child, index) => {
+    if (child.type === 'inlineCode') visitor(child, index, node);
+    else visitInlineCode(child, visitor);
+  });
+}
+
+/**
+ * @param {ApiLinksOptions} [userOptions]
+ */
+export default function remarkApiLinks(userOptions = {}) {
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const versions = docsVersions(options.siteDir);
+  /** @type {Map<string, import('./table.js').ApiLinkTable>} */
+  const snapshots = new Map();
+
+  /**
+   * @param {import('../versioned-data.js').DocsVersion} version
+   * @returns {import('./table.js').ApiLinkTable}
+   */
+  function tableOf(version) {
+    if (version.name === 'current') {
+      return readLinkTable(options.sourceDirs, options.apiPath);
+    }
+    if (!snapshots.has(version.name)) {
+      snapshots.set(version.name, readSnapshot(version, options.snapshot));
+    }
+    return /** @type {any} */ (snapshots.get(version.name));
+  }
+
+  /**
+   * @param {any} tree
+   * @param {import('vfile').VFile} file
+   */
+  return (tree, file) => {
+    const version = versionOfFile(versions, file.path);
+    const table = tableOf(version);
+    visitInlineCode(tree, (node, index, parent) => {
+      const symbol = SYMBOL.exec(node.value.trim())?.[1];
+      const link = symbol && (table.members[symbol] ?? table.types[symbol]);
+      if (!link) return;
+      parent.children[index] = {
+        type: 'link',
+        url: `${version.basePath}${link.href}`,
+        title: link.signature,
+        children: [node],
+      };
+    });
+  };
+}
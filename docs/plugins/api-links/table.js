@@ -0,0 +1,106 @@
+// @ts-check
+/**
+ * Table of the public polly_dart symbols that have an entry in the generated
+ * API reference, with the URL of that entry and a one-line signature to show
+ * on hover.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {listDartFiles} from '../dart-api/index.js';
+import {anchorFor, isDocumented, memberSignature} from '../dart-api/markdown.js';
+import {readLibraries} from '../dart-snippets/symbols.js';
+
+/** @typedef {import('../dart-api/parser.js').DartLibrary} DartLibrary */
+
+/**
+ * @typedef {object} ApiLink
+ * @property {string} href
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {object} ApiLinkTable
+ * @property {Record<string, ApiLink>} types Types and top-level functions, by name.
+ * @property {Record<string, ApiLink>} members Constructors, properties and
+ *   methods, by `Type.member`.
+ */
+
+/**
+ * Collapses a signature that `dart format` would wrap onto one line.
+ * @param {string} signature
+ */
+function oneLine(signature) {
+  return signature
+    .replace(/\s*\n\s*/g, ' ')
+    .replace(/([([{]) /g, '$1')
+    .replace(/,? ([)\]}])/g, '$1');
+}
+
+/**
+ * @param {DartLibrary[]} libraries
+ * @param {string} apiPath Path the API reference pages are served at.
+ * @returns {ApiLinkTable}
+ */
+export function buildLinkTable(libraries, apiPath) {
+  /** @type {ApiLinkTable} */
+  const table = {types: {}, members: {}};
+  for (const library of libraries) {
+    // Same page naming as the dart-api plugin.
+    const page = `${apiPath}/${path
+      .basename(library.file, '.dart')
+      .replace(/_/g, '-')}`;
+    for (const declaration of library.declarations) {
+      if (!declaration.name || !isDocumented(declaration)) continue;
+      const isCallable =
+        declaration.kind === 'function' || declaration.kind === 'variable';
+      table.types[declaration.name] = {
+        href: `${page}#${anchorFor(declaration.name)}`,
+        signature: oneLine(
+          isCallable
+            ? memberSignature(declaration.members[0])
+            : declaration.signature,
+        ),
+      };
+      if (isCallable) continue;
+      for (const member of declaration.members.filter(isDocumented)) {
+        const key = member.name.startsWith(`${declaration.name}.`)
+          ? member.name
+          : `${declaration.name}.${member.name}`;
+        table.members[key] = {
+          href: `${page}#${anchorFor(declaration.name, member.name)}`,
+          signature: oneLine(memberSignature(member)),
+        };
+      }
+      for (const value of declaration.values) {
+        table.members[`${declaration.name}.${value.name}`] =
+          table.types[declaration.name];
+      }
+    }
+  }
+  return table;
+}
+
+/** @type {Map<string, {stamp: string, table: ApiLinkTable}>} */
+const cache = new Map();
+
+/**
+ * Reads the link table for the given source directories. The remark plugin
+ * asks for it on every page, so it is only rebuilt when a source file was
+ * added, removed or modified.
+ * @param {string[]} sourceDirs Absolute paths.
+ * @param {string} apiPath
+ */
+export function readLinkTable(sourceDirs, apiPath) {
+  const key = JSON.stringify([sourceDirs, apiPath]);
+  const stamp = sourceDirs
+    .flatMap(listDartFiles)
+    .map((file) => `${file}@${fs.statSync(file).mtimeMs}`)
+    .join('\n');
+  const cached = cache.get(key);
+  if (cached?.stamp === stamp) return cached.table;
+  const table = buildLinkTable(readLibraries(sourceDirs), apiPath);
+  cache.set(key, {stamp, table});
+  return table;
+}
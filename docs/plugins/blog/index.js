@@ -0,0 +1,51 @@
+// @ts-check
+/**
+ * The classic blog plugin, plus the latest post as global data so pages
+ * outside the blog can feature it (the homepage does).
+ *
+ * Registered in place of the preset's blog (`blog: false` in the preset), so
+ * it takes the same options and keeps the plugin name the theme and the
+ * search index look for.
+ */
+
+import blogPlugin from '@docusaurus/plugin-content-blog';
+
+export {validateOptions} from '@docusaurus/plugin-content-blog';
+
+/**
+ * @typedef {object} LatestBlogPost
+ * @property {string} title
+ * @property {string} permalink
+ * @property {string} date ISO date.
+ * @property {string} description Front matter description, or the excerpt.
+ * @property {number | undefined} readingTime Minutes.
+ */
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {import('@docusaurus/plugin-content-blog').PluginOptions} options
+ */
+export default async function blogWithLatestPost(context, options) {
+  const plugin = await blogPlugin(context, options);
+  return {
+    ...plugin,
+
+    async contentLoaded(args) {
+      await plugin.contentLoaded?.(args);
+      // Newest first, drafts already left out in production.
+      const [latest] = args.content.blogPosts;
+      args.actions.setGlobalData({
+        /** @type {LatestBlogPost | null} */
+        latestPost: latest
+          ? {
+              title: latest.metadata.title,
+              permalink: latest.metadata.permalink,
+              date: new Date(latest.metadata.date).toISOString(),
+              description: latest.metadata.description,
+              readingTime: latest.metadata.readingTime,
+            }
+          : null,
+      });
+    },
+  };
+}
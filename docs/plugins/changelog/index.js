@@ -0,0 +1,237 @@
+// @ts-check
+/**
+ * Docusaurus plugin that turns the root `CHANGELOG.md` into Release Notes
+ * pages and publishes the index of which version introduced which API.
+ *
+ * One Markdown page per version, plus an overview page, are written to
+ * `outDir`, which a separate docs plugin instance serves at
+ * `routeBasePath`. The since-index (see `parser.js`) is exposed as global
+ * data for the `<Since member="..." />` badge, and each version page lists
+ * the API it introduced with links to the API reference. Cut docs versions
+ * keep the since-index of their release, see `versioned-data.js`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {writeIfChanged} from '../dart-api/index.js';
+import {anchorFor, escapeMdx} from '../dart-api/markdown.js';
+import {readLibraries} from '../dart-snippets/symbols.js';
+import {versionedData} from '../versioned-data.js';
+import {apiNames, buildSinceIndex, parseChangelog} from './parser.js';
+
+/** @typedef {import('./parser.js').Release} Release */
+
+/**
+ * @typedef {object} ChangelogPluginOptions
+ * @property {string} [changelog] Changelog file, relative to the site.
+ * @property {string[]} [sourceDirs] Directories holding the API the
+ *   changelog describes, relative to the site.
+ * @property {string} [outDir] Directory the pages are written to, relative to the site.
+ * @property {string} [routeBasePath] Route of the docs instance serving `outDir`.
+ * @property {string} [apiPath] Path of the generated API reference pages.
+ * @property {string} [packageUrl] pub.dev page of the package.
+ * @property {string} [editUrl] "Edit this page" target for every page.
+ * @property {string} [snapshot] Where the since-index is kept in the docs of
+ *   a version.
+ */
+
+/**
+ * @typedef {object} ChangelogContent
+ * @property {Record<string, Record<string, string>>} since Version by API
+ *   symbol, by docs version.
+ * @property {string[]} versions Newest first.
+ * @property {string} routeBasePath
+ */
+
+const DEFAULT_OPTIONS = {
+  changelog: '../CHANGELOG.md',
+  sourceDirs: ['../lib/src'],
+  outDir: 'release-notes',
+  routeBasePath: 'release-notes',
+  apiPath: '/api',
+  packageUrl: 'https://pub.dev/packages/polly_dart',
+  editUrl: 'https://github.com/flutterninja9/polly_dart/blob/main/CHANGELOG.md',
+  snapshot: 'api/since.json',
+};
+
+const GENERATED_NOTICE =
+  '{/* Generated from CHANGELOG.md by the changelog plugin. Do not edit. */}';
+
+/**
+ * @param {Record<string, string | number>} frontMatter
+ * @param {string[]} content
+ */
+function page(frontMatter, content) {
+  return [
+    '---',
+    ...Object.entries(frontMatter).map(
+      ([key, value]) => `${key}: ${JSON.stringify(value)}`,
+    ),
+    '---',
+    '',
+    GENERATED_NOTICE,
+    '',
+    ...content,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Short description of a release for the overview: its topics, or its only
+ * bullet.
+ * @param {Release} release
+ */
+function highlights(release) {
+  const titles = release.sections.map((s) => s.title).filter(Boolean);
+  if (titles.length) return titles.join(', ');
+  const items = release.sections.flatMap((s) => s.items);
+  return items.length === 1 ? items[0] : '';
+}
+
+/**
+ * Generates the Release Notes pages and returns the since-index.
+ * @param {string} siteDir
+ * @param {Required<ChangelogPluginOptions>} options
+ * @returns {ChangelogContent}
+ */
+export function generateReleaseNotes(siteDir, options) {
+  const outDir = path.resolve(siteDir, options.outDir);
+  const releases = parseChangelog(
+    fs.readFileSync(path.resolve(siteDir, options.changelog), 'utf8'),
+  );
+  const libraries = readLibraries(
+    options.sourceDirs.map((dir) => path.resolve(siteDir, dir)),
+  );
+  const since = buildSinceIndex(releases, apiNames(libraries));
+
+  // API reference page of each type, named like the dart-api plugin does.
+  const pageOf = new Map();
+  for (const library of libraries) {
+    const slug = path.basename(library.file, '.dart').replace(/_/g, '-');
+    for (const declaration of library.declarations) {
+      pageOf.set(declaration.name, `${options.apiPath}/${slug}`);
+    }
+  }
+
+  const written = new Set();
+  const write = (/** @type {string} */ name, /** @type {string} */ content) => {
+    const file = path.join(outDir, name);
+    writeIfChanged(file, content);
+    written.add(file);
+  };
+
+  releases.forEach((release, index) => {
+    const added = Object.keys(since).filter(
+      (symbol) => since[symbol] === release.version,
+    );
+    const content = [
+      `# polly_dart ${release.version}`,
+      '',
+      `[polly_dart ${release.version} on pub.dev](${options.packageUrl}/versions/${release.version})`,
+      '',
+      escapeMdx(release.body),
+    ];
+    if (added.length) {
+      content.push('', '## New API {#new-api}', '');
+      for (const symbol of added) {
+        const [type, member] = symbol.split('.');
+        const href = pageOf.has(type)
+          ? `${pageOf.get(type)}#${anchorFor(type, member && symbol)}`
+          : null;
+        content.push(href ? `- [\`${symbol}\`](${href})` : `- \`${symbol}\``);
+      }
+    }
+    write(
+      `${release.version}.md`,
+      page(
+        {
+          title: `polly_dart ${release.version}`,
+          sidebar_label: release.version,
+          sidebar_position: index + 1,
+          slug: `/${release.version}`,
+          custom_edit_url: options.editUrl,
+        },
+        content,
+      ),
+    );
+  });
+
+  write(
+    'index.md',
+    page(
+      {
+        title: 'Release Notes',
+        sidebar_label: 'Overview',
+        sidebar_position: 0,
+        slug: '/',
+        custom_edit_url: options.editUrl,
+      },
+      [
+        '# Release Notes',
+        '',
+        'What changed in each release of polly_dart, newest first. API ' +
+          'reference entries added after the first releases are marked ' +
+          'with the version that introduced them.',
+        '',
+        '| Version | Changes |',
+        '| --- | --- |',
+        ...releases.map(
+          (release) =>
+            `| [${release.version}](./${release.version}.md) | ${escapeMdx(
+              highlights(release),
+            ).replace(/\|/g, '\\|')} |`,
+        ),
+      ],
+    ),
+  );
+
+  if (fs.existsSync(outDir)) {
+    for (const entry of fs.readdirSync(outDir)) {
+      const file = path.join(outDir, entry);
+      if (entry.endsWith('.md') && !written.has(file)) fs.rmSync(file);
+    }
+  }
+
+  return {
+    since: versionedData(siteDir, options.snapshot, since),
+    versions: releases.map((r) => r.version),
+    routeBasePath: options.routeBasePath,
+  };
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {ChangelogPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<ChangelogContent>}
+ */
+export default function changelogPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<ChangelogPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  // Like the dart-api plugin: generate before the docs instance that serves
+  // the pages loads its content.
+  generateReleaseNotes(siteDir, options);
+
+  return {
+    name: 'docusaurus-plugin-changelog',
+
+    getPathsToWatch() {
+      return [
+        path.resolve(siteDir, options.changelog),
+        ...options.sourceDirs.map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.dart'),
+        ),
+      ];
+    },
+
+    async loadContent() {
+      return generateReleaseNotes(siteDir, options);
+    },
+
+    async contentLoaded({content, actions}) {
+      actions.setGlobalData(content);
+    },
+  };
+}
@@ -0,0 +1,145 @@
+// @ts-check
+/**
+ * Reads the root `CHANGELOG.md` and works out which version introduced
+ * which part of the API.
+ *
+ * The changelog has one `## <version>` section per release, optionally split
+ * into `### <topic>` groups of bullets. A bullet introduces API when it
+ * starts with the code span of the new symbol followed by an em dash
+ * (`` `tryGetResult()` — returns ... ``), or with a type followed by
+ * "gains" and the new fields (`` `OnHedgingArguments` gains `Outcome<T>? outcome` ``).
+ * Unqualified method names are resolved against the topic heading
+ * (`### Outcome`). Only symbols that exist in the Dart sources are indexed.
+ */
+
+/** @typedef {import('../dart-api/parser.js').DartLibrary} DartLibrary */
+
+/**
+ * @typedef {object} ChangelogSection
+ * @property {string | null} title `###` heading, null for bullets before any.
+ * @property {string[]} items Bullet texts, continuation lines joined.
+ */
+
+/**
+ * @typedef {object} Release
+ * @property {string} version
+ * @property {string} body Markdown of the section, without the heading.
+ * @property {ChangelogSection[]} sections
+ */
+
+/**
+ * Splits the changelog into releases, newest first as in the file.
+ * @param {string} markdown
+ * @returns {Release[]}
+ */
+export function parseChangelog(markdown) {
+  /** @type {Release[]} */
+  const releases = [];
+  const chunks = markdown.split(/^## +/m).slice(1);
+  for (const chunk of chunks) {
+    const newline = chunk.indexOf('\n');
+    const version = (newline === -1 ? chunk : chunk.slice(0, newline)).trim();
+    const body = newline === -1 ? '' : chunk.slice(newline + 1).trim();
+
+    /** @type {ChangelogSection[]} */
+    const sections = [{title: null, items: []}];
+    for (const line of body.split('\n')) {
+      const heading = /^### +(.+)$/.exec(line);
+      const bullet = /^[-*] +(.*)$/.exec(line);
+      const current = sections[sections.length - 1];
+      if (heading) {
+        sections.push({title: heading[1].trim(), items: []});
+      } else if (bullet) {
+        current.items.push(bullet[1].trim());
+      } else if (/^\s+\S/.test(line) && current.items.length) {
+        current.items[current.items.length - 1] += ` ${line.trim()}`;
+      }
+    }
+    releases.push({
+      version,
+      body,
+      sections: sections.filter((s) => s.title || s.items.length),
+    });
+  }
+  return releases;
+}
+
+/**
+ * Names of the public types and `Type.member`s declared by the libraries.
+ * @param {DartLibrary[]} libraries
+ * @returns {Set<string>}
+ */
+export function apiNames(libraries) {
+  const names = new Set();
+  for (const library of libraries) {
+    for (const declaration of library.declarations) {
+      if (declaration.isPrivate || !declaration.name) continue;
+      names.add(declaration.name);
+      for (const member of declaration.members) {
+        if (member.isPrivate) continue;
+        names.add(
+          member.name.startsWith(`${declaration.name}.`)
+            ? member.name
+            : `${declaration.name}.${member.name}`,
+        );
+      }
+      for (const value of declaration.values) {
+        names.add(`${declaration.name}.${value.name}`);
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Symbol named by a code span: `Type`, `Type.member`, or `member` (with any
+ * type arguments and parameter list removed).
+ * @param {string} code
+ */
+function symbolOf(code) {
+  return code
+    .replace(/\(.*$/, '')
+    .replace(/<[^>]*>/g, '')
+    .trim();
+}
+
+/**
+ * Maps each API symbol introduced by a release to that release's version.
+ * When a symbol is listed in several releases, the oldest one wins.
+ * @param {Release[]} releases
+ * @param {Set<string>} names Output of {@link apiNames}.
+ * @returns {Record<string, string>}
+ */
+export function buildSinceIndex(releases, names) {
+  /** @type {Record<string, string>} */
+  const since = {};
+  for (const release of releases) {
+    for (const section of release.sections) {
+      const topic = section.title?.replace(/\s+/g, '') ?? null;
+      for (const item of section.items) {
+        const subject = /^`([^`]+)`\s*(—|gains\b)/.exec(item);
+        if (!subject) continue;
+        const symbol = symbolOf(subject[1]);
+
+        /** @type {string[]} */
+        let introduced;
+        if (subject[2] === 'gains') {
+          // `Type` gains `Outcome<T>? outcome` and `bool isManual`.
+          introduced = [...item.slice(subject[0].length).matchAll(/`([^`]+)`/g)]
+            .map((m) => /^[\w<>?,\s]+\s(\w+)$/.exec(m[1].trim())?.[1])
+            .filter((name) => name !== undefined)
+            .map((name) => `${symbol}.${name}`);
+        } else if (symbol.includes('.') || names.has(symbol)) {
+          introduced = [symbol];
+        } else {
+          introduced = topic ? [`${topic}.${symbol}`] : [];
+        }
+
+        for (const name of introduced) {
+          if (names.has(name)) since[name] = release.version;
+        }
+      }
+    }
+  }
+  return since;
+}
@@ -0,0 +1,268 @@
+// @ts-check
+/**
+ * Docusaurus plugin that generates the API Reference pages from the public
+ * declarations in the Dart sources.
+ *
+ * Every `.dart` file under `sourceDirs` becomes one Markdown page in
+ * `outDir`, named after the file (`retry_strategy.dart` -> `retry-strategy`).
+ * The docs plugin then picks the pages up like any other doc, and the
+ * `API Reference` sidebar category is autogenerated from that directory.
+ *
+ * Hand-written prose lives in `proseDir` under the same name. Its front
+ * matter and content are merged into the generated page; the reference is
+ * inserted where the prose contains `<!-- api-reference -->`, or appended.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+  apiNames,
+  buildSinceIndex,
+  parseChangelog,
+} from '../changelog/parser.js';
+import {parseDart} from './parser.js';
+import {anchorFor, renderPage, renderReference} from './markdown.js';
+
+/** @typedef {import('./parser.js').DartLibrary} DartLibrary */
+
+/**
+ * @typedef {object} DartApiPluginOptions
+ * @property {string} [id] Plugin instance id.
+ * @property {string[]} [sourceDirs] Directories scanned for `.dart` files, relative to the site.
+ * @property {string} [outDir] Directory the pages are written to, relative to the site.
+ * @property {string} [proseDir] Directory holding hand-written prose, relative to the site.
+ * @property {string} [repoDir] Repository root, relative to the site. Used for source links.
+ * @property {string} [sourceUrl] URL prefix for links to the Dart sources.
+ * @property {string} [editUrl] URL prefix for "Edit this page" links to prose files.
+ * @property {string | null} [changelog] Changelog file, relative to the site.
+ *   Symbols it lists as added get a "Since" badge; `null` turns that off.
+ * @property {LinkedApi | null} [linkApi] Another API reference to link to
+ *   from "See also" lines, e.g. the core API from an extension's pages.
+ */
+
+/**
+ * @typedef {object} LinkedApi
+ * @property {string[]} sourceDirs Dart sources it is generated from, relative to the site.
+ * @property {string} path Path its pages are served at.
+ */
+
+/**
+ * @typedef {object} ApiPage
+ * @property {string} slug
+ * @property {string} sourcePath Dart file path relative to the repository root.
+ * @property {DartLibrary} library
+ */
+
+const DEFAULT_OPTIONS = {
+  id: 'default',
+  sourceDirs: ['../lib/src'],
+  outDir: 'docs/api',
+  proseDir: 'api-prose',
+  repoDir: '..',
+  sourceUrl: 'https://github.com/flutterninja9/polly_dart/blob/main/',
+  editUrl: 'https://github.com/flutterninja9/polly_dart/tree/main/docs/',
+  changelog: '../CHANGELOG.md',
+  linkApi: null,
+};
+
+/**
+ * Generated pages without prose are listed after the hand-curated ones.
+ */
+const UNORDERED_POSITION_START = 100;
+
+/**
+ * Lists the `.dart` files under a directory, recursively and sorted.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+export function listDartFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, {withFileTypes: true})
+    .flatMap((entry) => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listDartFiles(full);
+      return entry.name.endsWith('.dart') ? [full] : [];
+    })
+    .sort();
+}
+
+/**
+ * @param {string} file
+ */
+function slugOf(file) {
+  return path.basename(file, '.dart').replace(/_/g, '-');
+}
+
+/**
+ * @param {string} slug
+ */
+function titleOf(slug) {
+  return slug
+    .split('-')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * Writes a generated file, leaving it untouched when the content is the same
+ * so the dev server doesn't reload for nothing.
+ * @param {string} file
+ * @param {string} content
+ */
+export function writeIfChanged(file, content) {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return;
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * URLs of the public types of another API reference, by name.
+ * @param {string} siteDir
+ * @param {LinkedApi} linkApi
+ * @returns {Record<string, string>}
+ */
+function linkedTypes(siteDir, linkApi) {
+  /** @type {Record<string, string>} */
+  const links = {};
+  for (const dir of linkApi.sourceDirs) {
+    for (const file of listDartFiles(path.resolve(siteDir, dir))) {
+      const library = parseDart(fs.readFileSync(file, 'utf8'), file);
+      for (const declaration of library.declarations) {
+        if (declaration.isPrivate || !declaration.name) continue;
+        links[declaration.name] = `${linkApi.path}/${slugOf(file)}#${anchorFor(
+          declaration.name,
+        )}`;
+      }
+    }
+  }
+  return links;
+}
+
+/**
+ * Parses the Dart sources and writes one page per library. Pages whose
+ * source disappeared are removed.
+ * @param {string} siteDir
+ * @param {Required<DartApiPluginOptions>} options
+ * @returns {ApiPage[]}
+ */
+export function generateApiDocs(siteDir, options) {
+  const repoDir = path.resolve(siteDir, options.repoDir);
+  const outDir = path.resolve(siteDir, options.outDir);
+  const proseDir = path.resolve(siteDir, options.proseDir);
+
+  /** @type {ApiPage[]} */
+  const pages = options.sourceDirs
+    .flatMap((dir) => listDartFiles(path.resolve(siteDir, dir)))
+    .map((file) => {
+      const sourcePath = path.relative(repoDir, file).split(path.sep).join('/');
+      return {
+        slug: slugOf(file),
+        sourcePath,
+        library: parseDart(fs.readFileSync(file, 'utf8'), sourcePath),
+      };
+    });
+
+  const seen = new Map();
+  for (const page of pages) {
+    if (seen.has(page.slug)) {
+      throw new Error(
+        `dart-api: ${page.sourcePath} and ${seen.get(page.slug)} both map to the page "${page.slug}".`,
+      );
+    }
+    seen.set(page.slug, page.sourcePath);
+  }
+
+  const changelog = options.changelog
+    ? path.resolve(siteDir, options.changelog)
+    : null;
+  const since =
+    changelog && fs.existsSync(changelog)
+      ? buildSinceIndex(
+          parseChangelog(fs.readFileSync(changelog, 'utf8')),
+          apiNames(pages.map((page) => page.library)),
+        )
+      : {};
+
+  const links = options.linkApi ? linkedTypes(siteDir, options.linkApi) : {};
+
+  const written = new Set();
+  pages.forEach((page, index) => {
+    const proseFile = path.join(proseDir, `${page.slug}.md`);
+    const prose = fs.existsSync(proseFile)
+      ? fs.readFileSync(proseFile, 'utf8')
+      : null;
+    const editUrl = prose
+      ? `${options.editUrl}${path
+          .relative(siteDir, proseFile)
+          .split(path.sep)
+          .join('/')}`
+      : `${options.sourceUrl}${page.sourcePath}`;
+
+    const content = renderPage({
+      title: titleOf(page.slug),
+      prose,
+      generatedFrom: page.sourcePath,
+      frontMatter: {
+        sidebar_position: UNORDERED_POSITION_START + index,
+        custom_edit_url: editUrl,
+      },
+      reference: renderReference(page.library, {
+        sourcePath: page.sourcePath,
+        sourceUrl: `${options.sourceUrl}${page.sourcePath}`,
+        since,
+        links,
+      }),
+    });
+
+    const file = path.join(outDir, `${page.slug}.md`);
+    writeIfChanged(file, content);
+    written.add(file);
+  });
+
+  if (fs.existsSync(outDir)) {
+    for (const entry of fs.readdirSync(outDir)) {
+      const file = path.join(outDir, entry);
+      if (entry.endsWith('.md') && !written.has(file)) fs.rmSync(file);
+    }
+  }
+
+  return pages;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {DartApiPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<ApiPage[]>}
+ */
+export default function dartApiPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<DartApiPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  // Plugins are initialized before any content is loaded, so generating here
+  // guarantees the docs plugin sees the pages on the first build.
+  generateApiDocs(siteDir, options);
+
+  return {
+    name: 'docusaurus-plugin-dart-api',
+
+    getPathsToWatch() {
+      return [
+        ...options.sourceDirs.map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.dart'),
+        ),
+        path.posix.join(path.resolve(siteDir, options.proseDir), '*.md'),
+        ...(options.changelog ? [path.resolve(siteDir, options.changelog)] : []),
+        ...(options.linkApi?.sourceDirs ?? []).map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.dart'),
+        ),
+      ];
+    },
+
+    async loadContent() {
+      return generateApiDocs(siteDir, options);
+    },
+  };
+}
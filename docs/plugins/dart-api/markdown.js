@@ -0,0 +1,441 @@
+// @ts-check
+/**
+ * Renders parsed Dart libraries as Docusaurus Markdown pages.
+ */
+
+/** @typedef {import('./parser.js').DartLibrary} DartLibrary */
+/** @typedef {import('./parser.js').DartDeclaration} DartDeclaration */
+/** @typedef {import('./parser.js').DartMember} DartMember */
+/** @typedef {import('./parser.js').DartParameter} DartParameter */
+
+/** Marker in a prose file where the generated reference is inserted. */
+export const REFERENCE_MARKER = '<!-- api-reference -->';
+
+const SIGNATURE_WIDTH = 80;
+
+/**
+ * Heading id of a declaration, or of one of its members. Other plugins use
+ * this to deep-link into the generated pages.
+ * @param {string} declaration
+ * @param {string} [member] Constructor names may be qualified (`Foo.named`).
+ */
+export function anchorFor(declaration, member) {
+  const base = declaration.toLowerCase();
+  if (!member) return base;
+  if (member === declaration) return `${base}-constructor`;
+  const simple = member.startsWith(`${declaration}.`)
+    ? member.slice(declaration.length + 1)
+    : member;
+  return `${base}-${simple.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+/**
+ * Whether a declaration or member belongs on a public reference page.
+ * Overrides are documented on the type that declares them.
+ * @param {DartDeclaration | DartMember} node
+ */
+export function isDocumented(node) {
+  if (node.isPrivate) return false;
+  if ('kind' in node && node.kind === 'operator') return false;
+  return !node.annotations.includes('override');
+}
+
+/**
+ * Escapes characters that MDX would treat as JSX or expressions, leaving code
+ * spans, fenced code blocks and blockquote markers untouched.
+ * @param {string} text
+ */
+export function escapeMdx(text) {
+  let inFence = false;
+  return text
+    .split('\n')
+    .map((line) => {
+      if (/^\s*```/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) return line;
+      const [quote] = /^(\s*>)*/.exec(line) ?? [''];
+      return (
+        quote +
+        line
+          .slice(quote.length)
+          .split(/(`[^`]*`)/)
+          .map((part, index) =>
+            index % 2 === 1
+              ? part
+              : part
+                  .replace(/[{}]/g, (ch) => `\\${ch}`)
+                  .replace(/</g, '&lt;')
+                  .replace(/>/g, '&gt;'),
+          )
+          .join('')
+      );
+    })
+    .join('\n');
+}
+
+/**
+ * Converts a Dart doc comment to Markdown: `[Symbol]` references become code
+ * spans and MDX-sensitive characters are escaped.
+ * @param {string | null} doc
+ */
+export function renderDoc(doc) {
+  if (!doc) return '';
+  let inFence = false;
+  const converted = doc
+    .split('\n')
+    .map((line) => {
+      if (/^\s*```/.test(line)) {
+        inFence = !inFence;
+        return line;
+      }
+      if (inFence) return line;
+      return line
+        .split(/(`[^`]*`)/)
+        .map((part, index) =>
+          index % 2 === 1
+            ? part
+            : part.replace(
+                /\[([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\](?![(\[:])/g,
+                '`$1`',
+              ),
+        )
+        .join('');
+    })
+    .join('\n');
+  return escapeMdx(converted);
+}
+
+/**
+ * @param {DartParameter} parameter
+ */
+function formatParameter(parameter) {
+  const parts = [];
+  if (parameter.required && parameter.kind === 'named') parts.push('required');
+  if (parameter.type) parts.push(parameter.type);
+  parts.push(parameter.name);
+  let text = parts.join(' ');
+  if (parameter.defaultValue) text += ` = ${parameter.defaultValue}`;
+  return text;
+}
+
+/**
+ * Formats a parameter list the way `dart format` would: on one line when it
+ * fits, otherwise one parameter per line.
+ * @param {string} prefix Everything before the opening parenthesis.
+ * @param {DartParameter[]} parameters
+ */
+function formatCallable(prefix, parameters) {
+  const positional = parameters.filter((p) => p.kind === 'positional');
+  const optional = parameters.filter((p) => p.kind === 'optional');
+  const named = parameters.filter((p) => p.kind === 'named');
+
+  const groups = positional.map(formatParameter);
+  if (optional.length) {
+    groups.push(`[${optional.map(formatParameter).join(', ')}]`);
+  }
+  if (named.length) groups.push(`{${named.map(formatParameter).join(', ')}}`);
+  const flat = `${prefix}(${groups.join(', ')})`;
+  if (flat.length <= SIGNATURE_WIDTH) return flat;
+
+  const bracketed = optional.length ? optional : named;
+  const [open, close] = optional.length ? ['[', ']'] : ['{', '}'];
+  if (!positional.length && bracketed.length) {
+    return [
+      `${prefix}(${open}`,
+      ...bracketed.map((p) => `  ${formatParameter(p)},`),
+      `${close})`,
+    ].join('\n');
+  }
+  const lines = [`${prefix}(`, ...positional.map((p) => `  ${formatParameter(p)},`)];
+  if (bracketed.length) {
+    lines.push(
+      `  ${open}`,
+      ...bracketed.map((p) => `    ${formatParameter(p)},`),
+      `  ${close}`,
+    );
+  }
+  lines.push(')');
+  return lines.join('\n');
+}
+
+/**
+ * Dart declaration header for a member, with `this.x` parameters expanded to
+ * their field types.
+ * @param {DartMember} member
+ */
+export function memberSignature(member) {
+  const modifiers = member.modifiers.filter((m) =>
+    ['static', 'const', 'factory', 'final', 'late'].includes(m),
+  );
+  const lead = modifiers.length ? `${modifiers.join(' ')} ` : '';
+  switch (member.kind) {
+    case 'constructor':
+      return formatCallable(`${lead}${member.name}`, member.parameters);
+    case 'method':
+      return formatCallable(
+        `${lead}${member.type ? `${member.type} ` : ''}${member.name}${
+          member.typeParameters ?? ''
+        }`,
+        member.parameters,
+      );
+    case 'getter':
+      return `${lead}${member.type ? `${member.type} ` : ''}get ${member.name}`;
+    case 'setter':
+      return `${lead}set ${member.name}(${member.parameters
+        .map(formatParameter)
+        .join(', ')})`;
+    default:
+      return `${lead}${member.type ? `${member.type} ` : ''}${member.name}${
+        member.initializer && modifiers.includes('const')
+          ? ` = ${member.initializer}`
+          : ''
+      }`;
+  }
+}
+
+/**
+ * @param {string} code
+ */
+function dartBlock(code) {
+  return ['```dart', code, '```'].join('\n');
+}
+
+/**
+ * @param {string} text
+ */
+function tableCell(text) {
+  return text.replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+}
+
+/**
+ * @param {DartDeclaration} declaration
+ */
+function declarationTitle(declaration) {
+  if (declaration.kind === 'extension' && !declaration.name) {
+    return `extension on ${declaration.on}`;
+  }
+  return `${declaration.name}${declaration.typeParameters ?? ''}`;
+}
+
+/**
+ * Badges shown under a signature: deprecation, and the version that
+ * introduced the symbol.
+ * @param {string[]} annotations
+ * @param {string | undefined} sinceMember Key into the since-index, if listed.
+ */
+function badges(annotations, sinceMember) {
+  const out = [];
+  if (annotations.some((a) => /^[Dd]eprecated$/.test(a))) {
+    out.push('<span className="badge badge--warning">Deprecated</span>');
+  }
+  if (sinceMember) out.push(`<Since member="${sinceMember}" />`);
+  return out.length ? ['', out.join(' ')] : [];
+}
+
+/**
+ * "See also" line linking the types of another API reference that a
+ * declaration's signatures mention, e.g. the core `CancellationToken` on the
+ * pages of an extension package.
+ * @param {DartDeclaration} declaration
+ * @param {Record<string, string>} links URL by type name.
+ */
+function seeAlso(declaration, links) {
+  const signatures = [
+    declaration.signature ?? '',
+    ...declaration.members.filter(isDocumented).map(memberSignature),
+  ].join('\n');
+  const names = new Set(signatures.match(/[A-Za-z_$][\w$]*/g) ?? []);
+  const linked = [...names].filter(
+    (name) => Object.hasOwn(links, name) && name !== declaration.name,
+  );
+  if (!linked.length) return [];
+  const list = linked.map((name) => `[\`${name}\`](${links[name]})`);
+  return ['', `See also: ${list.join(', ')}.`];
+}
+
+/**
+ * @param {DartDeclaration} declaration
+ * @param {number} level Heading level of the declaration.
+ * @param {Record<string, string>} since Versions that introduced API symbols.
+ * @param {Record<string, string>} links URLs of types documented elsewhere.
+ */
+function renderDeclaration(declaration, level, since, links) {
+  const hashes = '#'.repeat(level);
+  const memberHashes = '#'.repeat(level + 1);
+  const out = [
+    `${hashes} \`${declarationTitle(declaration)}\` {#${anchorFor(
+      declaration.name || declarationTitle(declaration),
+    )}}`,
+    '',
+    dartBlock(
+      declaration.kind === 'function' || declaration.kind === 'variable'
+        ? memberSignature(declaration.members[0])
+        : declaration.signature,
+    ),
+  ];
+
+  out.push(
+    ...badges(
+      declaration.annotations,
+      since[declaration.name] ? declaration.name : undefined,
+    ),
+  );
+  const doc = renderDoc(declaration.doc);
+  if (doc) out.push('', doc);
+  out.push(...seeAlso(declaration, links));
+
+  if (declaration.values.length) {
+    out.push('', '| Value | Description |', '| --- | --- |');
+    for (const value of declaration.values) {
+      out.push(
+        `| \`${value.name}\` | ${tableCell(renderDoc(summaryOfDoc(value.doc)))} |`,
+      );
+    }
+  }
+
+  if (declaration.kind === 'function' || declaration.kind === 'variable') {
+    return out.join('\n');
+  }
+
+  const members = declaration.members.filter(isDocumented);
+  const groups = /** @type {const} */ ([
+    ['Constructors', ['constructor']],
+    ['Properties', ['field', 'getter', 'setter']],
+    ['Methods', ['method']],
+  ]);
+  for (const [label, kinds] of groups) {
+    const inGroup = members.filter((m) =>
+      /** @type {readonly string[]} */ (kinds).includes(m.kind),
+    );
+    if (!inGroup.length) continue;
+    out.push('', `**${label}**`);
+    for (const member of inGroup) {
+      out.push(
+        '',
+        `${memberHashes} \`${member.name}\` {#${anchorFor(
+          declaration.name,
+          member.name,
+        )}}`,
+        '',
+        dartBlock(memberSignature(member)),
+      );
+      const key = member.name.startsWith(`${declaration.name}.`)
+        ? member.name
+        : `${declaration.name}.${member.name}`;
+      out.push(...badges(member.annotations, since[key] ? key : undefined));
+      const memberDoc = renderDoc(member.doc);
+      if (memberDoc) out.push('', memberDoc);
+    }
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * Full doc text of an enum value, which is usually a single line.
+ * @param {string | null} doc
+ */
+function summaryOfDoc(doc) {
+  return doc ? doc.replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Renders the reference section for one Dart library.
+ * @param {DartLibrary} library
+ * @param {{sourceUrl?: string, sourcePath: string, headingLevel?: number, since?: Record<string, string>, links?: Record<string, string>}} options
+ *   `since` maps `Type` and `Type.member` to the version that introduced
+ *   them; listed symbols get a `<Since />` badge. `links` maps type names
+ *   documented elsewhere to their URL, for "See also" lines.
+ */
+export function renderReference(library, options) {
+  const level = options.headingLevel ?? 3;
+  const declarations = library.declarations.filter(isDocumented);
+  const source = options.sourceUrl
+    ? `[\`${options.sourcePath}\`](${options.sourceUrl})`
+    : `\`${options.sourcePath}\``;
+
+  const out = [
+    `${'#'.repeat(level - 1)} API Reference {#api-reference}`,
+    '',
+    `Generated from ${source}.`,
+  ];
+  for (const declaration of declarations) {
+    out.push(
+      '',
+      renderDeclaration(
+        declaration,
+        level,
+        options.since ?? {},
+        options.links ?? {},
+      ),
+    );
+  }
+  return out.join('\n');
+}
+
+/**
+ * Splits a Markdown document into its front matter lines and body.
+ * @param {string} markdown
+ */
+export function splitFrontMatter(markdown) {
+  const match = /^---\n([\s\S]*?)\n---\n?/.exec(markdown);
+  if (!match) return {frontMatter: [], body: markdown};
+  return {
+    frontMatter: match[1].split('\n'),
+    body: markdown.slice(match[0].length),
+  };
+}
+
+/**
+ * Builds the final page by merging hand-written prose (if any) with the
+ * generated reference. Front matter keys from the prose take precedence.
+ * @param {object} params
+ * @param {string} params.title Default H1 when there is no prose.
+ * @param {string} params.reference Output of {@link renderReference}.
+ * @param {string | null} params.prose Contents of the prose file, if any.
+ * @param {Record<string, string | number>} params.frontMatter Generated defaults.
+ * @param {string} params.generatedFrom Source path noted in the header comment.
+ */
+export function renderPage({title, reference, prose, frontMatter, generatedFrom}) {
+  const {frontMatter: proseFrontMatter, body} = splitFrontMatter(prose ?? '');
+  const keys = new Set(
+    proseFrontMatter
+      .map((line) => /^([A-Za-z_][\w-]*):/.exec(line)?.[1])
+      .filter(Boolean),
+  );
+
+  let content;
+  if (!prose) {
+    content = `# ${title}\n\n${reference}`;
+  } else if (body.includes(REFERENCE_MARKER)) {
+    content = body.replace(REFERENCE_MARKER, reference);
+  } else {
+    content = `${body.trimEnd()}\n\n${reference}`;
+  }
+
+  // Docusaurus only takes the title from an H1 at the top, and the notice
+  // below comes first.
+  const heading = /^# (.+)$/m.exec(content)?.[1];
+  const lines = [
+    ...proseFrontMatter,
+    ...Object.entries({...(heading && {title: heading}), ...frontMatter})
+      .filter(([key]) => !keys.has(key))
+      .map(([key, value]) => `${key}: ${JSON.stringify(value)}`),
+  ];
+
+  return [
+    '---',
+    ...lines,
+    '---',
+    '',
+    `{/* Generated from ${generatedFrom} by the dart-api plugin. Do not edit. */}`,
+    '',
+    ...(content.includes('<Since ')
+      ? ["import Since from '@site/src/components/Since';", '']
+      : []),
+    content.trim(),
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,1206 @@
+// @ts-check
+/**
+ * A small, dependency-free reader for the subset of Dart used by the
+ * polly_dart sources: top-level classes, enums, typedefs, extensions and
+ * functions, their members, and the `///` doc comments attached to them.
+ *
+ * This is not a full Dart parser. Function bodies, initializers and default
+ * values are skipped by matching brackets, which is enough to recover
+ * declarations and signatures from formatted library code.
+ */
+
+/**
+ * @typedef {object} Token
+ * @property {'ident' | 'punct' | 'string' | 'number' | 'doc'} type
+ * @property {string} value
+ * @property {number} start Offset of the first character in the source.
+ * @property {number} end Offset just past the last character.
+ * @property {number} line One-based line number of the first character.
+ */
+
+/**
+ * @typedef {object} DartParameter
+ * @property {string} name
+ * @property {string | null} type Declared type, resolved from the field for `this.x` parameters.
+ * @property {'positional' | 'optional' | 'named'} kind
+ * @property {boolean} required
+ * @property {string | null} defaultValue
+ * @property {boolean} isFieldFormal Declared as `this.name`.
+ * @property {boolean} isSuperFormal Declared as `super.name`.
+ */
+
+/**
+ * @typedef {object} DartMember
+ * @property {'constructor' | 'field' | 'getter' | 'setter' | 'method' | 'operator'} kind
+ * @property {string} name Constructor names are qualified, e.g. `RetryStrategyOptions.noDelay`.
+ * @property {string | null} type Field or getter type, or method return type.
+ * @property {string | null} typeParameters
+ * @property {DartParameter[]} parameters
+ * @property {Array<{name: string, value: string}>} initializers Constructor initializer list entries.
+ * @property {string | null} initializer Field initializer expression.
+ * @property {string[]} modifiers e.g. `static`, `const`, `final`, `factory`.
+ * @property {string[]} annotations Annotation names without the `@`.
+ * @property {boolean} isPrivate
+ * @property {string | null} doc
+ * @property {string} signature Declaration header with whitespace collapsed.
+ * @property {number} line
+ */
+
+/**
+ * @typedef {object} DartEnumValue
+ * @property {string} name
+ * @property {string | null} doc
+ * @property {number} line
+ */
+
+/**
+ * @typedef {object} DartDeclaration
+ * @property {'class' | 'mixin' | 'enum' | 'typedef' | 'extension' | 'function' | 'variable'} kind
+ * @property {string} name
+ * @property {string | null} typeParameters
+ * @property {string[]} modifiers e.g. `abstract`, `sealed`, `final`.
+ * @property {string | null} superclass
+ * @property {string[]} interfaces
+ * @property {string[]} mixins
+ * @property {string | null} on Target type of an extension or mixin.
+ * @property {string | null} aliasedType Right-hand side of a typedef.
+ * @property {DartMember[]} members
+ * @property {DartEnumValue[]} values
+ * @property {string[]} annotations
+ * @property {boolean} isPrivate
+ * @property {string | null} doc
+ * @property {string} signature
+ * @property {number} line
+ */
+
+/**
+ * @typedef {object} DartLibrary
+ * @property {string} file
+ * @property {string | null} doc Library-level doc comment, if any.
+ * @property {DartDeclaration[]} declarations
+ */
+
+const MULTI_CHAR_PUNCT = [
+  '...',
+  '??=',
+  '=>',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '&&',
+  '||',
+  '??',
+  '?.',
+  '++',
+  '--',
+  '+=',
+  '-=',
+  '*=',
+  '/=',
+];
+
+const MEMBER_MODIFIERS = new Set([
+  'static',
+  'const',
+  'final',
+  'late',
+  'external',
+  'factory',
+  'abstract',
+  'covariant',
+  'var',
+]);
+
+const CLASS_MODIFIERS = new Set([
+  'abstract',
+  'sealed',
+  'final',
+  'base',
+  'interface',
+  'mixin',
+]);
+
+const OPENERS = {'(': ')', '[': ']', '{': '}'};
+const CLOSERS = new Set([')', ']', '}']);
+
+/**
+ * Returns whether a Dart identifier is public (not library-private).
+ * @param {string} name
+ */
+export function isPublicName(name) {
+  const simple = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : name;
+  return !simple.startsWith('_');
+}
+
+/**
+ * Removes the comment markers from the lines of a doc comment.
+ * @param {string[]} lines Line contents after `///` or inside `/** *\/`.
+ */
+function normalizeDocLines(lines) {
+  const stripped = lines.map((line) => line.replace(/^ ?/, ''));
+  while (stripped.length && stripped[0].trim() === '') stripped.shift();
+  while (stripped.length && stripped[stripped.length - 1].trim() === '') {
+    stripped.pop();
+  }
+  return stripped.join('\n');
+}
+
+/**
+ * Scans a string literal starting at `i` and returns the offset after it.
+ * @param {string} source
+ * @param {number} i
+ */
+function scanString(source, i) {
+  let raw = false;
+  if (source[i] === 'r') {
+    raw = true;
+    i++;
+  }
+  const quote = source[i];
+  const delimiter = source.startsWith(quote.repeat(3), i)
+    ? quote.repeat(3)
+    : quote;
+  i += delimiter.length;
+  while (i < source.length) {
+    if (!raw && source[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (source.startsWith(delimiter, i)) return i + delimiter.length;
+    if (!raw && source[i] === '$' && source[i + 1] === '{') {
+      i = scanInterpolation(source, i + 2);
+      continue;
+    }
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Scans the body of a `${...}` interpolation and returns the offset after it.
+ * @param {string} source
+ * @param {number} i Offset just after the opening `${`.
+ */
+function scanInterpolation(source, i) {
+  let depth = 1;
+  while (i < source.length && depth > 0) {
+    const ch = source[i];
+    if (ch === '"' || ch === "'") {
+      i = scanString(source, i);
+      continue;
+    }
+    if (ch === '{') depth++;
+    else if (ch === '}') depth--;
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Splits Dart source into tokens. Regular comments are dropped; doc comments
+ * are kept as single `doc` tokens so they can be attached to declarations.
+ * @param {string} source
+ * @returns {Token[]}
+ */
+export function tokenize(source) {
+  /** @type {Token[]} */
+  const tokens = [];
+  const n = source.length;
+  let i = 0;
+  let line = 1;
+
+  /** @param {number} from @param {number} to */
+  const countLines = (from, to) => {
+    for (let k = from; k < to; k++) if (source[k] === '\n') line++;
+  };
+
+  while (i < n) {
+    const ch = source[i];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (source.startsWith('///', i)) {
+      const start = i;
+      const startLine = line;
+      /** @type {string[]} */
+      const lines = [];
+      for (;;) {
+        let end = source.indexOf('\n', i);
+        if (end === -1) end = n;
+        lines.push(source.slice(i + 3, end));
+        i = end;
+        let j = i;
+        let newlines = 0;
+        while (j < n && /\s/.test(source[j])) {
+          if (source[j] === '\n') newlines++;
+          j++;
+        }
+        if (newlines === 1 && source.startsWith('///', j)) {
+          line++;
+          i = j;
+        } else {
+          break;
+        }
+      }
+      tokens.push({
+        type: 'doc',
+        value: normalizeDocLines(lines),
+        start,
+        end: i,
+        line: startLine,
+      });
+      continue;
+    }
+
+    if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? n : end;
+      continue;
+    }
+
+    if (source.startsWith('/*', i)) {
+      const start = i;
+      const startLine = line;
+      const isDoc = source.startsWith('/**', i) && !source.startsWith('/**/', i);
+      let depth = 0;
+      let j = i;
+      while (j < n) {
+        if (source.startsWith('/*', j)) {
+          depth++;
+          j += 2;
+        } else if (source.startsWith('*/', j)) {
+          depth--;
+          j += 2;
+          if (depth === 0) break;
+        } else {
+          j++;
+        }
+      }
+      countLines(i, j);
+      i = j;
+      if (isDoc) {
+        const body = source.slice(start + 3, j - 2);
+        tokens.push({
+          type: 'doc',
+          value: normalizeDocLines(
+            body.split('\n').map((l) => l.replace(/^\s*\* ?/, '')),
+          ),
+          start,
+          end: j,
+          line: startLine,
+        });
+      }
+      continue;
+    }
+
+    const isRawString =
+      ch === 'r' && (source[i + 1] === '"' || source[i + 1] === "'");
+    if (ch === '"' || ch === "'" || isRawString) {
+      const start = i;
+      const startLine = line;
+      i = scanString(source, i);
+      countLines(start, i);
+      tokens.push({
+        type: 'string',
+        value: source.slice(start, i),
+        start,
+        end: i,
+        line: startLine,
+      });
+      continue;
+    }
+
+    const ident = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i, i + 256));
+    if (ident) {
+      tokens.push({
+        type: 'ident',
+        value: ident[0],
+        start: i,
+        end: i + ident[0].length,
+        line,
+      });
+      i += ident[0].length;
+      continue;
+    }
+
+    const number = /^(?:0[xX][0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(
+      source.slice(i, i + 64),
+    );
+    if (number) {
+      tokens.push({
+        type: 'number',
+        value: number[0],
+        start: i,
+        end: i + number[0].length,
+        line,
+      });
+      i += number[0].length;
+      continue;
+    }
+
+    const punct =
+      MULTI_CHAR_PUNCT.find((p) => source.startsWith(p, i)) ?? ch;
+    tokens.push({
+      type: 'punct',
+      value: punct,
+      start: i,
+      end: i + punct.length,
+      line,
+    });
+    i += punct.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Collapses the whitespace of a source excerpt into a single-line form.
+ * @param {string} text
+ */
+function collapse(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/([([{]) /g, '$1')
+    .replace(/,? ([)\]}])/g, '$1')
+    .replace(/,([)\]}])/g, '$1')
+    .trim();
+}
+
+/**
+ * Splits a token list on commas that are not nested inside brackets or
+ * type arguments.
+ * @param {Token[]} tokens
+ */
+function splitTopLevel(tokens) {
+  /** @type {Token[][]} */
+  const parts = [[]];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === 'punct') {
+      if (token.value in OPENERS || token.value === '<') depth++;
+      else if (CLOSERS.has(token.value) || token.value === '>') depth--;
+      else if (token.value === ',' && depth === 0) {
+        parts.push([]);
+        continue;
+      }
+    }
+    parts[parts.length - 1].push(token);
+  }
+  return parts.filter((part) => part.length > 0);
+}
+
+class Parser {
+  /**
+   * @param {string} source
+   * @param {string} file
+   */
+  constructor(source, file) {
+    this.source = source;
+    this.file = file;
+    this.tokens = tokenize(source);
+    this.pos = 0;
+  }
+
+  /** @param {number} [offset] */
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  eof() {
+    return this.pos >= this.tokens.length;
+  }
+
+  /**
+   * @param {Token | undefined} token
+   * @param {string} value
+   */
+  is(token, value) {
+    return !!token && token.type !== 'string' && token.value === value;
+  }
+
+  /**
+   * Source text between two tokens, inclusive, with whitespace collapsed.
+   * @param {Token} first
+   * @param {Token} last
+   */
+  text(first, last) {
+    return collapse(this.source.slice(first.start, last.end));
+  }
+
+  /** @param {Token[]} tokens */
+  textOf(tokens) {
+    return tokens.length ? this.text(tokens[0], tokens[tokens.length - 1]) : '';
+  }
+
+  /**
+   * Skips a balanced bracket group starting at the current token and returns
+   * the tokens inside it, excluding the brackets themselves.
+   */
+  skipGroup() {
+    const open = this.next();
+    const inner = [];
+    let depth = 1;
+    while (!this.eof()) {
+      const token = this.next();
+      if (token.type === 'punct') {
+        if (token.value in OPENERS) depth++;
+        else if (CLOSERS.has(token.value)) depth--;
+      }
+      if (depth === 0) return inner;
+      inner.push(token);
+    }
+    throw new Error(
+      `${this.file}:${open.line}: unbalanced '${open.value}' in Dart source`,
+    );
+  }
+
+  /** Skips a `<...>` type parameter or argument list and returns its text. */
+  skipAngles() {
+    const open = this.next();
+    let depth = 1;
+    let last = open;
+    while (!this.eof() && depth > 0) {
+      last = this.next();
+      if (this.is(last, '<')) depth++;
+      else if (this.is(last, '>')) depth--;
+    }
+    return this.text(open, last);
+  }
+
+  skipPastSemicolon() {
+    while (!this.eof()) {
+      const token = this.peek();
+      if (this.is(token, ';')) {
+        this.pos++;
+        return;
+      }
+      if (token.type === 'punct' && token.value in OPENERS) this.skipGroup();
+      else this.pos++;
+    }
+  }
+
+  /**
+   * Consumes any doc comments and annotations in front of a declaration.
+   * The doc comment closest to the declaration wins.
+   */
+  takePreamble() {
+    /** @type {string | null} */
+    let doc = null;
+    /** @type {string[]} */
+    const annotations = [];
+    while (!this.eof()) {
+      const token = this.peek();
+      if (token.type === 'doc') {
+        doc = token.value;
+        this.pos++;
+      } else if (this.is(token, '@') && this.peek(1)?.type === 'ident') {
+        this.pos++;
+        let name = this.next().value;
+        while (this.is(this.peek(), '.') && this.peek(1)?.type === 'ident') {
+          this.pos++;
+          name += `.${this.next().value}`;
+        }
+        if (this.is(this.peek(), '(')) this.skipGroup();
+        annotations.push(name);
+      } else {
+        break;
+      }
+    }
+    return {doc, annotations};
+  }
+
+  /** @returns {DartLibrary} */
+  parseLibrary() {
+    /** @type {DartDeclaration[]} */
+    const declarations = [];
+    /** @type {string | null} */
+    let libraryDoc = null;
+
+    while (!this.eof()) {
+      const {doc, annotations} = this.takePreamble();
+      if (this.eof()) break;
+      const token = this.peek();
+      const start = this.pos;
+
+      if (['import', 'export', 'part'].includes(token.value)) {
+        this.skipPastSemicolon();
+        continue;
+      }
+      if (token.value === 'library') {
+        libraryDoc = doc;
+        this.skipPastSemicolon();
+        continue;
+      }
+
+      /** @type {string[]} */
+      const modifiers = [];
+      while (
+        CLASS_MODIFIERS.has(this.peek()?.value) &&
+        ['class', 'mixin', ...CLASS_MODIFIERS].includes(this.peek(1)?.value)
+      ) {
+        modifiers.push(this.next().value);
+      }
+      const keyword = this.peek()?.value;
+
+      /** @type {DartDeclaration | null} */
+      let declaration = null;
+      if (keyword === 'class' || keyword === 'mixin') {
+        declaration = this.parseClass(modifiers);
+      } else if (keyword === 'enum') {
+        declaration = this.parseEnum();
+      } else if (keyword === 'typedef') {
+        declaration = this.parseTypedef();
+      } else if (keyword === 'extension') {
+        declaration = this.parseExtension();
+      } else {
+        this.pos = start;
+        const member = this.parseMember(null);
+        if (member) {
+          declaration = {
+            ...emptyDeclaration(
+              member.kind === 'field' || member.kind === 'getter'
+                ? 'variable'
+                : 'function',
+              member.name,
+              member.line,
+            ),
+            typeParameters: member.typeParameters,
+            members: [member],
+            modifiers: member.modifiers,
+            signature: member.signature,
+          };
+        }
+      }
+
+      if (declaration) {
+        declaration.doc = doc;
+        declaration.annotations = annotations;
+        declarations.push(declaration);
+      }
+    }
+
+    return {file: this.file, doc: libraryDoc, declarations};
+  }
+
+  /** @param {string[]} modifiers */
+  parseClass(modifiers) {
+    const keywordToken = this.next();
+    const kind = keywordToken.value === 'mixin' ? 'mixin' : 'class';
+    const nameToken = this.next();
+    const declaration = emptyDeclaration(kind, nameToken.value, nameToken.line);
+    declaration.modifiers = modifiers;
+    if (this.is(this.peek(), '<')) declaration.typeParameters = this.skipAngles();
+
+    /** @type {string | null} */
+    let clause = null;
+    /** @type {Record<string, Token[]>} */
+    const clauses = {extends: [], with: [], implements: [], on: []};
+    while (!this.eof() && !this.is(this.peek(), '{') && !this.is(this.peek(), ';')) {
+      const token = this.next();
+      if (token.type === 'ident' && token.value in clauses) {
+        clause = token.value;
+      } else if (clause) {
+        clauses[clause].push(token);
+      }
+    }
+    declaration.superclass = this.textOf(clauses.extends) || null;
+    declaration.mixins = splitTopLevel(clauses.with).map((t) => this.textOf(t));
+    declaration.interfaces = splitTopLevel(clauses.implements).map((t) =>
+      this.textOf(t),
+    );
+    declaration.on = this.textOf(clauses.on) || null;
+
+    const headerEnd = this.tokens[this.pos - 1];
+    declaration.signature = this.text(
+      this.tokens[this.tokens.indexOf(keywordToken) - modifiers.length],
+      headerEnd,
+    );
+
+    if (this.is(this.peek(), '{')) {
+      this.pos++;
+      declaration.members = this.parseMembers(declaration.name);
+    } else {
+      this.skipPastSemicolon();
+    }
+    resolveFieldFormals(declaration);
+    return declaration;
+  }
+
+  parseEnum() {
+    const keywordToken = this.next();
+    const nameToken = this.next();
+    const declaration = emptyDeclaration('enum', nameToken.value, nameToken.line);
+    if (this.is(this.peek(), '<')) declaration.typeParameters = this.skipAngles();
+    while (!this.eof() && !this.is(this.peek(), '{')) this.pos++;
+    declaration.signature = this.text(keywordToken, this.tokens[this.pos - 1]);
+    this.pos++;
+
+    while (!this.eof()) {
+      const {doc} = this.takePreamble();
+      const token = this.peek();
+      if (this.is(token, '}')) {
+        this.pos++;
+        return declaration;
+      }
+      if (this.is(token, ';')) {
+        this.pos++;
+        declaration.members = this.parseMembers(declaration.name);
+        resolveFieldFormals(declaration);
+        return declaration;
+      }
+      if (token.type === 'ident') {
+        this.pos++;
+        declaration.values.push({name: token.value, doc, line: token.line});
+        if (this.is(this.peek(), '<')) this.skipAngles();
+        if (this.is(this.peek(), '(')) this.skipGroup();
+      } else {
+        this.pos++;
+      }
+      if (this.is(this.peek(), ',')) this.pos++;
+    }
+    return declaration;
+  }
+
+  parseTypedef() {
+    const keywordToken = this.next();
+    const first = this.pos;
+    let end = first;
+    while (end < this.tokens.length && !this.is(this.tokens[end], ';')) {
+      const token = this.tokens[end];
+      if (token.type === 'punct' && token.value in OPENERS) {
+        this.pos = end;
+        this.skipGroup();
+        end = this.pos;
+      } else {
+        end++;
+      }
+    }
+    const body = this.tokens.slice(first, end);
+    this.pos = end + 1;
+
+    const assign = body.findIndex((t) => this.is(t, '='));
+    /** @type {DartDeclaration} */
+    let declaration;
+    if (assign !== -1) {
+      const nameToken = body[0];
+      declaration = emptyDeclaration('typedef', nameToken.value, nameToken.line);
+      declaration.typeParameters =
+        assign > 1 ? this.textOf(body.slice(1, assign)) : null;
+      declaration.aliasedType = this.textOf(body.slice(assign + 1));
+    } else {
+      // Legacy `typedef ReturnType Name(params);` form.
+      const open = body.findIndex((t) => this.is(t, '('));
+      const nameToken = body[open - 1];
+      declaration = emptyDeclaration('typedef', nameToken.value, nameToken.line);
+      declaration.aliasedType = this.textOf(body);
+    }
+    declaration.signature = this.text(keywordToken, this.tokens[end]).replace(
+      /;$/,
+      '',
+    );
+    return declaration;
+  }
+
+  parseExtension() {
+    const keywordToken = this.next();
+    let name = '';
+    let line = keywordToken.line;
+    if (this.peek()?.type === 'ident' && this.peek().value !== 'on') {
+      const nameToken = this.next();
+      name = nameToken.value;
+      line = nameToken.line;
+    }
+    const declaration = emptyDeclaration('extension', name, line);
+    if (this.is(this.peek(), '<')) declaration.typeParameters = this.skipAngles();
+    /** @type {Token[]} */
+    const on = [];
+    if (this.peek()?.value === 'on') {
+      this.pos++;
+      while (!this.eof() && !this.is(this.peek(), '{')) on.push(this.next());
+    }
+    declaration.on = this.textOf(on) || null;
+    declaration.signature = this.text(keywordToken, this.tokens[this.pos - 1]);
+    this.pos++;
+    declaration.members = this.parseMembers(null);
+    return declaration;
+  }
+
+  /**
+   * Parses class members up to and including the closing brace.
+   * @param {string | null} className
+   */
+  parseMembers(className) {
+    /** @type {DartMember[]} */
+    const members = [];
+    while (!this.eof()) {
+      const {doc, annotations} = this.takePreamble();
+      if (this.is(this.peek(), '}')) {
+        this.pos++;
+        break;
+      }
+      if (this.eof()) break;
+      const member = this.parseMember(className);
+      if (member) {
+        member.doc = doc;
+        member.annotations = annotations;
+        members.push(member);
+      }
+    }
+    return members;
+  }
+
+  /**
+   * Parses a single member declaration and skips its body.
+   * @param {string | null} className
+   * @returns {DartMember | null}
+   */
+  parseMember(className) {
+    const first = this.pos;
+    let depth = 0;
+    let headerEnd = -1;
+    let sawParameters = false;
+    let assignAt = -1;
+    let arrowAt = -1;
+    let colonAt = -1;
+
+    while (!this.eof()) {
+      const index = this.pos;
+      const token = this.next();
+      if (token.type !== 'punct') continue;
+      const value = token.value;
+
+      if (depth === 0) {
+        if (value === ';') {
+          if (headerEnd === -1) headerEnd = index;
+          break;
+        }
+        if (value === '}') {
+          // Stray closing brace of the enclosing body; leave it for the caller.
+          this.pos = index;
+          if (headerEnd === -1) headerEnd = index;
+          break;
+        }
+        if (value === '=>') {
+          arrowAt = index;
+          if (headerEnd === -1) headerEnd = index;
+          continue;
+        }
+        if (value === '=') {
+          if (!sawParameters && assignAt === -1 && arrowAt === -1) {
+            assignAt = index;
+          }
+          if (headerEnd === -1) headerEnd = index;
+          continue;
+        }
+        if (value === ':' && sawParameters && headerEnd === -1) {
+          colonAt = index;
+          headerEnd = index;
+          continue;
+        }
+        if (value === '{') {
+          const previous = this.tokens[index - 1];
+          const isLiteral = arrowAt !== -1 || this.is(previous, '=');
+          if (!isLiteral) {
+            if (headerEnd === -1) headerEnd = index;
+            this.pos = index;
+            this.skipGroup();
+            break;
+          }
+        }
+        if (value === '(') {
+          const previous = this.tokens[index - 1];
+          if (
+            assignAt === -1 &&
+            arrowAt === -1 &&
+            headerEnd === -1 &&
+            previous &&
+            previous.value !== 'Function' &&
+            (previous.type === 'ident' || this.is(previous, '>'))
+          ) {
+            sawParameters = true;
+          }
+        }
+      }
+
+      if (value in OPENERS) depth++;
+      else if (CLOSERS.has(value)) depth--;
+    }
+
+    if (headerEnd === -1) headerEnd = this.pos;
+    const all = this.tokens.slice(first, this.pos);
+    const header = this.tokens.slice(first, headerEnd);
+    if (header.length === 0) {
+      if (this.pos === first) this.pos++;
+      return null;
+    }
+
+    // Trailing body modifiers such as `async` or `sync*`.
+    while (
+      header.length > 1 &&
+      (['async', 'sync'].includes(header[header.length - 1].value) ||
+        (this.is(header[header.length - 1], '*') &&
+          ['async', 'sync'].includes(header[header.length - 2]?.value)))
+    ) {
+      header.pop();
+    }
+
+    const member = this.classifyMember(className, header);
+    if (!member) return null;
+
+    if (member.kind === 'field' && assignAt !== -1) {
+      const valueTokens = all.slice(assignAt - first + 1);
+      if (this.is(valueTokens[valueTokens.length - 1], ';')) valueTokens.pop();
+      member.initializer = this.textOf(valueTokens) || null;
+    }
+
+    if (member.kind === 'constructor' && colonAt !== -1) {
+      /** @type {Token[]} */
+      const list = [];
+      let nested = 0;
+      for (const token of all.slice(colonAt - first + 1)) {
+        if (
+          nested === 0 &&
+          (this.is(token, ';') || this.is(token, '{') || this.is(token, '=>'))
+        ) {
+          break;
+        }
+        if (token.type === 'punct') {
+          if (token.value in OPENERS) nested++;
+          else if (CLOSERS.has(token.value)) nested--;
+        }
+        list.push(token);
+      }
+      for (const part of splitTopLevel(list)) {
+        const eq = part.findIndex((t) => this.is(t, '='));
+        if (eq <= 0) continue;
+        const name = part[eq - 1].value;
+        if (part[eq - 1].type === 'ident') {
+          member.initializers.push({
+            name,
+            value: this.textOf(part.slice(eq + 1)),
+          });
+        }
+      }
+    }
+
+    return member;
+  }
+
+  /**
+   * Works out what kind of member a declaration header describes.
+   * @param {string | null} className
+   * @param {Token[]} header
+   * @returns {DartMember | null}
+   */
+  classifyMember(className, header) {
+    const signature = this.textOf(header);
+    /** @type {string[]} */
+    const modifiers = [];
+    let i = 0;
+    while (
+      i < header.length - 1 &&
+      header[i].type === 'ident' &&
+      MEMBER_MODIFIERS.has(header[i].value)
+    ) {
+      modifiers.push(header[i].value);
+      i++;
+    }
+    const rest = header.slice(i);
+    const line = rest[0]?.line ?? header[0].line;
+
+    /**
+     * @param {DartMember['kind']} kind
+     * @param {string} name
+     * @returns {DartMember}
+     */
+    const make = (kind, name) => ({
+      kind,
+      name,
+      type: null,
+      typeParameters: null,
+      parameters: [],
+      initializers: [],
+      initializer: null,
+      modifiers,
+      annotations: [],
+      isPrivate: !isPublicName(name),
+      doc: null,
+      signature,
+      line,
+    });
+
+    if (rest.some((t) => t.value === 'operator')) {
+      const at = rest.findIndex((t) => t.value === 'operator');
+      const member = make('operator', `operator ${rest[at + 1]?.value ?? ''}`);
+      member.type = this.textOf(rest.slice(0, at)) || null;
+      return member;
+    }
+
+    const last = rest[rest.length - 1];
+    if (this.is(last, ')')) {
+      // Find the parameter list that closes the header.
+      let depth = 0;
+      let open = rest.length - 1;
+      for (; open >= 0; open--) {
+        const value = rest[open].value;
+        if (value === ')') depth++;
+        else if (value === '(') depth--;
+        if (depth === 0) break;
+      }
+      let nameIndex = open - 1;
+      /** @type {string | null} */
+      let typeParameters = null;
+      if (this.is(rest[nameIndex], '>')) {
+        let angle = 0;
+        let k = nameIndex;
+        for (; k >= 0; k--) {
+          if (this.is(rest[k], '>')) angle++;
+          else if (this.is(rest[k], '<')) angle--;
+          if (angle === 0) break;
+        }
+        typeParameters = this.textOf(rest.slice(k, nameIndex + 1));
+        nameIndex = k - 1;
+      }
+      const nameToken = rest[nameIndex];
+      if (!nameToken || nameToken.type !== 'ident') return null;
+
+      let name = nameToken.value;
+      let prefixEnd = nameIndex;
+      if (
+        this.is(rest[nameIndex - 1], '.') &&
+        rest[nameIndex - 2]?.type === 'ident'
+      ) {
+        name = `${rest[nameIndex - 2].value}.${name}`;
+        prefixEnd = nameIndex - 2;
+      }
+      const parameters = this.parseParameters(rest.slice(open + 1, rest.length - 1));
+      const leading = rest.slice(0, prefixEnd);
+      const baseName = name.split('.')[0];
+
+      if (className && baseName === className && leading.length === 0) {
+        const member = make('constructor', name);
+        member.parameters = parameters;
+        return member;
+      }
+      if (leading.length && leading[leading.length - 1].value === 'set') {
+        const member = make('setter', name);
+        member.parameters = parameters;
+        member.type = parameters[0]?.type ?? null;
+        return member;
+      }
+      const member = make('method', name);
+      member.type = this.textOf(leading) || null;
+      member.typeParameters = typeParameters;
+      member.parameters = parameters;
+      return member;
+    }
+
+    const getAt = rest.findIndex(
+      (t, k) => t.value === 'get' && t.type === 'ident' && k === rest.length - 2,
+    );
+    if (getAt !== -1) {
+      const member = make('getter', last.value);
+      member.type = this.textOf(rest.slice(0, getAt)) || null;
+      return member;
+    }
+
+    if (last.type !== 'ident') return null;
+    const member = make('field', last.value);
+    member.type = this.textOf(rest.slice(0, -1)) || null;
+    return member;
+  }
+
+  /**
+   * Parses the tokens between the parentheses of a parameter list.
+   * @param {Token[]} tokens
+   * @returns {DartParameter[]}
+   */
+  parseParameters(tokens) {
+    /** @type {DartParameter[]} */
+    const parameters = [];
+    /** @type {DartParameter['kind']} */
+    let kind = 'positional';
+    /** @type {Token[]} */
+    let current = [];
+    let depth = 0;
+
+    const flush = () => {
+      if (current.length) {
+        const parameter = this.parseParameter(current, kind);
+        if (parameter) parameters.push(parameter);
+      }
+      current = [];
+    };
+
+    for (const token of tokens) {
+      if (token.type === 'punct') {
+        const value = token.value;
+        if (depth === 0 && (value === '{' || value === '[')) {
+          flush();
+          kind = value === '{' ? 'named' : 'optional';
+          continue;
+        }
+        if (depth === 0 && (value === '}' || value === ']')) {
+          flush();
+          continue;
+        }
+        if (depth === 0 && value === ',') {
+          flush();
+          continue;
+        }
+        if (value in OPENERS || value === '<') depth++;
+        else if (CLOSERS.has(value) || value === '>') depth--;
+      }
+      current.push(token);
+    }
+    flush();
+    return parameters;
+  }
+
+  /**
+   * @param {Token[]} tokens
+   * @param {DartParameter['kind']} kind
+   * @returns {DartParameter | null}
+   */
+  parseParameter(tokens, kind) {
+    let rest = tokens.slice();
+    let required = kind === 'positional';
+    while (
+      rest.length > 1 &&
+      ['required', 'covariant', 'final', 'var'].includes(rest[0].value)
+    ) {
+      if (rest[0].value === 'required') required = true;
+      rest = rest.slice(1);
+    }
+
+    /** @type {string | null} */
+    let defaultValue = null;
+    let depth = 0;
+    for (let k = 0; k < rest.length; k++) {
+      const value = rest[k].value;
+      if (rest[k].type === 'punct') {
+        if (value in OPENERS || value === '<') depth++;
+        else if (CLOSERS.has(value) || value === '>') depth--;
+        else if (depth === 0 && (value === '=' || value === ':')) {
+          defaultValue = this.textOf(rest.slice(k + 1));
+          rest = rest.slice(0, k);
+          break;
+        }
+      }
+    }
+
+    const fieldAt = rest.findIndex(
+      (t, k) => (t.value === 'this' || t.value === 'super') && this.is(rest[k + 1], '.'),
+    );
+    if (fieldAt !== -1) {
+      const nameToken = rest[fieldAt + 2];
+      if (!nameToken) return null;
+      return {
+        name: nameToken.value,
+        type: this.textOf(rest.slice(0, fieldAt)) || null,
+        kind,
+        required,
+        defaultValue,
+        isFieldFormal: rest[fieldAt].value === 'this',
+        isSuperFormal: rest[fieldAt].value === 'super',
+      };
+    }
+
+    const last = rest[rest.length - 1];
+    if (this.is(last, ')')) {
+      // Old-style function-typed parameter: `bool test(T value)`.
+      const open = rest.findIndex((t) => this.is(t, '('));
+      const nameToken = rest[open - 1];
+      return {
+        name: nameToken?.value ?? '',
+        type: this.textOf(rest),
+        kind,
+        required,
+        defaultValue,
+        isFieldFormal: false,
+        isSuperFormal: false,
+      };
+    }
+
+    if (!last || last.type !== 'ident') return null;
+    return {
+      name: last.value,
+      type: this.textOf(rest.slice(0, -1)) || null,
+      kind,
+      required,
+      defaultValue,
+      isFieldFormal: false,
+      isSuperFormal: false,
+    };
+  }
+}
+
+/**
+ * @param {DartDeclaration['kind']} kind
+ * @param {string} name
+ * @param {number} line
+ * @returns {DartDeclaration}
+ */
+function emptyDeclaration(kind, name, line) {
+  return {
+    kind,
+    name,
+    typeParameters: null,
+    modifiers: [],
+    superclass: null,
+    interfaces: [],
+    mixins: [],
+    on: null,
+    aliasedType: null,
+    members: [],
+    values: [],
+    annotations: [],
+    isPrivate: !isPublicName(name),
+    doc: null,
+    signature: '',
+    line,
+  };
+}
+
+/**
+ * Fills in the type of `this.x` constructor parameters from the field they
+ * initialize.
+ * @param {DartDeclaration} declaration
+ */
+function resolveFieldFormals(declaration) {
+  const fields = new Map(
+    declaration.members
+      .filter((m) => m.kind === 'field')
+      .map((m) => [m.name, m]),
+  );
+  for (const member of declaration.members) {
+    for (const parameter of member.parameters) {
+      if (parameter.isFieldFormal && !parameter.type) {
+        parameter.type = fields.get(parameter.name)?.type ?? null;
+      }
+    }
+  }
+}
+
+/**
+ * Parses a Dart compilation unit.
+ * @param {string} source
+ * @param {string} [file] Path used in error messages and the result.
+ * @returns {DartLibrary}
+ */
+export function parseDart(source, file = '<source>') {
+  return new Parser(source, file).parseLibrary();
+}
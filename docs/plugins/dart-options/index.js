@@ -0,0 +1,288 @@
+// @ts-check
+/**
+ * Docusaurus plugin that extracts the configurable properties of the
+ * strategy options classes (and every other public class in `sourceDirs`)
+ * for the `<OptionsTable type="..." />` component.
+ *
+ * For each class it records the public fields, with their types and doc
+ * comments, and for each constructor what it does with every field: whether
+ * the field is a required parameter, an optional one with a default, or set
+ * to a fixed value in the initializer list. Constructor parameters that are
+ * not stored in a public field (`MemoryCacheProvider(defaultTtl: ...)`) are
+ * listed as properties too, documented from the `[name] - ...` lines of the
+ * constructor's doc comment.
+ *
+ * The result is published as global data, so the tables are rebuilt from
+ * the Dart sources on every build. Cut docs versions keep the tables of their
+ * release, see `versioned-data.js`.
+ */
+
+import path from 'path';
+
+import {anchorFor} from '../dart-api/markdown.js';
+import {readLibraries} from '../dart-snippets/symbols.js';
+import {versionedData} from '../versioned-data.js';
+
+/** @typedef {import('../dart-api/parser.js').DartDeclaration} DartDeclaration */
+/** @typedef {import('../dart-api/parser.js').DartMember} DartMember */
+
+/**
+ * @typedef {object} DartOptionsPluginOptions
+ * @property {string[]} [sourceDirs] Directories scanned for `.dart` files, relative to the site.
+ * @property {string} [apiPath] Path of the generated API reference pages
+ *   within a docs version.
+ * @property {string} [snapshot] Where the tables are kept in the docs of a
+ *   version.
+ */
+
+/**
+ * @typedef {object} OptionProperty
+ * @property {string} name
+ * @property {string | null} type
+ * @property {string | null} doc Summary of the doc comment.
+ * @property {string | null} href API reference anchor; null for parameters.
+ */
+
+/**
+ * How a constructor sets a property:
+ * - `required`: a required parameter,
+ * - `default`: an optional parameter, `value` is its default (`null` if none),
+ * - `fixed`: not a parameter, `value` is assigned by the constructor,
+ * - `absent`: the constructor does not set the property.
+ * @typedef {object} OptionValue
+ * @property {'required' | 'default' | 'fixed' | 'absent'} kind
+ * @property {string} [value] Dart expression.
+ */
+
+/**
+ * @typedef {object} OptionConstructor
+ * @property {string} name `''` for the unnamed constructor.
+ * @property {string | null} doc
+ * @property {Record<string, OptionValue>} values By property name.
+ */
+
+/**
+ * @typedef {object} OptionsType
+ * @property {string} name
+ * @property {string | null} typeParameters
+ * @property {string} sourcePath
+ * @property {string | null} doc
+ * @property {string} href
+ * @property {OptionProperty[]} properties
+ * @property {OptionConstructor[]} constructors
+ */
+
+const DEFAULT_OPTIONS = {
+  sourceDirs: ['../lib/src/strategies', '../lib/src/caching'],
+  apiPath: '/api',
+  snapshot: 'api/options.json',
+};
+
+/**
+ * First paragraph of a doc comment, on one line.
+ * @param {string | null} doc
+ */
+function summary(doc) {
+  if (!doc) return null;
+  return doc.split(/\n\s*\n/)[0].replace(/\s+/g, ' ').trim() || null;
+}
+
+/**
+ * Dart expression as shown in a table: `const` is implied there.
+ * @param {string} value
+ */
+function expression(value) {
+  return value.replace(/^const\s+/, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * Documentation of the constructor parameters, from `[name] - text` lines.
+ * @param {string | null} doc
+ * @returns {Map<string, string>}
+ */
+function parameterDocs(doc) {
+  const docs = new Map();
+  for (const match of (doc ?? '').matchAll(/^\[(\w+)\]\s*[-:]\s*(.+)$/gm)) {
+    docs.set(match[1], match[2].trim());
+  }
+  return docs;
+}
+
+/**
+ * @param {DartDeclaration} declaration
+ * @param {string} sourcePath
+ * @param {string} pageHref
+ * @returns {OptionsType}
+ */
+export function extractOptionsType(declaration, sourcePath, pageHref) {
+  const fields = declaration.members.filter(
+    (m) =>
+      m.kind === 'field' && !m.isPrivate && !m.modifiers.includes('static'),
+  );
+  let constructors = declaration.members.filter(
+    (m) => m.kind === 'constructor' && !m.isPrivate,
+  );
+  if (!constructors.length && declaration.kind === 'class') {
+    // The implicit default constructor.
+    constructors = [
+      /** @type {DartMember} */ ({
+        name: declaration.name,
+        parameters: [],
+        initializers: [],
+        doc: null,
+      }),
+    ];
+  }
+
+  /** @type {OptionProperty[]} */
+  const properties = fields.map((field) => ({
+    name: field.name,
+    type: field.type,
+    doc: summary(field.doc),
+    href: `${pageHref}#${anchorFor(declaration.name, field.name)}`,
+  }));
+  const fieldNames = new Set(fields.map((f) => f.name));
+  for (const constructor of constructors) {
+    const docs = parameterDocs(constructor.doc);
+    for (const parameter of constructor.parameters) {
+      if (
+        (parameter.isFieldFormal && fieldNames.has(parameter.name)) ||
+        properties.some((p) => p.name === parameter.name) ||
+        parameter.name.startsWith('_')
+      ) {
+        continue;
+      }
+      properties.push({
+        name: parameter.name,
+        type: parameter.type,
+        doc: docs.get(parameter.name) ?? null,
+        href: null,
+      });
+    }
+  }
+
+  return {
+    name: declaration.name,
+    typeParameters: declaration.typeParameters,
+    sourcePath,
+    doc: summary(declaration.doc),
+    href: `${pageHref}#${anchorFor(declaration.name)}`,
+    properties,
+    constructors: constructors.map((constructor) => {
+      /** @type {Record<string, OptionValue>} */
+      const values = {};
+      for (const property of properties) {
+        const parameter = constructor.parameters.find(
+          (p) => p.name === property.name,
+        );
+        const initializer =
+          constructor.initializers.find((i) => i.name === property.name) ??
+          null;
+        const field = fields.find((f) => f.name === property.name);
+        if (parameter) {
+          values[property.name] =
+            parameter.required || parameter.kind === 'positional'
+              ? {kind: 'required'}
+              : {
+                  kind: 'default',
+                  value: expression(parameter.defaultValue ?? 'null'),
+                };
+        } else if (initializer) {
+          values[property.name] = {
+            kind: 'fixed',
+            value: expression(initializer.value),
+          };
+        } else if (field?.initializer) {
+          values[property.name] = {
+            kind: 'fixed',
+            value: expression(field.initializer),
+          };
+        } else {
+          values[property.name] = {kind: 'absent'};
+        }
+      }
+      const name = constructor.name.startsWith(`${declaration.name}.`)
+        ? constructor.name.slice(declaration.name.length + 1)
+        : '';
+      return {name, doc: summary(constructor.doc), values};
+    }),
+  };
+}
+
+/**
+ * Extracts every public class of the given source directories.
+ * @param {string} siteDir
+ * @param {Required<DartOptionsPluginOptions>} options
+ * @returns {Record<string, OptionsType>}
+ */
+export function extractOptions(siteDir, options) {
+  const repoDir = path.resolve(siteDir, '..');
+  /** @type {Record<string, OptionsType>} */
+  const types = {};
+  const libraries = readLibraries(
+    options.sourceDirs.map((dir) => path.resolve(siteDir, dir)),
+  );
+  for (const library of libraries) {
+    const sourcePath = path
+      .relative(repoDir, library.file)
+      .split(path.sep)
+      .join('/');
+    // Same page naming as the dart-api plugin.
+    const page = path.basename(library.file, '.dart').replace(/_/g, '-');
+    for (const declaration of library.declarations) {
+      if (declaration.kind !== 'class' || declaration.isPrivate) continue;
+      types[declaration.name] = extractOptionsType(
+        declaration,
+        sourcePath,
+        `${options.apiPath}/${page}`,
+      );
+    }
+  }
+  return types;
+}
+
+/**
+ * The tables of every docs version, by version name.
+ * @param {string} siteDir
+ * @param {Required<DartOptionsPluginOptions>} options
+ */
+function versionedOptions(siteDir, options) {
+  return versionedData(
+    siteDir,
+    options.snapshot,
+    extractOptions(siteDir, options),
+  );
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {DartOptionsPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<Record<string, Record<string, OptionsType>>>}
+ */
+export default function dartOptionsPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<DartOptionsPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  // Snapshotted with the docs by `npm run docs:version`, which loads no
+  // content.
+  versionedOptions(siteDir, options);
+
+  return {
+    name: 'docusaurus-plugin-dart-options',
+
+    getPathsToWatch() {
+      return options.sourceDirs.map((dir) =>
+        path.posix.join(path.resolve(siteDir, dir), '**/*.dart'),
+      );
+    },
+
+    async loadContent() {
+      return versionedOptions(siteDir, options);
+    },
+
+    async contentLoaded({content, actions}) {
+      actions.setGlobalData(content);
+    },
+  };
+}
@@ -0,0 +1,379 @@
+// @ts-check
+/**
+ * Finds the polly_dart identifiers used in Dart snippets and checks them
+ * against the symbol table.
+ *
+ * Snippets are rarely complete programs, so this works on tokens rather than
+ * a syntax tree and only reports what it can attribute with confidence:
+ *
+ * - type names that look like polly_dart API but are not declared in
+ *   `lib/src` or by the page itself,
+ * - constructors and static members that a known type does not have,
+ * - named arguments that a constructor, static method or method of the API
+ *   does not accept.
+ */
+
+import {tokenize} from '../dart-api/parser.js';
+
+/** @typedef {import('../dart-api/parser.js').Token} Token */
+/** @typedef {import('./symbols.js').ApiSymbols} ApiSymbols */
+
+/**
+ * @typedef {object} DartBlock
+ * @property {string} code
+ * @property {string} meta Everything after the language on the opening fence.
+ * @property {number} line Line of the first code line in the page, 1-based.
+ */
+
+/**
+ * @typedef {object} SnippetProblem
+ * @property {'type' | 'member' | 'parameter'} kind
+ * @property {string} symbol The unknown name, qualified by its owner.
+ * @property {number} line Line in the page, 1-based.
+ * @property {string} message
+ */
+
+/**
+ * Method names that also exist on common non-polly types (`http.Client`,
+ * `Map`, `Stream`, ...). Without type information a call to one of them
+ * cannot be attributed, so its arguments are not checked.
+ */
+const UNCHECKED_METHODS = new Set([
+  'build',
+  'cancel',
+  'clear',
+  'close',
+  'dispose',
+  'get',
+  'handle',
+  'remove',
+  'reset',
+  'send',
+  'set',
+  'toString',
+  'when',
+]);
+
+const OPENERS = {'(': ')', '[': ']', '{': '}'};
+const CLOSERS = new Set([')', ']', '}']);
+
+/**
+ * Lists the ```dart code blocks of a Markdown page. Blocks filled in from
+ * source files (`file=`) and blocks marked `no-api-check` are skipped.
+ * @param {string} markdown
+ * @returns {DartBlock[]}
+ */
+export function findDartBlocks(markdown) {
+  const lines = markdown.split('\n');
+  /** @type {DartBlock[]} */
+  const blocks = [];
+  for (let i = 0; i < lines.length; i++) {
+    const open = /^(\s*)(`{3,}|~{3,})\s*(\S*)\s*(.*)$/.exec(lines[i]);
+    if (!open) continue;
+    const [, , fence, lang, meta] = open;
+    const close = new RegExp(`^\\s*${fence[0]}{${fence.length},}\\s*$`);
+    let end = i + 1;
+    while (end < lines.length && !close.test(lines[end])) end++;
+    if (lang === 'dart' && !/\bfile=|\bno-api-check\b/.test(meta)) {
+      blocks.push({
+        code: lines.slice(i + 1, end).join('\n'),
+        meta,
+        line: i + 2,
+      });
+    }
+    i = end;
+  }
+  return blocks;
+}
+
+/**
+ * Names of the types a snippet declares itself, so they are not mistaken for
+ * API that does not exist.
+ * @param {string} code
+ * @returns {string[]}
+ */
+export function declaredTypes(code) {
+  const tokens = tokenize(code);
+  /** @type {string[]} */
+  const names = [];
+  tokens.forEach((token, i) => {
+    const next = tokens[i + 1];
+    if (
+      token.type === 'ident' &&
+      ['class', 'enum', 'mixin', 'typedef', 'extension'].includes(token.value) &&
+      next?.type === 'ident'
+    ) {
+      names.push(next.value);
+    }
+  });
+  return names;
+}
+
+/**
+ * Splits an UpperCamelCase name into its words.
+ * @param {string} name
+ */
+function words(name) {
+  return name.match(/[A-Z][a-z0-9]*/g) ?? [];
+}
+
+/**
+ * Builds a predicate telling whether an unknown type name looks like it was
+ * meant to be polly_dart API: it starts with `Resilience` or ends in the same
+ * two words as an API type (`...StrategyOptions`, `...RejectedException`).
+ * @param {ApiSymbols} symbols
+ */
+function apiLookalike(symbols) {
+  const suffixes = new Set();
+  for (const name of symbols.types.keys()) {
+    const parts = words(name);
+    if (parts.length >= 3) suffixes.add(parts.slice(-2).join(''));
+  }
+  return (/** @type {string} */ name) => {
+    const parts = words(name);
+    return (
+      parts[0] === 'Resilience' ||
+      (parts.length >= 2 && suffixes.has(parts.slice(-2).join('')))
+    );
+  };
+}
+
+/**
+ * Edit distance, for "did you mean" hints.
+ * @param {string} a
+ * @param {string} b
+ */
+function distance(a, b) {
+  let previous = Array.from({length: b.length + 1}, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * @param {string} name
+ * @param {Iterable<string>} candidates
+ */
+function suggestion(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(3, Math.floor(name.length / 3)) + 1;
+  for (const candidate of candidates) {
+    const d = distance(name.toLowerCase(), candidate.toLowerCase());
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  }
+  return best ? ` Did you mean \`${best}\`?` : '';
+}
+
+/**
+ * Index just past a `<...>` type argument list starting at `i`, or `i` when
+ * there is none.
+ * @param {Token[]} tokens
+ * @param {number} i
+ */
+function skipTypeArguments(tokens, i) {
+  if (tokens[i]?.value !== '<') return i;
+  let depth = 0;
+  for (let k = i; k < tokens.length; k++) {
+    const value = tokens[k].value;
+    if (value === '<') depth++;
+    else if (value === '>') depth--;
+    else if (value === '>>') depth -= 2;
+    else if (tokens[k].type === 'punct' && !/^[,.?]$/.test(value)) return i;
+    if (depth <= 0) return k + 1;
+  }
+  return i;
+}
+
+/**
+ * Named arguments of the argument list opening at `open`.
+ * @param {Token[]} tokens
+ * @param {number} open Index of the `(` token.
+ * @returns {Token[]}
+ */
+function namedArguments(tokens, open) {
+  /** @type {Token[]} */
+  const named = [];
+  const stack = [];
+  for (let k = open + 1; k < tokens.length; k++) {
+    const token = tokens[k];
+    if (token.type === 'punct' && token.value in OPENERS) {
+      stack.push(token.value);
+      continue;
+    }
+    if (token.type === 'punct' && CLOSERS.has(token.value)) {
+      if (!stack.length) break;
+      stack.pop();
+      continue;
+    }
+    const previous = tokens[k - 1];
+    if (
+      !stack.length &&
+      token.type === 'ident' &&
+      tokens[k + 1]?.value === ':' &&
+      (k - 1 === open || previous.value === ',')
+    ) {
+      named.push(token);
+    }
+  }
+  return named;
+}
+
+/**
+ * Checks the named arguments of a call against the parameters it accepts.
+ * @param {Token[]} tokens
+ * @param {number} open
+ * @param {string} callee
+ * @param {Iterable<string>} accepted
+ * @param {number} lineOffset
+ * @param {SnippetProblem[]} problems
+ */
+function checkArguments(tokens, open, callee, accepted, lineOffset, problems) {
+  const allowed = new Set(accepted);
+  for (const argument of namedArguments(tokens, open)) {
+    if (allowed.has(argument.value)) continue;
+    problems.push({
+      kind: 'parameter',
+      symbol: `${callee}(${argument.value}:)`,
+      line: lineOffset + argument.line - 1,
+      message: `\`${callee}\` has no named parameter \`${argument.value}\`.${suggestion(
+        argument.value,
+        allowed,
+      )}`,
+    });
+  }
+}
+
+/**
+ * Checks one snippet.
+ * @param {DartBlock} block
+ * @param {ApiSymbols} symbols
+ * @param {Set<string>} [declared] Types declared elsewhere on the same page.
+ * @returns {SnippetProblem[]}
+ */
+export function checkSnippet(block, symbols, declared = new Set()) {
+  const tokens = tokenize(block.code);
+  const looksLikeApi = apiLookalike(symbols);
+  /** @type {SnippetProblem[]} */
+  const problems = [];
+  const reported = new Set();
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'ident') continue;
+    const previous = tokens[i - 1];
+    const isMemberAccess = previous?.value === '.' || previous?.value === '?.';
+    const name = token.value;
+    const line = block.line + token.line - 1;
+
+    if (!isMemberAccess && /^[A-Z]/.test(name)) {
+      if (declared.has(name)) continue;
+      const type = symbols.types.get(name);
+      if (!type) {
+        if (looksLikeApi(name) && !reported.has(name)) {
+          reported.add(name);
+          problems.push({
+            kind: 'type',
+            symbol: name,
+            line,
+            message: `\`${name}\` is not part of the polly_dart API.${suggestion(
+              name,
+              symbols.types.keys(),
+            )}`,
+          });
+        }
+        continue;
+      }
+
+      const next = skipTypeArguments(tokens, i + 1);
+      if (tokens[next]?.value === '(' && type.callables.has('')) {
+        checkArguments(
+          tokens,
+          next,
+          name,
+          type.callables.get('') ?? [],
+          block.line,
+          problems,
+        );
+      } else if (
+        tokens[next]?.value === '.' &&
+        tokens[next + 1]?.type === 'ident'
+      ) {
+        const member = tokens[next + 1].value;
+        const qualified = `${name}.${member}`;
+        const call = skipTypeArguments(tokens, next + 2);
+        if (type.callables.has(member)) {
+          if (tokens[call]?.value === '(') {
+            checkArguments(
+              tokens,
+              call,
+              qualified,
+              type.callables.get(member) ?? [],
+              block.line,
+              problems,
+            );
+          }
+        } else if (!type.statics.has(member) && !reported.has(qualified)) {
+          reported.add(qualified);
+          problems.push({
+            kind: 'member',
+            symbol: qualified,
+            line,
+            message: `\`${name}\` has no constructor or static member \`${member}\`.${suggestion(
+              member,
+              [...type.callables.keys(), ...type.statics].filter(Boolean),
+            )}`,
+          });
+        }
+        i = next + 1;
+      }
+      continue;
+    }
+
+    const call = skipTypeArguments(tokens, i + 1);
+    if (tokens[call]?.value !== '(') continue;
+    if (isMemberAccess) {
+      const owner = tokens[i - 2];
+      const isStaticAccess =
+        owner?.type === 'ident' && /^[A-Z]/.test(owner.value);
+      const accepted = symbols.methods.get(name);
+      if (accepted && !isStaticAccess && !UNCHECKED_METHODS.has(name)) {
+        checkArguments(tokens, call, name, accepted, block.line, problems);
+      }
+    } else if (symbols.functions.has(name) && previous?.type !== 'ident') {
+      checkArguments(
+        tokens,
+        call,
+        name,
+        symbols.functions.get(name) ?? [],
+        block.line,
+        problems,
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Checks every Dart snippet of a Markdown page.
+ * @param {string} markdown
+ * @param {ApiSymbols} symbols
+ * @returns {SnippetProblem[]}
+ */
+export function checkPage(markdown, symbols) {
+  const blocks = findDartBlocks(markdown);
+  const declared = new Set(blocks.flatMap((block) => declaredTypes(block.code)));
+  return blocks.flatMap((block) => checkSnippet(block, symbols, declared));
+}
@@ -0,0 +1,122 @@
+// @ts-check
+/**
+ * Docusaurus plugin that checks the ```dart snippets in the docs against the
+ * public polly_dart API.
+ *
+ * The API is read from the Dart sources in `sourceDirs`. Every Dart code
+ * block under `docsDirs` is scanned for polly_dart types, constructors and
+ * named arguments that do not exist (see `check.js` for what is detected),
+ * and the problems are reported per page with their line numbers. Like
+ * Docusaurus' own `onBrokenLinks`, `onUnknownApi` decides whether the report
+ * is logged, printed as a warning, or fails the build.
+ *
+ * Blocks that are not meant to compile can opt out with
+ * ```` ```dart no-api-check ````.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {formatReport, listMarkdownFiles} from '../page-reports.js';
+import {checkPage} from './check.js';
+import {buildSymbols, readLibraries} from './symbols.js';
+
+/** @typedef {import('./check.js').SnippetProblem} SnippetProblem */
+
+/**
+ * @typedef {object} DartSnippetsPluginOptions
+ * @property {string[]} [sourceDirs] Directories holding the public API,
+ *   relative to the site. A `*` segment matches any subdirectory.
+ * @property {string[]} [docsDirs] Directories whose Markdown is checked,
+ *   relative to the site.
+ * @property {string[]} [ignoreTypes] Type names that look like polly_dart
+ *   API but are not, e.g. `dart:io`'s `HttpClient`.
+ * @property {'ignore' | 'log' | 'warn' | 'throw'} [onUnknownApi]
+ */
+
+/**
+ * @typedef {object} PageReport
+ * @property {string} page Page path relative to the site.
+ * @property {SnippetProblem[]} problems
+ */
+
+const DEFAULT_OPTIONS = {
+  sourceDirs: ['../lib/src', '../extensions/*/lib'],
+  docsDirs: ['docs'],
+  ignoreTypes: [],
+  onUnknownApi: 'warn',
+};
+
+/**
+ * Checks the snippets of every page.
+ * @param {string} siteDir
+ * @param {Required<DartSnippetsPluginOptions>} options
+ * @returns {PageReport[]} Pages with at least one problem.
+ */
+export function checkDartSnippets(siteDir, options) {
+  const symbols = buildSymbols(
+    readLibraries(options.sourceDirs.map((dir) => path.resolve(siteDir, dir))),
+    path.resolve(siteDir, '..'),
+  );
+  const ignored = new Set(options.ignoreTypes);
+
+  return options.docsDirs
+    .flatMap((dir) => listMarkdownFiles(path.resolve(siteDir, dir)))
+    .map((file) => ({
+      page: path.relative(siteDir, file).split(path.sep).join('/'),
+      problems: checkPage(fs.readFileSync(file, 'utf8'), symbols).filter(
+        (problem) => problem.kind !== 'type' || !ignored.has(problem.symbol),
+      ),
+    }))
+    .filter((report) => report.problems.length);
+}
+
+/**
+ * @param {PageReport[]} reports
+ */
+function formatSnippetReport(reports) {
+  return formatReport(
+    reports,
+    (count) =>
+      `dart-snippets: ${count} unknown polly_dart API reference${
+        count === 1 ? '' : 's'
+      } in Dart snippets:`,
+  );
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {DartSnippetsPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<PageReport[]>}
+ */
+export default function dartSnippetsPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<DartSnippetsPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  return {
+    name: 'docusaurus-plugin-dart-snippets',
+
+    getPathsToWatch() {
+      return [
+        ...options.sourceDirs.map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.dart'),
+        ),
+        ...options.docsDirs.map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.{md,mdx}'),
+        ),
+      ];
+    },
+
+    async loadContent() {
+      const reports = checkDartSnippets(siteDir, options);
+      if (!reports.length || options.onUnknownApi === 'ignore') return reports;
+
+      const report = formatSnippetReport(reports);
+      if (options.onUnknownApi === 'throw') throw new Error(report);
+      if (options.onUnknownApi === 'warn') console.warn(report);
+      else console.log(report);
+      return reports;
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// @ts-check
+/**
+ * Builds a table of the public polly_dart API from the parsed Dart sources:
+ * the types, what can be called or accessed on each of them, and the named
+ * parameters of every callable.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {listDartFiles} from '../dart-api/index.js';
+import {parseDart} from '../dart-api/parser.js';
+
+/** @typedef {import('../dart-api/parser.js').DartLibrary} DartLibrary */
+/** @typedef {import('../dart-api/parser.js').DartMember} DartMember */
+
+/**
+ * @typedef {object} ApiType
+ * @property {string} name
+ * @property {string} kind Declaration kind, e.g. `class` or `enum`.
+ * @property {string} sourcePath Dart file path relative to the repository root.
+ * @property {Map<string, string[]>} callables Constructors and static methods
+ *   by name (`''` for the unnamed constructor), with their named parameters.
+ * @property {Set<string>} statics Enum values and static fields and getters.
+ */
+
+/**
+ * @typedef {object} ApiSymbols
+ * @property {Map<string, ApiType>} types
+ * @property {Map<string, Set<string>>} methods Instance and extension methods
+ *   by name, with the named parameters of every declaration of that name.
+ * @property {Map<string, string[]>} functions Top-level functions.
+ */
+
+/**
+ * @param {DartMember} member
+ */
+function namedParameters(member) {
+  return member.parameters.filter((p) => p.kind === 'named').map((p) => p.name);
+}
+
+/**
+ * @param {string} name Possibly qualified constructor name.
+ */
+function simpleName(name) {
+  return name.includes('.') ? name.slice(name.indexOf('.') + 1) : '';
+}
+
+/**
+ * Builds the symbol table from parsed libraries. Private declarations and
+ * members are left out.
+ * @param {DartLibrary[]} libraries
+ * @param {string} [repoDir] Used to make the source paths relative.
+ * @returns {ApiSymbols}
+ */
+export function buildSymbols(libraries, repoDir) {
+  /** @type {ApiSymbols} */
+  const symbols = {types: new Map(), methods: new Map(), functions: new Map()};
+
+  for (const library of libraries) {
+    const sourcePath = repoDir
+      ? path.relative(repoDir, library.file).split(path.sep).join('/')
+      : library.file;
+
+    for (const declaration of library.declarations) {
+      if (declaration.isPrivate) continue;
+      const members = declaration.members.filter((m) => !m.isPrivate);
+
+      if (declaration.kind === 'function') {
+        symbols.functions.set(declaration.name, namedParameters(members[0]));
+        continue;
+      }
+      if (declaration.kind === 'variable') continue;
+
+      for (const member of members) {
+        const isStatic = member.modifiers.includes('static');
+        if (member.kind !== 'method' || isStatic) continue;
+        const named = symbols.methods.get(member.name) ?? new Set();
+        namedParameters(member).forEach((p) => named.add(p));
+        symbols.methods.set(member.name, named);
+      }
+      // Unnamed extensions only contribute their methods.
+      if (!declaration.name) continue;
+
+      /** @type {ApiType} */
+      const type = {
+        name: declaration.name,
+        kind: declaration.kind,
+        sourcePath,
+        callables: new Map(),
+        statics: new Set(declaration.values.map((v) => v.name)),
+      };
+      for (const member of members) {
+        if (member.kind === 'constructor') {
+          type.callables.set(simpleName(member.name), namedParameters(member));
+        } else if (member.modifiers.includes('static')) {
+          if (member.kind === 'method') {
+            type.callables.set(member.name, namedParameters(member));
+          } else {
+            type.statics.add(member.name);
+          }
+        }
+      }
+      if (
+        declaration.kind === 'class' &&
+        !members.some((m) => m.kind === 'constructor')
+      ) {
+        type.callables.set('', []);
+      }
+      symbols.types.set(type.name, type);
+    }
+  }
+
+  return symbols;
+}
+
+/**
+ * Expands a trailing-`*` segment such as `../extensions/*\/lib` into the
+ * matching directories.
+ * @param {string} pattern Absolute path, `*` may stand for one directory name.
+ * @returns {string[]}
+ */
+function expandDirs(pattern) {
+  const parts = pattern.split(path.sep);
+  const star = parts.indexOf('*');
+  if (star === -1) return [pattern];
+  const parent = parts.slice(0, star).join(path.sep) || path.sep;
+  if (!fs.existsSync(parent)) return [];
+  return fs
+    .readdirSync(parent, {withFileTypes: true})
+    .filter((entry) => entry.isDirectory())
+    .flatMap((entry) =>
+      expandDirs([parent, entry.name, ...parts.slice(star + 1)].join(path.sep)),
+    )
+    .sort();
+}
+
+/**
+ * Parses every `.dart` file under the given directories.
+ * @param {string[]} dirs Absolute directories; a `*` segment matches any
+ *   subdirectory.
+ * @returns {DartLibrary[]}
+ */
+export function readLibraries(dirs) {
+  return dirs
+    .flatMap(expandDirs)
+    .flatMap(listDartFiles)
+    .map((file) => parseDart(fs.readFileSync(file, 'utf8'), file));
+}
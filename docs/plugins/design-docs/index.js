@@ -0,0 +1,307 @@
+// @ts-check
+/**
+ * Docusaurus plugin that publishes the design specs and implementation
+ * plans in `superpowers/` as the Design section.
+ *
+ * Each spec becomes `<outDir>/<topic>/index.md`, with its date, branch and
+ * status from the header lines shown above the document, and the plan with
+ * the same topic becomes `<topic>/plan.md` next to it. A separate docs plugin
+ * instance serves `outDir` at `routeBasePath`; its autogenerated sidebar
+ * shows each spec as a category holding its plan. The list of specs is
+ * exposed as global data for the filterable `<DesignIndex />` on the
+ * overview page.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {writeIfChanged} from '../dart-api/index.js';
+import {escapeMdx} from '../dart-api/markdown.js';
+import {STATUSES, normalizeStatus, parseDesignDoc, topicOf} from './parser.js';
+
+/**
+ * @typedef {object} DesignDocsPluginOptions
+ * @property {string} [specsDir] Directory of the design specs, relative to the site.
+ * @property {string} [plansDir] Directory of the implementation plans, relative to the site.
+ * @property {string} [outDir] Directory the pages are written to, relative to the site.
+ * @property {string} [routeBasePath] Route of the docs instance serving `outDir`.
+ * @property {string} [editUrl] URL prefix for "Edit this page" links to the sources.
+ */
+
+/**
+ * @typedef {object} Design
+ * @property {string} topic
+ * @property {string} title
+ * @property {string | null} summary
+ * @property {string | null} date
+ * @property {string | null} branch
+ * @property {string} status One of {@link STATUSES}.
+ * @property {string} badge Infima badge color of the status.
+ * @property {string} href
+ * @property {string | null} planTitle
+ * @property {string | null} planHref
+ */
+
+/**
+ * @typedef {object} DesignDocsContent
+ * @property {Design[]} designs Newest first.
+ * @property {string[]} statuses
+ */
+
+const DEFAULT_OPTIONS = {
+  specsDir: 'superpowers/specs',
+  plansDir: 'superpowers/plans',
+  outDir: 'design',
+  routeBasePath: 'design',
+  editUrl: 'https://github.com/flutterninja9/polly_dart/tree/main/docs/',
+};
+
+/** Infima badge color of each status. */
+const STATUS_BADGES = {
+  Draft: 'secondary',
+  Accepted: 'info',
+  Implemented: 'success',
+};
+
+/**
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listMarkdown(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((name) => /\.mdx?$/.test(name))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/**
+ * Markdown files under a directory, recursively.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listGenerated(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, {withFileTypes: true}).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listGenerated(full);
+    return entry.name.endsWith('.md') ? [full] : [];
+  });
+}
+
+/**
+ * @param {string} status
+ */
+function statusBadge(status) {
+  const color = STATUS_BADGES[status];
+  return `<span className="badge badge--${color}">${status}</span>`;
+}
+
+/**
+ * @param {Record<string, string | number>} frontMatter
+ * @param {string} source Path of the source file, noted in the header comment.
+ * @param {string[]} content
+ */
+function page(frontMatter, source, content) {
+  return [
+    '---',
+    ...Object.entries(frontMatter).map(
+      ([key, value]) => `${key}: ${JSON.stringify(value)}`,
+    ),
+    '---',
+    '',
+    `{/* Generated from ${source} by the design-docs plugin. Do not edit. */}`,
+    '',
+    ...content,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Generates the Design pages and returns the list of specs.
+ * @param {string} siteDir
+ * @param {Required<DesignDocsPluginOptions>} options
+ * @returns {DesignDocsContent}
+ */
+export function generateDesignDocs(siteDir, options) {
+  const outDir = path.resolve(siteDir, options.outDir);
+  const relative = (/** @type {string} */ file) =>
+    path.relative(siteDir, file).split(path.sep).join('/');
+
+  const plans = new Map(
+    listMarkdown(path.resolve(siteDir, options.plansDir)).map((file) => [
+      topicOf(path.basename(file)),
+      file,
+    ]),
+  );
+  const specs = listMarkdown(path.resolve(siteDir, options.specsDir));
+  for (const [topic, file] of plans) {
+    if (!specs.some((spec) => topicOf(path.basename(spec)) === topic)) {
+      throw new Error(
+        `design-docs: ${relative(file)} has no design spec; add ${
+          options.specsDir
+        }/<date>-${topic}-design.md.`,
+      );
+    }
+  }
+
+  const designs = specs
+    .map((file) => {
+      const source = relative(file);
+      const spec = parseDesignDoc(fs.readFileSync(file, 'utf8'), source);
+      const planFile = plans.get(topicOf(path.basename(file))) ?? null;
+      return {
+        topic: topicOf(path.basename(file)),
+        source,
+        spec,
+        status: normalizeStatus(spec.metadata.status, source),
+        planSource: planFile && relative(planFile),
+        plan:
+          planFile &&
+          parseDesignDoc(fs.readFileSync(planFile, 'utf8'), relative(planFile)),
+      };
+    })
+    .sort((a, b) =>
+      (b.spec.metadata.date ?? '').localeCompare(a.spec.metadata.date ?? ''),
+    );
+
+  const written = new Set();
+  const write = (/** @type {string} */ name, /** @type {string} */ content) => {
+    const file = path.join(outDir, name);
+    writeIfChanged(file, content);
+    written.add(file);
+  };
+
+  designs.forEach((design, index) => {
+    const {spec, plan, status} = design;
+    const {date, branch} = spec.metadata;
+    write(
+      `${design.topic}/index.md`,
+      page(
+        {
+          title: spec.title,
+          sidebar_label: spec.title.replace(/\s+Design$/, ''),
+          sidebar_position: index + 1,
+          custom_edit_url: `${options.editUrl}${design.source}`,
+        },
+        design.source,
+        [
+          `# ${escapeMdx(spec.title)}`,
+          '',
+          statusBadge(status),
+          '',
+          '| Date | Branch | Implementation plan |',
+          '| --- | --- | --- |',
+          `| ${date ?? '—'} | ${branch ? `\`${branch}\`` : '—'} | ${
+            plan ? `[${escapeMdx(plan.title)}](./plan.md)` : 'None yet'
+          } |`,
+          '',
+          escapeMdx(spec.body),
+        ],
+      ),
+    );
+    if (plan && design.planSource) {
+      write(
+        `${design.topic}/plan.md`,
+        page(
+          {
+            title: plan.title,
+            sidebar_label: 'Implementation Plan',
+            sidebar_position: 1,
+            custom_edit_url: `${options.editUrl}${design.planSource}`,
+          },
+          design.planSource,
+          [
+            `# ${escapeMdx(plan.title)}`,
+            '',
+            `${statusBadge(status)} Implements [${escapeMdx(
+              spec.title,
+            )}](./index.md).`,
+            '',
+            escapeMdx(plan.body),
+          ],
+        ),
+      );
+    }
+  });
+
+  write(
+    'index.md',
+    page(
+      {
+        title: 'Design',
+        sidebar_label: 'Overview',
+        sidebar_position: 0,
+        slug: '/',
+      },
+      `${options.specsDir} and ${options.plansDir}`,
+      [
+        "import DesignIndex from '@site/src/components/DesignIndex';",
+        '',
+        '# Design',
+        '',
+        'Design specs record why polly_dart is built the way it is: the ' +
+          'problem, the options considered and the decision. Each spec is ' +
+          'followed by the implementation plan it was built from.',
+        '',
+        '<DesignIndex />',
+      ],
+    ),
+  );
+
+  for (const file of listGenerated(outDir)) {
+    if (!written.has(file)) fs.rmSync(file);
+  }
+
+  return {
+    statuses: STATUSES,
+    designs: designs.map((design) => ({
+      topic: design.topic,
+      title: design.spec.title,
+      summary: design.spec.summary,
+      date: design.spec.metadata.date ?? null,
+      branch: design.spec.metadata.branch ?? null,
+      status: design.status,
+      badge: STATUS_BADGES[design.status],
+      href: `/${options.routeBasePath}/${design.topic}`,
+      planTitle: design.plan?.title ?? null,
+      planHref: design.plan
+        ? `/${options.routeBasePath}/${design.topic}/plan`
+        : null,
+    })),
+  };
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {DesignDocsPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<DesignDocsContent>}
+ */
+export default function designDocsPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<DesignDocsPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  // Like the changelog plugin: generate before the docs instance that serves
+  // the pages loads its content.
+  generateDesignDocs(siteDir, options);
+
+  return {
+    name: 'docusaurus-plugin-design-docs',
+
+    getPathsToWatch() {
+      return [options.specsDir, options.plansDir].map((dir) =>
+        path.posix.join(path.resolve(siteDir, dir), '*.md'),
+      );
+    },
+
+    async loadContent() {
+      return generateDesignDocs(siteDir, options);
+    },
+
+    async contentLoaded({content, actions}) {
+      actions.setGlobalData(content);
+    },
+  };
+}
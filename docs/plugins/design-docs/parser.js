@@ -0,0 +1,100 @@
+// @ts-check
+/**
+ * Reads the design specs and implementation plans in `superpowers/`.
+ *
+ * Both start with a `# Title`, optionally followed by header lines such as
+ *
+ *     **Date:** 2026-04-21
+ *     **Branch:** feature/cancellation-support
+ *     **Status:** Draft
+ *
+ * and a `---` rule. Files are named `<date>-<topic>-design.md` (specs) and
+ * `<date>-<topic>.md` (plans); a spec and a plan with the same topic belong
+ * together.
+ */
+
+/** Statuses a spec can have, in the order they are shown. */
+export const STATUSES = ['Draft', 'Accepted', 'Implemented'];
+
+/**
+ * @typedef {object} DesignDoc
+ * @property {string} title Text of the `#` heading.
+ * @property {Record<string, string>} metadata Header lines, by lower-case key.
+ * @property {string} body Markdown after the heading and header lines.
+ * @property {string | null} summary First paragraph of prose in the body.
+ */
+
+/**
+ * Topic a spec or plan file is about: its name without the date prefix and
+ * the `-design` suffix.
+ * @param {string} fileName
+ */
+export function topicOf(fileName) {
+  return fileName
+    .replace(/\.mdx?$/, '')
+    .replace(/^\d{4}-\d{2}-\d{2}-/, '')
+    .replace(/-(design|plan)$/, '');
+}
+
+/**
+ * @param {string} markdown
+ * @param {string} file Used in error messages.
+ * @returns {DesignDoc}
+ */
+export function parseDesignDoc(markdown, file) {
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const headingIndex = lines.findIndex((line) => /^# +\S/.test(line));
+  if (headingIndex === -1) {
+    throw new Error(`design-docs: ${file} has no "# Title" heading.`);
+  }
+  const title = lines[headingIndex].replace(/^# +/, '').trim();
+
+  /** @type {Record<string, string>} */
+  const metadata = {};
+  let index = headingIndex + 1;
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    const field = /^\*\*(Date|Branch|Status):\*\*\s*(.*?)\s*$/i.exec(line);
+    if (field) {
+      metadata[field[1].toLowerCase()] = field[2];
+    } else if (line.trim() !== '') {
+      break;
+    }
+  }
+  // The rule that separates the header from the document.
+  if (Object.keys(metadata).length && /^-{3,}\s*$/.test(lines[index] ?? '')) {
+    index++;
+  }
+  const body = lines.slice(index).join('\n').trim();
+
+  const summary =
+    body
+      .split(/\n\s*\n/)
+      .map((paragraph) => paragraph.trim())
+      .find(
+        (paragraph) =>
+          paragraph && !/^(#|>|-{3,}|```|\||[-*] )/.test(paragraph),
+      )
+      ?.replace(/\s+/g, ' ') ?? null;
+
+  return {title, metadata, body, summary};
+}
+
+/**
+ * The status of a spec, spelled as in {@link STATUSES}.
+ * @param {string | undefined} status
+ * @param {string} file Used in error messages.
+ */
+export function normalizeStatus(status, file) {
+  const known = STATUSES.find(
+    (s) => s.toLowerCase() === (status ?? '').trim().toLowerCase(),
+  );
+  if (!known) {
+    throw new Error(
+      `design-docs: ${file} has ${
+        status ? `an unknown status "${status}"` : 'no "**Status:**" line'
+      }; use one of ${STATUSES.join(', ')}.`,
+    );
+  }
+  return known;
+}
@@ -0,0 +1,444 @@
+// @ts-check
+/**
+ * Turns the MDX of a doc page into plain Markdown for the docs export. The
+ * page is parsed the way Docusaurus parses it, then what only renders in the
+ * browser is flattened into text that reads without the site:
+ *
+ * - imports, exports and `{/* comments *\/}` are dropped;
+ * - `<Tabs>` and `<ClientVariants>` become a bold label per tab, followed by
+ *   its content;
+ * - `<OptionsTable>` becomes the table it renders, from the content of the
+ *   dart-options plugin, and `<Since>` the version it shows;
+ * - `<StrategyCards>` becomes a list of the strategies, and other
+ *   components without children a line pointing to the page, where they
+ *   are interactive;
+ * - admonitions become block quotes headed by their title;
+ * - ```dart file=…#region``` blocks are filled like on the site;
+ * - links are made absolute, see `resolveUrl`.
+ */
+
+import {unified} from 'unified';
+import remarkDirective from 'remark-directive';
+import remarkGfm from 'remark-gfm';
+import remarkMdx from 'remark-mdx';
+import remarkParse from 'remark-parse';
+import remarkStringify from 'remark-stringify';
+
+import remarkCodeRegion from '../remark-code-region/index.js';
+import {HTTP_CLIENTS} from '../../src/data/http-clients.js';
+import {STRATEGIES} from '../../src/data/strategies.js';
+
+/** @typedef {import('../dart-options/index.js').OptionsType} OptionsType */
+
+/**
+ * @typedef {object} FlattenContext
+ * @property {string} file Absolute path of the page's source.
+ * @property {string} url Absolute URL of the page.
+ * @property {(url: string) => string} resolveUrl Absolute URL of a link
+ *   or image on the page.
+ * @property {string} repoDir For ```dart file=…``` blocks.
+ * @property {Record<string, OptionsType>} options Content of the
+ *   dart-options plugin for the exported docs version, for `<OptionsTable>`.
+ * @property {Record<string, string>} since Release that added each member,
+ *   from the changelog plugin's content for that version, for `<Since>`.
+ */
+
+/** Labels of the admonition kinds, as the theme shows them. */
+const ADMONITIONS = {
+  note: 'Note',
+  tip: 'Tip',
+  info: 'Info',
+  warning: 'Warning',
+  danger: 'Danger',
+  caution: 'Caution',
+};
+
+/** Longer constructor-assigned expressions are described, as on the site. */
+const MAX_FIXED_LENGTH = 40;
+
+/**
+ * @param {string} value
+ * @returns {any}
+ */
+const text = (value) => ({type: 'text', value});
+
+/**
+ * @param {any[]} children
+ * @returns {any}
+ */
+const paragraph = (children) => ({type: 'paragraph', children});
+
+/**
+ * @param {any} node An MDX JSX element.
+ * @param {string} name
+ * @returns {string | boolean | undefined} `{expression}` values as source.
+ */
+function attribute(node, name) {
+  const found = node.attributes.find(
+    (/** @type {any} */ a) => a.type === 'mdxJsxAttribute' && a.name === name,
+  );
+  if (!found) return undefined;
+  if (found.value === null || found.value === undefined) return true;
+  return typeof found.value === 'string' ? found.value : found.value.value;
+}
+
+/**
+ * A doc comment summary as inline nodes, with `code` spans and `[Symbol]`
+ * references as code, like OptionsTable renders it.
+ * @param {string | null} doc
+ */
+function docNodes(doc) {
+  if (!doc) return [];
+  return doc.split(/(`[^`]+`|\[[A-Za-z_$][\w$.]*\])/).flatMap((part, index) => {
+    if (index % 2 === 0) return part ? [text(part)] : [];
+    return [{type: 'inlineCode', value: part.slice(1, -1)}];
+  });
+}
+
+/**
+ * @param {import('../dart-options/index.js').OptionValue} value
+ * @returns {any[]}
+ */
+function valueNodes(value) {
+  switch (value.kind) {
+    case 'required':
+      return [{type: 'strong', children: [text('Required')]}];
+    case 'default':
+      return [{type: 'inlineCode', value: value.value}];
+    case 'fixed':
+      return (value.value ?? '').length > MAX_FIXED_LENGTH
+        ? [text('Set by the constructor')]
+        : [text('Always '), {type: 'inlineCode', value: value.value}];
+    default:
+      return [text('—')];
+  }
+}
+
+/**
+ * The table `<OptionsTable type named defaults />` renders, with the same
+ * choice of constructors and properties.
+ * @param {any} node
+ * @param {FlattenContext} context
+ */
+function optionsTable(node, context) {
+  const type = String(attribute(node, 'type'));
+  const named = attribute(node, 'named');
+  const options = context.options[type];
+  if (!options) {
+    throw new Error(`docs-export: ${context.file}: no options for "${type}".`);
+  }
+
+  let constructors = named
+    ? options.constructors.filter((c) => c.name === named)
+    : options.constructors.filter((c) => c.name === '');
+  if (!named && !constructors.length) constructors = options.constructors;
+  if (attribute(node, 'defaults') === 'false') constructors = [];
+  const properties =
+    constructors.length === 1
+      ? options.properties.filter(
+          (p) => p.href || constructors[0].values[p.name].kind !== 'absent',
+        )
+      : options.properties;
+
+  const headings = [
+    'Property',
+    'Type',
+    ...(constructors.length === 1
+      ? ['Default']
+      : constructors.map((c) => (c.name ? `.${c.name}` : type))),
+    'Description',
+  ];
+  const row = (/** @type {any[][]} */ cells) => ({
+    type: 'tableRow',
+    children: cells.map((children) => ({type: 'tableCell', children})),
+  });
+  return {
+    type: 'table',
+    align: headings.map(() => null),
+    children: [
+      row(headings.map((heading) => [text(heading)])),
+      ...properties.map((property) =>
+        row([
+          [{type: 'inlineCode', value: property.name}],
+          property.type ? [{type: 'inlineCode', value: property.type}] : [],
+          ...constructors.map((c) => valueNodes(c.values[property.name])),
+          docNodes(property.doc),
+        ]),
+      ),
+    ],
+  };
+}
+
+/**
+ * `<StrategyCards category />` as a list of the strategies.
+ * @param {any} node
+ * @param {FlattenContext} context
+ */
+function strategyList(node, context) {
+  const category = attribute(node, 'category');
+  return {
+    type: 'list',
+    ordered: false,
+    spread: false,
+    children: STRATEGIES.filter(
+      (s) => !category || s.category === category,
+    ).map((strategy) =>
+      listItem([
+        {
+          type: 'link',
+          url: context.resolveUrl(strategy.to),
+          children: [{type: 'strong', children: [text(strategy.name)]}],
+        },
+        text(`: ${strategy.purpose} Use it for: ${strategy.useCase}`),
+      ]),
+    ),
+  };
+}
+
+/**
+ * @param {any[]} children Inline nodes.
+ * @returns {any}
+ */
+function listItem(children) {
+  return {type: 'listItem', spread: false, children: [paragraph(children)]};
+}
+
+/**
+ * Content of an HTML element that takes only text, which MDX parses as
+ * paragraphs when it spans lines.
+ * @param {any[]} nodes
+ * @returns {any[]}
+ */
+function phrasing(nodes) {
+  return nodes.flatMap((node, index) =>
+    node.type === 'paragraph'
+      ? [...(index > 0 ? [text(' ')] : []), ...node.children]
+      : [node],
+  );
+}
+
+/**
+ * `RetryBackoffVisualizer` → `Retry backoff visualizer`.
+ * @param {string} name
+ */
+function humanize(name) {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * @param {any} node An MDX JSX element.
+ * @param {FlattenContext} context
+ * @returns {any[]}
+ */
+function flattenElement(node, context) {
+  const flow = node.type === 'mdxJsxFlowElement';
+  const children = flattenChildren(node.children, context);
+  const label = (/** @type {string} */ value) =>
+    flow
+      ? [paragraph([{type: 'strong', children: [text(value)]}]), ...children]
+      : [{type: 'strong', children: [text(value)]}, text(' '), ...children];
+
+  switch (node.name) {
+    case 'OptionsTable':
+      return [optionsTable(node, context)];
+    case 'Since': {
+      const member = String(attribute(node, 'member'));
+      const version = context.since[member];
+      if (!version) return [];
+      const since = {type: 'emphasis', children: [text(`since ${version}`)]};
+      return [flow ? paragraph([since]) : since];
+    }
+    case 'StrategyCards':
+      return [strategyList(node, context)];
+    case 'TabItem':
+      return label(
+        String(attribute(node, 'label') ?? attribute(node, 'value') ?? ''),
+      );
+    case 'ClientVariant': {
+      const client = attribute(node, 'client');
+      return label(
+        HTTP_CLIENTS.find((c) => c.value === client)?.label ?? String(client),
+      );
+    }
+    case 'br':
+      return [{type: 'break'}];
+    case 'a': {
+      const link = {
+        type: 'link',
+        url: context.resolveUrl(String(attribute(node, 'href'))),
+        children: phrasing(children),
+      };
+      return [flow ? paragraph([link]) : link];
+    }
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return [
+        {
+          type: 'heading',
+          depth: Number(node.name[1]),
+          children: phrasing(children),
+        },
+      ];
+    default:
+      break;
+  }
+  if (node.children.length || !node.name || !/^[A-Z]/.test(node.name)) {
+    // Tabs, ClientVariants, HTML elements, and the like.
+    return children;
+  }
+  // An interactive component: say what it is, and where to use it.
+  const note = [
+    {
+      type: 'emphasis',
+      children: [
+        text(`${humanize(node.name)}: interactive, see `),
+        {type: 'link', url: context.url, children: [text(context.url)]},
+        text('.'),
+      ],
+    },
+  ];
+  return flow ? [paragraph(note)] : note;
+}
+
+/**
+ * @param {any} node
+ * @param {FlattenContext} context
+ * @returns {any[]}
+ */
+function flattenNode(node, context) {
+  switch (node.type) {
+    case 'mdxjsEsm':
+    case 'mdxFlowExpression':
+    case 'mdxTextExpression':
+      return [];
+    case 'mdxJsxFlowElement':
+    case 'mdxJsxTextElement':
+      return flattenElement(node, context);
+    case 'containerDirective': {
+      const [first, ...rest] = node.children;
+      const hasLabel = first?.data?.directiveLabel;
+      const body = flattenChildren(hasLabel ? rest : node.children, context);
+      const title = hasLabel
+        ? flattenChildren(first.children, context)
+        : [text(ADMONITIONS[node.name] ?? humanize(node.name))];
+      return [
+        {
+          type: 'blockquote',
+          children: [paragraph([{type: 'strong', children: title}]), ...body],
+        },
+      ];
+    }
+    case 'leafDirective':
+    case 'textDirective': {
+      // Not an admonition, but text that looked like a directive: `a :b`.
+      const marker = node.type === 'leafDirective' ? '::' : ':';
+      const restored = [
+        text(`${marker}${node.name}`),
+        ...(node.children.length
+          ? [text('['), ...flattenChildren(node.children, context), text(']')]
+          : []),
+      ];
+      return node.type === 'leafDirective' ? [paragraph(restored)] : restored;
+    }
+    case 'link':
+    case 'image':
+    case 'definition':
+      return [
+        {
+          ...node,
+          url: context.resolveUrl(node.url),
+          ...(node.children && {
+            children: flattenChildren(node.children, context),
+          }),
+        },
+      ];
+    default:
+      return [
+        node.children
+          ? {...node, children: flattenChildren(node.children, context)}
+          : node,
+      ];
+  }
+}
+
+/**
+ * @param {any[]} children
+ * @param {FlattenContext} context
+ */
+function flattenChildren(children, context) {
+  return children.flatMap((child) => flattenNode(child, context));
+}
+
+const parser = unified()
+  .use(remarkParse)
+  .use(remarkMdx)
+  .use(remarkGfm)
+  .use(remarkDirective);
+
+/**
+ * What Docusaurus does to Markdown before MDX parses it: drops the front
+ * matter and the `{#id}` of headings, and turns `:::tip Title` into the
+ * directive syntax `:::tip[Title]`. Code blocks are left alone.
+ * @param {string} source
+ */
+function preprocess(source) {
+  let fence = '';
+  return source
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+    .split('\n')
+    .map((line) => {
+      const marker = /^\s*(`{3,}|~{3,})/.exec(line)?.[1];
+      if (marker && (!fence || marker.startsWith(fence))) {
+        fence = fence ? '' : marker;
+        return line;
+      }
+      if (fence) return line;
+      return line
+        .replace(/^(#{1,6}\s.*?)\s*\{#[\w-]+\}\s*$/, '$1')
+        .replace(/^(\s*:{3,}\w+)[ \t]+(\S.*)$/, '$1[$2]');
+    })
+    .join('\n');
+}
+
+/**
+ * @param {string} source MDX of the page, front matter included.
+ * @param {FlattenContext} context
+ * @returns {{type: 'root', children: any[]}} An mdast tree without MDX or
+ *   directive nodes.
+ */
+export function flattenPage(source, context) {
+  const tree = parser.parse(preprocess(source));
+  remarkCodeRegion({repoDir: context.repoDir})(
+    tree,
+    /** @type {any} */ ({path: context.file}),
+  );
+  return {type: 'root', children: flattenChildren(tree.children, context)};
+}
+
+/**
+ * Text of a node, without formatting.
+ * @param {any} node
+ * @returns {string}
+ */
+export function plainText(node) {
+  if (typeof node.value === 'string') return node.value;
+  if (node.type === 'break') return '\n';
+  if (node.type === 'image') return node.alt ?? '';
+  return (node.children ?? []).map(plainText).join('');
+}
+
+const stringifier = unified()
+  .use(remarkGfm)
+  .use(remarkStringify, {bullet: '-', emphasis: '_', fences: true, rule: '-'});
+
+/**
+ * @param {{type: 'root', children: any[]}} tree
+ */
+export function toMarkdown(tree) {
+  return stringifier.stringify(tree);
+}
@@ -0,0 +1,320 @@
+// @ts-check
+/**
+ * Docusaurus plugin that exports the docs for reading outside the site:
+ * after the build, it writes to the build root
+ *
+ * - `bundleFile`, every page of `sidebar` in sidebar order as one Markdown
+ *   file, with MDX flattened to plain Markdown (see flatten.js) and links
+ *   made absolute;
+ * - `pdfFile`, the same as a print-ready PDF with a table of contents (see
+ *   pdf.js);
+ * - `indexFile`, an `llms.txt` index: the pages by sidebar category, with
+ *   their descriptions, and links to the two files above.
+ *
+ * The pages come from the latest version of the default docs instance.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {flattenPage, plainText, toMarkdown} from './flatten.js';
+import {writePdf} from './pdf.js';
+
+/** @typedef {import('@docusaurus/plugin-content-docs').LoadedContent} DocsContent */
+/** @typedef {import('@docusaurus/plugin-content-docs').DocMetadata} DocMetadata */
+
+/**
+ * @typedef {object} DocsExportPluginOptions
+ * @property {string} [sidebar] Sidebar of the default docs instance whose
+ *   pages are exported, in its order.
+ * @property {string} [bundleFile] Markdown bundle, relative to the build.
+ * @property {string} [pdfFile] PDF, relative to the build; empty for none.
+ * @property {string} [indexFile] Index, relative to the build.
+ * @property {string} [repoDir] Repository root, relative to the site, for
+ *   ```dart file=…``` blocks.
+ */
+
+/**
+ * A page of the sidebar, or a category heading.
+ * @typedef {object} ExportEntry
+ * @property {string} title
+ * @property {1 | 2} level 1 for categories and top-level pages.
+ * @property {string} url Absolute.
+ * @property {DocMetadata} [doc] Absent for categories and links.
+ * @property {string} [description]
+ */
+
+const DEFAULT_OPTIONS = {
+  sidebar: 'tutorialSidebar',
+  bundleFile: 'polly-dart-docs.md',
+  pdfFile: 'polly-dart-docs.pdf',
+  indexFile: 'llms.txt',
+  repoDir: '..',
+};
+
+/**
+ * The pages of a sidebar in order, with a heading entry per category.
+ * Categories nested in categories are flattened into their parent.
+ * @param {any[]} items Processed sidebar items.
+ * @param {Map<string, DocMetadata>} docs By id.
+ * @param {(permalink: string) => string} absolute
+ * @param {1 | 2} [level]
+ * @returns {ExportEntry[]}
+ */
+function sidebarEntries(items, docs, absolute, level = 1) {
+  return items.flatMap((item) => {
+    if (item.type === 'category') {
+      const children = sidebarEntries(item.items, docs, absolute, 2);
+      if (level === 2) return children;
+      return [{title: item.label, level, url: ''}, ...children];
+    }
+    if (item.type === 'link') {
+      return [{title: item.label, level, url: absolute(item.href)}];
+    }
+    if (item.type !== 'doc' && item.type !== 'ref') return [];
+    const doc = docs.get(item.id);
+    if (!doc) throw new Error(`docs-export: no doc "${item.id}" in the sidebar.`);
+    return [
+      {
+        title: doc.title,
+        level,
+        url: absolute(doc.permalink),
+        doc,
+      },
+    ];
+  });
+}
+
+/**
+ * @param {any[]} nodes
+ * @param {number} by
+ */
+function demote(nodes, by) {
+  for (const node of nodes) {
+    if (node.type === 'heading') node.depth = Math.min(6, node.depth + by);
+    if (node.children) demote(node.children, by);
+  }
+}
+
+/**
+ * `llms.txt`, as described at https://llmstxt.org.
+ * @param {ExportEntry[]} entries
+ * @param {{title: string, tagline: string, version: string, bundleUrl: string, pdfUrl: string | null}} meta
+ */
+function llmsTxt(entries, meta) {
+  /** @param {ExportEntry} entry */
+  const item = (entry) => {
+    const description = (entry.description ?? '').replace(/\s+/g, ' ').trim();
+    return `- [${entry.title}](${entry.url})${description ? `: ${description}` : ''}`;
+  };
+  const lines = [
+    `# ${meta.title}`,
+    '',
+    `> ${meta.tagline}`,
+    '',
+    `The documentation of polly_dart ${meta.version}. All of it is also ` +
+      `available as one Markdown file: ${meta.bundleUrl}` +
+      (meta.pdfUrl ? `, and as a PDF: ${meta.pdfUrl}` : '') +
+      '.',
+    '',
+  ];
+  // Top-level pages before the sections, which only hold category pages.
+  let section = false;
+  const topLevel = entries.filter((entry) => entry.level === 1 && entry.url);
+  lines.push(...topLevel.map(item));
+  for (const entry of entries) {
+    if (entry.level === 1) {
+      section = !entry.url;
+      if (section) lines.push('', `## ${entry.title}`, '');
+    } else if (section) {
+      lines.push(item(entry));
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {DocsExportPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<void>}
+ */
+export default function docsExportPlugin(context, userOptions) {
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const {siteDir, siteConfig} = context;
+  const siteUrl = `${siteConfig.url}${context.baseUrl}`.replace(/\/$/, '');
+
+  /** @type {any} */
+  let allContent = {};
+
+  return {
+    name: 'docusaurus-plugin-docs-export',
+
+    async allContentLoaded(args) {
+      allContent = args.allContent;
+    },
+
+    async postBuild({outDir}) {
+      /** @type {DocsContent} */
+      const docsContent = allContent['docusaurus-plugin-content-docs'].default;
+      const version =
+        docsContent.loadedVersions.find((v) => v.isLast) ??
+        docsContent.loadedVersions[0];
+      const sidebar = version.sidebars[options.sidebar];
+      if (!sidebar) {
+        throw new Error(`docs-export: no sidebar "${options.sidebar}".`);
+      }
+
+      // Pages of every docs instance by source file, for links to `.md`.
+      /** @type {Map<string, string>} */
+      const permalinks = new Map();
+      for (const instance of Object.values(
+        allContent['docusaurus-plugin-content-docs'],
+      )) {
+        for (const {docs} of /** @type {DocsContent} */ (instance)
+          .loadedVersions) {
+          for (const doc of docs) {
+            permalinks.set(doc.source.replace(/^@site/, siteDir), doc.permalink);
+          }
+        }
+      }
+      const absolute = (/** @type {string} */ url) =>
+        /^[a-z][\w+.-]*:/i.test(url) ? url : `${siteConfig.url}${url}`;
+
+      const entries = sidebarEntries(
+        sidebar,
+        new Map(version.docs.map((doc) => [doc.id, doc])),
+        absolute,
+      );
+      // Both are keyed by docs version; the export shows the latest.
+      const optionsContent =
+        allContent['docusaurus-plugin-dart-options']?.default?.[
+          version.versionName
+        ] ?? {};
+      const since =
+        allContent['docusaurus-plugin-changelog']?.default?.since[
+          version.versionName
+        ] ?? {};
+
+      const pages = entries.map((entry) => {
+        if (!entry.doc) return null;
+        const file = entry.doc.source.replace(/^@site/, siteDir);
+        const page = flattenPage(fs.readFileSync(file, 'utf8'), {
+          file,
+          url: entry.url,
+          resolveUrl(url) {
+            if (/^([a-z][\w+.-]*:|\/\/)/i.test(url)) return url;
+            const [pathname, hash] = url.split('#');
+            if (!pathname) return `${entry.url}#${hash}`;
+            if (/\.mdx?$/.test(pathname)) {
+              const permalink = permalinks.get(
+                path.resolve(path.dirname(file), pathname),
+              );
+              if (permalink) {
+                return absolute(`${permalink}${hash ? `#${hash}` : ''}`);
+              }
+            }
+            return new URL(url, entry.url).href;
+          },
+          repoDir: path.resolve(siteDir, options.repoDir),
+          options: optionsContent,
+          since,
+        });
+        // The title and summary as the page shows them, which the metadata
+        // gets wrong when the page starts with an MDX comment.
+        const title = page.children.find(
+          (node) => node.type === 'heading' && node.depth === 1,
+        );
+        if (title) {
+          entry.title = plainText(title);
+          page.children.splice(page.children.indexOf(title), 1);
+        }
+        const summary = page.children.find((node) => node.type === 'paragraph');
+        entry.description =
+          entry.doc.frontMatter.description ??
+          (summary ? plainText(summary) : undefined);
+        demote(page.children, entry.level - 1);
+        return page;
+      });
+
+      /** @type {any[]} */
+      const body = [];
+      entries.forEach((entry, index) => {
+        if (!entry.doc && entry.url) return;
+        body.push({
+          type: 'heading',
+          depth: entry.level,
+          data: {toc: {id: `toc-${index}`, level: entry.level}},
+          children: [{type: 'text', value: entry.title}],
+        });
+        const page = pages[index];
+        if (!page) return;
+        body.push(
+          {
+            type: 'paragraph',
+            children: [
+              {type: 'text', value: 'Online: '},
+              {
+                type: 'link',
+                url: entry.url,
+                children: [{type: 'text', value: entry.url}],
+              },
+            ],
+          },
+          ...page.children,
+        );
+      });
+
+      const pollyDartVersion = String(
+        siteConfig.customFields?.pollyDartVersion ?? '',
+      );
+      const bundleUrl = `${siteUrl}/${options.bundleFile}`;
+      const pdfUrl = options.pdfFile ? `${siteUrl}/${options.pdfFile}` : null;
+      const preface = [
+        {
+          type: 'paragraph',
+          children: [
+            {
+              type: 'text',
+              value:
+                `${siteConfig.title} ${pollyDartVersion}: ` +
+                `${siteConfig.tagline}. The pages of `,
+            },
+            {
+              type: 'link',
+              url: siteUrl,
+              children: [{type: 'text', value: siteUrl}],
+            },
+            {type: 'text', value: ', in the order of its sidebar.'},
+          ],
+        },
+      ];
+      fs.writeFileSync(
+        path.join(outDir, options.bundleFile),
+        toMarkdown({type: 'root', children: [...preface, ...body]}),
+      );
+      fs.writeFileSync(
+        path.join(outDir, options.indexFile),
+        llmsTxt(entries, {
+          title: siteConfig.title,
+          tagline: siteConfig.tagline,
+          version: pollyDartVersion,
+          bundleUrl,
+          pdfUrl,
+        }),
+      );
+      if (options.pdfFile) {
+        await writePdf(
+          {type: 'root', children: body},
+          {
+            title: siteConfig.title,
+            subtitle: siteConfig.tagline,
+            version: pollyDartVersion,
+            url: siteUrl,
+            date: new Date().toISOString().slice(0, 10),
+          },
+          path.join(outDir, options.pdfFile),
+        );
+      }
+    },
+  };
+}
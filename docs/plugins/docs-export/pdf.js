@@ -0,0 +1,602 @@
+// @ts-check
+/**
+ * Typesets the docs export as a PDF for printing and offline reading: a
+ * title page, a table of contents with page numbers, then the manual, with
+ * each top-level section on a new page, page numbers in the footer, and the
+ * contents as bookmarks.
+ *
+ * The input is the mdast tree of the Markdown bundle. Headings that carry
+ * `data.toc` ({id, level}) are the entries of the table of contents. The
+ * PDF uses the standard fonts, so text is reduced to their character set:
+ * arrows and box drawing become ASCII, and emoji are dropped.
+ */
+
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+
+import {plainText} from './flatten.js';
+
+/**
+ * @typedef {object} PdfMeta
+ * @property {string} title
+ * @property {string} subtitle
+ * @property {string} version
+ * @property {string} url
+ * @property {string} date
+ */
+
+/** @typedef {{id: string, level: 1 | 2, title: string, page?: number}} TocEntry */
+
+const MARGIN = 56;
+const FONTS = {
+  body: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  code: 'Courier',
+};
+const BODY_SIZE = 10.5;
+const CODE_SIZE = 8;
+const HEADING_SIZES = [0, 20, 16, 13, 11.5, 10.5, 10.5];
+const TOC_LINE = 18;
+const COLORS = {text: '#1c1e21', muted: '#606770', link: '#25734a', code: '#f4f5f6'};
+
+/** Characters outside the standard fonts that have a plain equivalent. */
+const REPLACEMENTS = {
+  '→': '->',
+  '←': '<-',
+  '↔': '<->',
+  '⇒': '=>',
+  '≥': '>=',
+  '≤': '<=',
+  '≠': '!=',
+  '≈': '~',
+  '✅': '[yes]',
+  '✔': '[yes]',
+  '✓': '[yes]',
+  '❌': '[no]',
+  '✗': '[no]',
+  '⚠': '(!)',
+  '─': '-',
+  '━': '-',
+  '│': '|',
+  '┃': '|',
+  '┌': '+',
+  '┐': '+',
+  '└': '+',
+  '┘': '+',
+  '├': '+',
+  '┤': '+',
+  '┬': '+',
+  '┴': '+',
+  '┼': '+',
+  '▶': '>',
+  '▼': 'v',
+  '▲': '^',
+};
+const REPLACEABLE = new RegExp(`[${Object.keys(REPLACEMENTS).join('')}]`, 'gu');
+
+/** What WinAnsi adds to Latin-1, which the standard fonts can show. */
+const WIN_ANSI = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+/**
+ * @param {string} value
+ */
+export function toWinAnsi(value) {
+  return value
+    .replace(REPLACEABLE, (char) => REPLACEMENTS[char])
+    .replace(/(?![©®™])\p{Extended_Pictographic}\ufe0f?\s?/gu, '')
+    .replace(/[^\n\t\x20-\x7e\xa0-\xff]/gu, (char) =>
+      WIN_ANSI.includes(char) ? char : '',
+    );
+}
+
+/**
+ * @typedef {object} Run
+ * @property {string} text
+ * @property {string} font
+ * @property {string} [link]
+ */
+
+/**
+ * Flattens phrasing content into runs of one font.
+ * @param {any[]} nodes
+ * @param {{bold?: boolean, italic?: boolean, link?: string}} [style]
+ * @returns {Run[]}
+ */
+function runs(nodes, style = {}) {
+  return nodes.flatMap((node) => {
+    switch (node.type) {
+      case 'text':
+        return [{text: node.value, font: fontOf(style), link: style.link}];
+      case 'inlineCode':
+        return [{text: node.value, font: FONTS.code, link: style.link}];
+      case 'break':
+        return [{text: '\n', font: fontOf(style)}];
+      case 'strong':
+        return runs(node.children, {...style, bold: true});
+      case 'emphasis':
+      case 'delete':
+        return runs(node.children, {...style, italic: true});
+      case 'link':
+        return runs(node.children, {...style, link: node.url});
+      case 'image':
+        return [{text: node.alt ?? '', font: FONTS.italic}];
+      default:
+        return node.children ? runs(node.children, style) : [];
+    }
+  });
+}
+
+/**
+ * @param {{bold?: boolean, italic?: boolean}} style
+ */
+function fontOf({bold, italic}) {
+  if (bold && italic) return FONTS.boldItalic;
+  if (bold) return FONTS.bold;
+  return italic ? FONTS.italic : FONTS.body;
+}
+
+class Typesetter {
+  /**
+   * @param {PDFKit.PDFDocument} doc
+   */
+  constructor(doc) {
+    this.doc = doc;
+    this.indent = 0;
+    /** @type {TocEntry[]} */
+    this.toc = [];
+    /** @type {any} Bookmark of the current top-level section. */
+    this.chapter = null;
+  }
+
+  get left() {
+    return MARGIN + this.indent;
+  }
+
+  get width() {
+    return this.doc.page.width - MARGIN * 2 - this.indent;
+  }
+
+  get bottom() {
+    return this.doc.page.height - MARGIN;
+  }
+
+  /**
+   * Starts a new page unless `height` fits on this one.
+   * @param {number} height
+   */
+  ensure(height) {
+    if (this.doc.y + height > this.bottom) this.doc.addPage();
+  }
+
+  /**
+   * @param {Run[]} parts
+   * @param {{size?: number, color?: string, gap?: number}} [options]
+   */
+  paragraph(parts, {size = BODY_SIZE, color = COLORS.text, gap = 6} = {}) {
+    const {doc} = this;
+    const visible = parts
+      .map((run) => ({...run, text: toWinAnsi(run.text)}))
+      .filter((run) => run.text);
+    if (!visible.length) return;
+    this.ensure(size * 1.6);
+    visible.forEach((run, index) => {
+      doc
+        .font(run.font)
+        .fontSize(run.font === FONTS.code ? size * 0.92 : size)
+        .fillColor(run.link ? COLORS.link : color);
+      const options = {
+        width: this.width,
+        continued: index < visible.length - 1,
+        link: run.link ?? null,
+        underline: false,
+        lineGap: 2,
+      };
+      if (index === 0) doc.text(run.text, this.left, doc.y, options);
+      else doc.text(run.text, options);
+    });
+    doc.fillColor(COLORS.text);
+    doc.y += gap;
+  }
+
+  /**
+   * @param {any} node
+   */
+  heading(node) {
+    const {doc} = this;
+    const size = HEADING_SIZES[node.depth] ?? BODY_SIZE;
+    /** @type {TocEntry | undefined} */
+    const toc = node.data?.toc;
+    if (toc?.level === 1 && doc.y > MARGIN + 1) doc.addPage();
+    // Keep the heading with the first lines of what follows.
+    this.ensure(size * 2 + BODY_SIZE * 4);
+    doc.y += size * 0.6;
+    if (toc) {
+      const title = toWinAnsi(plainText(node)).trim();
+      this.toc.push({...toc, title, page: this.pageNumber()});
+      doc.addNamedDestination(toc.id, 'XYZ', null, doc.y, null);
+      if (toc.level === 1) this.chapter = doc.outline.addItem(title);
+      else (this.chapter ?? doc.outline).addItem(title);
+    }
+    const parts = runs(node.children, {bold: true}).map((run, index) =>
+      index === 0 ? {...run, text: run.text.trimStart()} : run,
+    );
+    this.paragraph(parts, {size, gap: size * 0.35});
+  }
+
+  pageNumber() {
+    const {start, count} = this.doc.bufferedPageRange();
+    return start + count;
+  }
+
+  /**
+   * @param {any} node
+   */
+  code(node) {
+    const {doc} = this;
+    const lineHeight = CODE_SIZE * 1.35;
+    const padding = 6;
+    const perLine = Math.floor(
+      (this.width - padding * 2) / (CODE_SIZE * 0.6),
+    );
+    /** @type {string[]} */
+    const lines = toWinAnsi(node.value.replace(/\t/g, '  '))
+      .split('\n')
+      .flatMap((line) => {
+        const chunks = [];
+        for (let i = 0; i < line.length; i += perLine) {
+          chunks.push(line.slice(i, i + perLine));
+        }
+        return chunks.length ? chunks : [''];
+      });
+
+    doc.font(FONTS.code).fontSize(CODE_SIZE);
+    this.ensure(lineHeight * Math.min(lines.length, 4) + padding * 2);
+    if (node.meta) {
+      const title = /title="([^"]+)"/.exec(node.meta)?.[1];
+      if (title) {
+        this.paragraph([{text: title, font: FONTS.bold}], {
+          size: CODE_SIZE,
+          color: COLORS.muted,
+          gap: 2,
+        });
+        doc.font(FONTS.code).fontSize(CODE_SIZE);
+      }
+    }
+    // As many lines as fit on each page, on a background of their own.
+    for (let index = 0; index < lines.length; ) {
+      const top = doc.y;
+      const fit = Math.max(
+        1,
+        Math.floor((this.bottom - top - padding * 2) / lineHeight),
+      );
+      const chunk = lines.slice(index, index + fit);
+      const height = chunk.length * lineHeight + padding * 2;
+      doc
+        .save()
+        .rect(this.left, top, this.width, height)
+        .fill(COLORS.code)
+        .restore();
+      doc.font(FONTS.code).fontSize(CODE_SIZE).fillColor(COLORS.text);
+      chunk.forEach((line, i) => {
+        doc.text(line, this.left + padding, top + padding + i * lineHeight, {
+          lineBreak: false,
+        });
+      });
+      index += chunk.length;
+      doc.y = top + height;
+      if (index < lines.length) doc.addPage();
+    }
+    doc.x = this.left;
+    doc.y += 8;
+  }
+
+  /**
+   * @param {any} node
+   */
+  list(node) {
+    const {doc} = this;
+    node.children.forEach((/** @type {any} */ item, index) => {
+      const marker =
+        item.checked === true
+          ? '[x]'
+          : item.checked === false
+            ? '[ ]'
+            : node.ordered
+              ? `${(node.start ?? 1) + index}.`
+              : '•';
+      this.ensure(BODY_SIZE * 1.6);
+      const {y} = doc;
+      doc
+        .font(FONTS.body)
+        .fontSize(BODY_SIZE)
+        .fillColor(COLORS.text)
+        .text(marker, this.left, y, {lineBreak: false});
+      doc.y = y;
+      this.indent += 16;
+      item.children.forEach((/** @type {any} */ child) =>
+        this.block(child, {tight: !node.spread}),
+      );
+      this.indent -= 16;
+    });
+    doc.y += 4;
+  }
+
+  /**
+   * @param {any} node
+   */
+  blockquote(node) {
+    const {doc} = this;
+    const startPage = this.pageNumber();
+    const top = doc.y;
+    this.indent += 14;
+    node.children.forEach((/** @type {any} */ child) => this.block(child));
+    this.indent -= 14;
+    const barTop = this.pageNumber() === startPage ? top : MARGIN;
+    doc
+      .save()
+      .rect(this.left + 2, barTop, 3, doc.y - barTop - 6)
+      .fill('#b4d9c3')
+      .restore();
+  }
+
+  /**
+   * @param {any} node
+   */
+  table(node) {
+    const {doc} = this;
+    const rows = node.children.map((/** @type {any} */ row) =>
+      row.children.map((/** @type {any} */ cell) => ({
+        text: toWinAnsi(plainText(cell)),
+        code: cell.children.length > 0 &&
+          cell.children.every((/** @type {any} */ c) => c.type === 'inlineCode'),
+      })),
+    );
+    const columns = rows[0].length;
+    const size = BODY_SIZE - 1.5;
+    const padding = 4;
+    // Columns share the width by the length of their longest cell, capped
+    // so a long description doesn't squeeze the others.
+    const weights = Array.from({length: columns}, (_, column) =>
+      Math.min(
+        40,
+        Math.max(6, ...rows.map((/** @type {any[]} */ row) => row[column]?.text.length ?? 0)),
+      ),
+    );
+    const total = weights.reduce((a, b) => a + b, 0);
+    const widths = weights.map((weight) => (this.width * weight) / total);
+
+    const fontFor = (/** @type {any} */ cell, /** @type {boolean} */ header) =>
+      header ? FONTS.bold : cell.code ? FONTS.code : FONTS.body;
+    const heightOf = (/** @type {any[]} */ row, /** @type {boolean} */ header) =>
+      Math.max(
+        ...row.map((cell, column) => {
+          doc.font(fontFor(cell, header)).fontSize(size);
+          return doc.heightOfString(cell.text || ' ', {
+            width: widths[column] - padding * 2,
+          });
+        }),
+      ) +
+      padding * 2;
+    const drawRow = (/** @type {any[]} */ row, /** @type {boolean} */ header) => {
+      const height = heightOf(row, header);
+      const top = doc.y;
+      let x = this.left;
+      if (header) {
+        doc.save().rect(x, top, this.width, height).fill(COLORS.code).restore();
+      }
+      row.forEach((cell, column) => {
+        doc
+          .font(fontFor(cell, header))
+          .fontSize(size)
+          .fillColor(COLORS.text)
+          .text(cell.text, x + padding, top + padding, {
+            width: widths[column] - padding * 2,
+          });
+        x += widths[column];
+      });
+      doc
+        .save()
+        .moveTo(this.left, top + height)
+        .lineTo(this.left + this.width, top + height)
+        .lineWidth(0.5)
+        .stroke('#dadde1')
+        .restore();
+      doc.y = top + height;
+    };
+
+    const [header, ...body] = rows;
+    this.ensure(heightOf(header, true) + (body[0] ? heightOf(body[0], false) : 0));
+    drawRow(header, true);
+    for (const row of body) {
+      if (doc.y + heightOf(row, false) > this.bottom) {
+        doc.addPage();
+        drawRow(header, true);
+      }
+      drawRow(row, false);
+    }
+    doc.x = this.left;
+    doc.y += 10;
+  }
+
+  /**
+   * @param {any} node
+   * @param {{tight?: boolean}} [options]
+   */
+  block(node, {tight = false} = {}) {
+    switch (node.type) {
+      case 'heading':
+        return this.heading(node);
+      case 'paragraph':
+        return this.paragraph(runs(node.children), {gap: tight ? 2 : 6});
+      case 'code':
+        return this.code(node);
+      case 'list':
+        return this.list(node);
+      case 'blockquote':
+        return this.blockquote(node);
+      case 'table':
+        return this.table(node);
+      case 'thematicBreak': {
+        const {doc} = this;
+        this.ensure(20);
+        doc
+          .save()
+          .moveTo(this.left, doc.y + 6)
+          .lineTo(this.left + this.width, doc.y + 6)
+          .lineWidth(0.5)
+          .stroke('#dadde1')
+          .restore();
+        doc.y += 16;
+        return undefined;
+      }
+      case 'html':
+      case 'definition':
+        return undefined;
+      default:
+        if (node.children) {
+          node.children.forEach((/** @type {any} */ child) => this.block(child));
+        }
+        return undefined;
+    }
+  }
+}
+
+/**
+ * @param {PDFKit.PDFDocument} doc
+ * @param {PdfMeta} meta
+ */
+function titlePage(doc, meta) {
+  const width = doc.page.width - MARGIN * 2;
+  doc
+    .font(FONTS.bold)
+    .fontSize(34)
+    .fillColor('#2e8555')
+    .text(toWinAnsi(meta.title), MARGIN, doc.page.height / 3, {width});
+  doc
+    .moveDown(0.4)
+    .font(FONTS.body)
+    .fontSize(15)
+    .fillColor(COLORS.text)
+    .text(toWinAnsi(meta.subtitle), {width});
+  doc
+    .moveDown(2)
+    .fontSize(11)
+    .fillColor(COLORS.muted)
+    .text(`Version ${meta.version}`, {width})
+    .text(`Generated ${meta.date} from ${meta.url}`, {width, link: meta.url});
+}
+
+/**
+ * Pages the table of contents needs.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {number} entries
+ */
+function tocPageCount(doc, entries) {
+  const perPage = Math.floor((doc.page.height - MARGIN * 2) / TOC_LINE) - 3;
+  return Math.max(1, Math.ceil(entries / perPage));
+}
+
+/**
+ * Fills the pages reserved for the table of contents.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {TocEntry[]} toc
+ * @param {number} firstPage
+ */
+function writeToc(doc, toc, firstPage) {
+  const width = doc.page.width - MARGIN * 2;
+  let page = firstPage;
+  doc.switchToPage(page);
+  doc.font(FONTS.bold).fontSize(20).fillColor(COLORS.text);
+  doc.text('Contents', MARGIN, MARGIN, {width});
+  let y = MARGIN + TOC_LINE * 3;
+  for (const entry of toc) {
+    if (y + TOC_LINE > doc.page.height - MARGIN) {
+      doc.switchToPage(++page);
+      y = MARGIN;
+    }
+    const indent = entry.level === 1 ? 0 : 16;
+    if (entry.level === 1 && y > MARGIN + TOC_LINE * 3) y += TOC_LINE / 3;
+    doc
+      .font(entry.level === 1 ? FONTS.bold : FONTS.body)
+      .fontSize(entry.level === 1 ? 11 : 10.5)
+      .fillColor(COLORS.text)
+      .text(entry.title, MARGIN + indent, y, {
+        width: width - indent - 40,
+        lineBreak: false,
+        ellipsis: true,
+        goTo: entry.id,
+      })
+      .text(String(entry.page), MARGIN + width - 40, y, {
+        width: 40,
+        align: 'right',
+        lineBreak: false,
+        goTo: entry.id,
+      });
+    y += TOC_LINE;
+  }
+}
+
+/**
+ * Numbers every page but the title page.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {PdfMeta} meta
+ */
+function writeFooters(doc, meta) {
+  const {start, count} = doc.bufferedPageRange();
+  for (let page = start + 1; page < start + count; page++) {
+    doc.switchToPage(page);
+    const {margins} = doc.page;
+    const bottom = margins.bottom;
+    // Below the bottom margin, where text would otherwise start a new page.
+    margins.bottom = 0;
+    const y = doc.page.height - MARGIN / 2 - 4;
+    const width = doc.page.width - MARGIN * 2;
+    doc
+      .font(FONTS.body)
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(toWinAnsi(`${meta.title} ${meta.version}`), MARGIN, y, {
+        width,
+        lineBreak: false,
+      })
+      .text(String(page + 1), MARGIN, y, {width, align: 'right', lineBreak: false});
+    margins.bottom = bottom;
+  }
+}
+
+/**
+ * @param {{type: 'root', children: any[]}} tree
+ * @param {PdfMeta} meta
+ * @param {string} file
+ * @returns {Promise<void>}
+ */
+export function writePdf(tree, meta, file) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGIN,
+    bufferPages: true,
+    displayTitle: true,
+    info: {Title: meta.title, Subject: meta.subtitle},
+  });
+  const done = new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(file);
+    stream.on('finish', resolve).on('error', reject);
+    doc.pipe(stream);
+  });
+
+  titlePage(doc, meta);
+  const entries = tree.children.filter((node) => node.data?.toc).length;
+  const tocPages = tocPageCount(doc, entries);
+  for (let i = 0; i < tocPages; i++) doc.addPage();
+
+  const typesetter = new Typesetter(doc);
+  doc.addPage();
+  tree.children.forEach((node) => typesetter.block(node));
+
+  writeToc(doc, typesetter.toc, 1);
+  writeFooters(doc, meta);
+  doc.end();
+  return /** @type {Promise<void>} */ (done);
+}
@@ -0,0 +1,298 @@
+// @ts-check
+/**
+ * Docusaurus plugin that publishes the glossary in `src/data/glossary.js` as
+ * the Glossary page, and reports terms the docs use without defining them.
+ *
+ * The page is written to `outFile`, inside the default docs instance, with
+ * one `## Term {#id}` entry per term in alphabetical order; the remark
+ * plugin in `remark.js` links the first mention of each term on a page to
+ * its entry, with the definition as a tooltip.
+ *
+ * The report covers the vocabulary of the API: the names of the fields of
+ * the `*Options` classes and of the enum values in `sourceDirs`, as words
+ * (`samplingDuration` → "sampling duration"). Names the docs use in prose,
+ * outside code, that are neither a term nor an alias are listed per page,
+ * with the line of their first use, as are links to `/glossary#id` anchors
+ * that don't exist. Like the dart-snippets plugin's `onUnknownApi`,
+ * `onUndefinedTerms` decides whether the report is logged, printed as a
+ * warning, or fails the build.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {writeIfChanged} from '../dart-api/index.js';
+import {escapeMdx} from '../dart-api/markdown.js';
+import {readLibraries} from '../dart-snippets/symbols.js';
+import {formatReport, listMarkdownFiles} from '../page-reports.js';
+import {
+  glossaryId,
+  humanize,
+  normalizeTerm,
+  phrasePattern,
+} from './terms.js';
+
+/** @typedef {import('./terms.js').GlossaryEntry} GlossaryEntry */
+
+/**
+ * @typedef {object} GlossaryPluginOptions
+ * @property {GlossaryEntry[]} entries
+ * @property {string} [source] The module `entries` come from, relative to
+ *   the site; watched, and named on the generated page.
+ * @property {string} [outFile] Where the page is written, relative to the site.
+ * @property {string} [routePath] Path the page is served at.
+ * @property {string[]} [sourceDirs] Directories of the API whose names are
+ *   expected in the glossary, relative to the site.
+ * @property {string[]} [docsDirs] Directories whose Markdown is checked,
+ *   relative to the site.
+ * @property {'ignore' | 'log' | 'warn' | 'throw'} [onUndefinedTerms]
+ */
+
+/**
+ * @typedef {object} TermProblem
+ * @property {number} line
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} PageReport
+ * @property {string} page Page path relative to the site.
+ * @property {TermProblem[]} problems
+ */
+
+const DEFAULT_OPTIONS = {
+  source: 'src/data/glossary.js',
+  outFile: 'docs/glossary.md',
+  routePath: '/glossary',
+  sourceDirs: ['../lib/src'],
+  docsDirs: ['docs'],
+  onUndefinedTerms: 'warn',
+};
+
+/**
+ * Callbacks and switches are documented with the strategy, not as terms.
+ */
+const IGNORED_FIELD = /^(?:on|should|use)[A-Z]/;
+
+/**
+ * Writes the Glossary page.
+ * @param {string} siteDir
+ * @param {Required<GlossaryPluginOptions>} options
+ */
+export function generateGlossary(siteDir, options) {
+  const entries = [...options.entries].sort((a, b) =>
+    a.term.localeCompare(b.term),
+  );
+  const content = [
+    '---',
+    'title: Glossary',
+    'description: Definitions of the resilience terms used in these docs.',
+    // The page defines the terms; linking them to itself would be noise.
+    'glossary: false',
+    '---',
+    '',
+    `{/* Generated from ${options.source} by the glossary plugin. Do not edit. */}`,
+    '',
+    '# Glossary',
+    '',
+    'The terms these docs use for resilience concepts. Throughout the docs, ' +
+      'the first mention of a term on a page links here; hover or focus it ' +
+      'to read the definition.',
+    '',
+    ...entries.flatMap((entry) => [
+      `## ${escapeMdx(entry.term)} {#${glossaryId(entry.term)}}`,
+      '',
+      escapeMdx(entry.definition),
+      '',
+      ...(entry.aliases?.length
+        ? [
+            `Also: ${entry.aliases
+              .map((alias) => `*${escapeMdx(alias)}*`)
+              .join(', ')}.`,
+            '',
+          ]
+        : []),
+      ...(entry.see
+        ? [`See [${escapeMdx(entry.see.label)}](${entry.see.to}).`, '']
+        : []),
+    ]),
+  ].join('\n');
+  writeIfChanged(path.resolve(siteDir, options.outFile), content);
+}
+
+/**
+ * Names of the `*Options` fields and enum values in the sources, as words.
+ * Single words (`delay`, `window`) are everyday English and left out.
+ * @param {string[]} sourceDirs Absolute paths.
+ * @returns {string[]}
+ */
+export function apiVocabulary(sourceDirs) {
+  const names = readLibraries(sourceDirs).flatMap((library) =>
+    library.declarations.flatMap((declaration) => {
+      if (declaration.isPrivate) return [];
+      if (declaration.kind === 'enum') {
+        return declaration.values.map((value) => value.name);
+      }
+      if (declaration.kind !== 'class') return [];
+      if (!declaration.name.endsWith('Options')) return [];
+      return declaration.members
+        .filter(
+          (member) =>
+            member.kind === 'field' &&
+            !member.isPrivate &&
+            !IGNORED_FIELD.test(member.name),
+        )
+        .map((member) => member.name);
+    }),
+  );
+  return [...new Set(names.map(humanize))]
+    .filter((phrase) => phrase.includes(' '))
+    .sort();
+}
+
+/**
+ * Blanks out everything but prose — front matter, code, JSX and HTML tags,
+ * imports and link targets — keeping line numbers.
+ * @param {string} markdown
+ */
+export function proseOf(markdown) {
+  const blank = (/** @type {string} */ text) => text.replace(/[^\n]/g, ' ');
+  let inFence = false;
+  return markdown
+    .replace(/^---\n[\s\S]*?\n---\n/, blank)
+    .split('\n')
+    .map((line) => {
+      const isFence = /^\s*(?:```|~~~)/.test(line);
+      if (isFence) inFence = !inFence;
+      return isFence || inFence ? '' : line;
+    })
+    .join('\n')
+    .replace(/`[^`\n]*`/g, blank)
+    .replace(/\{\/\*[\s\S]*?\*\/\}|<!--[\s\S]*?-->/g, blank)
+    .replace(/^(?:import|export) .*$/gm, blank)
+    .replace(/<\/?[A-Za-z][^>]*>/g, blank)
+    .replace(/\]\([^)]*\)/g, (target) => `]${blank(target.slice(1))}`);
+}
+
+/**
+ * @param {string} text
+ * @param {number} index
+ */
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Checks every page for API terms missing from the glossary, and for links
+ * to glossary entries that don't exist.
+ * @param {string} siteDir
+ * @param {Required<GlossaryPluginOptions>} options
+ * @returns {PageReport[]} Pages with at least one problem.
+ */
+export function checkGlossary(siteDir, options) {
+  const defined = new Set(
+    options.entries.flatMap((entry) =>
+      [entry.term, ...(entry.aliases ?? [])].map(normalizeTerm),
+    ),
+  );
+  const ids = new Set(options.entries.map((entry) => glossaryId(entry.term)));
+  const undefinedTerms = apiVocabulary(
+    options.sourceDirs.map((dir) => path.resolve(siteDir, dir)),
+  )
+    .filter((phrase) => !defined.has(normalizeTerm(phrase)))
+    .map((phrase) => ({phrase, pattern: phrasePattern([phrase], false)}));
+  const glossaryLink = new RegExp(
+    `\\]\\(${options.routePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` +
+      '(?:\\.mdx?)?#([^)\\s]+)\\)',
+    'g',
+  );
+  const outFile = path.resolve(siteDir, options.outFile);
+
+  return options.docsDirs
+    .flatMap((dir) => listMarkdownFiles(path.resolve(siteDir, dir)))
+    .filter((file) => file !== outFile)
+    .map((file) => {
+      const markdown = fs.readFileSync(file, 'utf8');
+      const prose = proseOf(markdown);
+      /** @type {TermProblem[]} */
+      const problems = [];
+      for (const {phrase, pattern} of undefinedTerms) {
+        const match = pattern.exec(prose);
+        if (!match) continue;
+        problems.push({
+          line: lineAt(prose, match.index),
+          message: `"${match[0]}" (${phrase}) is not in the glossary`,
+        });
+      }
+      for (const match of markdown.matchAll(glossaryLink)) {
+        if (ids.has(match[1])) continue;
+        problems.push({
+          line: lineAt(markdown, match.index ?? 0),
+          message: `${options.routePath}#${match[1]} is not a glossary entry`,
+        });
+      }
+      return {
+        page: path.relative(siteDir, file).split(path.sep).join('/'),
+        problems: problems.sort((a, b) => a.line - b.line),
+      };
+    })
+    .filter((report) => report.problems.length);
+}
+
+/**
+ * @param {PageReport[]} reports
+ */
+function formatGlossaryReport(reports) {
+  return formatReport(
+    reports,
+    (count) =>
+      `glossary: ${count} undefined term${
+        count === 1 ? '' : 's'
+      } or glossary link${count === 1 ? '' : 's'}:`,
+  );
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {GlossaryPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<PageReport[]>}
+ */
+export default function glossaryPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<GlossaryPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  // Like the changelog plugin: generate before the docs instance that serves
+  // the page loads its content.
+  generateGlossary(siteDir, options);
+
+  return {
+    name: 'docusaurus-plugin-glossary',
+
+    getPathsToWatch() {
+      return [
+        path.resolve(siteDir, options.source),
+        ...options.sourceDirs.map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.dart'),
+        ),
+        ...options.docsDirs.map((dir) =>
+          path.posix.join(path.resolve(siteDir, dir), '**/*.{md,mdx}'),
+        ),
+      ];
+    },
+
+    async loadContent() {
+      generateGlossary(siteDir, options);
+      const reports = checkGlossary(siteDir, options);
+      if (!reports.length || options.onUndefinedTerms === 'ignore') {
+        return reports;
+      }
+
+      const report = formatGlossaryReport(reports);
+      if (options.onUndefinedTerms === 'throw') throw new Error(report);
+      if (options.onUndefinedTerms === 'warn') console.warn(report);
+      else console.log(report);
+      return reports;
+    },
+  };
+}
@@ -0,0 +1,106 @@
+// @ts-check
+/**
+ * Remark plugin that links the first mention of each glossary term on a page
+ * to its entry on the Glossary page, as a `<GlossaryTerm>` that shows the
+ * definition in a tooltip on hover and focus.
+ *
+ * Only prose is annotated: text in headings, links, code and JSX elements is
+ * left alone. Pages opt out with `glossary: false` in their front matter, as
+ * the Glossary page itself does.
+ */
+
+import {firstMatch, termMatchers} from './terms.js';
+
+/** @typedef {import('./terms.js').GlossaryEntry} GlossaryEntry */
+/** @typedef {import('./terms.js').TermMatcher} TermMatcher */
+
+/**
+ * @typedef {object} GlossaryRemarkOptions
+ * @property {GlossaryEntry[]} entries
+ * @property {string} [routePath] Path the Glossary page is served at.
+ */
+
+const DEFAULT_OPTIONS = {
+  routePath: '/glossary',
+};
+
+/** Nodes whose text is not annotated. */
+const SKIPPED = new Set([
+  'heading',
+  'link',
+  'linkReference',
+  'mdxJsxTextElement',
+]);
+
+/**
+ * @param {string} name
+ * @param {string} value
+ */
+function attribute(name, value) {
+  return {type: 'mdxJsxAttribute', name, value};
+}
+
+/**
+ * @param {GlossaryRemarkOptions} userOptions
+ */
+export default function remarkGlossary(userOptions) {
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const matchers = termMatchers(options.entries);
+
+  /**
+   * @param {TermMatcher} matcher
+   * @param {string} text
+   */
+  const termNode = (matcher, text) => ({
+    type: 'mdxJsxTextElement',
+    name: 'GlossaryTerm',
+    attributes: [
+      attribute('term', matcher.entry.term),
+      attribute('definition', matcher.entry.definition),
+      attribute('href', `${options.routePath}#${matcher.id}`),
+    ],
+    children: [{type: 'text', value: text}],
+  });
+
+  /**
+   * @param {any} tree
+   * @param {any} file
+   */
+  return (tree, file) => {
+    if (file.data?.frontMatter?.glossary === false) return;
+    let unused = matchers;
+
+    /**
+     * Splits a text node around the terms it mentions first.
+     * @param {string} value
+     */
+    const annotate = (value) => {
+      const nodes = [];
+      let rest = value;
+      for (;;) {
+        const match = firstMatch(rest, unused);
+        if (!match) break;
+        unused = unused.filter((matcher) => matcher !== match.matcher);
+        if (match.index > 0) {
+          nodes.push({type: 'text', value: rest.slice(0, match.index)});
+        }
+        nodes.push(termNode(match.matcher, match.text));
+        rest = rest.slice(match.index + match.text.length);
+      }
+      if (rest) nodes.push({type: 'text', value: rest});
+      return nodes;
+    };
+
+    /** @param {any} node */
+    const visit = (node) => {
+      if (!Array.isArray(node.children) || SKIPPED.has(node.type)) return;
+      node.children = node.children.flatMap((/** @type {any} */ child) => {
+        if (!unused.length) return [child];
+        if (child.type === 'text') return annotate(child.value);
+        visit(child);
+        return [child];
+      });
+    };
+    visit(tree);
+  };
+}
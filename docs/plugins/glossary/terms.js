@@ -0,0 +1,116 @@
+// @ts-check
+/**
+ * Matching of glossary terms in prose, shared by the remark plugin that
+ * annotates them and the report of terms used but not defined.
+ */
+
+/**
+ * @typedef {object} GlossaryEntry
+ * @property {string} term
+ * @property {string[]} [aliases]
+ * @property {string} definition
+ * @property {{label: string, to: string}} [see]
+ * @property {boolean} [caseSensitive]
+ */
+
+/**
+ * @typedef {object} TermMatcher
+ * @property {GlossaryEntry} entry
+ * @property {string} id Anchor of the entry on the Glossary page.
+ * @property {RegExp} pattern Matches the term or an alias, as a whole word.
+ */
+
+/**
+ * Anchor of a term on the Glossary page: `Half-open` → `half-open`.
+ * @param {string} term
+ */
+export function glossaryId(term) {
+  return term
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Lower case, with hyphens as spaces and without a plural `s`, so that
+ * spellings of the same term compare equal.
+ * @param {string} phrase
+ */
+export function normalizeTerm(phrase) {
+  return phrase
+    .toLowerCase()
+    .split(/[\s-]+/)
+    .join(' ')
+    .replace(/(?:e?s)$/, '');
+}
+
+/**
+ * `maxRetryAttempts` → `max retry attempts`.
+ * @param {string} identifier
+ */
+export function humanize(identifier) {
+  return identifier
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase();
+}
+
+/**
+ * Pattern matching any of the phrases as whole words, longest first, with
+ * an optional plural and a hyphen or space between the words.
+ * @param {string[]} phrases
+ * @param {boolean} caseSensitive
+ * @param {string} [flags]
+ */
+export function phrasePattern(phrases, caseSensitive, flags = '') {
+  const alternatives = [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map((phrase) =>
+      phrase
+        .split(/[\s-]+/)
+        .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[\\s-]+'),
+    );
+  return new RegExp(
+    `\\b(?:${alternatives.join('|')})(?:e?s)?\\b`,
+    `${caseSensitive ? '' : 'i'}${flags}`,
+  );
+}
+
+/**
+ * @param {GlossaryEntry[]} entries
+ * @returns {TermMatcher[]}
+ */
+export function termMatchers(entries) {
+  return entries.map((entry) => ({
+    entry,
+    id: glossaryId(entry.term),
+    pattern: phrasePattern(
+      [entry.term, ...(entry.aliases ?? [])],
+      entry.caseSensitive ?? false,
+    ),
+  }));
+}
+
+/**
+ * The earliest match of any of the matchers in `text`; of matches starting
+ * at the same place, the longest.
+ * @param {string} text
+ * @param {TermMatcher[]} matchers
+ * @returns {{matcher: TermMatcher, index: number, text: string} | null}
+ */
+export function firstMatch(text, matchers) {
+  /** @type {{matcher: TermMatcher, index: number, text: string} | null} */
+  let best = null;
+  for (const matcher of matchers) {
+    const match = matcher.pattern.exec(text);
+    if (!match) continue;
+    if (
+      !best ||
+      match.index < best.index ||
+      (match.index === best.index && match[0].length > best.text.length)
+    ) {
+      best = {matcher, index: match.index, text: match[0]};
+    }
+  }
+  return best;
+}
@@ -0,0 +1,55 @@
+// @ts-check
+/**
+ * Helpers for the plugins that check the Markdown of the docs and report
+ * the problems they find per page, like dart-snippets and glossary.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {object} PageProblem
+ * @property {number} line
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} PageReport
+ * @property {string} page Page path relative to the site.
+ * @property {PageProblem[]} problems
+ */
+
+/**
+ * The Markdown and MDX files under `dir`, sorted.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+export function listMarkdownFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, {withFileTypes: true})
+    .flatMap((entry) => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listMarkdownFiles(full);
+      return /\.mdx?$/.test(entry.name) ? [full] : [];
+    })
+    .sort();
+}
+
+/**
+ * Lists the problems under each page, after a heading.
+ * @param {PageReport[]} reports
+ * @param {(count: number) => string} heading Given the number of problems.
+ */
+export function formatReport(reports, heading) {
+  const count = reports.reduce((sum, r) => sum + r.problems.length, 0);
+  return [
+    heading(count),
+    ...reports.flatMap((report) => [
+      `- ${report.page}`,
+      ...report.problems.map(
+        (problem) => `  - line ${problem.line}: ${problem.message}`,
+      ),
+    ]),
+  ].join('\n');
+}
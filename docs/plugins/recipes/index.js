@@ -0,0 +1,272 @@
+// @ts-check
+/**
+ * Docusaurus plugin that gathers the recipes of the docs for the filterable
+ * `<RecipeGallery />` on the Recipes page.
+ *
+ * A recipe is a section of a page that solves one concrete problem, listed
+ * in the page's front matter:
+ *
+ *     recipes:
+ *       - title: Batch requests
+ *         section: batching-strategy
+ *         summary: Accumulate calls and send them as one request.
+ *         strategies: [custom]
+ *         extension: polly_dart_dio  # optional
+ *         platforms: [server]
+ *         difficulty: advanced
+ *
+ * `section` is the id of the heading the recipe starts at; the gallery's
+ * card links to it. Every docs instance is searched, in its latest version.
+ * The build fails on an unknown strategy, extension, platform or difficulty,
+ * or on a section the page doesn't have. The prose and the class names of
+ * each section are published with it for the gallery's text filter.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {createSlugger} from '@docusaurus/utils';
+
+import {proseOf} from '../glossary/index.js';
+
+/**
+ * @typedef {object} Facet
+ * @property {string} id As written in front matter.
+ * @property {string} label
+ * @property {string} [badge] Infima badge color, for difficulties.
+ */
+
+/**
+ * @typedef {object} RecipesPluginOptions
+ * @property {Facet[]} [strategies]
+ * @property {Facet[]} [extensions] Packages a recipe can depend on.
+ * @property {Facet[]} [platforms]
+ * @property {Facet[]} [difficulties] Easiest first.
+ */
+
+/**
+ * @typedef {object} Recipe
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} href Of the section.
+ * @property {string} page Title of the page the section is on.
+ * @property {string[]} strategies
+ * @property {string | null} extension
+ * @property {string[]} platforms
+ * @property {string} difficulty
+ * @property {string} text Prose and class names of the section, for search.
+ */
+
+/**
+ * @typedef {object} RecipesContent
+ * @property {Recipe[]} recipes Easiest first, then by title.
+ * @property {Required<RecipesPluginOptions>} facets
+ */
+
+const DEFAULT_OPTIONS = {
+  strategies: [],
+  extensions: [],
+  platforms: [
+    {id: 'flutter', label: 'Flutter'},
+    {id: 'server', label: 'Server'},
+  ],
+  difficulties: [
+    {id: 'beginner', label: 'Beginner', badge: 'success'},
+    {id: 'intermediate', label: 'Intermediate', badge: 'info'},
+    {id: 'advanced', label: 'Advanced', badge: 'warning'},
+  ],
+};
+
+/**
+ * @typedef {object} Section
+ * @property {string} id
+ * @property {string} markdown From its heading to the next heading of the
+ *   same or a higher level.
+ */
+
+/**
+ * The sections of a Markdown page by heading id, with the ids Docusaurus
+ * gives them: the explicit `{#id}`, or the slug of the heading's text.
+ * @param {string} markdown
+ * @returns {Map<string, Section>}
+ */
+export function sectionsOf(markdown) {
+  const slugger = createSlugger();
+  const lines = markdown.split('\n');
+  /** @type {{id: string, level: number, line: number}[]} */
+  const headings = [];
+  let inFence = false;
+  lines.forEach((line, index) => {
+    if (/^\s*(?:```|~~~)/.test(line)) inFence = !inFence;
+    const match = !inFence && /^(#{1,6})\s+(.*?)\s*$/.exec(line);
+    if (!match) return;
+    const explicit = /\s*\{#([^}]+)\}$/.exec(match[2]);
+    const text = match[2]
+      .replace(/\s*\{#[^}]+\}$/, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<\/?[A-Za-z][^>]*>/g, '')
+      .replace(/\*\*|`/g, '');
+    headings.push({
+      id: explicit ? explicit[1] : slugger.slug(text),
+      level: match[1].length,
+      line: index,
+    });
+  });
+
+  return new Map(
+    headings.map((heading, index) => {
+      const end = headings
+        .slice(index + 1)
+        .find((next) => next.level <= heading.level);
+      const markdown = lines.slice(heading.line, end?.line).join('\n');
+      return [heading.id, {id: heading.id, markdown}];
+    }),
+  );
+}
+
+/**
+ * What the gallery's text filter searches in a section: its prose, and the
+ * names of the classes its code declares.
+ * @param {string} markdown
+ */
+function searchableText(markdown) {
+  const classes = [
+    ...markdown.matchAll(/\b(?:class|enum|mixin|extension)\s+([A-Z]\w*)/g),
+  ].map((match) => match[1]);
+  return [proseOf(markdown), ...new Set(classes)]
+    .join(' ')
+    .replace(/[#*_>|[\]]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * @param {string} source Page path, for error messages.
+ * @param {string} field
+ * @param {unknown} value
+ * @param {Facet[]} facets
+ * @returns {string}
+ */
+function checkFacet(source, field, value, facets) {
+  if (!facets.some((facet) => facet.id === value)) {
+    const ids = facets.map((facet) => facet.id).join(', ');
+    throw new Error(
+      `recipes: ${source} has a recipe with ${field} "${value}"; ` +
+        `use one of ${ids}.`,
+    );
+  }
+  return /** @type {string} */ (value);
+}
+
+/**
+ * @param {string} source
+ * @param {string} field
+ * @param {unknown} value
+ * @returns {unknown[]}
+ */
+function checkList(source, field, value) {
+  if (!Array.isArray(value) || !value.length) {
+    throw new Error(
+      `recipes: ${source} has a recipe without ${field}; list at least one.`,
+    );
+  }
+  return value;
+}
+
+/**
+ * The recipes listed in the front matter of the docs in `allContent`.
+ * @param {any} allContent
+ * @param {string} siteDir
+ * @param {Required<RecipesPluginOptions>} options
+ * @returns {Recipe[]}
+ */
+export function collectRecipes(allContent, siteDir, options) {
+  /** @type {Recipe[]} */
+  const recipes = [];
+  const docsInstances = allContent['docusaurus-plugin-content-docs'] ?? {};
+  for (const content of Object.values(docsInstances)) {
+    const version = content.loadedVersions.find(
+      (/** @type {any} */ v) => v.isLast,
+    );
+    for (const doc of version?.docs ?? []) {
+      const list = doc.frontMatter.recipes;
+      if (!list) continue;
+      const source = doc.source.replace(/^@site\//, '');
+      /** @type {Map<string, Section> | undefined} */
+      let sections;
+      for (const recipe of checkList(source, 'recipes', list)) {
+        const {title, section, summary} = /** @type {any} */ (recipe);
+        if (!title || !section || !summary) {
+          throw new Error(
+            `recipes: every recipe of ${source} needs a title, a section ` +
+              'and a summary.',
+          );
+        }
+        sections ??= sectionsOf(
+          fs.readFileSync(path.join(siteDir, source), 'utf8'),
+        );
+        const found = sections.get(section);
+        if (!found) {
+          throw new Error(
+            `recipes: ${source} has no section "#${section}" for the ` +
+              `recipe "${title}".`,
+          );
+        }
+        const {strategies, extension, platforms, difficulty} =
+          /** @type {any} */ (recipe);
+        recipes.push({
+          title,
+          summary,
+          href: `${doc.permalink}#${section}`,
+          page: doc.title,
+          strategies: checkList(source, 'strategies', strategies).map((id) =>
+            checkFacet(source, 'strategy', id, options.strategies),
+          ),
+          extension:
+            extension == null
+              ? null
+              : checkFacet(source, 'extension', extension, options.extensions),
+          platforms: checkList(source, 'platforms', platforms).map((id) =>
+            checkFacet(source, 'platform', id, options.platforms),
+          ),
+          difficulty: checkFacet(
+            source,
+            'difficulty',
+            difficulty,
+            options.difficulties,
+          ),
+          text: searchableText(found.markdown),
+        });
+      }
+    }
+  }
+
+  const rank = (/** @type {Recipe} */ recipe) =>
+    options.difficulties.findIndex((facet) => facet.id === recipe.difficulty);
+  return recipes.sort(
+    (a, b) => rank(a) - rank(b) || a.title.localeCompare(b.title),
+  );
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {RecipesPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<void>}
+ */
+export default function recipesPlugin(context, userOptions) {
+  const {siteDir} = context;
+  /** @type {Required<RecipesPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+
+  return {
+    name: 'docusaurus-plugin-recipes',
+
+    async allContentLoaded({allContent, actions}) {
+      /** @type {RecipesContent} */
+      const content = {
+        recipes: collectRecipes(allContent, siteDir, options),
+        facets: options,
+      };
+      actions.setGlobalData(content);
+    },
+  };
+}
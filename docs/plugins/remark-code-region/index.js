@@ -0,0 +1,167 @@
+// @ts-check
+/**
+ * Remark plugin that fills code blocks from named regions of files in the
+ * repository, so snippets in the docs are the code that is compiled and
+ * tested rather than copies of it.
+ *
+ * A code block whose meta names a file and a region is replaced by that
+ * region:
+ *
+ *     ```dart file=example/polly_dart_example.dart#cache-with-retry
+ *     ```
+ *
+ * Regions are delimited by `// #region <name>` and `// #endregion` lines.
+ * The markers of nested regions are dropped, the snippet is dedented, the
+ * file path becomes the block title, and a link to the lines on GitHub is
+ * added below the block. A missing file or region fails the build.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * @typedef {object} CodeRegionOptions
+ * @property {string} [repoDir] Repository root that `file=` paths are relative to.
+ * @property {string[]} [roots] Top-level directories snippets may come from.
+ * @property {string} [sourceUrl] URL prefix for links to the files.
+ */
+
+/**
+ * @typedef {object} CodeRegion
+ * @property {string} code Dedented region body.
+ * @property {number} startLine First line of the body, 1-based.
+ * @property {number} endLine Last line of the body, 1-based.
+ */
+
+const DEFAULT_OPTIONS = {
+  repoDir: path.resolve(process.cwd(), '..'),
+  roots: ['example', 'test', 'extensions'],
+  sourceUrl: 'https://github.com/flutterninja9/polly_dart/blob/main/',
+};
+
+const FILE_META = /(?:^|\s)file=(\S+?)#([\w-]+)(?=\s|$)/;
+const REGION_START = /^\s*\/\/\s*#region\s+([\w-]+)\s*$/;
+const REGION_END = /^\s*\/\/\s*#endregion\b/;
+
+/**
+ * Removes the common leading whitespace of the non-blank lines.
+ * @param {string[]} lines
+ */
+function dedent(lines) {
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => /^[ \t]*/.exec(line)?.[0].length ?? 0);
+  const indent = indents.length ? Math.min(...indents) : 0;
+  return lines.map((line) => line.slice(Math.min(indent, line.length)));
+}
+
+/**
+ * Finds a region in the given source. Returns null when the source has no
+ * region of that name.
+ * @param {string} source
+ * @param {string} name
+ * @returns {CodeRegion | null}
+ */
+export function extractRegion(source, name) {
+  const lines = source.split(/\r?\n/);
+  const start = lines.findIndex((line) => REGION_START.exec(line)?.[1] === name);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let end = start + 1;
+  for (; end < lines.length; end++) {
+    if (REGION_START.test(lines[end])) depth++;
+    else if (REGION_END.test(lines[end]) && depth-- === 0) break;
+  }
+  if (end === lines.length) {
+    throw new Error(`region "${name}" has no matching // #endregion`);
+  }
+
+  const body = lines
+    .slice(start + 1, end)
+    .filter((line) => !REGION_START.test(line) && !REGION_END.test(line));
+  while (body.length && !body[0].trim()) body.shift();
+  while (body.length && !body[body.length - 1].trim()) body.pop();
+  return {
+    code: dedent(body).join('\n'),
+    startLine: start + 2,
+    endLine: end,
+  };
+}
+
+/**
+ * @param {any} node
+ * @param {(node: any, index: number, parent: any) => void} visitor
+ */
+function visitCode(node, visitor) {
+  if (!Array.isArray(node.children)) return;
+  // Iterate backwards so the visitor can insert siblings after a node.
+  for (let index = node.children.length - 1; index >= 0; index--) {
+    const child = node.children[index];
+    if (child.type === 'code') visitor(child, index, node);
+    else visitCode(child, visitor);
+  }
+}
+
+/**
+ * @param {CodeRegionOptions} [userOptions]
+ */
+export default function remarkCodeRegion(userOptions = {}) {
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const repoDir = path.resolve(options.repoDir);
+
+  /**
+   * @param {any} tree
+   * @param {import('vfile').VFile} vfile
+   */
+  return (tree, vfile) => {
+    const page = vfile.path ? path.relative(process.cwd(), vfile.path) : 'page';
+
+    visitCode(tree, (node, index, parent) => {
+      const match = FILE_META.exec(node.meta ?? '');
+      if (!match) return;
+      const [, file, name] = match;
+      const fail = (/** @type {string} */ reason) => {
+        const line = node.position?.start.line;
+        throw new Error(
+          `code-region: ${page}${line ? `:${line}` : ''}: ${file}#${name}: ${reason}`,
+        );
+      };
+
+      const normalized = path.posix.normalize(file);
+      if (!options.roots.includes(normalized.split('/')[0])) {
+        fail(`only files under ${options.roots.join(', ')} can be included`);
+      }
+      const absolute = path.join(repoDir, normalized);
+      if (!fs.existsSync(absolute)) fail('file not found');
+
+      let region;
+      try {
+        region = extractRegion(fs.readFileSync(absolute, 'utf8'), name);
+      } catch (error) {
+        fail(/** @type {Error} */ (error).message);
+      }
+      if (!region) fail(`no "// #region ${name}" in the file`);
+      region = /** @type {CodeRegion} */ (region);
+
+      node.value = region.code;
+      node.meta = [
+        node.meta.replace(FILE_META, '').trim(),
+        /\btitle=/.test(node.meta) ? '' : `title="${normalized}"`,
+      ]
+        .filter(Boolean)
+        .join(' ');
+
+      parent.children.splice(index + 1, 0, {
+        type: 'paragraph',
+        children: [
+          {
+            type: 'link',
+            url: `${options.sourceUrl}${normalized}#L${region.startLine}-L${region.endLine}`,
+            children: [{type: 'text', value: 'View on GitHub'}],
+          },
+        ],
+      });
+    });
+  };
+}
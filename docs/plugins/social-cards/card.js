@@ -0,0 +1,132 @@
+// @ts-check
+/**
+ * Layout of a social card: the site's logo and name at the top, the section
+ * and the page title in the middle, and the package version and the site's
+ * host at the bottom, on a gradient of the site's primary colors.
+ */
+
+import {createGradient, drawImage, fillRect, parseColor} from './raster.js';
+import {drawText, measureText, printable, wrapText} from './text.js';
+
+/** @typedef {import('../web-manifest/png.js').Image} Image */
+/** @typedef {import('./text.js').Font} Font */
+
+/**
+ * @typedef {object} CardContent
+ * @property {string} title
+ * @property {string} section E.g. `Strategies`; empty for none.
+ * @property {string} version E.g. `polly_dart 1.2.0`.
+ */
+
+/**
+ * @typedef {object} CardStyle
+ * @property {string} siteName
+ * @property {string} host
+ * @property {Image} logo Already resized to `LOGO_SIZE`.
+ * @property {{regular: Font, bold: Font}} fonts
+ * @property {{from: string, to: string, accent: string}} colors
+ */
+
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+export const LOGO_SIZE = 88;
+
+const PADDING = 80;
+const TITLE_SIZES = [76, 64, 54];
+const MAX_TITLE_LINES = 3;
+const WHITE = parseColor('#ffffff');
+const MUTED = parseColor('#cfe8da');
+
+/**
+ * The largest title size at which the title fits in `MAX_TITLE_LINES`, and
+ * its lines; at the smallest size, the last line is cut short with `…`.
+ * @param {Font} font
+ * @param {string} title
+ * @param {number} width
+ */
+function fitTitle(font, title, width) {
+  for (const size of TITLE_SIZES) {
+    const lines = wrapText(font, title, size, width);
+    if (lines.length <= MAX_TITLE_LINES) return {size, lines};
+  }
+  const size = TITLE_SIZES[TITLE_SIZES.length - 1];
+  const lines = wrapText(font, title, size, width).slice(0, MAX_TITLE_LINES);
+  let last = lines[MAX_TITLE_LINES - 1];
+  while (last.includes(' ') && measureText(font, `${last}…`, size) > width) {
+    last = last.slice(0, last.lastIndexOf(' '));
+  }
+  lines[MAX_TITLE_LINES - 1] = `${last}…`;
+  return {size, lines};
+}
+
+/**
+ * @param {CardContent} content
+ * @param {CardStyle} style
+ * @returns {Image}
+ */
+export function renderCard(content, style) {
+  const {regular, bold} = style.fonts;
+  const accent = parseColor(style.colors.accent);
+  const card = createGradient(
+    CARD_WIDTH,
+    CARD_HEIGHT,
+    parseColor(style.colors.from),
+    parseColor(style.colors.to),
+  );
+  const width = CARD_WIDTH - PADDING * 2;
+
+  // Branding.
+  drawImage(card, style.logo, PADDING, 64);
+  drawText(card, bold, style.siteName, {
+    x: PADDING + LOGO_SIZE + 24,
+    y: 64 + LOGO_SIZE / 2 + 14,
+    size: 40,
+    color: WHITE,
+  });
+
+  // Section and title, centered between the branding and the footer.
+  const {size, lines} = fitTitle(bold, printable(bold, content.title), width);
+  const section = printable(bold, content.section).toUpperCase();
+  const lineHeight = Math.round(size * 1.15);
+  const sectionHeight = section ? 52 : 0;
+  let y =
+    Math.round((CARD_HEIGHT - sectionHeight - lines.length * lineHeight) / 2) +
+    24;
+  if (section) {
+    fillRect(card, PADDING, y - 4, 48, 6, accent);
+    drawText(card, bold, section, {
+      x: PADDING + 64,
+      y: y + 6,
+      size: 26,
+      color: accent,
+    });
+    y += sectionHeight;
+  }
+  for (const line of lines) {
+    y += lineHeight;
+    drawText(card, bold, line, {
+      x: PADDING,
+      y: y - lineHeight * 0.22,
+      size,
+      color: WHITE,
+    });
+  }
+
+  // Footer.
+  const footerY = CARD_HEIGHT - 64;
+  drawText(card, regular, printable(regular, content.version), {
+    x: PADDING,
+    y: footerY,
+    size: 28,
+    color: MUTED,
+  });
+  const host = printable(regular, style.host);
+  drawText(card, regular, host, {
+    x: CARD_WIDTH - PADDING - measureText(regular, host, 28),
+    y: footerY,
+    size: 28,
+    color: MUTED,
+  });
+  fillRect(card, 0, CARD_HEIGHT - 12, CARD_WIDTH, 12, accent);
+  return card;
+}
@@ -0,0 +1,257 @@
+// @ts-check
+/**
+ * Docusaurus plugin that renders a social card (the `og:image` shown when a
+ * link is shared) for every doc and blog post: the page title, its section,
+ * the version of the package it documents and the site's branding. Pages
+ * whose front matter sets an `image` keep it.
+ *
+ * The cards are PNGs drawn in plain JavaScript (see card.js), so the build
+ * needs no browser or native image library. They are written to `outDir` in
+ * the build, with `default.png` for the pages without one of their own; the
+ * card of each page is published as global data, which the DocItem and
+ * BlogPostPage metadata wrappers in src/theme put in the page's meta tags.
+ * Rendered cards are cached in `cacheDir` between builds.
+ *
+ * The section of a doc is the top-level sidebar category it is in, renamed
+ * by `sectionLabels`, or the `instanceSections` entry of its docs plugin.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import {DOCS_PACKAGES, readPubspec} from '../../scripts/pubspec.mjs';
+import {decodePng, encodePng, resize} from '../web-manifest/png.js';
+import {LOGO_SIZE, renderCard} from './card.js';
+import {loadFont} from './text.js';
+
+/** @typedef {import('./card.js').CardContent} CardContent */
+
+/**
+ * @typedef {object} SocialCardsPluginOptions
+ * @property {string} [outDir] Where the cards go, relative to the build.
+ * @property {string} [cacheDir] Relative to the site.
+ * @property {string} [logo] PNG, relative to the site.
+ * @property {string} [regularFont] Relative to the site.
+ * @property {string} [boldFont] Relative to the site.
+ * @property {{from: string, to: string, accent: string}} [colors]
+ *   Background gradient, and the color of the section and the rules.
+ * @property {Record<string, string>} [sectionLabels] Shorter names of
+ *   sidebar categories.
+ * @property {Record<string, string>} [instanceSections] Section of every
+ *   doc of a docs plugin instance, by plugin id.
+ */
+
+/**
+ * @typedef {object} SocialCard
+ * @property {string} permalink
+ * @property {string} file Relative to `outDir`.
+ * @property {CardContent} content
+ */
+
+const DEFAULT_OPTIONS = {
+  outDir: 'img/social',
+  cacheDir: 'node_modules/.cache/social-cards',
+  logo: 'static/img/logo.png',
+  regularFont: 'node_modules/@fontsource/inter/files/inter-latin-400-normal.woff',
+  boldFont: 'node_modules/@fontsource/inter/files/inter-latin-700-normal.woff',
+  colors: {from: '#205d3b', to: '#0f2a1b', accent: '#3cd38a'},
+  sectionLabels: {},
+  instanceSections: {},
+};
+
+/** Section of the pages outside any sidebar category. */
+const DEFAULT_SECTION = 'Docs';
+
+/**
+ * `/strategies/retry` → `strategies/retry.png`; `/` → `index.png`.
+ * @param {string} permalink
+ */
+function cardFile(permalink) {
+  const name = permalink.replace(/^\/+|\/+$/g, '');
+  return `${name || 'index'}.png`;
+}
+
+/**
+ * Top-level sidebar category of each doc, by doc id.
+ * @param {Record<string, any[]>} sidebars Processed sidebars.
+ * @returns {Map<string, string>}
+ */
+function categoriesOf(sidebars) {
+  /** @type {Map<string, string>} */
+  const categories = new Map();
+  /**
+   * @param {any[]} items
+   * @param {string} label
+   */
+  const visit = (items, label) => {
+    for (const item of items) {
+      if (item.type === 'doc' || item.type === 'ref') {
+        categories.set(item.id, label);
+      } else if (item.type === 'category') {
+        if (item.link?.type === 'doc') categories.set(item.link.id, label);
+        visit(item.items, label);
+      }
+    }
+  };
+  for (const sidebar of Object.values(sidebars)) {
+    for (const item of sidebar) {
+      if (item.type === 'category') visit([item], item.label);
+    }
+  }
+  return categories;
+}
+
+/**
+ * The cards of the docs and blog posts in `allContent`.
+ * @param {any} allContent
+ * @param {string} siteDir
+ * @param {Required<SocialCardsPluginOptions>} options
+ * @returns {SocialCard[]}
+ */
+export function collectCards(allContent, siteDir, options) {
+  /** @type {Record<string, {name: string, version: string}>} */
+  const packages = {};
+  const packageOf = (/** @type {string} */ id) => {
+    const pubspec = DOCS_PACKAGES[id] ?? DOCS_PACKAGES.default;
+    packages[pubspec] ??= readPubspec(path.join(siteDir, '..', pubspec));
+    return packages[pubspec];
+  };
+
+  /** @type {SocialCard[]} */
+  const cards = [];
+  const docsInstances = allContent['docusaurus-plugin-content-docs'] ?? {};
+  for (const [id, content] of Object.entries(docsInstances)) {
+    for (const version of content.loadedVersions) {
+      const categories = categoriesOf(version.sidebars);
+      const pubspec = packageOf(id);
+      // Snapshots are named after the release they document.
+      const packageVersion =
+        version.versionName === 'current'
+          ? pubspec.version
+          : version.versionName;
+      for (const doc of version.docs) {
+        if (doc.frontMatter.image) continue;
+        const category = categories.get(doc.id);
+        cards.push({
+          permalink: doc.permalink,
+          file: cardFile(doc.permalink),
+          content: {
+            title: doc.title,
+            section:
+              options.instanceSections[id] ??
+              (category
+                ? (options.sectionLabels[category] ?? category)
+                : DEFAULT_SECTION),
+            version: `${pubspec.name} ${packageVersion}`,
+          },
+        });
+      }
+    }
+  }
+
+  const blogInstances = allContent['docusaurus-plugin-content-blog'] ?? {};
+  const core = packageOf('default');
+  for (const content of Object.values(blogInstances)) {
+    for (const {metadata} of content.blogPosts) {
+      if (metadata.frontMatter.image) continue;
+      cards.push({
+        permalink: metadata.permalink,
+        file: cardFile(metadata.permalink),
+        content: {
+          title: metadata.title,
+          section: 'Blog',
+          version: `${core.name} ${core.version}`,
+        },
+      });
+    }
+  }
+  return cards;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {SocialCardsPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<void>}
+ */
+export default function socialCardsPlugin(context, userOptions) {
+  /** @type {Required<SocialCardsPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const {siteDir, siteConfig} = context;
+  const resolve = (/** @type {string} */ file) => path.resolve(siteDir, file);
+
+  /** @type {SocialCard[]} */
+  let cards = [];
+
+  return {
+    name: 'docusaurus-plugin-social-cards',
+
+    async allContentLoaded({allContent, actions}) {
+      cards = collectCards(allContent, siteDir, options);
+      actions.setGlobalData({
+        /** Each page's card, by permalink, like `themeConfig.image`. */
+        cards: Object.fromEntries(
+          cards.map(({permalink, file}) => [
+            permalink,
+            `${options.outDir}/${file}`,
+          ]),
+        ),
+      });
+    },
+
+    async postBuild({outDir}) {
+      const logo = resize(
+        decodePng(fs.readFileSync(resolve(options.logo)), options.logo),
+        LOGO_SIZE,
+        LOGO_SIZE,
+      );
+      const style = {
+        siteName: siteConfig.title,
+        host: new URL(siteConfig.url).host,
+        logo,
+        fonts: {
+          regular: loadFont(resolve(options.regularFont)),
+          bold: loadFont(resolve(options.boldFont)),
+        },
+        colors: options.colors,
+      };
+      // A card changes with its content and with anything that styles it.
+      const styleKey = JSON.stringify([
+        style.siteName,
+        style.host,
+        options.colors,
+        ...[options.logo, options.regularFont, options.boldFont].map(
+          (file) => fs.statSync(resolve(file)).mtimeMs,
+        ),
+      ]);
+
+      const cacheDir = resolve(options.cacheDir);
+      fs.mkdirSync(cacheDir, {recursive: true});
+      const core = readPubspec(path.join(siteDir, '..', DOCS_PACKAGES.default));
+      /** @type {SocialCard} */
+      const fallback = {
+        permalink: '',
+        file: 'default.png',
+        content: {
+          title: siteConfig.tagline,
+          section: '',
+          version: `${core.name} ${core.version}`,
+        },
+      };
+      for (const card of [...cards, fallback]) {
+        const key = crypto
+          .createHash('sha1')
+          .update(styleKey)
+          .update(JSON.stringify(card.content))
+          .digest('hex');
+        const cached = path.join(cacheDir, `${key}.png`);
+        if (!fs.existsSync(cached)) {
+          fs.writeFileSync(cached, encodePng(renderCard(card.content, style)));
+        }
+        const file = path.join(outDir, options.outDir, card.file);
+        fs.mkdirSync(path.dirname(file), {recursive: true});
+        fs.copyFileSync(cached, file);
+      }
+    },
+  };
+}
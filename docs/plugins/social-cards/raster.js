@@ -0,0 +1,211 @@
+// @ts-check
+/**
+ * Just enough drawing to render social cards without a canvas library:
+ * gradients, rectangles, images, and filled outlines such as glyphs, on
+ * the RGBA images of ../web-manifest/png.js. Outlines are scan-converted
+ * with the nonzero rule and antialiased by sampling each pixel row at
+ * several heights and each span at its exact horizontal extent.
+ */
+
+/** @typedef {import('../web-manifest/png.js').Image} Image */
+/** @typedef {[number, number, number]} Color */
+/** @typedef {[number, number][]} Contour Closed polygon, in pixels. */
+
+/** Sub-scanlines per pixel row. */
+const SAMPLES = 4;
+
+/**
+ * `#2e8555` → `[46, 133, 85]`.
+ * @param {string} hex
+ * @returns {Color}
+ */
+export function parseColor(hex) {
+  const value = parseInt(hex.replace(/^#/, ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Blends `color` over the pixel at `index` with `alpha` in 0..1.
+ * @param {Uint8Array} pixels
+ * @param {number} index Of the pixel's first byte.
+ * @param {Color} color
+ * @param {number} alpha
+ */
+function blend(pixels, index, color, alpha) {
+  for (let c = 0; c < 3; c++) {
+    pixels[index + c] = Math.round(
+      color[c] * alpha + pixels[index + c] * (1 - alpha),
+    );
+  }
+  pixels[index + 3] = 255;
+}
+
+/**
+ * An opaque image shaded diagonally from `from` at the top left to `to` at
+ * the bottom right.
+ * @param {number} width
+ * @param {number} height
+ * @param {Color} from
+ * @param {Color} to
+ * @returns {Image}
+ */
+export function createGradient(width, height, from, to) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const t = (x / width + y / height) / 2;
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        pixels[i + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+      }
+      pixels[i + 3] = 255;
+    }
+  }
+  return {width, height, pixels};
+}
+
+/**
+ * @param {Image} image
+ * @param {number} left
+ * @param {number} top
+ * @param {number} width
+ * @param {number} height
+ * @param {Color} color
+ */
+export function fillRect(image, left, top, width, height, color) {
+  const x0 = Math.max(0, Math.round(left));
+  const x1 = Math.min(image.width, Math.round(left + width));
+  const y0 = Math.max(0, Math.round(top));
+  const y1 = Math.min(image.height, Math.round(top + height));
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      blend(image.pixels, (y * image.width + x) * 4, color, 1);
+    }
+  }
+}
+
+/**
+ * Draws `source` onto `target` with its top left corner at `left`, `top`,
+ * honoring the source's transparency.
+ * @param {Image} target
+ * @param {Image} source
+ * @param {number} left
+ * @param {number} top
+ */
+export function drawImage(target, source, left, top) {
+  for (let y = 0; y < source.height; y++) {
+    const ty = top + y;
+    if (ty < 0 || ty >= target.height) continue;
+    for (let x = 0; x < source.width; x++) {
+      const tx = left + x;
+      if (tx < 0 || tx >= target.width) continue;
+      const from = (y * source.width + x) * 4;
+      const alpha = source.pixels[from + 3] / 255;
+      if (!alpha) continue;
+      blend(
+        target.pixels,
+        (ty * target.width + tx) * 4,
+        [source.pixels[from], source.pixels[from + 1], source.pixels[from + 2]],
+        alpha,
+      );
+    }
+  }
+}
+
+/**
+ * Adds `weight` of coverage to the pixels under the span from `x0` to `x1`,
+ * with partial coverage at its ends.
+ * @param {Float32Array} coverage
+ * @param {number} x0
+ * @param {number} x1
+ * @param {number} weight
+ */
+function addSpan(coverage, x0, x1, weight) {
+  const start = Math.max(0, x0);
+  const end = Math.min(coverage.length, x1);
+  if (end <= start) return;
+  const first = Math.floor(start);
+  const last = Math.floor(end);
+  if (first === last) {
+    coverage[first] += (end - start) * weight;
+    return;
+  }
+  coverage[first] += (first + 1 - start) * weight;
+  for (let x = first + 1; x < last; x++) coverage[x] += weight;
+  if (last < coverage.length) coverage[last] += (end - last) * weight;
+}
+
+/**
+ * Fills the area enclosed by `contours` under the nonzero winding rule.
+ * @param {Image} image
+ * @param {Contour[]} contours
+ * @param {Color} color
+ */
+export function fillContours(image, contours, color) {
+  /** @type {{x0: number, y0: number, x1: number, y1: number, dir: number}[]} */
+  const edges = [];
+  let top = Infinity;
+  let bottom = -Infinity;
+  for (const contour of contours) {
+    contour.forEach(([x0, y0], index) => {
+      const [x1, y1] = contour[(index + 1) % contour.length];
+      if (y0 === y1) return;
+      edges.push(
+        y0 < y1
+          ? {x0, y0, x1, y1, dir: 1}
+          : {x0: x1, y0: y1, x1: x0, y1: y0, dir: -1},
+      );
+      top = Math.min(top, y0, y1);
+      bottom = Math.max(bottom, y0, y1);
+    });
+  }
+  if (!edges.length) return;
+  edges.sort((a, b) => a.y0 - b.y0);
+
+  const coverage = new Float32Array(image.width);
+  /** @type {{x: number, dir: number}[]} */
+  const crossings = [];
+  const firstRow = Math.max(0, Math.floor(top));
+  const lastRow = Math.min(image.height - 1, Math.ceil(bottom));
+  for (let y = firstRow; y <= lastRow; y++) {
+    coverage.fill(0);
+    let touched = false;
+    for (let sample = 0; sample < SAMPLES; sample++) {
+      const sy = y + (sample + 0.5) / SAMPLES;
+      crossings.length = 0;
+      for (const edge of edges) {
+        if (edge.y0 > sy) break;
+        if (edge.y1 <= sy) continue;
+        const t = (sy - edge.y0) / (edge.y1 - edge.y0);
+        crossings.push({x: edge.x0 + (edge.x1 - edge.x0) * t, dir: edge.dir});
+      }
+      crossings.sort((a, b) => a.x - b.x);
+      let winding = 0;
+      for (let i = 0; i < crossings.length; i++) {
+        const before = winding;
+        winding += crossings[i].dir;
+        if (before === 0 && winding !== 0) {
+          // Find where the winding returns to zero.
+          let j = i + 1;
+          let w = winding;
+          for (; j < crossings.length; j++) {
+            w += crossings[j].dir;
+            if (w === 0) break;
+          }
+          const end = crossings[Math.min(j, crossings.length - 1)].x;
+          addSpan(coverage, crossings[i].x, end, 1 / SAMPLES);
+          touched = true;
+          winding = 0;
+          i = j;
+        }
+      }
+    }
+    if (!touched) continue;
+    for (let x = 0; x < image.width; x++) {
+      if (coverage[x] > 0) {
+        const index = (y * image.width + x) * 4;
+        blend(image.pixels, index, color, Math.min(1, coverage[x]));
+      }
+    }
+  }
+}
@@ -0,0 +1,169 @@
+// @ts-check
+/**
+ * Text for the social cards: glyph outlines from a font file, laid out with
+ * its kerning by fontkit and filled with ./raster.js.
+ */
+
+import * as fontkit from 'fontkit';
+
+import {fillContours} from './raster.js';
+
+/** @typedef {import('./raster.js').Color} Color */
+/** @typedef {import('./raster.js').Contour} Contour */
+/** @typedef {import('../web-manifest/png.js').Image} Image */
+
+/**
+ * @typedef {object} Font
+ * @property {number} unitsPerEm
+ * @property {(codePoint: number) => boolean} hasGlyphForCodePoint
+ * @property {(text: string) => any} layout
+ */
+
+/** Line segments per curve; plenty at card sizes. */
+const CURVE_STEPS = 8;
+
+/**
+ * @param {string} file WOFF, WOFF2, TrueType or OpenType.
+ * @returns {Font}
+ */
+export function loadFont(file) {
+  return /** @type {any} */ (fontkit.openSync(file));
+}
+
+/**
+ * Drops the characters the font has no glyph for, such as emoji.
+ * @param {Font} font
+ * @param {string} text
+ */
+export function printable(font, text) {
+  return [...text]
+    .filter(
+      (char) =>
+        /\s/.test(char) || font.hasGlyphForCodePoint(char.codePointAt(0) ?? 0),
+    )
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Width of `text` at `size` pixels.
+ * @param {Font} font
+ * @param {string} text
+ * @param {number} size
+ */
+export function measureText(font, text, size) {
+  return (font.layout(text).advanceWidth * size) / font.unitsPerEm;
+}
+
+/**
+ * Breaks `text` into lines no wider than `width` at word boundaries. A word
+ * wider than a line gets a line of its own.
+ * @param {Font} font
+ * @param {string} text
+ * @param {number} size
+ * @param {number} width
+ * @returns {string[]}
+ */
+export function wrapText(font, text, size, width) {
+  /** @type {string[]} */
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measureText(font, candidate, size) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Outlines of `text` with its baseline starting at `x`, `y`.
+ * @param {Font} font
+ * @param {string} text
+ * @param {number} size
+ * @param {number} x
+ * @param {number} y
+ * @returns {Contour[]}
+ */
+function outline(font, text, size, x, y) {
+  const scale = size / font.unitsPerEm;
+  const run = font.layout(text);
+  /** @type {Contour[]} */
+  const contours = [];
+  let penX = 0;
+  run.glyphs.forEach((/** @type {any} */ glyph, index) => {
+    const position = run.positions[index];
+    const originX = x + (penX + position.xOffset) * scale;
+    const originY = y - position.yOffset * scale;
+    const point = (/** @type {number} */ gx, /** @type {number} */ gy) =>
+      /** @type {[number, number]} */ ([
+        originX + gx * scale,
+        originY - gy * scale,
+      ]);
+
+    /** @type {Contour} */
+    let contour = [];
+    let [cx, cy] = [0, 0];
+    for (const {command, args} of glyph.path.commands) {
+      if (command === 'moveTo') {
+        if (contour.length) contours.push(contour);
+        contour = [point(args[0], args[1])];
+        [cx, cy] = args;
+      } else if (command === 'lineTo') {
+        contour.push(point(args[0], args[1]));
+        [cx, cy] = args;
+      } else if (command === 'quadraticCurveTo') {
+        const [qx, qy, ex, ey] = args;
+        for (let step = 1; step <= CURVE_STEPS; step++) {
+          const t = step / CURVE_STEPS;
+          const u = 1 - t;
+          contour.push(
+            point(
+              u * u * cx + 2 * u * t * qx + t * t * ex,
+              u * u * cy + 2 * u * t * qy + t * t * ey,
+            ),
+          );
+        }
+        [cx, cy] = [ex, ey];
+      } else if (command === 'bezierCurveTo') {
+        const [ax, ay, bx, by, ex, ey] = args;
+        for (let step = 1; step <= CURVE_STEPS; step++) {
+          const t = step / CURVE_STEPS;
+          const u = 1 - t;
+          // Bernstein weights of the start, the control points and the end.
+          const w = [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+          contour.push(
+            point(
+              w[0] * cx + w[1] * ax + w[2] * bx + w[3] * ex,
+              w[0] * cy + w[1] * ay + w[2] * by + w[3] * ey,
+            ),
+          );
+        }
+        [cx, cy] = [ex, ey];
+      } else if (command === 'closePath') {
+        if (contour.length) contours.push(contour);
+        contour = [];
+      }
+    }
+    if (contour.length) contours.push(contour);
+    penX += position.xAdvance;
+  });
+  return contours;
+}
+
+/**
+ * Draws `text` with its baseline starting at `x`, `y`.
+ * @param {Image} image
+ * @param {Font} font
+ * @param {string} text
+ * @param {{x: number, y: number, size: number, color: Color}} options
+ */
+export function drawText(image, font, text, {x, y, size, color}) {
+  fillContours(image, outline(font, text, size, x, y), color);
+}
@@ -0,0 +1,105 @@
+// @ts-check
+/**
+ * Build data that describes the polly_dart API, for pages that must show the
+ * API of the docs version being read rather than the current sources.
+ *
+ * The data of the current docs is computed on every build and also written
+ * into the docs directory, so `npm run docs:version` snapshots it along with
+ * the docs. The data of a cut version is read back from its snapshot. Call
+ * {@link versionedData} when the plugin is initialized: the `docs:version`
+ * command loads no content.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {readDocsVersions} from '../scripts/pubspec.mjs';
+import {writeIfChanged} from './dart-api/index.js';
+
+/**
+ * @typedef {object} DocsVersion
+ * @property {string} name `current`, or the version the docs were cut at.
+ * @property {string} dir Absolute path of its docs.
+ * @property {string} basePath Prefix of its routes: empty for the newest
+ *   version, which is served at the root.
+ */
+
+/**
+ * The versions of the polly_dart docs, current first, then newest first,
+ * served where `docsVersionOptions` puts them.
+ * @param {string} siteDir
+ * @returns {DocsVersion[]}
+ */
+export function docsVersions(siteDir) {
+  const versions = readDocsVersions(siteDir);
+  return [
+    {
+      name: 'current',
+      dir: path.join(siteDir, 'docs'),
+      basePath: versions.length ? '/next' : '',
+    },
+    ...versions.map((name, index) => ({
+      name,
+      dir: path.join(siteDir, 'versioned_docs', `version-${name}`),
+      basePath: index === 0 ? '' : `/${name}`,
+    })),
+  ];
+}
+
+/**
+ * The version whose docs hold `file`. Other pages, like the blog or the
+ * extensions' docs, get the one served at the root.
+ * @param {DocsVersion[]} versions
+ * @param {string} file Absolute path.
+ */
+export function versionOfFile(versions, file) {
+  return (
+    versions.find((version) => {
+      const relative = path.relative(version.dir, file);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }) ?? /** @type {DocsVersion} */ (versions.find((v) => !v.basePath))
+  );
+}
+
+/**
+ * The snapshot a cut version holds.
+ * @param {DocsVersion} version
+ * @param {string} file Path of the snapshot in the docs of a version.
+ * @returns {any}
+ */
+export function readSnapshot(version, file) {
+  const snapshot = path.join(version.dir, file);
+  if (!fs.existsSync(snapshot)) {
+    throw new Error(
+      `The docs of ${version.name} have no ${file}. Cut versions with ` +
+        '`npm run docs:version`, which snapshots it.',
+    );
+  }
+  return JSON.parse(fs.readFileSync(snapshot, 'utf8'));
+}
+
+/**
+ * `current`, the data of the current docs, and the snapshot each cut version
+ * holds, by version name. `current` is written to `file` in the current docs.
+ * @template T
+ * @param {string} siteDir
+ * @param {string} file Path of the snapshot in the docs of a version.
+ * @param {T} current
+ * @returns {Record<string, T>}
+ */
+export function versionedData(siteDir, file, current) {
+  /** @type {Record<string, T>} */
+  const data = {};
+  for (const version of docsVersions(siteDir)) {
+    if (version.name === 'current') {
+      writeIfChanged(
+        path.join(version.dir, file),
+        `${JSON.stringify(current, null, 2)}\n`,
+      );
+      data.current = current;
+    } else {
+      data[version.name] = readSnapshot(version, file);
+    }
+  }
+  return data;
+}
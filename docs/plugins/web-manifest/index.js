@@ -0,0 +1,180 @@
+// @ts-check
+/**
+ * Docusaurus plugin that makes the site installable: it writes a web app
+ * manifest and the app icons it lists, resized from the site logo, and
+ * links them from every page. The service worker that makes the installed
+ * app work offline comes from `@docusaurus/plugin-pwa`.
+ *
+ * The files are written to `outDir`, a directory of `static/`, when the
+ * plugin loads, so they are copied into the build before the service worker
+ * precaches it. Besides an icon per size in `iconSizes`, a maskable icon
+ * pads the logo onto the color of its top-left pixel, so launchers that crop
+ * icons to a circle don't cut the logo off.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {writeIfChanged} from '../dart-api/index.js';
+import {decodePng, encodePng, pad, resize} from './png.js';
+
+/**
+ * @typedef {object} WebManifestPluginOptions
+ * @property {string} [logo] Square PNG the icons are made from, relative to the site.
+ * @property {string} [outDir] Where the manifest and icons are written,
+ *   relative to the site; must be inside a static directory.
+ * @property {string} [name] Defaults to the site title.
+ * @property {string} [shortName] Name under the icon; defaults to `name`.
+ * @property {string} [description] Defaults to the site tagline.
+ * @property {string} [themeColor] Color of the app's title bar.
+ * @property {string} [backgroundColor] Color of the splash screen.
+ * @property {number[]} [iconSizes]
+ */
+
+const DEFAULT_OPTIONS = {
+  logo: 'static/img/logo.png',
+  outDir: 'static/pwa',
+  name: '',
+  shortName: '',
+  description: '',
+  themeColor: '#2e8555',
+  backgroundColor: '#ffffff',
+  iconSizes: [192, 512],
+};
+
+/** Size of the maskable icon, and the share of it the logo may cover. */
+const MASKABLE_SIZE = 512;
+const MASKABLE_SAFE_ZONE = 0.8;
+
+/**
+ * Like `writeIfChanged`, for binary content.
+ * @param {string} file
+ * @param {Buffer} content
+ */
+function writeImageIfChanged(file, content) {
+  if (fs.existsSync(file) && fs.readFileSync(file).equals(content)) return;
+  fs.mkdirSync(path.dirname(file), {recursive: true});
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Writes the manifest and icons.
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {Required<WebManifestPluginOptions>} options
+ * @returns {string} Path the manifest is served at.
+ */
+export function generateWebManifest(context, options) {
+  const {siteDir, siteConfig, baseUrl} = context;
+  const outDir = path.resolve(siteDir, options.outDir);
+  // Served from the root of the static directory it is in.
+  const publicPath = `${baseUrl}${options.outDir
+    .split('/')
+    .slice(1)
+    .join('/')}`;
+
+  const logoFile = path.resolve(siteDir, options.logo);
+  const logo = decodePng(fs.readFileSync(logoFile), options.logo);
+  const icons = options.iconSizes.map((size) => {
+    const name = `icon-${size}.png`;
+    writeImageIfChanged(
+      path.join(outDir, name),
+      encodePng(resize(logo, size, size)),
+    );
+    return {
+      src: `${publicPath}/${name}`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+      purpose: 'any',
+    };
+  });
+  const inner = Math.round(MASKABLE_SIZE * MASKABLE_SAFE_ZONE);
+  const corner = /** @type {[number, number, number]} */ ([
+    ...logo.pixels.subarray(0, 3),
+  ]);
+  writeImageIfChanged(
+    path.join(outDir, 'icon-maskable.png'),
+    encodePng(pad(resize(logo, inner, inner), MASKABLE_SIZE, corner)),
+  );
+  icons.push({
+    src: `${publicPath}/icon-maskable.png`,
+    sizes: `${MASKABLE_SIZE}x${MASKABLE_SIZE}`,
+    type: 'image/png',
+    purpose: 'maskable',
+  });
+
+  const name = options.name || siteConfig.title;
+  const manifest = {
+    name,
+    short_name: options.shortName || name,
+    description: options.description || siteConfig.tagline,
+    start_url: baseUrl,
+    scope: baseUrl,
+    display: 'standalone',
+    theme_color: options.themeColor,
+    background_color: options.backgroundColor,
+    icons,
+  };
+  writeIfChanged(
+    path.join(outDir, 'manifest.json'),
+    `${JSON.stringify(manifest, null, 2)}\n`,
+  );
+  return `${publicPath}/manifest.json`;
+}
+
+/**
+ * @param {import('@docusaurus/types').LoadContext} context
+ * @param {WebManifestPluginOptions} userOptions
+ * @returns {import('@docusaurus/types').Plugin<void>}
+ */
+export default function webManifestPlugin(context, userOptions) {
+  /** @type {Required<WebManifestPluginOptions>} */
+  const options = {...DEFAULT_OPTIONS, ...userOptions};
+  const logoFile = path.resolve(context.siteDir, options.logo);
+  const largest = Math.max(...options.iconSizes);
+
+  // Resizing takes a few seconds, so only when the logo has changed.
+  let stamp = 0;
+  let manifestPath = '';
+  const generate = () => {
+    const {mtimeMs} = fs.statSync(logoFile);
+    if (mtimeMs === stamp) return;
+    manifestPath = generateWebManifest(context, options);
+    stamp = mtimeMs;
+  };
+  // Before the static directories are copied into the build.
+  generate();
+
+  return {
+    name: 'docusaurus-plugin-web-manifest',
+
+    getPathsToWatch() {
+      return [logoFile];
+    },
+
+    async loadContent() {
+      generate();
+    },
+
+    injectHtmlTags() {
+      return {
+        headTags: [
+          {tagName: 'link', attributes: {rel: 'manifest', href: manifestPath}},
+          {
+            tagName: 'meta',
+            attributes: {name: 'theme-color', content: options.themeColor},
+          },
+          {
+            tagName: 'link',
+            attributes: {
+              rel: 'apple-touch-icon',
+              href: manifestPath.replace(
+                /manifest\.json$/,
+                `icon-${largest}.png`,
+              ),
+            },
+          },
+        ],
+      };
+    },
+  };
+}
@@ -0,0 +1,227 @@
+// @ts-check
+/**
+ * Just enough PNG to make app icons from the logo without an image library:
+ * decoding 8-bit, non-interlaced grayscale, RGB and RGBA images, resizing,
+ * and encoding RGBA.
+ */
+
+import zlib from 'zlib';
+
+/**
+ * @typedef {object} Image
+ * @property {number} width
+ * @property {number} height
+ * @property {Uint8Array} pixels RGBA, row by row.
+ */
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+/** Channels per pixel of each supported color type. */
+const CHANNELS = {0: 1, 2: 3, 4: 2, 6: 4};
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * @param {Buffer} data
+ * @param {string} [name] For error messages.
+ * @returns {Image}
+ */
+export function decodePng(data, name = 'image') {
+  if (!data.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error(`${name} is not a PNG file.`);
+  }
+  let width = 0;
+  let height = 0;
+  let channels = 0;
+  /** @type {Buffer[]} */
+  const idat = [];
+  for (let offset = 8; offset < data.length; ) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    const chunk = data.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      const [depth, colorType, , , interlace] = chunk.subarray(8);
+      channels = CHANNELS[colorType] ?? 0;
+      if (depth !== 8 || !channels || interlace) {
+        throw new Error(
+          `${name}: only 8-bit, non-interlaced grayscale, RGB and RGBA ` +
+            'PNGs are supported.',
+        );
+      }
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const rows = new Uint8Array(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? rows[row + x - channels] : 0;
+      const up = y > 0 ? rows[row - stride + x] : 0;
+      const upLeft =
+        y > 0 && x >= channels ? rows[row - stride + x - channels] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = left;
+      else if (filter === 2) predictor = up;
+      else if (filter === 3) predictor = (left + up) >> 1;
+      else if (filter === 4) predictor = paeth(left, up, upLeft);
+      rows[row + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = rows.subarray(i * channels, (i + 1) * channels);
+    const gray = channels <= 2;
+    pixels[i * 4] = source[0];
+    pixels[i * 4 + 1] = gray ? source[0] : source[1];
+    pixels[i * 4 + 2] = gray ? source[0] : source[2];
+    pixels[i * 4 + 3] =
+      channels === 2 ? source[1] : channels === 4 ? source[3] : 255;
+  }
+  return {width, height, pixels};
+}
+
+/** CRC-32 table of the PNG spec. */
+const CRC_TABLE = Array.from({length: 256}, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * @param {Buffer} bytes
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * @param {Image} image
+ * @returns {Buffer} An RGBA PNG.
+ */
+export function encodePng({width, height, pixels}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+  // Filter type 0 on every row; deflate does well enough on icons.
+  const raw = Buffer.alloc(height * (width * 4 + 1));
+  for (let y = 0; y < height; y++) {
+    raw.set(
+      pixels.subarray(y * width * 4, (y + 1) * width * 4),
+      y * (width * 4 + 1) + 1,
+    );
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw, {level: 9})),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Scales an image down (or up) to `width` × `height` by averaging the source
+ * pixels each target pixel covers, which keeps downscaled edges smooth.
+ * @param {Image} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {Image}
+ */
+export function resize(image, width, height) {
+  const pixels = new Uint8Array(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      const sum = [0, 0, 0, 0];
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.pixels[i + 3];
+          // Weighted by alpha, so transparent pixels don't darken edges.
+          sum[0] += image.pixels[i] * alpha;
+          sum[1] += image.pixels[i + 1] * alpha;
+          sum[2] += image.pixels[i + 2] * alpha;
+          sum[3] += alpha;
+        }
+      }
+      const count = (bottom - top) * (right - left);
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        pixels[i + c] = sum[3] ? Math.round(sum[c] / sum[3]) : 0;
+      }
+      pixels[i + 3] = Math.round(sum[3] / count);
+    }
+  }
+  return {width, height, pixels};
+}
+
+/**
+ * Places an image in the middle of a larger canvas filled with `color`.
+ * @param {Image} image
+ * @param {number} size Width and height of the canvas.
+ * @param {[number, number, number]} color
+ * @returns {Image}
+ */
+export function pad(image, size, color) {
+  const pixels = new Uint8Array(size * size * 4);
+  for (let i = 0; i < size * size; i++) pixels.set([...color, 255], i * 4);
+  const left = Math.floor((size - image.width) / 2);
+  const top = Math.floor((size - image.height) / 2);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const from = (y * image.width + x) * 4;
+      const to = ((top + y) * size + left + x) * 4;
+      const alpha = image.pixels[from + 3] / 255;
+      for (let c = 0; c < 3; c++) {
+        pixels[to + c] = Math.round(
+          image.pixels[from + c] * alpha + color[c] * (1 - alpha),
+        );
+      }
+    }
+  }
+  return {width: size, height: size, pixels};
+}
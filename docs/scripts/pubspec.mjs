@@ -0,0 +1,73 @@
+// @ts-check
+/**
+ * Helpers for reading package versions and docs versions. Shared by
+ * docusaurus.config.js and the release scripts, so it must stay loadable by
+ * plain Node (no Docusaurus, no TypeScript).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Packages documented by their own docs plugin instance, by plugin id, with
+ * the path of their pubspec.yaml relative to the repository root.
+ */
+export const DOCS_PACKAGES = {
+  default: 'pubspec.yaml',
+  'polly-dart-http': 'extensions/polly_dart_http/pubspec.yaml',
+  'polly-dart-dio': 'extensions/polly_dart_dio/pubspec.yaml',
+};
+
+/**
+ * Reads the top-level `name` and `version` of a pubspec.yaml. Only the flat
+ * `key: value` form used by our pubspecs is supported.
+ * @param {string} file
+ * @returns {{name: string, version: string}}
+ */
+export function readPubspec(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  /** @param {string} key */
+  const field = (key) => {
+    const match = new RegExp(`^${key}:\\s*['"]?([^'"\\s#]+)`, 'm').exec(source);
+    if (!match) throw new Error(`${file} has no top-level "${key}".`);
+    return match[1];
+  };
+  return {name: field('name'), version: field('version')};
+}
+
+/**
+ * Versions already cut for a docs plugin instance, newest first.
+ * @param {string} siteDir
+ * @param {string} [pluginId]
+ * @returns {string[]}
+ */
+export function readDocsVersions(siteDir, pluginId = 'default') {
+  const file = path.join(
+    siteDir,
+    pluginId === 'default' ? 'versions.json' : `${pluginId}_versions.json`,
+  );
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+}
+
+/**
+ * Docs plugin options that label the current docs with the package version
+ * and serve the newest released snapshot at the plugin's root.
+ *
+ * While a version has not been cut yet, the current docs are that version.
+ * Once it has, the current docs describe unreleased work and move to /next.
+ * @param {string} packageVersion Version from the package's pubspec.yaml.
+ * @param {string[]} versions Output of {@link readDocsVersions}.
+ */
+export function docsVersionOptions(packageVersion, versions) {
+  const released = versions.includes(packageVersion);
+  const lastVersion = versions.length ? versions[0] : 'current';
+  return {
+    lastVersion,
+    versions: {
+      current: {
+        label: released ? 'Next' : packageVersion,
+        ...(lastVersion === 'current' ? {} : {path: 'next'}),
+      },
+    },
+  };
+}
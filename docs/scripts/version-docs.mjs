@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// @ts-check
+/**
+ * Cuts a versioned snapshot of the docs of a package, for the version in its
+ * pubspec.yaml. Run it as part of a release, after the version has been
+ * bumped and published:
+ *
+ *   npm run docs:version                      # polly_dart
+ *   npm run docs:version -- polly_dart_http   # an extension
+ *
+ * The snapshot lands in versioned_docs/ and versioned_sidebars/ (prefixed
+ * with the plugin id for extensions), and the version is added to
+ * versions.json. Commit all three.
+ */
+
+import {spawnSync} from 'child_process';
+import path from 'path';
+import {fileURLToPath} from 'url';
+
+import {DOCS_PACKAGES, readDocsVersions, readPubspec} from './pubspec.mjs';
+
+const siteDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const packageName = process.argv[2] ?? 'polly_dart';
+
+const packages = Object.entries(DOCS_PACKAGES).map(([pluginId, pubspec]) => ({
+  pluginId,
+  ...readPubspec(path.join(siteDir, '..', pubspec)),
+}));
+const target = packages.find((p) => p.name === packageName);
+if (!target) {
+  console.error(
+    `No docs for a package named "${packageName}". Known packages: ${packages
+      .map((p) => p.name)
+      .join(', ')}.`,
+  );
+  process.exit(1);
+}
+const {pluginId, name, version} = target;
+
+if (readDocsVersions(siteDir, pluginId).includes(version)) {
+  console.error(
+    `Docs for ${name} ${version} already exist. Bump the version in pubspec.yaml before cutting a new docs version.`,
+  );
+  process.exit(1);
+}
+
+console.log(`Cutting docs for ${name} ${version}...`);
+const command =
+  pluginId === 'default' ? 'docs:version' : `docs:version:${pluginId}`;
+const result = spawnSync(
+  'npm',
+  ['run', 'docusaurus', '--', command, version],
+  {cwd: siteDir, stdio: 'inherit', shell: process.platform === 'win32'},
+);
+process.exit(result.status ?? 1);
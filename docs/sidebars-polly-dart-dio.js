@@ -0,0 +1,22 @@
+// @ts-check
+
+/**
+ * Sidebar of the polly_dart_dio docs instance. The API Reference pages are
+ * generated from extensions/polly_dart_dio/lib by plugins/dart-api.
+ * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
+ */
+const sidebars = {
+  extensionSidebar: [
+    'index',
+    'usage',
+    'retrofit-and-flutter',
+    'testing',
+    {
+      type: 'category',
+      label: 'API Reference',
+      items: [{type: 'autogenerated', dirName: 'api'}],
+    },
+  ],
+};
+
+export default sidebars;
@@ -0,0 +1,21 @@
+// @ts-check
+
+/**
+ * Sidebar of the polly_dart_http docs instance. The API Reference pages are
+ * generated from extensions/polly_dart_http/lib by plugins/dart-api.
+ * @type {import('@docusaurus/plugin-content-docs').SidebarsConfig}
+ */
+const sidebars = {
+  extensionSidebar: [
+    'index',
+    'usage',
+    'testing',
+    {
+      type: 'category',
+      label: 'API Reference',
+      items: [{type: 'autogenerated', dirName: 'api'}],
+    },
+  ],
+};
+
+export default sidebars;
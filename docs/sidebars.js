@@ -23,6 +23,7 @@ const sidebars = {
         'getting-started/installation',
         'getting-started/quick-start',
         'getting-started/basic-concepts',
+        'getting-started/choosing-strategies',
       ],
     },
     {
@@ -44,6 +45,7 @@ const sidebars = {
       label: 'Advanced Topics',
       items: [
         'advanced/combining-strategies',
+        'advanced/pipeline-builder',
         'advanced/custom-strategies',
         'advanced/monitoring',
         'advanced/testing',
@@ -52,37 +54,31 @@ const sidebars = {
     {
       type: 'category',
       label: 'API Reference',
-      items: [
-        'api/resilience-pipeline',
-        'api/resilience-pipeline-builder',
-        'api/resilience-context',
-        'api/outcome',
-        'api/retry-strategy',
-        'api/circuit-breaker-strategy',
-        'api/timeout-strategy',
-        'api/fallback-strategy',
-        'api/hedging-strategy',
-        'api/rate-limiter-strategy',
-        'api/cache-strategy',
-      ],
+      // Generated from the Dart sources by plugins/dart-api.
+      items: [{type: 'autogenerated', dirName: 'api'}],
     },
     {
       type: 'category',
       label: 'Extensions',
       items: [
         'extensions/overview',
-        'extensions/polly-dart-http',
-        'extensions/polly-dart-dio',
+        // Each extension has its own docs instance, versioned with its
+        // package; see docusaurus.config.js.
+        {type: 'link', label: 'polly_dart_http', href: '/polly-dart-http'},
+        {type: 'link', label: 'polly_dart_dio', href: '/polly-dart-dio'},
       ],
     },
     {
       type: 'category',
       label: 'Examples',
       items: [
+        'examples/recipes',
         'examples/http-client',
         'examples/cache',
       ],
     },
+    // Generated from src/data/glossary.js by plugins/glossary.
+    'glossary',
   ],
 };
 
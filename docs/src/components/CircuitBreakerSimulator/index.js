@@ -0,0 +1,445 @@
+import React, {useEffect, useMemo, useState} from 'react';
+import clsx from 'clsx';
+import CodeBlock from '@theme/CodeBlock';
+
+import {
+  CIRCUIT_BREAKER_DEFAULTS,
+  circuitBreakerOptionsDart,
+  parseScenario,
+  simulateCircuitBreaker,
+} from '@site/src/lib/circuit-breaker';
+import {formatDuration} from '@site/src/lib/dart';
+
+import styles from './styles.module.css';
+
+const DEFAULT_SCENARIO = '5S 5F 2F +6s F +6s S 3S';
+const PLAY_INTERVAL = 700;
+
+const STATE_LABELS = {
+  closed: 'Closed',
+  open: 'Open',
+  halfOpen: 'Half-open',
+  isolated: 'Isolated',
+};
+
+/** Where each state sits in the diagram, and the arrows between them. */
+const DIAGRAM_NODES = {
+  closed: {x: 20, y: 20},
+  open: {x: 240, y: 20},
+  halfOpen: {x: 240, y: 110},
+  isolated: {x: 20, y: 110},
+};
+const CALLBACK_TARGETS = {
+  onOpened: 'open',
+  onHalfOpened: 'halfOpen',
+  onClosed: 'closed',
+};
+const NODE_WIDTH = 120;
+const NODE_HEIGHT = 40;
+const DIAGRAM_EDGES = [
+  ['closed', 'open', 'onOpened'],
+  ['open', 'halfOpen', 'onHalfOpened'],
+  ['halfOpen', 'closed', 'onClosed'],
+  ['halfOpen', 'open', 'onOpened'],
+  ['closed', 'isolated', 'isolateAsync()'],
+  ['isolated', 'closed', 'closeAsync()'],
+];
+
+const NUMBER_FIELDS = [
+  ['failureRatio', 'failureRatio', {min: 0, max: 1, step: 0.05}],
+  ['minimumThroughput', 'minimumThroughput', {min: 1, step: 1}],
+  ['samplingDuration', 'samplingDuration (ms)', {min: 0, step: 1000}],
+  ['breakDuration', 'breakDuration (ms)', {min: 0, step: 1000}],
+];
+
+/**
+ * Feeds a sequence of successful and failed calls through a model of
+ * `CircuitBreakerStrategy` and shows the resulting states and callbacks.
+ * Options passed as props set the initial values; `scenario` sets the
+ * initial sequence.
+ */
+export default function CircuitBreakerSimulator({
+  scenario: initialScenario = DEFAULT_SCENARIO,
+  callInterval: initialCallInterval = 1000,
+  ...props
+}) {
+  const [options, setOptions] = useState({
+    ...CIRCUIT_BREAKER_DEFAULTS,
+    ...props,
+  });
+  const [callInterval, setCallInterval] = useState(initialCallInterval);
+  const [scenario, setScenario] = useState(initialScenario);
+  const [selected, setSelected] = useState(null);
+  const [playing, setPlaying] = useState(false);
+
+  const {events, errors} = useMemo(() => parseScenario(scenario), [scenario]);
+  const steps = useMemo(
+    () => simulateCircuitBreaker(options, events, callInterval),
+    [options, events, callInterval],
+  );
+  const current =
+    selected === null ? steps.length - 1 : Math.min(selected, steps.length - 1);
+  const step = steps[current];
+  const usesManualControl = events.some(
+    (e) => e.kind === 'isolate' || e.kind === 'close',
+  );
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (current >= steps.length - 1) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setSelected(current + 1), PLAY_INTERVAL);
+    return () => clearTimeout(timer);
+  }, [playing, current, steps.length]);
+
+  const updateOption = (key) => (event) => {
+    const value = Math.max(0, Number(event.target.value) || 0);
+    setOptions((currentOptions) => ({...currentOptions, [key]: value}));
+  };
+
+  const append = (token) => {
+    setScenario((text) => `${text.trim()} ${token}`.trim());
+    setSelected(null);
+  };
+
+  const transitions = steps
+    .map((s, index) => ({...s, index}))
+    .filter((s) => s.callbacks.length || s.state !== s.stateBefore);
+
+  return (
+    <div className={styles.simulator}>
+      <form className={styles.controls} onSubmit={(e) => e.preventDefault()}>
+        {NUMBER_FIELDS.map(([key, label, attributes]) => (
+          <label key={key}>
+            <span>{label}</span>
+            <input
+              type="number"
+              value={options[key]}
+              onChange={updateOption(key)}
+              {...attributes}
+            />
+          </label>
+        ))}
+        <label>
+          <span>time between calls (ms)</span>
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={callInterval}
+            onChange={(e) =>
+              setCallInterval(Math.max(0, Number(e.target.value) || 0))
+            }
+          />
+        </label>
+      </form>
+
+      <label className={styles.scenario}>
+        <span>
+          Calls: <code>S</code> success, <code>F</code> failure, <code>5F</code>{' '}
+          five failures, <code>+10s</code> wait, <code>isolate</code>/
+          <code>close</code> manual control
+        </span>
+        <textarea
+          rows={2}
+          value={scenario}
+          spellCheck={false}
+          onChange={(e) => {
+            setScenario(e.target.value);
+            setSelected(null);
+          }}
+        />
+      </label>
+      {errors.length > 0 && (
+        <p className={styles.error}>
+          Ignored unknown {errors.length === 1 ? 'token' : 'tokens'}:{' '}
+          {errors.map((token) => `"${token}"`).join(', ')}
+        </p>
+      )}
+      <div className={styles.buttons}>
+        {[
+          ['S', '+ Success', 'success'],
+          ['F', '+ Failure', 'danger'],
+          [
+            `+${formatWait(options.breakDuration)}`,
+            `+ Wait ${formatDuration(options.breakDuration)}`,
+            'secondary',
+          ],
+          ['isolate', 'isolateAsync()', 'warning'],
+          ['close', 'closeAsync()', 'primary'],
+        ].map(([token, label, color]) => (
+          <button
+            key={label}
+            type="button"
+            className={`button button--sm button--${color}`}
+            onClick={() => append(token)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {steps.length > 0 && (
+        <>
+          <div className={styles.timeline} role="list" aria-label="Timeline">
+            {steps.map((s, index) => (
+              <button
+                type="button"
+                role="listitem"
+                key={index}
+                className={clsx(
+                  styles.cell,
+                  styles[`state-${s.state}`],
+                  s.outcome && styles[`outcome-${s.outcome}`],
+                  !s.outcome && styles.marker,
+                  index === current && styles.current,
+                )}
+                title={describeStep(s)}
+                aria-label={describeStep(s)}
+                aria-current={index === current ? 'step' : undefined}
+                onClick={() => {
+                  setPlaying(false);
+                  setSelected(index);
+                }}>
+                {cellLabel(s)}
+                {s.callbacks.length > 0 && (
+                  <span className={styles.callbackDot} />
+                )}
+              </button>
+            ))}
+          </div>
+
+          <div className={styles.player}>
+            <button
+              type="button"
+              className="button button--sm button--outline button--primary"
+              onClick={() => {
+                if (!playing && current >= steps.length - 1) setSelected(0);
+                setPlaying(!playing);
+              }}>
+              {playing ? 'Pause' : 'Play'}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={steps.length - 1}
+              value={current}
+              aria-label="Step"
+              onChange={(e) => {
+                setPlaying(false);
+                setSelected(Number(e.target.value));
+              }}
+            />
+            <span>
+              Step {current + 1} of {steps.length}
+            </span>
+          </div>
+
+          <div className={styles.details}>
+            <StateDiagram step={step} />
+            <dl className={styles.stepInfo}>
+              <dt>Time</dt>
+              <dd>{formatDuration(step.time)}</dd>
+              <dt>Event</dt>
+              <dd>{describeStep(step)}</dd>
+              <dt>State</dt>
+              <dd>
+                <code>CircuitState.{step.stateBefore}</code>
+                {step.state !== step.stateBefore && (
+                  <>
+                    {' → '}
+                    <code>CircuitState.{step.state}</code>
+                  </>
+                )}
+              </dd>
+              <dt>Callbacks</dt>
+              <dd>
+                {step.callbacks.length
+                  ? step.callbacks.map((name) => (
+                      <span
+                        key={name}
+                        className={clsx('badge', styles.callback, styles[name])}>
+                        {name}
+                      </span>
+                    ))
+                  : 'None'}
+              </dd>
+              <dt>Sampled calls</dt>
+              <dd>
+                {step.window.failures} of {step.window.total} failed
+                {step.window.total > 0 &&
+                  ` (${Math.round((step.window.failures / step.window.total) * 100)} %)`}
+                {' '}in the last {formatDuration(options.samplingDuration)}
+              </dd>
+            </dl>
+          </div>
+
+          <details className={styles.log}>
+            <summary>State changes ({transitions.length})</summary>
+            <ol>
+              {transitions.map((s) => (
+                <li key={s.index}>
+                  <button
+                    type="button"
+                    className={styles.linkButton}
+                    onClick={() => setSelected(s.index)}>
+                    {formatDuration(s.time)}
+                  </button>
+                  : {STATE_LABELS[s.stateBefore]} → {STATE_LABELS[s.state]}
+                  {s.callbacks.length > 0 && ` (${s.callbacks.join(', ')})`}
+                </li>
+              ))}
+            </ol>
+          </details>
+        </>
+      )}
+
+      <CodeBlock language="dart">
+        {[
+          ...(usesManualControl
+            ? ['final manualControl = CircuitBreakerManualControl();', '']
+            : []),
+          'final pipeline = ResiliencePipelineBuilder()',
+          `    .addCircuitBreaker(${circuitBreakerOptionsDart(options, '    ', [
+            ...(usesManualControl ? [['manualControl', 'manualControl']] : []),
+            ['onOpened', '(args) async => print(\'Opened for ${args.breakDuration}\')'],
+            ['onHalfOpened', '(args) async => print(\'Half-open\')'],
+            ['onClosed', '(args) async => print(\'Closed\')'],
+          ])})`,
+          '    .build();',
+        ].join('\n')}
+      </CodeBlock>
+    </div>
+  );
+}
+
+/** Wait token for the scenario text, e.g. `5s` or `1500ms`. */
+function formatWait(ms) {
+  return ms % 1000 === 0 ? `${ms / 1000}s` : `${ms}ms`;
+}
+
+function cellLabel(step) {
+  switch (step.event.kind) {
+    case 'success':
+      return 'S';
+    case 'failure':
+      return 'F';
+    case 'wait':
+      return '⏱';
+    case 'isolate':
+      return '⏸';
+    default:
+      return '▶';
+  }
+}
+
+function describeStep(step) {
+  switch (step.event.kind) {
+    case 'wait':
+      return `Wait ${formatDuration(step.event.duration)}`;
+    case 'isolate':
+      return 'manualControl.isolateAsync()';
+    case 'close':
+      return 'manualControl.closeAsync()';
+    default: {
+      const call =
+        step.event.kind === 'success' ? 'Successful call' : 'Failing call';
+      return step.outcome === 'rejected'
+        ? `${call}, rejected with CircuitBreakerRejectedException`
+        : call;
+    }
+  }
+}
+
+/**
+ * The four circuit states with the current one highlighted, and the
+ * transitions taken by the step drawn in the callback colours.
+ */
+function StateDiagram({step}) {
+  const taken = new Set();
+  let from = step.stateBefore;
+  for (const callback of step.callbacks) {
+    const to = CALLBACK_TARGETS[callback];
+    taken.add(`${from}-${to}`);
+    from = to;
+  }
+  if (!step.callbacks.length && step.state !== step.stateBefore) {
+    taken.add(`${step.stateBefore}-${step.state}`);
+  }
+
+  const center = (state) => ({
+    x: DIAGRAM_NODES[state].x + NODE_WIDTH / 2,
+    y: DIAGRAM_NODES[state].y + NODE_HEIGHT / 2,
+  });
+
+  return (
+    <svg
+      className={styles.diagram}
+      viewBox="0 0 380 170"
+      role="img"
+      aria-label={`Circuit state: ${STATE_LABELS[step.state]}`}>
+      <defs>
+        <marker
+          id="cb-arrow"
+          viewBox="0 0 10 10"
+          refX="9"
+          refY="5"
+          markerWidth="6"
+          markerHeight="6"
+          orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z" className={styles.arrowHead} />
+        </marker>
+      </defs>
+      {DIAGRAM_EDGES.map(([source, target, label]) => {
+        const a = center(source);
+        const b = center(target);
+        const length = Math.hypot(b.x - a.x, b.y - a.y);
+        const ux = (b.x - a.x) / length;
+        const uy = (b.y - a.y) / length;
+        // Offset edges sideways so opposite directions do not overlap.
+        const ox = -uy * 8;
+        const oy = ux * 8;
+        const inset = Math.min(
+          ux ? NODE_WIDTH / 2 / Math.abs(ux) : Infinity,
+          uy ? NODE_HEIGHT / 2 / Math.abs(uy) : Infinity,
+        );
+        return (
+          <g
+            key={`${source}-${target}`}
+            className={clsx(
+              styles.edge,
+              taken.has(`${source}-${target}`) && styles.edgeTaken,
+            )}>
+            <line
+              x1={a.x + ox + ux * inset}
+              y1={a.y + oy + uy * inset}
+              x2={b.x + ox - ux * (inset + 2)}
+              y2={b.y + oy - uy * (inset + 2)}
+              markerEnd="url(#cb-arrow)"
+            />
+            <title>{label}</title>
+          </g>
+        );
+      })}
+      {Object.entries(DIAGRAM_NODES).map(([state, {x, y}]) => (
+        <g
+          key={state}
+          className={clsx(
+            styles.node,
+            styles[`state-${state}`],
+            state === step.state && styles.nodeActive,
+          )}>
+          <rect x={x} y={y} width={NODE_WIDTH} height={NODE_HEIGHT} rx={8} />
+          <text
+            x={x + NODE_WIDTH / 2}
+            y={y + NODE_HEIGHT / 2}
+            textAnchor="middle"
+            dominantBaseline="middle">
+            {STATE_LABELS[state]}
+          </text>
+        </g>
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,84 @@
+import React, {Children, isValidElement, useCallback, useEffect} from 'react';
+import {useHistory} from '@docusaurus/router';
+import {useQueryString, useStorageSlot} from '@docusaurus/theme-common';
+import TabItem from '@theme/TabItem';
+import Tabs from '@theme/Tabs';
+
+import {HTTP_CLIENTS, HTTP_CLIENT_GROUP} from '@site/src/data/http-clients';
+
+const STORAGE_KEY = `docusaurus.tab.${HTTP_CLIENT_GROUP}`;
+
+/** @param {unknown} value */
+function isClient(value) {
+  return HTTP_CLIENTS.some((client) => client.value === value);
+}
+
+/**
+ * The HTTP client the reader picked, from the URL query or else from local
+ * storage, and a setter that updates both. `null` until one is picked.
+ */
+export function useHttpClient() {
+  const history = useHistory();
+  const [query] = useQueryString(HTTP_CLIENT_GROUP);
+  const [stored, storageSlot] = useStorageSlot(STORAGE_KEY);
+  const client = [query, stored].find(isClient) ?? null;
+
+  const setClient = useCallback(
+    (value) => {
+      storageSlot.set(value);
+      const searchParams = new URLSearchParams(history.location.search);
+      searchParams.set(HTTP_CLIENT_GROUP, value);
+      history.replace({...history.location, search: searchParams.toString()});
+    },
+    [history, storageSlot],
+  );
+  return [client, setClient];
+}
+
+/**
+ * One variant of a snippet, for the HTTP client given as `client` (see
+ * `src/data/http-clients.js`). Only valid inside `<ClientVariants>`.
+ */
+export function ClientVariant({children}) {
+  return children;
+}
+
+/**
+ * Tabs of the `<ClientVariant>` children, synced across the site with the
+ * navbar's HTTP client selector: picking a client anywhere switches every
+ * variant block, is remembered across visits and shows in the URL query.
+ */
+export default function ClientVariants({children}) {
+  const variants = Children.toArray(children).filter(isValidElement);
+  for (const variant of variants) {
+    if (variant.type !== ClientVariant || !isClient(variant.props.client)) {
+      throw new Error(
+        'ClientVariants: children must be <ClientVariant client="..."> with ' +
+          `one of ${HTTP_CLIENTS.map((c) => c.value).join(', ')}; got ` +
+          `client="${variant.props.client}".`,
+      );
+    }
+  }
+
+  // Put a remembered choice in the URL, so a copied link shows the same
+  // variants.
+  const [client, setClient] = useHttpClient();
+  const [query] = useQueryString(HTTP_CLIENT_GROUP);
+  useEffect(() => {
+    if (client && query !== client) setClient(client);
+  }, [client, query, setClient]);
+
+  return (
+    <Tabs groupId={HTTP_CLIENT_GROUP} queryString>
+      {HTTP_CLIENTS.flatMap(({value, label}) => {
+        const variant = variants.find((v) => v.props.client === value);
+        if (!variant) return [];
+        return [
+          <TabItem key={value} value={value} label={label}>
+            {variant.props.children}
+          </TabItem>,
+        ];
+      })}
+    </Tabs>
+  );
+}
@@ -0,0 +1,101 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import {useHistory, useLocation} from '@docusaurus/router';
+import {usePluginData} from '@docusaurus/useGlobalData';
+
+import styles from './styles.module.css';
+
+/** Renders `code` spans of a Markdown summary as code elements. */
+function Summary({text}) {
+  if (!text) return null;
+  return text.split(/(`[^`]+`)/).map((part, index) => {
+    if (index % 2 === 0) return part;
+    return <code key={index}>{part.slice(1, -1)}</code>;
+  });
+}
+
+/**
+ * List of the design specs published by the design-docs plugin, newest
+ * first, with a filter by status. The selected status is kept in the
+ * `?status=` query so filtered lists can be linked to.
+ */
+export default function DesignIndex() {
+  const {designs, statuses} = usePluginData('docusaurus-plugin-design-docs');
+  const location = useLocation();
+  const history = useHistory();
+
+  const requested = new URLSearchParams(location.search).get('status');
+  const status = statuses.find(
+    (s) => s.toLowerCase() === requested?.toLowerCase(),
+  );
+  const shown = status ? designs.filter((d) => d.status === status) : designs;
+
+  const select = (next) => {
+    const params = new URLSearchParams(location.search);
+    if (next) params.set('status', next.toLowerCase());
+    else params.delete('status');
+    const search = params.toString();
+    history.replace({...location, search: search ? `?${search}` : ''});
+  };
+
+  return (
+    <div className={styles.index}>
+      <div
+        className={styles.filters}
+        role="group"
+        aria-label="Filter by status">
+        {[null, ...statuses].map((s) => {
+          const count = s
+            ? designs.filter((d) => d.status === s).length
+            : designs.length;
+          const active = (status ?? null) === s;
+          return (
+            <button
+              key={s ?? 'all'}
+              type="button"
+              aria-pressed={active}
+              className={clsx(
+                'button button--sm',
+                active ? 'button--primary' : 'button--outline button--secondary',
+              )}
+              onClick={() => select(s)}>
+              {s ?? 'All'} ({count})
+            </button>
+          );
+        })}
+      </div>
+
+      {shown.length === 0 ? (
+        <p className={styles.empty}>No design specs are {status} yet.</p>
+      ) : (
+        <ul className={styles.list}>
+          {shown.map((design) => (
+            <li key={design.topic} className={styles.design}>
+              <div className={styles.heading}>
+                <Link to={design.href} className={styles.title}>
+                  {design.title}
+                </Link>
+                <span className={clsx('badge', `badge--${design.badge}`)}>
+                  {design.status}
+                </span>
+              </div>
+              <div className={styles.meta}>
+                {design.date && <span>{design.date}</span>}
+                {design.branch && <code>{design.branch}</code>}
+                {design.planHref ? (
+                  <Link to={design.planHref}>Implementation plan</Link>
+                ) : (
+                  <span>No implementation plan yet</span>
+                )}
+              </div>
+              <p className={styles.summary}>
+                <Summary text={design.summary} />
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, {
+  useCallback,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from 'react';
+
+import styles from './styles.module.css';
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+/** Zoom factor of the buttons and keys. */
+const ZOOM_STEP = 1.25;
+/** Room left around the diagram when it is fitted to the screen, in px. */
+const MARGIN = 48;
+
+/** @param {number} scale */
+function clampScale(scale) {
+  return Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+}
+
+/**
+ * A diagram shown over the whole window, fitted to it at first. The wheel,
+ * the buttons and the + - 0 keys zoom; dragging pans. Escape or the close
+ * button closes it and gives the focus back.
+ *
+ * `svg` is the markup of the diagram and `size` its natural size; `children`
+ * are extra toolbar buttons, such as downloads.
+ */
+export default function DiagramViewer({svg, size, title, onClose, children}) {
+  const viewportRef = useRef(null);
+  const closeRef = useRef(null);
+  const dragRef = useRef(null);
+  const [view, setView] = useState(null);
+
+  const fit = useCallback(() => {
+    const {clientWidth, clientHeight} = viewportRef.current;
+    const scale = clampScale(
+      Math.min(
+        (clientWidth - MARGIN * 2) / size.width,
+        (clientHeight - MARGIN * 2) / size.height,
+      ),
+    );
+    setView({
+      scale,
+      x: (clientWidth - size.width * scale) / 2,
+      y: (clientHeight - size.height * scale) / 2,
+    });
+  }, [size]);
+
+  /** Zooms by `factor` keeping the point at `px`, `py` in place. */
+  const zoom = useCallback((factor, px, py) => {
+    setView((current) => {
+      const scale = clampScale(current.scale * factor);
+      const ratio = scale / current.scale;
+      return {
+        scale,
+        x: px - (px - current.x) * ratio,
+        y: py - (py - current.y) * ratio,
+      };
+    });
+  }, []);
+
+  const zoomAtCenter = useCallback(
+    (factor) => {
+      const {clientWidth, clientHeight} = viewportRef.current;
+      zoom(factor, clientWidth / 2, clientHeight / 2);
+    },
+    [zoom],
+  );
+
+  useLayoutEffect(fit, [fit]);
+
+  // The page under the viewer mustn't scroll, or the reader loses their
+  // place in it.
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    const {overflow} = document.body.style;
+    document.body.style.overflow = 'hidden';
+    closeRef.current.focus();
+    return () => {
+      document.body.style.overflow = overflow;
+      previousFocus?.focus?.();
+    };
+  }, []);
+
+  // React's onWheel is passive, so it can't stop the page from scrolling.
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    const onWheel = (event) => {
+      event.preventDefault();
+      const rect = viewport.getBoundingClientRect();
+      zoom(
+        Math.exp(-event.deltaY * 0.002),
+        event.clientX - rect.left,
+        event.clientY - rect.top,
+      );
+    };
+    viewport.addEventListener('wheel', onWheel, {passive: false});
+    return () => viewport.removeEventListener('wheel', onWheel);
+  }, [zoom]);
+
+  const onKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      onClose();
+    } else if (event.key === '+' || event.key === '=') {
+      zoomAtCenter(ZOOM_STEP);
+    } else if (event.key === '-') {
+      zoomAtCenter(1 / ZOOM_STEP);
+    } else if (event.key === '0') {
+      fit();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  return (
+    <div
+      className={styles.viewer}
+      role="dialog"
+      aria-modal="true"
+      aria-label={title}
+      onKeyDown={onKeyDown}>
+      <div className={styles.toolbar}>
+        <button
+          type="button"
+          className="button button--sm button--secondary"
+          onClick={() => zoomAtCenter(ZOOM_STEP)}
+          aria-label="Zoom in"
+          title="Zoom in (+)">
+          +
+        </button>
+        <button
+          type="button"
+          className="button button--sm button--secondary"
+          onClick={() => zoomAtCenter(1 / ZOOM_STEP)}
+          aria-label="Zoom out"
+          title="Zoom out (-)">
+          −
+        </button>
+        <button
+          type="button"
+          className="button button--sm button--secondary"
+          onClick={fit}
+          title="Fit to screen (0)">
+          Fit
+        </button>
+        {children}
+        <button
+          ref={closeRef}
+          type="button"
+          className="button button--sm button--primary"
+          onClick={onClose}
+          title="Close (Esc)">
+          Close
+        </button>
+      </div>
+      <div
+        ref={viewportRef}
+        className={styles.viewport}
+        onPointerDown={(event) => {
+          event.currentTarget.setPointerCapture(event.pointerId);
+          dragRef.current = {x: event.clientX, y: event.clientY};
+        }}
+        onPointerMove={(event) => {
+          const last = dragRef.current;
+          if (!last) return;
+          dragRef.current = {x: event.clientX, y: event.clientY};
+          setView((current) => ({
+            ...current,
+            x: current.x + event.clientX - last.x,
+            y: current.y + event.clientY - last.y,
+          }));
+        }}
+        onPointerUp={() => {
+          dragRef.current = null;
+        }}
+        onPointerCancel={() => {
+          dragRef.current = null;
+        }}>
+        {view && (
+          <div
+            className={styles.stage}
+            style={{
+              width: size.width,
+              height: size.height,
+              transform: `translate(${view.x}px, ${view.y}px) scale(${
+                view.scale
+              })`,
+            }}
+            dangerouslySetInnerHTML={{__html: svg}}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React, {useId, useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+
+import styles from './styles.module.css';
+
+/**
+ * Splits a definition on its `code` spans.
+ */
+function renderDefinition(definition) {
+  return definition
+    .split(/`([^`]+)`/)
+    .map((part, index) =>
+      index % 2 === 1 ? <code key={index}>{part}</code> : part,
+    );
+}
+
+/**
+ * A glossary term in prose, inserted by plugins/glossary/remark.js on its
+ * first mention on a page: a link to the term's Glossary entry, with the
+ * definition in a tooltip shown on hover and keyboard focus. Escape hides
+ * the tooltip until the pointer or focus leaves the term.
+ */
+export default function GlossaryTerm({term, definition, href, children}) {
+  const tooltipId = useId();
+  const [dismissed, setDismissed] = useState(false);
+  return (
+    <span
+      className={styles.term}
+      onKeyDown={(event) => {
+        if (event.key === 'Escape') setDismissed(true);
+      }}
+      onMouseLeave={() => setDismissed(false)}
+      onBlur={() => setDismissed(false)}>
+      <Link to={href} className={styles.link} aria-describedby={tooltipId}>
+        {children}
+      </Link>
+      <span
+        role="tooltip"
+        id={tooltipId}
+        className={clsx(styles.tooltip, dismissed && styles.dismissed)}>
+        <strong>{term}:</strong> {renderDefinition(definition)}
+      </span>
+    </span>
+  );
+}
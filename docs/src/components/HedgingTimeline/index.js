@@ -0,0 +1,361 @@
+import React, {useState} from 'react';
+import clsx from 'clsx';
+import CodeBlock from '@theme/CodeBlock';
+
+import {formatDuration} from '@site/src/lib/dart';
+import {
+  HEDGING_DEFAULTS,
+  hedgingDelayGeneratorDart,
+  hedgingOptionsDart,
+  simulateHedging,
+} from '@site/src/lib/hedging';
+
+import styles from './styles.module.css';
+
+const MAX_HEDGED_ATTEMPTS = 5;
+
+const CHART_WIDTH = 640;
+const LABEL_WIDTH = 110;
+const ROW_HEIGHT = 30;
+const AXIS_HEIGHT = 24;
+
+const DEFAULT_ATTEMPTS = [
+  {latency: 900, success: true},
+  {latency: 250, success: false},
+  {latency: 300, success: true},
+  {latency: 300, success: true},
+  {latency: 300, success: true},
+  {latency: 300, success: true},
+];
+
+const STATUS_LABELS = {
+  won: 'Returned',
+  failed: 'Failed, handled',
+  cancelled: 'Cancelled',
+  ignored: 'Completed, not used',
+};
+
+/**
+ * Gantt chart of the attempts `HedgingStrategy` launches for a given set of
+ * attempt latencies and outcomes.
+ */
+export default function HedgingTimeline({
+  maxHedgedAttempts: initialMaxHedgedAttempts = 2,
+  delay: initialDelay = 200,
+}) {
+  const [maxHedgedAttempts, setMaxHedgedAttempts] = useState(
+    initialMaxHedgedAttempts,
+  );
+  const [mode, setMode] = useState('constant');
+  const [delay, setDelay] = useState(initialDelay);
+  const [delays, setDelays] = useState([100, 200, 400, 800, 1600]);
+  const [inputs, setInputs] = useState(DEFAULT_ATTEMPTS);
+
+  const attemptDelays =
+    mode === 'constant'
+      ? Array(maxHedgedAttempts).fill(delay)
+      : delays.slice(0, maxHedgedAttempts);
+  const run = simulateHedging(
+    {maxHedgedAttempts, delays: attemptDelays},
+    inputs.slice(0, maxHedgedAttempts + 1),
+  );
+  const timeSpan = Math.max(
+    1,
+    run.returned,
+    ...run.attempts.map((a) => a.start + inputs[a.index].latency),
+  );
+
+  const setInput = (index, key, value) =>
+    setInputs((current) =>
+      current.map((input, i) => (i === index ? {...input, [key]: value} : input)),
+    );
+
+  const extra = [];
+  if (mode === 'generator' && maxHedgedAttempts > 0) {
+    extra.push(['delayGenerator', hedgingDelayGeneratorDart(attemptDelays)]);
+  }
+  extra.push([
+    'onHedging',
+    "(args) async => print('Hedging attempt ${args.attemptNumber}')",
+  ]);
+  const options = hedgingOptionsDart(
+    {
+      maxHedgedAttempts,
+      delay: mode === 'constant' ? delay : HEDGING_DEFAULTS.delay,
+    },
+    '    ',
+    extra,
+  );
+
+  return (
+    <div className={styles.timeline}>
+      <form className={styles.controls} onSubmit={(e) => e.preventDefault()}>
+        <label>
+          <span>maxHedgedAttempts</span>
+          <input
+            type="number"
+            min={0}
+            max={MAX_HEDGED_ATTEMPTS}
+            value={maxHedgedAttempts}
+            onChange={(e) =>
+              setMaxHedgedAttempts(
+                Math.min(
+                  MAX_HEDGED_ATTEMPTS,
+                  Math.max(0, Math.round(Number(e.target.value) || 0)),
+                ),
+              )
+            }
+          />
+        </label>
+        <fieldset className={styles.mode}>
+          <legend>Delay</legend>
+          <label>
+            <input
+              type="radio"
+              name="hedging-delay-mode"
+              checked={mode === 'constant'}
+              onChange={() => setMode('constant')}
+            />{' '}
+            <code>delay</code>
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="hedging-delay-mode"
+              checked={mode === 'generator'}
+              onChange={() => setMode('generator')}
+            />{' '}
+            <code>delayGenerator</code>
+          </label>
+        </fieldset>
+        {mode === 'constant' ? (
+          <label>
+            <span>delay (ms)</span>
+            <input
+              type="number"
+              min={0}
+              step={50}
+              value={delay}
+              onChange={(e) => setDelay(Math.max(0, Number(e.target.value) || 0))}
+            />
+          </label>
+        ) : (
+          attemptDelays.map((value, index) => (
+            <label key={index}>
+              <span>attemptNumber {index} (ms)</span>
+              <input
+                type="number"
+                min={0}
+                step={50}
+                value={value}
+                onChange={(e) =>
+                  setDelays((current) =>
+                    current.map((d, i) =>
+                      i === index ? Math.max(0, Number(e.target.value) || 0) : d,
+                    ),
+                  )
+                }
+              />
+            </label>
+          ))
+        )}
+      </form>
+
+      <table className={styles.attempts}>
+        <thead>
+          <tr>
+            <th>Attempt</th>
+            <th>Latency (ms)</th>
+            <th>Outcome</th>
+          </tr>
+        </thead>
+        <tbody>
+          {run.attempts.map(({index}) => (
+            <tr key={index}>
+              <td>{attemptLabel(index)}</td>
+              <td>
+                <input
+                  type="number"
+                  min={0}
+                  step={50}
+                  aria-label={`${attemptLabel(index)} latency`}
+                  value={inputs[index].latency}
+                  onChange={(e) =>
+                    setInput(
+                      index,
+                      'latency',
+                      Math.max(0, Number(e.target.value) || 0),
+                    )
+                  }
+                />
+              </td>
+              <td>
+                <select
+                  aria-label={`${attemptLabel(index)} outcome`}
+                  value={inputs[index].success ? 'success' : 'failure'}
+                  onChange={(e) =>
+                    setInput(index, 'success', e.target.value === 'success')
+                  }>
+                  <option value="success">Success</option>
+                  <option value="failure">Failure</option>
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <Gantt run={run} inputs={inputs} timeSpan={timeSpan} />
+
+      <ul className={styles.legend}>
+        {Object.entries(STATUS_LABELS).map(([status, label]) => (
+          <li key={status}>
+            <span className={clsx(styles.swatch, styles[status])} /> {label}
+          </li>
+        ))}
+        <li>
+          <span className={styles.hedgingMark}>◆</span> <code>onHedging</code>
+        </li>
+      </ul>
+
+      <p className={styles.result}>
+        {run.winner === null ? (
+          <>
+            Every attempt failed. <code>HedgingStrategy</code> has no outcome to
+            return after {formatDuration(run.returned)} and fails with a{' '}
+            <code>TypeError</code>.
+          </>
+        ) : (
+          <>
+            <strong>{attemptLabel(run.winner)}</strong> is returned after{' '}
+            <strong>{formatDuration(run.returned)}</strong>
+            {run.attempts[run.winner].end < run.returned && (
+              <>
+                , although it completed at{' '}
+                {formatDuration(run.attempts[run.winner].end)}: outcomes are
+                only looked at once the last hedged attempt has started
+              </>
+            )}
+            .
+          </>
+        )}
+      </p>
+
+      <CodeBlock language="dart">
+        {[
+          'final pipeline = ResiliencePipelineBuilder()',
+          `    .addHedging(${options})`,
+          '    .build();',
+        ].join('\n')}
+      </CodeBlock>
+    </div>
+  );
+}
+
+function attemptLabel(index) {
+  return index === 0 ? 'Primary' : `Hedged #${index}`;
+}
+
+function Gantt({run, inputs, timeSpan}) {
+  const rows = run.attempts.length;
+  const height = ROW_HEIGHT * rows + AXIS_HEIGHT;
+  const x = (time) =>
+    LABEL_WIDTH + ((CHART_WIDTH - LABEL_WIDTH - 12) * time) / timeSpan;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => Math.round(timeSpan * f));
+
+  return (
+    <svg
+      className={styles.chart}
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      role="img"
+      aria-label={run.attempts
+        .map(
+          (a) =>
+            `${attemptLabel(a.index)} from ${formatDuration(a.start)} ` +
+            `to ${formatDuration(a.end)}: ${STATUS_LABELS[a.status]}`,
+        )
+        .join('; ')}>
+      {ticks.map((tick) => (
+        <g key={tick}>
+          <line
+            className={styles.grid}
+            x1={x(tick)}
+            x2={x(tick)}
+            y1={0}
+            y2={height - AXIS_HEIGHT}
+          />
+          <text
+            className={styles.axisLabel}
+            x={x(tick)}
+            y={height - 8}
+            textAnchor="middle">
+            {formatDuration(tick)}
+          </text>
+        </g>
+      ))}
+
+      {run.attempts.map((a, row) => {
+        const y = row * ROW_HEIGHT + 6;
+        const barHeight = ROW_HEIGHT - 12;
+        const plannedEnd = a.start + inputs[a.index].latency;
+        return (
+          <g key={a.index}>
+            <text
+              className={styles.rowLabel}
+              x={0}
+              y={y + barHeight / 2}
+              dominantBaseline="middle">
+              {attemptLabel(a.index)}
+            </text>
+            {a.status === 'cancelled' && plannedEnd > a.end && (
+              <rect
+                className={styles.planned}
+                x={x(a.end)}
+                y={y}
+                width={x(plannedEnd) - x(a.end)}
+                height={barHeight}
+              />
+            )}
+            <rect
+              className={clsx(styles.bar, styles[a.status])}
+              x={x(a.start)}
+              y={y}
+              width={Math.max(2, x(a.end) - x(a.start))}
+              height={barHeight}>
+              <title>
+                {`${attemptLabel(a.index)}: ${STATUS_LABELS[a.status]} (${
+                  a.success ? 'success' : 'failure'
+                }), ${formatDuration(a.start)} – ${formatDuration(a.end)}`}
+              </title>
+            </rect>
+          </g>
+        );
+      })}
+
+      {run.onHedging.map(({time, attemptNumber}) => (
+        <g key={attemptNumber}>
+          <text
+            className={styles.hedgingMark}
+            x={x(time)}
+            y={(attemptNumber + 1) * ROW_HEIGHT + 6 + (ROW_HEIGHT - 12) / 2}
+            textAnchor="middle"
+            dominantBaseline="middle">
+            ◆
+          </text>
+          <title>{`onHedging(attemptNumber: ${attemptNumber}) at ${formatDuration(
+            time,
+          )}`}</title>
+        </g>
+      ))}
+
+      <line
+        className={styles.returned}
+        x1={x(run.returned)}
+        x2={x(run.returned)}
+        y1={0}
+        y2={height - AXIS_HEIGHT}>
+        <title>{`Returned at ${formatDuration(run.returned)}`}</title>
+      </line>
+    </svg>
+  );
+}
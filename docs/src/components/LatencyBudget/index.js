@@ -0,0 +1,144 @@
+import React, {useState} from 'react';
+import clsx from 'clsx';
+
+import {computeBudget} from '@site/src/lib/budget';
+import {formatDuration} from '@site/src/lib/dart';
+import {STRATEGIES} from '@site/src/lib/pipeline';
+
+import styles from './styles.module.css';
+
+/** Start times listed before the rest are summarised. */
+const MAX_LISTED_STARTS = 12;
+
+/**
+ * Best and worst-case duration and operation calls of a pipeline, given how
+ * fast the operation succeeds and fails. `pipeline` lists the strategies
+ * outermost first, as `{kind, options}` with the options of the pipeline
+ * builder (durations in milliseconds); options that are left out use their
+ * defaults. `showStages={false}` leaves out the list of strategies.
+ */
+export default function LatencyBudget({
+  pipeline,
+  showStages = true,
+  fastest: initialFastest = 100,
+  slowest: initialSlowest = 5_000,
+}) {
+  const [fastest, setFastest] = useState(initialFastest);
+  const [slowest, setSlowest] = useState(initialSlowest);
+
+  const stages = pipeline.map((stage, index) => {
+    const definition = STRATEGIES[stage.kind];
+    if (!definition) {
+      throw new Error(
+        `LatencyBudget: unknown strategy "${stage.kind}"; use one of ` +
+          `${Object.keys(STRATEGIES).join(', ')}.`,
+      );
+    }
+    return {
+      id: stage.id ?? index,
+      kind: stage.kind,
+      options: {...definition.defaults, ...stage.options},
+    };
+  });
+  const budget = computeBudget(stages, {fastest, slowest});
+  const starts = budget.worst.starts;
+
+  return (
+    <div className={styles.budget}>
+      <div className={styles.inputs}>
+        <label>
+          Operation succeeds in (ms)
+          <input
+            type="number"
+            min={0}
+            step={50}
+            value={fastest}
+            onChange={(e) =>
+              setFastest(Math.max(0, Number(e.target.value) || 0))
+            }
+          />
+        </label>
+        <label>
+          Operation fails after (ms)
+          <input
+            type="number"
+            min={0}
+            step={50}
+            value={slowest}
+            onChange={(e) =>
+              setSlowest(Math.max(0, Number(e.target.value) || 0))
+            }
+          />
+        </label>
+      </div>
+
+      {showStages && (
+        <ol className={styles.pipeline}>
+          {stages.map((stage) => (
+            <li key={stage.id}>
+              <strong>{STRATEGIES[stage.kind].label}:</strong>{' '}
+              {STRATEGIES[stage.kind].summary(stage.options)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <table className={styles.results}>
+        <thead>
+          <tr>
+            <th />
+            <th scope="col">Best case</th>
+            <th scope="col">Worst case</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <th scope="row">Total duration</th>
+            <td>{formatDuration(budget.best.duration)}</td>
+            <td>{formatDuration(budget.worst.duration)}</td>
+          </tr>
+          <tr>
+            <th scope="row">Operation calls</th>
+            <td>{budget.best.starts.length}</td>
+            <td>{budget.maxCalls}</td>
+          </tr>
+          <tr>
+            <th scope="row">Outcome</th>
+            <td>{budget.best.success ? 'Success' : 'Failure'}</td>
+            <td>Failure</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <p className={styles.summary}>
+        <strong>Amplification: ×{budget.amplification}</strong>, calls to the
+        operation when it keeps failing, per call when it succeeds. When every
+        attempt fails as slowly as it can, the calls start at{' '}
+        {starts.slice(0, MAX_LISTED_STARTS).map(formatDuration).join(', ')}
+        {starts.length > MAX_LISTED_STARTS &&
+          ` and ${starts.length - MAX_LISTED_STARTS} more`}
+        .
+      </p>
+
+      {budget.findings.length > 0 && (
+        <ul className={styles.findings}>
+          {budget.findings.map((finding, index) => (
+            <li
+              key={index}
+              className={clsx(
+                'alert',
+                finding.severity === 'warning'
+                  ? 'alert--warning'
+                  : 'alert--info',
+              )}>
+              <strong>
+                {finding.stages.map((stage) => `#${stage + 1}`).join(', ')}:
+              </strong>{' '}
+              {finding.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import React, {useEffect, useSyncExternalStore} from 'react';
+import clsx from 'clsx';
+import {useLocation} from '@docusaurus/router';
+
+import {normalizeRoute, readPrecachedRoutes} from '@site/src/lib/offline';
+
+import styles from './styles.module.css';
+
+/**
+ * Whether the browser is online, and which pages are saved for offline
+ * reading, shared by every component that asks. `routes` is null until the
+ * service worker has precached something, and always in development, where
+ * there is no service worker.
+ */
+const SERVER_SNAPSHOT = {online: true, routes: null};
+let snapshot = SERVER_SNAPSHOT;
+const listeners = new Set();
+
+function update(changes) {
+  snapshot = {...snapshot, ...changes};
+  listeners.forEach((listener) => listener());
+}
+
+/** Reads the precache again, e.g. after the service worker filled it. */
+export function refreshOfflineStatus() {
+  return readPrecachedRoutes().then(
+    (routes) => update({routes}),
+    () => update({routes: null}),
+  );
+}
+
+const onConnectivityChange = () => update({online: navigator.onLine});
+
+function subscribe(listener) {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    window.addEventListener('online', onConnectivityChange);
+    window.addEventListener('offline', onConnectivityChange);
+    navigator.serviceWorker?.addEventListener(
+      'controllerchange',
+      refreshOfflineStatus,
+    );
+    onConnectivityChange();
+    void refreshOfflineStatus();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size) return;
+    window.removeEventListener('online', onConnectivityChange);
+    window.removeEventListener('offline', onConnectivityChange);
+    navigator.serviceWorker?.removeEventListener(
+      'controllerchange',
+      refreshOfflineStatus,
+    );
+  };
+}
+
+/**
+ * @returns {{online: boolean, routes: Set<string> | null}}
+ */
+export function useOfflineStatus() {
+  return useSyncExternalStore(
+    subscribe,
+    () => snapshot,
+    () => SERVER_SNAPSHOT,
+  );
+}
+
+/**
+ * Whether the page at `to` can be opened offline; null when nothing is
+ * saved, so it can't be told.
+ */
+export function useIsSavedOffline(to) {
+  const {routes} = useOfflineStatus();
+  if (!routes) return null;
+  return routes.has(normalizeRoute(to.split(/[?#]/)[0]));
+}
+
+function describe({online, saved, count}) {
+  if (online && saved) {
+    return {
+      label: 'Offline ready',
+      badge: 'success',
+      title: `This page and ${count - 1} others are saved for offline reading.`,
+    };
+  }
+  if (online) {
+    return {
+      label: 'Online only',
+      badge: 'secondary',
+      title:
+        "This page isn't saved for offline reading yet. It will be once " +
+        'the site has finished saving for offline use.',
+    };
+  }
+  if (saved) {
+    return {
+      label: 'Offline',
+      badge: 'warning',
+      title:
+        `You're offline. This page and ${count - 1} others are saved; ` +
+        'links to pages that are not are dimmed in the sidebar.',
+    };
+  }
+  return {
+    label: 'Offline',
+    badge: 'danger',
+    title: "You're offline, and this page isn't saved for offline reading.",
+  };
+}
+
+/**
+ * What the offline badge says about the current page, or null while the
+ * site isn't saved for offline use and the browser is online.
+ */
+export function useOfflineBadge() {
+  const {pathname} = useLocation();
+  const {online, routes} = useOfflineStatus();
+  const saved = useIsSavedOffline(pathname);
+
+  // The service worker keeps saving pages after the first visit.
+  useEffect(() => {
+    void refreshOfflineStatus();
+  }, [pathname]);
+
+  if (online && !routes) return null;
+  return describe({online, saved, count: routes?.size ?? 0});
+}
+
+export function OfflineBadge({label, badge, title, className}) {
+  return (
+    <span
+      role="status"
+      title={title}
+      className={clsx('badge', `badge--${badge}`, styles.status, className)}>
+      {label}
+      <span className={styles.description}>{title}</span>
+    </span>
+  );
+}
+
+/**
+ * Badge saying whether the current page can be read offline, and whether
+ * the browser is offline.
+ */
+export default function OfflineStatus({className}) {
+  const badge = useOfflineBadge();
+  return badge && <OfflineBadge {...badge} className={className} />;
+}
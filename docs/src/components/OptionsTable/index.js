@@ -0,0 +1,141 @@
+import React from 'react';
+import Link from '@docusaurus/Link';
+import {usePluginData} from '@docusaurus/useGlobalData';
+
+import {useVersionedData} from '@site/src/lib/versioned-data';
+
+import styles from './styles.module.css';
+
+/** Longer constructor-assigned expressions are described rather than shown. */
+const MAX_FIXED_LENGTH = 40;
+
+/**
+ * Renders a doc comment summary, turning `code` spans and `[Symbol]`
+ * references into code elements.
+ */
+function Doc({text}) {
+  if (!text) return null;
+  return text.split(/(`[^`]+`|\[[A-Za-z_$][\w$.]*\])/).map((part, index) => {
+    if (index % 2 === 0) return part;
+    return <code key={index}>{part.slice(1, -1)}</code>;
+  });
+}
+
+function Value({value}) {
+  switch (value.kind) {
+    case 'required':
+      return <strong>Required</strong>;
+    case 'default':
+      return <code>{value.value}</code>;
+    case 'fixed':
+      return (
+        <span title="Set by the constructor, not a parameter">
+          {value.value.length > MAX_FIXED_LENGTH ? (
+            'Set by the constructor'
+          ) : (
+            <>
+              Always <code>{value.value}</code>
+            </>
+          )}
+        </span>
+      );
+    default:
+      return '—';
+  }
+}
+
+/**
+ * Table of the properties of a polly_dart class, generated at build time from
+ * its Dart source by the dart-options plugin, as it was in the docs version
+ * being read.
+ *
+ * Defaults come from the unnamed constructor, or from the named constructor
+ * given as `named`. Classes without an unnamed constructor get one column per
+ * named constructor. Pass `defaults={false}` to leave the column out, e.g. for
+ * callback arguments.
+ */
+export default function OptionsTable({type, named, defaults = true}) {
+  const {data: types, basePath} = useVersionedData(
+    usePluginData('docusaurus-plugin-dart-options'),
+  );
+  const options = types[type];
+  if (!options) {
+    throw new Error(
+      `OptionsTable: no public class "${type}" in the sources read by the dart-options plugin.`,
+    );
+  }
+
+  let constructors;
+  if (named) {
+    constructors = options.constructors.filter((c) => c.name === named);
+    if (!constructors.length) {
+      throw new Error(`OptionsTable: ${type} has no constructor "${named}".`);
+    }
+  } else {
+    const unnamed = options.constructors.filter((c) => c.name === '');
+    constructors = unnamed.length ? unnamed : options.constructors;
+  }
+  if (!defaults) constructors = [];
+
+  const properties =
+    constructors.length === 1
+      ? options.properties.filter(
+          (p) => p.href || constructors[0].values[p.name].kind !== 'absent',
+        )
+      : options.properties;
+
+  return (
+    <div className={styles.wrapper}>
+      <table className={styles.table}>
+        <thead>
+          <tr>
+            <th>Property</th>
+            <th>Type</th>
+            {constructors.length === 1 && <th>Default</th>}
+            {constructors.length > 1 &&
+              constructors.map((c) => (
+                <th key={c.name} title={c.doc ?? undefined}>
+                  <code>{c.name ? `.${c.name}` : type}</code>
+                </th>
+              ))}
+            <th>Description</th>
+          </tr>
+        </thead>
+        <tbody>
+          {properties.map((property) => (
+            <tr key={property.name}>
+              <td>
+                {property.href ? (
+                  <Link to={`${basePath}${property.href}`}>
+                    <code>{property.name}</code>
+                  </Link>
+                ) : (
+                  <code>{property.name}</code>
+                )}
+              </td>
+              <td>{property.type && <code>{property.type}</code>}</td>
+              {constructors.map((c) => (
+                <td key={c.name}>
+                  <Value value={c.values[property.name]} />
+                </td>
+              ))}
+              <td>
+                <Doc text={property.doc} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className={styles.source}>
+        Generated from{' '}
+        <Link to={`${basePath}${options.href}`}>
+          <code>
+            {options.name}
+            {named ? `.${named}` : ''}
+          </code>
+        </Link>{' '}
+        in <code>{options.sourcePath}</code>.
+      </p>
+    </div>
+  );
+}
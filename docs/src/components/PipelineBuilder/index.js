@@ -0,0 +1,350 @@
+import React, {useRef, useState} from 'react';
+import clsx from 'clsx';
+import CodeBlock from '@theme/CodeBlock';
+import Mermaid from '@theme/Mermaid';
+
+import LatencyBudget from '@site/src/components/LatencyBudget';
+import {
+  STRATEGIES,
+  checkOrdering,
+  pipelineDart,
+  pipelineMermaid,
+} from '@site/src/lib/pipeline';
+
+import styles from './styles.module.css';
+
+const DRAG_TYPE = 'application/x-polly-dart-strategy';
+
+const DEFAULT_STAGES = ['retry', 'circuitBreaker', 'timeout'];
+
+/**
+ * Drag-and-drop composer for resilience pipelines. Strategies are dragged
+ * from the palette into the stack (or added with a click), reordered by
+ * dragging or with the arrow buttons, and configured inline.
+ */
+export default function PipelineBuilder({initialStages = DEFAULT_STAGES}) {
+  const nextId = useRef(0);
+  const createStage = (kind) => ({
+    id: nextId.current++,
+    kind,
+    options: {...STRATEGIES[kind].defaults},
+  });
+
+  const [stages, setStages] = useState(() => initialStages.map(createStage));
+  const [typed, setTyped] = useState(false);
+  const [resultType, setResultType] = useState('String');
+  const [expanded, setExpanded] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [budgetOpen, setBudgetOpen] = useState(false);
+
+  const issues = checkOrdering(stages);
+  const flagged = new Set(issues.flatMap((issue) => issue.stages));
+
+  const insert = (kind, index) => {
+    const stage = createStage(kind);
+    setStages((current) => [
+      ...current.slice(0, index),
+      stage,
+      ...current.slice(index),
+    ]);
+    setExpanded(stage.id);
+  };
+
+  const move = (from, to) => {
+    setStages((current) => {
+      const next = [...current];
+      const [stage] = next.splice(from, 1);
+      next.splice(to > from ? to - 1 : to, 0, stage);
+      return next;
+    });
+  };
+
+  const update = (id, key, value) =>
+    setStages((current) =>
+      current.map((stage) =>
+        stage.id === id
+          ? {...stage, options: {...stage.options, [key]: value}}
+          : stage,
+      ),
+    );
+
+  const onDragOver = (index) => (event) => {
+    if (!event.dataTransfer.types.includes(DRAG_TYPE)) return;
+    event.preventDefault();
+    const {top, height} = event.currentTarget.getBoundingClientRect();
+    setDropIndex(event.clientY < top + height / 2 ? index : index + 1);
+  };
+
+  const onDrop = (event) => {
+    event.preventDefault();
+    const data = event.dataTransfer.getData(DRAG_TYPE);
+    const target = dropIndex ?? stages.length;
+    setDropIndex(null);
+    if (!data) return;
+    const {kind, from} = JSON.parse(data);
+    if (from === undefined) insert(kind, target);
+    else if (from !== target && from + 1 !== target) move(from, target);
+  };
+
+  const dragStart = (payload) => (event) => {
+    event.dataTransfer.setData(DRAG_TYPE, JSON.stringify(payload));
+    event.dataTransfer.effectAllowed =
+      payload.from === undefined ? 'copy' : 'move';
+  };
+
+  return (
+    <div className={styles.builder}>
+      <div className={styles.workspace}>
+        <section className={styles.palette} aria-label="Strategies">
+          <h3>Strategies</h3>
+          <p className={styles.hint}>Drag into the pipeline, or click to add.</p>
+          <ul>
+            {Object.entries(STRATEGIES).map(([kind, definition]) => (
+              <li key={kind}>
+                <button
+                  type="button"
+                  draggable
+                  className={clsx(styles.chip, styles[kind])}
+                  title={definition.description}
+                  onDragStart={dragStart({kind})}
+                  onClick={() => insert(kind, stages.length)}>
+                  {definition.label}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section
+          className={styles.stack}
+          aria-label="Pipeline"
+          onDragOver={(event) => {
+            if (event.target === event.currentTarget) {
+              event.preventDefault();
+              setDropIndex(stages.length);
+            }
+          }}
+          onDragLeave={(event) => {
+            if (!event.currentTarget.contains(event.relatedTarget)) {
+              setDropIndex(null);
+            }
+          }}
+          onDrop={onDrop}>
+          <h3>Pipeline</h3>
+          <div className={styles.caller}>Your code</div>
+          <ol>
+            {stages.map((stage, index) => {
+              const definition = STRATEGIES[stage.kind];
+              const isExpanded = expanded === stage.id;
+              return (
+                <li
+                  key={stage.id}
+                  className={clsx(
+                    styles.stage,
+                    styles[stage.kind],
+                    flagged.has(index) && styles.flagged,
+                    dropIndex === index && styles.dropBefore,
+                    dropIndex === index + 1 &&
+                      index === stages.length - 1 &&
+                      styles.dropAfter,
+                  )}
+                  draggable
+                  onDragStart={dragStart({kind: stage.kind, from: index})}
+                  onDragEnd={() => setDropIndex(null)}
+                  onDragOver={onDragOver(index)}>
+                  <div className={styles.stageHeader}>
+                    <span className={styles.handle} aria-hidden="true">
+                      ⠿
+                    </span>
+                    <button
+                      type="button"
+                      className={styles.stageTitle}
+                      aria-expanded={isExpanded}
+                      onClick={() => setExpanded(isExpanded ? null : stage.id)}>
+                      <strong>
+                        {index + 1}. {definition.label}
+                      </strong>
+                      <span>{definition.summary(stage.options)}</span>
+                    </button>
+                    <span className={styles.stageActions}>
+                      <button
+                        type="button"
+                        aria-label={`Move ${definition.label} up`}
+                        disabled={index === 0}
+                        onClick={() => move(index, index - 1)}>
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        aria-label={`Move ${definition.label} down`}
+                        disabled={index === stages.length - 1}
+                        onClick={() => move(index, index + 2)}>
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        aria-label={`Remove ${definition.label}`}
+                        onClick={() =>
+                          setStages((current) =>
+                            current.filter((s) => s.id !== stage.id),
+                          )
+                        }>
+                        ✕
+                      </button>
+                    </span>
+                  </div>
+                  {isExpanded && (
+                    <OptionsForm
+                      definition={definition}
+                      options={stage.options}
+                      onChange={(key, value) => update(stage.id, key, value)}
+                    />
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+          {stages.length === 0 && (
+            <p className={clsx(styles.hint, styles.empty)}>
+              Drop strategies here.
+            </p>
+          )}
+          <div className={styles.caller}>Your operation</div>
+        </section>
+      </div>
+
+      {issues.length > 0 && (
+        <ul className={styles.issues}>
+          {issues.map((issue, index) => (
+            <li
+              key={index}
+              className={clsx(
+                'alert',
+                issue.severity === 'warning' ? 'alert--warning' : 'alert--info',
+              )}>
+              <strong>
+                {issue.stages.map((stage) => `#${stage + 1}`).join(', ')}:
+              </strong>{' '}
+              {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className={styles.target}>
+        <label>
+          <input
+            type="checkbox"
+            checked={typed}
+            onChange={(e) => setTyped(e.target.checked)}
+          />{' '}
+          Use <code>TypedResiliencePipelineBuilder&lt;T&gt;</code>
+        </label>
+        <label>
+          Result type <code>T</code>{' '}
+          <input
+            type="text"
+            value={resultType}
+            spellCheck={false}
+            onChange={(e) => setResultType(e.target.value.trim() || 'dynamic')}
+          />
+        </label>
+      </div>
+
+      <CodeBlock language="dart" title="Dart">
+        {pipelineDart(stages, {typed, resultType})}
+      </CodeBlock>
+
+      <details className={styles.diagram} open>
+        <summary>Execution order</summary>
+        <Mermaid value={pipelineMermaid(stages)} />
+      </details>
+
+      <details
+        className={styles.diagram}
+        onToggle={(e) => setBudgetOpen(e.currentTarget.open)}>
+        <summary>Latency and attempt budget</summary>
+        {/* Simulated on every edit, so only while it is shown. */}
+        {budgetOpen && <LatencyBudget pipeline={stages} showStages={false} />}
+      </details>
+    </div>
+  );
+}
+
+function OptionsForm({definition, options, onChange}) {
+  return (
+    <div className={styles.options}>
+      {definition.fields
+        .filter((field) => !field.visible || field.visible(options))
+        .map((field) => (
+          <label
+            key={field.key}
+            className={clsx(field.type === 'bool' && styles.checkbox)}>
+            <span>
+              {field.label}
+              {field.type === 'duration' && ' (ms)'}
+            </span>
+            <Field field={field} value={options[field.key]} onChange={onChange} />
+          </label>
+        ))}
+    </div>
+  );
+}
+
+function Field({field, value, onChange}) {
+  switch (field.type) {
+    case 'bool':
+      return (
+        <input
+          type="checkbox"
+          checked={value}
+          onChange={(e) => onChange(field.key, e.target.checked)}
+        />
+      );
+    case 'select':
+      return (
+        <select
+          value={value}
+          onChange={(e) => onChange(field.key, e.target.value)}>
+          {field.choices.map((choice) => (
+            <option key={choice} value={choice}>
+              {choice}
+            </option>
+          ))}
+        </select>
+      );
+    case 'dart':
+      return (
+        <input
+          type="text"
+          value={value}
+          spellCheck={false}
+          className={styles.code}
+          onChange={(e) => onChange(field.key, e.target.value)}
+        />
+      );
+    default: {
+      const step = {ratio: 0.05, duration: 100, int: 1}[field.type];
+      const max = field.type === 'ratio' ? 1 : field.max;
+      return (
+        <input
+          type="number"
+          min={field.min ?? 0}
+          max={max}
+          step={step}
+          value={value}
+          onChange={(e) => {
+            const number = Math.min(
+              max ?? Infinity,
+              Math.max(field.min ?? 0, Number(e.target.value) || 0),
+            );
+            onChange(
+              field.key,
+              field.type === 'ratio' ? number : Math.round(number),
+            );
+          }}
+        />
+      );
+    }
+  }
+}
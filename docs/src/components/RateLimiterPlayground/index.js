@@ -0,0 +1,503 @@
+import React, {useMemo, useState} from 'react';
+import clsx from 'clsx';
+import CodeBlock from '@theme/CodeBlock';
+
+import {formatDuration} from '@site/src/lib/dart';
+import {
+  RATE_LIMITER_TYPES,
+  burstyArrivals,
+  parseArrivals,
+  rateLimiterOptionsDart,
+  simulateRateLimiter,
+  steadyArrivals,
+  summarizeRequests,
+} from '@site/src/lib/rate-limiter';
+
+import styles from './styles.module.css';
+
+const MAX_REQUESTS = 100;
+
+const CHART_WIDTH = 600;
+const PADDING = {top: 8, right: 12, bottom: 24, left: 44};
+const PERMITS_HEIGHT = 70;
+
+const DEFAULT_LIMITERS = [
+  {
+    type: 'tokenBucket',
+    permitLimit: 5,
+    window: 1000,
+    segmentsPerWindow: 1,
+    queueLimit: 2,
+  },
+  {
+    type: 'concurrencyLimiter',
+    permitLimit: 5,
+    window: 1000,
+    segmentsPerWindow: 1,
+    queueLimit: 2,
+  },
+];
+
+const DEFAULT_PATTERN = {
+  kind: 'bursty',
+  count: 20,
+  interval: 100,
+  bursts: 3,
+  burstSize: 8,
+  burstInterval: 1000,
+  custom: '0, 0, 0, 50ms, 100ms, 400ms, 1s, 1s, 1.2s',
+  duration: 300,
+};
+
+/**
+ * Replays a request arrival pattern against one or two rate limiter
+ * configurations and shows which requests run, wait or are rejected.
+ */
+export default function RateLimiterPlayground({
+  limiters: initialLimiters = DEFAULT_LIMITERS,
+  pattern: initialPattern,
+}) {
+  const [pattern, setPattern] = useState({
+    ...DEFAULT_PATTERN,
+    ...initialPattern,
+  });
+  const [limiters, setLimiters] = useState(initialLimiters);
+  const [compare, setCompare] = useState(initialLimiters.length > 1);
+
+  const {arrivals, errors} = useMemo(() => {
+    switch (pattern.kind) {
+      case 'steady':
+        return {
+          arrivals: steadyArrivals(pattern.count, pattern.interval),
+          errors: [],
+        };
+      case 'bursty':
+        return {
+          arrivals: burstyArrivals(
+            pattern.bursts,
+            pattern.burstSize,
+            pattern.burstInterval,
+          ),
+          errors: [],
+        };
+      default:
+        return parseArrivals(pattern.custom);
+    }
+  }, [pattern]);
+
+  const shown = compare ? limiters : limiters.slice(0, 1);
+  const simulations = shown.map((options) =>
+    simulateRateLimiter(
+      options,
+      arrivals.slice(0, MAX_REQUESTS),
+      pattern.duration,
+    ),
+  );
+  // Both timelines share one time axis so they can be compared directly.
+  const timeSpan = Math.max(
+    1,
+    ...simulations.flat().map((r) => Math.max(r.arrival, r.end ?? 0)),
+  );
+
+  const setPatternValue = (key) => (event) => {
+    const {value, type} = event.target;
+    setPattern((current) => ({
+      ...current,
+      [key]: type === 'number' ? Math.max(0, Number(value) || 0) : value,
+    }));
+  };
+
+  const numberInput = (key, label, attributes = {}) => (
+    <label key={key}>
+      <span>{label}</span>
+      <input
+        type="number"
+        min={0}
+        value={pattern[key]}
+        onChange={setPatternValue(key)}
+        {...attributes}
+      />
+    </label>
+  );
+
+  return (
+    <div className={styles.playground}>
+      <fieldset className={styles.controls}>
+        <legend>Requests</legend>
+        <label>
+          <span>Arrival pattern</span>
+          <select value={pattern.kind} onChange={setPatternValue('kind')}>
+            <option value="steady">Steady</option>
+            <option value="bursty">Bursty</option>
+            <option value="custom">Custom timestamps</option>
+          </select>
+        </label>
+        {pattern.kind === 'steady' && [
+          numberInput('count', 'Requests', {min: 1, max: MAX_REQUESTS}),
+          numberInput('interval', 'Every (ms)', {step: 50}),
+        ]}
+        {pattern.kind === 'bursty' && [
+          numberInput('bursts', 'Bursts', {min: 1}),
+          numberInput('burstSize', 'Requests per burst', {min: 1}),
+          numberInput('burstInterval', 'Every (ms)', {step: 100}),
+        ]}
+        {pattern.kind === 'custom' && (
+          <label className={styles.wide}>
+            <span>Arrival times (e.g. 0, 0, 250ms, 1.5s)</span>
+            <input
+              type="text"
+              value={pattern.custom}
+              spellCheck={false}
+              onChange={setPatternValue('custom')}
+            />
+          </label>
+        )}
+        {numberInput('duration', 'Each call takes (ms)', {step: 50})}
+        <label className={styles.checkbox}>
+          <input
+            type="checkbox"
+            checked={compare}
+            onChange={(e) => {
+              setCompare(e.target.checked);
+              if (limiters.length < 2) {
+                setLimiters([...limiters, DEFAULT_LIMITERS[1]]);
+              }
+            }}
+          />
+          <span>Compare two configurations</span>
+        </label>
+      </fieldset>
+      {errors.length > 0 && (
+        <p className={styles.error}>
+          Ignored {errors.map((token) => `"${token}"`).join(', ')}: not a time.
+        </p>
+      )}
+      {arrivals.length > MAX_REQUESTS && (
+        <p className={styles.error}>
+          Only the first {MAX_REQUESTS} requests are shown.
+        </p>
+      )}
+
+      <div className={clsx(styles.columns, compare && styles.compare)}>
+        {shown.map((options, index) => (
+          <LimiterPanel
+            key={index}
+            label={compare ? String.fromCharCode(65 + index) : null}
+            options={options}
+            requests={simulations[index]}
+            timeSpan={timeSpan}
+            onChange={(next) =>
+              setLimiters((current) =>
+                current.map((limiter, i) => (i === index ? next : limiter)),
+              )
+            }
+          />
+        ))}
+      </div>
+
+      <ul className={styles.legend}>
+        <li>
+          <span className={clsx(styles.swatch, styles.run)} /> Callback running
+        </li>
+        <li>
+          <span className={clsx(styles.swatch, styles.wait)} /> Waiting in the queue
+        </li>
+        <li>
+          <span className={clsx(styles.swatch, styles.reject)} />{' '}
+          <code>RateLimiterRejectedException</code> and <code>onRejected</code>
+        </li>
+        <li>
+          <span className={clsx(styles.swatch, styles.retry)} />{' '}
+          <code>retryAfter</code>
+        </li>
+      </ul>
+    </div>
+  );
+}
+
+function LimiterPanel({label, options, requests, timeSpan, onChange}) {
+  const summary = summarizeRequests(requests);
+  const rejected = requests.filter((r) => r.rejected);
+  const isConcurrency = options.type === 'concurrencyLimiter';
+
+  const setValue = (key) => (event) => {
+    const {value, type} = event.target;
+    const next = {
+      ...options,
+      [key]: type === 'number' ? Math.max(0, Number(value) || 0) : value,
+    };
+    if (key === 'type' && RATE_LIMITER_TYPES[value].segmentsPerWindow) {
+      next.segmentsPerWindow = RATE_LIMITER_TYPES[value].segmentsPerWindow;
+    }
+    next.permitLimit = Math.max(1, next.permitLimit);
+    next.window = Math.max(1, next.window);
+    next.segmentsPerWindow = Math.max(1, next.segmentsPerWindow);
+    onChange(next);
+  };
+
+  return (
+    <section className={styles.panel}>
+      <fieldset className={styles.controls}>
+        {label && <legend>Configuration {label}</legend>}
+        <label>
+          <span>type</span>
+          <select value={options.type} onChange={setValue('type')}>
+            {Object.keys(RATE_LIMITER_TYPES).map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>permitLimit</span>
+          <input
+            type="number"
+            min={1}
+            value={options.permitLimit}
+            onChange={setValue('permitLimit')}
+          />
+        </label>
+        {isConcurrency ? (
+          <label>
+            <span>queueLimit</span>
+            <input
+              type="number"
+              min={0}
+              value={options.queueLimit}
+              onChange={setValue('queueLimit')}
+            />
+          </label>
+        ) : (
+          <label>
+            <span>window (ms)</span>
+            <input
+              type="number"
+              min={1}
+              step={100}
+              value={options.window}
+              onChange={setValue('window')}
+            />
+          </label>
+        )}
+        {options.type === 'tokenBucket' && (
+          <label>
+            <span>segmentsPerWindow</span>
+            <input
+              type="number"
+              min={1}
+              value={options.segmentsPerWindow}
+              onChange={setValue('segmentsPerWindow')}
+            />
+          </label>
+        )}
+      </fieldset>
+
+      <Timeline requests={requests} timeSpan={timeSpan} />
+      <PermitsChart
+        requests={requests}
+        timeSpan={timeSpan}
+        permitLimit={options.permitLimit}
+      />
+
+      <p className={styles.summary}>
+        <strong>{summary.permitted}</strong> permitted
+        {isConcurrency && (
+          <>
+            {' '}
+            (<strong>{summary.queued}</strong> after queueing up to{' '}
+            {formatDuration(summary.maxWait)})
+          </>
+        )}
+        , <strong>{summary.rejected}</strong> rejected
+      </p>
+
+      {rejected.length > 0 && (
+        <details className={styles.rejections}>
+          <summary>
+            {rejected.length} × <code>onRejected</code>
+          </summary>
+          <ol>
+            {rejected.map((r) => (
+              <li key={r.id}>
+                #{r.id} at {formatDuration(r.arrival)}:{' '}
+                <code>
+                  RateLimiterRejectedException('{r.reason}'
+                  {r.retryAfter !== null &&
+                    `, retryAfter: ${formatDuration(r.retryAfter)}`}
+                  )
+                </code>
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+
+      <CodeBlock language="dart">
+        {`final pipeline = ResiliencePipelineBuilder()\n    .addRateLimiter(${rateLimiterOptionsDart(
+          options,
+          '    ',
+          [['onRejected', "(args) async => print('Rejected: ${args.reason}')"]],
+        )})\n    .build();`}
+      </CodeBlock>
+    </section>
+  );
+}
+
+function timeScale(timeSpan) {
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  return (time) => PADDING.left + (plotWidth * time) / timeSpan;
+}
+
+function TimeAxis({timeSpan, y}) {
+  const x = timeScale(timeSpan);
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => Math.round(timeSpan * f));
+  return ticks.map((tick) => (
+    <text
+      key={tick}
+      className={styles.axisLabel}
+      x={x(tick)}
+      y={y}
+      textAnchor="middle">
+      {formatDuration(tick)}
+    </text>
+  ));
+}
+
+/**
+ * One row per request: queue wait, callback run time, or a rejection with
+ * its `retryAfter` hint.
+ */
+function Timeline({requests, timeSpan}) {
+  const rowHeight = Math.min(
+    12,
+    Math.max(4, 240 / Math.max(requests.length, 1)),
+  );
+  const height = PADDING.top + rowHeight * requests.length + PADDING.bottom;
+  const x = timeScale(timeSpan);
+  const bar = Math.max(2, rowHeight - 2);
+
+  return (
+    <svg
+      className={styles.chart}
+      viewBox={`0 0 ${CHART_WIDTH} ${height}`}
+      role="img"
+      aria-label={`${requests.filter((r) => r.rejected).length} of ${
+        requests.length
+      } requests rejected`}>
+      <text
+        className={styles.axisLabel}
+        x={PADDING.left - 6}
+        y={PADDING.top + bar}
+        textAnchor="end">
+        #1
+      </text>
+      {requests.map((r, index) => {
+        const y = PADDING.top + index * rowHeight;
+        return (
+          <g key={r.id}>
+            <title>{describeRequest(r)}</title>
+            {r.rejected ? (
+              <>
+                {r.retryAfter !== null && (
+                  <rect
+                    className={styles.retry}
+                    x={x(r.arrival)}
+                    y={y + bar / 2 - 1}
+                    width={Math.max(
+                      1,
+                      x(r.arrival + r.retryAfter) - x(r.arrival),
+                    )}
+                    height={2}
+                  />
+                )}
+                <rect
+                  className={styles.reject}
+                  x={x(r.arrival) - bar / 2}
+                  y={y}
+                  width={bar}
+                  height={bar}
+                />
+              </>
+            ) : (
+              <>
+                {r.start > r.arrival && (
+                  <rect
+                    className={styles.wait}
+                    x={x(r.arrival)}
+                    y={y}
+                    width={x(r.start) - x(r.arrival)}
+                    height={bar}
+                  />
+                )}
+                <rect
+                  className={styles.run}
+                  x={x(r.start)}
+                  y={y}
+                  width={Math.max(2, x(r.end) - x(r.start))}
+                  height={bar}
+                />
+              </>
+            )}
+          </g>
+        );
+      })}
+      <TimeAxis timeSpan={timeSpan} y={height - 6} />
+    </svg>
+  );
+}
+
+/** Permits left after each decision, as a step line. */
+function PermitsChart({requests, timeSpan, permitLimit}) {
+  const x = timeScale(timeSpan);
+  const plotHeight = PERMITS_HEIGHT - PADDING.top - PADDING.bottom;
+  const y = (value) => PADDING.top + plotHeight * (1 - value / permitLimit);
+  const points = [`${x(0)},${y(permitLimit)}`];
+  let previous = permitLimit;
+  for (const r of requests) {
+    points.push(
+      `${x(r.arrival)},${y(previous)}`,
+      `${x(r.arrival)},${y(r.available)}`,
+    );
+    previous = r.available;
+  }
+
+  return (
+    <figure className={styles.permits}>
+      <figcaption>Permits available</figcaption>
+      <svg
+        className={styles.chart}
+        viewBox={`0 0 ${CHART_WIDTH} ${PERMITS_HEIGHT}`}
+        aria-hidden="true">
+        {[0, permitLimit].map((value) => (
+          <text
+            key={value}
+            className={styles.axisLabel}
+            x={PADDING.left - 6}
+            y={y(value)}
+            textAnchor="end"
+            dominantBaseline="middle">
+            {value}
+          </text>
+        ))}
+        <polyline className={styles.line} points={points.join(' ')} />
+        <TimeAxis timeSpan={timeSpan} y={PERMITS_HEIGHT - 6} />
+      </svg>
+    </figure>
+  );
+}
+
+function describeRequest(r) {
+  const head = `#${r.id} at ${formatDuration(r.arrival)}`;
+  if (r.rejected) {
+    return `${head}: rejected (${r.reason})${
+      r.retryAfter !== null
+        ? `, retry after ${formatDuration(r.retryAfter)}`
+        : ''
+    }; onRejected invoked`;
+  }
+  const waited = r.start - r.arrival;
+  return `${head}: ${
+    waited > 0 ? `queued for ${formatDuration(waited)}, then ` : ''
+  }ran until ${formatDuration(r.end)}`;
+}
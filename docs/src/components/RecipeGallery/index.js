@@ -0,0 +1,219 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import {useHistory, useLocation} from '@docusaurus/router';
+import {usePluginData} from '@docusaurus/useGlobalData';
+
+import styles from './styles.module.css';
+
+/**
+ * The tag filters, by query parameter. A recipe must use every selected
+ * strategy, and match one of the selected values of the other filters.
+ */
+const FILTERS = [
+  {param: 'strategy', facets: 'strategies', label: 'Strategies', all: true},
+  {param: 'platform', facets: 'platforms', label: 'Platform'},
+  {param: 'extension', facets: 'extensions', label: 'Extension'},
+  {param: 'difficulty', facets: 'difficulties', label: 'Difficulty'},
+];
+
+/** @returns {string[]} The values of a recipe for a filter. */
+function valuesOf(recipe, param) {
+  switch (param) {
+    case 'strategy':
+      return recipe.strategies;
+    case 'platform':
+      return recipe.platforms;
+    case 'extension':
+      return recipe.extension ? [recipe.extension] : [];
+    default:
+      return [recipe.difficulty];
+  }
+}
+
+/** Whether `recipe` has every word of `query`, in any of its text. */
+function matchesQuery(recipe, query, labels) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return true;
+  const text = [
+    recipe.title,
+    recipe.summary,
+    recipe.page,
+    recipe.text,
+    ...FILTERS.flatMap(({param}) =>
+      valuesOf(recipe, param).map((id) => labels[id] ?? id),
+    ),
+  ]
+    .join(' ')
+    .toLowerCase();
+  return words.every((word) => text.includes(word));
+}
+
+/**
+ * The recipes gathered by the recipes plugin from the front matter of the
+ * docs, as cards linking to their section, with tag filters and a text
+ * filter. The filters are kept in the query (`?strategy=retry&q=dio`) so
+ * filtered galleries can be linked to.
+ */
+export default function RecipeGallery() {
+  const {recipes, facets} = usePluginData('docusaurus-plugin-recipes');
+  const location = useLocation();
+  const history = useHistory();
+
+  const params = new URLSearchParams(location.search);
+  const query = params.get('q') ?? '';
+  const selected = Object.fromEntries(
+    FILTERS.map(({param}) => [param, params.getAll(param)]),
+  );
+  const labels = Object.fromEntries(
+    Object.values(facets)
+      .flat()
+      .map((facet) => [facet.id, facet.label]),
+  );
+
+  const shown = recipes.filter(
+    (recipe) =>
+      FILTERS.every(({param, all}) => {
+        const wanted = selected[param];
+        if (!wanted.length) return true;
+        const values = valuesOf(recipe, param);
+        return all
+          ? wanted.every((id) => values.includes(id))
+          : wanted.some((id) => values.includes(id));
+      }) && matchesQuery(recipe, query, labels),
+  );
+
+  const update = (change) => {
+    const next = new URLSearchParams(location.search);
+    change(next);
+    const search = next.toString();
+    history.replace({...location, search: search ? `?${search}` : ''});
+  };
+  const toggle = (param, id) =>
+    update((next) => {
+      const values = next.getAll(param);
+      next.delete(param);
+      const toggled = values.includes(id)
+        ? values.filter((value) => value !== id)
+        : [...values, id];
+      toggled.forEach((value) => next.append(param, value));
+    });
+  const filtered =
+    query || FILTERS.some(({param}) => selected[param].length > 0);
+
+  return (
+    <div className={styles.gallery}>
+      <input
+        type="search"
+        className={styles.search}
+        placeholder="Filter recipes, e.g. cancel, Cubit, batch"
+        aria-label="Filter recipes by text"
+        value={query}
+        onChange={(event) =>
+          update((next) => {
+            if (event.target.value) next.set('q', event.target.value);
+            else next.delete('q');
+          })
+        }
+      />
+
+      {FILTERS.map(({param, facets: key, label}) => {
+        const used = facets[key].filter((facet) =>
+          recipes.some((recipe) => valuesOf(recipe, param).includes(facet.id)),
+        );
+        if (!used.length) return null;
+        return (
+          <div
+            key={param}
+            className={styles.filters}
+            role="group"
+            aria-label={`Filter by ${label.toLowerCase()}`}>
+            <span className={styles.filterLabel}>{label}</span>
+            {used.map((facet) => {
+              const active = selected[param].includes(facet.id);
+              const count = recipes.filter((recipe) =>
+                valuesOf(recipe, param).includes(facet.id),
+              ).length;
+              return (
+                <button
+                  key={facet.id}
+                  type="button"
+                  aria-pressed={active}
+                  className={clsx(
+                    'button button--sm',
+                    active
+                      ? 'button--primary'
+                      : 'button--outline button--secondary',
+                  )}
+                  onClick={() => toggle(param, facet.id)}>
+                  {facet.label} ({count})
+                </button>
+              );
+            })}
+          </div>
+        );
+      })}
+
+      <p className={styles.status} aria-live="polite">
+        {filtered
+          ? `${shown.length} of ${recipes.length} recipes`
+          : `${recipes.length} recipes`}
+        {filtered && (
+          <button
+            type="button"
+            className={clsx('button button--link', styles.clear)}
+            onClick={() =>
+              update((next) =>
+                ['q', ...FILTERS.map(({param}) => param)].forEach((key) =>
+                  next.delete(key),
+                ),
+              )
+            }>
+            Clear filters
+          </button>
+        )}
+      </p>
+
+      {shown.length === 0 ? (
+        <p className={styles.empty}>No recipe matches these filters.</p>
+      ) : (
+        <ul className={styles.grid}>
+          {shown.map((recipe) => {
+            const difficulty = facets.difficulties.find(
+              (facet) => facet.id === recipe.difficulty,
+            );
+            return (
+              <li key={recipe.href} className={styles.recipe}>
+                <div className={styles.heading}>
+                  <Link to={recipe.href} className={styles.title}>
+                    {recipe.title}
+                  </Link>
+                  <span
+                    className={clsx(
+                      'badge',
+                      `badge--${difficulty.badge ?? 'secondary'}`,
+                    )}>
+                    {difficulty.label}
+                  </span>
+                </div>
+                <p className={styles.summary}>{recipe.summary}</p>
+                <ul className={styles.tags} aria-label="Tags">
+                  {[
+                    ...recipe.strategies,
+                    ...recipe.platforms,
+                    ...(recipe.extension ? [recipe.extension] : []),
+                  ].map((id) => (
+                    <li key={id} className={styles.tag}>
+                      {labels[id] ?? id}
+                    </li>
+                  ))}
+                </ul>
+                <span className={styles.source}>From {recipe.page}</span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,273 @@
+import React, {useMemo, useState} from 'react';
+import CodeBlock from '@theme/CodeBlock';
+
+import {formatDuration} from '@site/src/lib/dart';
+import {
+  BACKOFF_TYPES,
+  RETRY_DEFAULTS,
+  retryOptionsDart,
+  retrySchedule,
+} from '@site/src/lib/retry';
+
+import styles from './styles.module.css';
+
+const MAX_ATTEMPTS = 20;
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const PADDING = {top: 12, right: 12, bottom: 28, left: 64};
+
+/**
+ * Interactive chart of the delays a `RetryStrategyOptions` configuration
+ * produces. Any option passed as a prop sets the initial value.
+ */
+export default function RetryBackoffVisualizer(props) {
+  const [options, setOptions] = useState({...RETRY_DEFAULTS, ...props});
+  const schedule = useMemo(() => retrySchedule(options), [options]);
+
+  const update = (key) => (event) => {
+    const {type, checked, value} = event.target;
+    let next;
+    if (type === 'checkbox') next = checked;
+    else if (type === 'number') next = Math.max(0, Number(value) || 0);
+    else next = value;
+    if (key === 'maxRetryAttempts') {
+      next = Math.min(Math.max(1, Math.round(next)), MAX_ATTEMPTS);
+    }
+    setOptions((current) => ({...current, [key]: next}));
+  };
+
+  const total = schedule.at(-1);
+
+  return (
+    <div className={styles.visualizer}>
+      <form className={styles.controls} onSubmit={(e) => e.preventDefault()}>
+        <label>
+          <span>maxRetryAttempts</span>
+          <input
+            type="number"
+            min={1}
+            max={MAX_ATTEMPTS}
+            value={options.maxRetryAttempts}
+            onChange={update('maxRetryAttempts')}
+          />
+        </label>
+        <label>
+          <span>delay (ms)</span>
+          <input
+            type="number"
+            min={0}
+            step={100}
+            value={options.delay}
+            onChange={update('delay')}
+          />
+        </label>
+        <label>
+          <span>backoffType</span>
+          <select value={options.backoffType} onChange={update('backoffType')}>
+            {BACKOFF_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {type}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>maxDelay (ms)</span>
+          <input
+            type="number"
+            min={0}
+            step={1000}
+            value={options.maxDelay}
+            onChange={update('maxDelay')}
+          />
+        </label>
+        <label className={styles.checkbox}>
+          <input
+            type="checkbox"
+            checked={options.useJitter}
+            onChange={update('useJitter')}
+          />
+          <span>useJitter</span>
+        </label>
+      </form>
+
+      <div className={styles.charts}>
+        <Chart
+          title="Delay before each retry"
+          schedule={schedule}
+          low={(entry) => entry.min}
+          high={(entry) => entry.max}
+          variant="bars"
+        />
+        <Chart
+          title="Total time spent waiting"
+          schedule={schedule}
+          low={(entry) => entry.totalMin}
+          high={(entry) => entry.totalMax}
+          variant="line"
+        />
+      </div>
+
+      <p className={styles.summary}>
+        {options.maxRetryAttempts} retries wait{' '}
+        <strong>{formatRange(total.totalMin, total.totalMax)}</strong> in total,
+        on top of the time the attempts themselves take.
+        {options.useJitter &&
+          ' With jitter, each delay is scaled to between 50 % and 150 % of its base value before maxDelay is applied.'}
+      </p>
+
+      <details className={styles.table}>
+        <summary>Delays as a table</summary>
+        <table>
+          <thead>
+            <tr>
+              <th>Retry</th>
+              <th>Delay</th>
+              <th>Waited so far</th>
+            </tr>
+          </thead>
+          <tbody>
+            {schedule.map((entry) => (
+              <tr key={entry.retry}>
+                <td>{entry.retry}</td>
+                <td>{formatRange(entry.min, entry.max)}</td>
+                <td>{formatRange(entry.totalMin, entry.totalMax)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+
+      <CodeBlock language="dart">
+        {`final pipeline = ResiliencePipelineBuilder()\n    .addRetry(${retryOptionsDart(
+          options,
+          '    ',
+        )})\n    .build();`}
+      </CodeBlock>
+    </div>
+  );
+}
+
+function formatRange(min, max) {
+  return min === max
+    ? formatDuration(min)
+    : `${formatDuration(min)} – ${formatDuration(max)}`;
+}
+
+/**
+ * Bar or line chart over the retries. When `low` and `high` differ (jitter),
+ * the range between them is drawn as a lighter band.
+ */
+function Chart({title, schedule, low, high, variant}) {
+  const maxValue = Math.max(1, ...schedule.map(high));
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const band = plotWidth / schedule.length;
+  const x = (index) => PADDING.left + band * index + band / 2;
+  const y = (value) => PADDING.top + plotHeight * (1 - value / maxValue);
+  const ticks = [0, 0.5, 1].map((fraction) => maxValue * fraction);
+  const labelEvery = Math.ceil(schedule.length / 10);
+
+  const points = (pick) =>
+    schedule.map((entry, index) => `${x(index)},${y(pick(entry))}`).join(' ');
+
+  return (
+    <figure className={styles.chart}>
+      <figcaption>{title}</figcaption>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label={`${title}: ${schedule
+          .map((entry) => formatRange(low(entry), high(entry)))
+          .join(', ')}`}>
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              className={styles.grid}
+              x1={PADDING.left}
+              x2={CHART_WIDTH - PADDING.right}
+              y1={y(tick)}
+              y2={y(tick)}
+            />
+            <text
+              className={styles.axisLabel}
+              x={PADDING.left - 8}
+              y={y(tick)}
+              textAnchor="end"
+              dominantBaseline="middle">
+              {formatDuration(tick)}
+            </text>
+          </g>
+        ))}
+        {schedule.map((entry, index) =>
+          index % labelEvery === 0 ? (
+            <text
+              key={entry.retry}
+              className={styles.axisLabel}
+              x={x(index)}
+              y={CHART_HEIGHT - 8}
+              textAnchor="middle">
+              #{entry.retry}
+            </text>
+          ) : null,
+        )}
+
+        {variant === 'bars' &&
+          schedule.map((entry, index) => {
+            const width = Math.max(2, band * 0.6);
+            const left = x(index) - width / 2;
+            return (
+              <g key={entry.retry}>
+                <rect
+                  className={styles.range}
+                  x={left}
+                  width={width}
+                  y={y(high(entry))}
+                  height={y(low(entry)) - y(high(entry))}
+                />
+                <rect
+                  className={styles.bar}
+                  x={left}
+                  width={width}
+                  y={y(low(entry))}
+                  height={y(0) - y(low(entry))}
+                />
+                <title>{`Retry ${entry.retry}: ${formatRange(
+                  low(entry),
+                  high(entry),
+                )}`}</title>
+              </g>
+            );
+          })}
+
+        {variant === 'line' && (
+          <>
+            <polygon
+              className={styles.range}
+              points={`${points(high)} ${schedule
+                .map((entry, index) => `${x(index)},${y(low(entry))}`)
+                .reverse()
+                .join(' ')}`}
+            />
+            <polyline className={styles.line} points={points(low)} />
+            <polyline className={styles.line} points={points(high)} />
+            {schedule.map((entry, index) => (
+              <circle
+                key={entry.retry}
+                className={styles.point}
+                cx={x(index)}
+                cy={y(high(entry))}
+                r={3}>
+                <title>{`After retry ${entry.retry}: ${formatRange(
+                  low(entry),
+                  high(entry),
+                )}`}</title>
+              </circle>
+            ))}
+          </>
+        )}
+      </svg>
+    </figure>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import {usePluginData} from '@docusaurus/useGlobalData';
+
+import {useVersionedData} from '@site/src/lib/versioned-data';
+
+import styles from './styles.module.css';
+
+/**
+ * "Since x.y.z" badge for an API symbol (`Type` or `Type.member`), linking to
+ * the release notes of the version that introduced it. The versions come
+ * from CHANGELOG.md via the changelog plugin, as it was when the docs version
+ * being read was cut; an unknown symbol fails the build.
+ */
+export default function Since({member}) {
+  const {since: sinceByVersion, routeBasePath} = usePluginData(
+    'docusaurus-plugin-changelog',
+  );
+  const {data: since} = useVersionedData(sinceByVersion);
+  const version = since[member];
+  if (!version) {
+    throw new Error(
+      `Since: CHANGELOG.md does not say which version introduced "${member}".`,
+    );
+  }
+  return (
+    <Link
+      to={`/${routeBasePath}/${version}`}
+      className={clsx('badge', 'badge--info', styles.since)}
+      title={`${member} was added in polly_dart ${version}`}>
+      Since {version}
+    </Link>
+  );
+}
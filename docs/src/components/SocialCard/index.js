@@ -0,0 +1,14 @@
+import {usePluginData} from '@docusaurus/useGlobalData';
+
+/** Size of the cards drawn by plugins/social-cards. */
+export const CARD_WIDTH = 1200;
+export const CARD_HEIGHT = 630;
+
+/**
+ * The card plugins/social-cards drew for the page at `permalink`, or
+ * `undefined` if it has none, e.g. because its front matter sets `image`.
+ */
+export function useSocialCard(permalink) {
+  const {cards} = usePluginData('docusaurus-plugin-social-cards');
+  return cards[permalink];
+}
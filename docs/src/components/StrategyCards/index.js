@@ -0,0 +1,41 @@
+import React from 'react';
+import Link from '@docusaurus/Link';
+
+import {STRATEGIES} from '@site/src/data/strategies';
+
+/**
+ * Card grid of the resilience strategies in `src/data/strategies.js`, or of
+ * one `category` of them (`reactive` or `proactive`).
+ */
+export default function StrategyCards({category}) {
+  const strategies = category
+    ? STRATEGIES.filter((s) => s.category === category)
+    : STRATEGIES;
+  if (!strategies.length) {
+    throw new Error(`StrategyCards: no strategies in category "${category}".`);
+  }
+  return (
+    <div className="quick-ref-grid">
+      {strategies.map((strategy) => (
+        <div key={strategy.id} className="quick-ref-card">
+          <span className="strategy-icon" aria-hidden="true">
+            {strategy.icon}
+          </span>
+          <h4>{strategy.name}</h4>
+          <p>
+            <strong>Purpose:</strong> {strategy.purpose}
+          </p>
+          <p>
+            <strong>Use Case:</strong> {strategy.useCase}
+          </p>
+          <Link
+            to={strategy.to}
+            className="button button--primary button--sm"
+            aria-label={`Learn more about the ${strategy.name} strategy`}>
+            Learn More
+          </Link>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,164 @@
+import React, {useState} from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import CodeBlock from '@theme/CodeBlock';
+
+import {QUESTIONS} from '@site/src/data/strategy-wizard';
+import {checkOrdering, pipelineDart} from '@site/src/lib/pipeline';
+import {recommend} from '@site/src/lib/strategy-wizard';
+
+import styles from './styles.module.css';
+
+/**
+ * "Which strategy do I need?" wizard. Asks the questions in
+ * `src/data/strategy-wizard.js` one at a time, then recommends the
+ * strategies its rules pick, in pipeline order, with the matching
+ * `ResiliencePipelineBuilder` code.
+ */
+export default function StrategyWizard() {
+  const [answers, setAnswers] = useState({});
+  const [step, setStep] = useState(0);
+
+  if (step >= QUESTIONS.length) {
+    return (
+      <div className={styles.wizard}>
+        <Result
+          answers={answers}
+          onEdit={setStep}
+          onRestart={() => {
+            setAnswers({});
+            setStep(0);
+          }}
+        />
+      </div>
+    );
+  }
+
+  const question = QUESTIONS[step];
+  const answer = answers[question.id];
+  return (
+    <div className={styles.wizard}>
+      <fieldset className={styles.question}>
+        <legend>
+          <span className={styles.progress}>
+            Question {step + 1} of {QUESTIONS.length}
+          </span>
+          {question.question}
+        </legend>
+        <div className={styles.choices}>
+          {question.choices.map((choice) => (
+            <label
+              key={choice.value}
+              className={clsx(
+                styles.choice,
+                answer === choice.value && styles.selected,
+              )}>
+              <input
+                type="radio"
+                name={question.id}
+                value={choice.value}
+                checked={answer === choice.value}
+                onChange={() =>
+                  setAnswers({...answers, [question.id]: choice.value})
+                }
+              />
+              <strong>{choice.label}</strong>
+              <span>{choice.description}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      <div className={styles.actions}>
+        <button
+          type="button"
+          className="button button--secondary"
+          disabled={step === 0}
+          onClick={() => setStep(step - 1)}>
+          Back
+        </button>
+        <button
+          type="button"
+          className="button button--primary"
+          disabled={!answer}
+          onClick={() => setStep(step + 1)}>
+          {step === QUESTIONS.length - 1 ? 'Show recommendation' : 'Next'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Result({answers, onEdit, onRestart}) {
+  const {stages, notes} = recommend(answers);
+  const pipeline = stages.map(({stage}) => stage);
+  const issues = checkOrdering(pipeline);
+  return (
+    <>
+      <h3>Your answers</h3>
+      <dl className={styles.answers}>
+        {QUESTIONS.map((question, index) => (
+          <div key={question.id}>
+            <dt>{question.question}</dt>
+            <dd>
+              {
+                question.choices.find((c) => c.value === answers[question.id])
+                  ?.label
+              }{' '}
+              <button
+                type="button"
+                className={styles.edit}
+                aria-label={`Change the answer to "${question.question}"`}
+                onClick={() => onEdit(index)}>
+                Change
+              </button>
+            </dd>
+          </div>
+        ))}
+      </dl>
+
+      <h3>Recommended pipeline</h3>
+      {stages.length === 0 ? (
+        <p>
+          None of the strategies fit these answers; a plain call is the
+          simplest option.
+        </p>
+      ) : (
+        <>
+          <p>Add the strategies in this order; the first one is outermost.</p>
+          <ol className={styles.stages}>
+            {stages.map(({stage, label, reasons, to}) => (
+              <li key={stage.kind}>
+                <strong>{label}</strong>
+                {reasons.map((reason, index) => (
+                  <p key={index}>{reason}</p>
+                ))}
+                {to && <Link to={to}>Read the {label.toLowerCase()} guide</Link>}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      {[...notes, ...issues.map((issue) => issue.message)].map(
+        (message, index) => (
+          <div key={index} className="alert alert--info margin-bottom--sm">
+            {message}
+          </div>
+        ),
+      )}
+
+      {stages.length > 0 && (
+        <CodeBlock language="dart" title="Starter pipeline">
+          {pipelineDart(pipeline, {typed: false, resultType: 'String'})}
+        </CodeBlock>
+      )}
+
+      <button
+        type="button"
+        className="button button--secondary"
+        onClick={onRestart}>
+        Start over
+      </button>
+    </>
+  );
+}
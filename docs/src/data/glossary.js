@@ -0,0 +1,409 @@
+/**
+ * Terms of the Glossary page (`docs/glossary.md`, generated by
+ * `plugins/glossary`). The first time a page mentions a term, or one of its
+ * `aliases`, it shows the `definition` as a tooltip linking to the entry.
+ *
+ * Terms match case-insensitively, with or without a plural `s`, and a hyphen
+ * matches a space (`half-open` and `half open`); `caseSensitive` terms match
+ * only as written. `definition` is one or two plain sentences; `code` spans
+ * are the only Markdown it may use. `see` points to the guide that explains
+ * the term in depth.
+ *
+ * The build reports option and enum names from lib/src that the docs use in
+ * prose but that are neither a term nor an alias here.
+ */
+
+export const GLOSSARY = [
+  {
+    term: 'Backoff',
+    aliases: ['backoff type', 'exponential backoff', 'linear backoff'],
+    definition:
+      'How the delay between retries changes from one attempt to the next: ' +
+      'constant keeps `delay`, linear adds `delay` each time, and ' +
+      'exponential doubles it. Set with `backoffType`.',
+    see: {
+      label: 'Retry: Backoff Strategies',
+      to: '/strategies/retry#backoff-strategies',
+    },
+  },
+  {
+    term: 'Break duration',
+    definition:
+      'How long an open circuit rejects calls before it lets a trial call ' +
+      'through in the half-open state.',
+    see: {
+      label: 'Circuit Breaker: Break Duration',
+      to: '/strategies/circuit-breaker#break-duration',
+    },
+  },
+  {
+    term: 'Cache hit',
+    definition:
+      'A call answered from the cache, without running the operation. The ' +
+      'opposite is a cache miss.',
+    see: {label: 'Cache', to: '/strategies/cache'},
+  },
+  {
+    term: 'Cache key',
+    aliases: ['key generator'],
+    definition:
+      'The string a cached result is stored under, from the ' +
+      '`operationKey` of the context or the `keyGenerator` option. Calls ' +
+      'with the same key share a result.',
+    see: {
+      label: 'Cache: Key Generation Strategies',
+      to: '/strategies/cache#key-generation-strategies',
+    },
+  },
+  {
+    term: 'Cache miss',
+    definition:
+      'A call the cache has no unexpired result for, so the operation runs ' +
+      'and its result may be stored.',
+    see: {label: 'Cache', to: '/strategies/cache'},
+  },
+  {
+    term: 'Cancellation',
+    aliases: ['cancellation token'],
+    definition:
+      'Asking an operation that is still running to stop, through its ' +
+      '`ResilienceContext`. Timeout and hedging cancel attempts they no ' +
+      'longer need; operations check `isCancellationRequested`.',
+    see: {
+      label: 'Basic Concepts: Resilience Context',
+      to: '/getting-started/basic-concepts#resilience-context',
+    },
+  },
+  {
+    term: 'Closed circuit',
+    aliases: ['closed state'],
+    definition:
+      'The normal state of a circuit breaker: calls go through, and their ' +
+      'outcomes are counted towards the failure ratio.',
+    see: {
+      label: 'Circuit Breaker: Circuit States',
+      to: '/strategies/circuit-breaker#circuit-states',
+    },
+  },
+  {
+    term: 'Concurrency limiter',
+    definition:
+      'A rate limiter that caps how many calls run at the same time, at ' +
+      '`permitLimit`, rather than how many start per window.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'Context properties',
+    aliases: ['context property'],
+    definition:
+      'Values stored on a `ResilienceContext` with `setProperty` and read ' +
+      'with `getProperty`, to pass data between the caller, the operation ' +
+      'and the strategy callbacks of one execution.',
+    see: {
+      label: 'Basic Concepts: Context Properties',
+      to: '/getting-started/basic-concepts#context-properties',
+    },
+  },
+  {
+    term: 'Fail fast',
+    aliases: ['failing fast', 'fails fast'],
+    definition:
+      'Returning an error straight away instead of waiting on a dependency ' +
+      'that is known to be failing, as an open circuit does.',
+    see: {
+      label: 'Basic Concepts: Fail Fast vs Resilience',
+      to: '/getting-started/basic-concepts#fail-fast-vs-resilience',
+    },
+  },
+  {
+    term: 'Failure ratio',
+    aliases: ['failure threshold'],
+    definition:
+      'The share of handled failures among the calls in the sampling ' +
+      'duration, from 0 to 1, at which a circuit breaker opens.',
+    see: {
+      label: 'Circuit Breaker: Failure Ratio Calculation',
+      to: '/strategies/circuit-breaker#failure-ratio-calculation',
+    },
+  },
+  {
+    term: 'Fallback action',
+    definition:
+      'The function a fallback strategy calls to produce a substitute ' +
+      'result when the outcome is handled.',
+    see: {label: 'Fallback', to: '/strategies/fallback'},
+  },
+  {
+    term: 'Fixed window',
+    definition:
+      'A rate limiter that permits `permitLimit` calls per `window`; the ' +
+      'count resets when a new window starts.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'Generator',
+    aliases: [
+      'delay generator',
+      'timeout generator',
+      'action generator',
+      'break duration generator',
+    ],
+    definition:
+      'A callback option, such as `delayGenerator` or `timeoutGenerator`, ' +
+      'that computes a value for each attempt instead of using the same ' +
+      'fixed value every time.',
+  },
+  {
+    term: 'Half-open',
+    aliases: ['half-open state', 'half-opened'],
+    definition:
+      'The circuit breaker state after the break duration: a trial call is ' +
+      'let through, and its outcome closes the circuit or opens it again.',
+    see: {
+      label: 'Circuit Breaker: Circuit States',
+      to: '/strategies/circuit-breaker#circuit-states',
+    },
+  },
+  {
+    term: 'Hedged attempt',
+    aliases: ['hedged request', 'hedged call'],
+    definition:
+      'An extra call of the same operation, started `delay` after the ' +
+      'previous one, in parallel with it. The first acceptable outcome wins ' +
+      'and the other attempts are cancelled.',
+    see: {
+      label: 'Hedging: How Hedged Attempts Run',
+      to: '/strategies/hedging#how-hedged-attempts-run',
+    },
+  },
+  {
+    term: 'Idempotent',
+    aliases: ['idempotency'],
+    definition:
+      'Safe to run more than once: running it twice has the same effect as ' +
+      'running it once. Only idempotent operations should be retried or ' +
+      'hedged.',
+  },
+  {
+    term: 'Jitter',
+    definition:
+      'A random variation added to each retry delay so that many clients ' +
+      'failing at once do not retry in lockstep. Enabled with `useJitter`.',
+    see: {label: 'Retry: Jitter', to: '/strategies/retry#jitter'},
+  },
+  {
+    term: 'Manual control',
+    definition:
+      'A handle that opens or closes a circuit breaker from code, ' +
+      'regardless of the outcomes it has seen.',
+    see: {
+      label: 'Circuit Breaker: Manual Circuit Control',
+      to: '/strategies/circuit-breaker#manual-circuit-control',
+    },
+  },
+  {
+    term: 'Maximum retry attempts',
+    aliases: ['max retry attempts'],
+    definition:
+      'How many times retry runs the operation again after the first ' +
+      'attempt, so at most `maxRetryAttempts + 1` calls in total.',
+    see: {label: 'Retry', to: '/strategies/retry'},
+  },
+  {
+    term: 'Minimum throughput',
+    definition:
+      'How many calls the sampling duration must contain before the ' +
+      'failure ratio can open the circuit, so a few early failures do not.',
+    see: {
+      label: 'Circuit Breaker: Failure Ratio Calculation',
+      to: '/strategies/circuit-breaker#failure-ratio-calculation',
+    },
+  },
+  {
+    term: 'Open circuit',
+    aliases: ['open state', 'opened circuit'],
+    definition:
+      'The circuit breaker state after too many failures: calls are ' +
+      'rejected with a `CircuitBreakerOpenException` until the break ' +
+      'duration ends.',
+    see: {
+      label: 'Circuit Breaker: Circuit States',
+      to: '/strategies/circuit-breaker#circuit-states',
+    },
+  },
+  {
+    term: 'Outcome',
+    definition:
+      'The result of an operation as a value: either a result or an ' +
+      'exception, which strategies inspect without throwing.',
+    see: {
+      label: 'Basic Concepts: The Outcome Type',
+      to: '/getting-started/basic-concepts#the-outcome-type',
+    },
+    // "outcome" is everyday English; only the type name is annotated.
+    caseSensitive: true,
+  },
+  {
+    term: 'Permit limit',
+    definition:
+      'How many calls a rate limiter lets through per window, or at the ' +
+      'same time for the concurrency limiter.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'Predicate',
+    aliases: ['shouldHandle predicate'],
+    definition:
+      'A function, usually `shouldHandle`, that tells a strategy which ' +
+      'outcomes to act on: which failures to retry, count or replace.',
+    see: {
+      label: 'Basic Concepts: Predicate Functions',
+      to: '/getting-started/basic-concepts#predicate-functions',
+    },
+  },
+  {
+    term: 'Proactive strategy',
+    definition:
+      'A strategy that acts before a failure happens, such as timeout, rate ' +
+      'limiter, cache or hedging.',
+    see: {
+      label: 'Basic Concepts: Proactive Strategies',
+      to: '/getting-started/basic-concepts#proactive-strategies',
+    },
+  },
+  {
+    term: 'Queue limit',
+    definition:
+      'How many calls a concurrency limiter holds waiting for a free slot ' +
+      'before it rejects more.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'Reactive strategy',
+    definition:
+      'A strategy that acts on the outcome of a call, such as retry, ' +
+      'circuit breaker or fallback.',
+    see: {
+      label: 'Basic Concepts: Reactive Strategies',
+      to: '/getting-started/basic-concepts#reactive-strategies',
+    },
+  },
+  {
+    term: 'Resilience context',
+    definition:
+      'The `ResilienceContext` that travels with one execution through the ' +
+      'pipeline: attempt number, operation key, cancellation and context ' +
+      'properties.',
+    see: {
+      label: 'Basic Concepts: Resilience Context',
+      to: '/getting-started/basic-concepts#resilience-context',
+    },
+  },
+  {
+    term: 'Resilience pipeline',
+    definition:
+      'A `ResiliencePipeline` built from strategies, outermost first, that ' +
+      'runs an operation through each of them in turn.',
+    see: {
+      label: 'Basic Concepts: The Resilience Pipeline',
+      to: '/getting-started/basic-concepts#the-resilience-pipeline',
+    },
+  },
+  {
+    term: 'Retry amplification',
+    aliases: ['amplification', 'retry storm'],
+    definition:
+      'How many more calls reach a dependency when it fails than when it ' +
+      'works, because every layer retries. High amplification adds load to ' +
+      'a service that is already struggling.',
+    see: {
+      label: 'Combining Strategies: Latency and Attempt Budget',
+      to: '/advanced/combining-strategies#latency-and-attempt-budget',
+    },
+  },
+  {
+    term: 'Sampling duration',
+    definition:
+      'The time window a circuit breaker counts calls and failures over ' +
+      'to compute the failure ratio.',
+    see: {
+      label: 'Circuit Breaker: Failure Ratio Calculation',
+      to: '/strategies/circuit-breaker#failure-ratio-calculation',
+    },
+  },
+  {
+    term: 'Segments per window',
+    definition:
+      'How many parts a rate limiter window is divided into. The sliding ' +
+      'window moves, and the token bucket refills, one segment at a time.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'Sliding window',
+    definition:
+      'A rate limiter that permits `permitLimit` calls in any `window`-long ' +
+      'period, tracked in segments, so there is no burst at window edges.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'State provider',
+    definition:
+      'An object that reports the current state of a circuit breaker, for ' +
+      'health checks and dashboards.',
+    see: {
+      label: 'Circuit Breaker: State Monitoring and Callbacks',
+      to: '/strategies/circuit-breaker#state-monitoring-and-callbacks',
+    },
+  },
+  {
+    term: 'Time to live',
+    aliases: ['TTL'],
+    definition:
+      'How long a cached result stays valid. After it expires, the next ' +
+      'call is a cache miss.',
+    see: {
+      label: 'Cache: TTL Strategies',
+      to: '/strategies/cache#ttl-time-to-live-strategies',
+    },
+  },
+  {
+    term: 'Token bucket',
+    definition:
+      'A rate limiter that spends one token per call from a bucket of ' +
+      '`permitLimit` tokens, refilled a segment at a time, which allows ' +
+      'short bursts.',
+    see: {
+      label: 'Rate Limiter: Limiter Types',
+      to: '/strategies/rate-limiter#limiter-types',
+    },
+  },
+  {
+    term: 'Transient fault',
+    aliases: ['transient failure', 'transient error'],
+    definition:
+      'A short-lived failure, such as a dropped connection or a 503 during ' +
+      'a deploy, that is likely to succeed when tried again.',
+    see: {
+      label: 'Retry: When to Use Retry',
+      to: '/strategies/retry#when-to-use-retry',
+    },
+  },
+];
@@ -0,0 +1,16 @@
+/**
+ * HTTP clients that snippets have variants for, in the order of the navbar
+ * selector and of the tabs of `<ClientVariants>`. The `value` is what is
+ * remembered and shown in the `?http-client=` query, so keep it stable.
+ */
+export const HTTP_CLIENTS = [
+  {value: 'dart', label: 'Plain Dart'},
+  {value: 'http', label: 'package:http'},
+  {value: 'dio', label: 'Dio'},
+];
+
+/**
+ * Tabs group id of the variants, which is also the query parameter; the
+ * choice is stored under `docusaurus.tab.<group>` like any synced tabs.
+ */
+export const HTTP_CLIENT_GROUP = 'http-client';
@@ -0,0 +1,86 @@
+/**
+ * The resilience strategies as presented on the homepage and in the
+ * strategies overview. Add a strategy here and both card grids pick it up.
+ *
+ * `category` is `reactive` for strategies that respond to failures after
+ * they occur, and `proactive` for those that prevent them; `to` is the path
+ * of the strategy's guide. `kind` is the strategy's name in the pipeline
+ * builder and the other tools of src/lib.
+ */
+export const STRATEGIES = [
+  {
+    id: 'retry',
+    kind: 'retry',
+    name: 'Retry',
+    icon: '🔄',
+    category: 'reactive',
+    purpose:
+      'Automatically retry failed operations with configurable backoff strategies.',
+    useCase: 'Transient network failures, temporary service unavailability.',
+    to: '/strategies/retry',
+  },
+  {
+    id: 'circuit-breaker',
+    kind: 'circuitBreaker',
+    name: 'Circuit Breaker',
+    icon: '⚡',
+    category: 'reactive',
+    purpose:
+      'Prevent cascading failures by temporarily blocking calls to failing services.',
+    useCase:
+      'Protecting against persistent failures, giving services time to recover.',
+    to: '/strategies/circuit-breaker',
+  },
+  {
+    id: 'fallback',
+    kind: 'fallback',
+    name: 'Fallback',
+    icon: '🎯',
+    category: 'reactive',
+    purpose: 'Provide alternative responses when primary operations fail.',
+    useCase: 'Graceful degradation, cached responses, default values.',
+    to: '/strategies/fallback',
+  },
+  {
+    id: 'hedging',
+    kind: 'hedging',
+    name: 'Hedging',
+    icon: '🏁',
+    category: 'reactive',
+    purpose:
+      'Execute multiple parallel attempts and use the fastest successful response.',
+    useCase: 'Redundant services, optimizing for response time.',
+    to: '/strategies/hedging',
+  },
+  {
+    id: 'timeout',
+    kind: 'timeout',
+    name: 'Timeout',
+    icon: '⏱️',
+    category: 'proactive',
+    purpose: 'Cancel operations that take too long to complete.',
+    useCase: 'Preventing hanging requests, ensuring responsive UX.',
+    to: '/strategies/timeout',
+  },
+  {
+    id: 'rate-limiter',
+    kind: 'rateLimiter',
+    name: 'Rate Limiter',
+    icon: '🚦',
+    category: 'proactive',
+    purpose: 'Control the rate of operations and manage concurrency.',
+    useCase: 'Preventing service overload, managing resource usage.',
+    to: '/strategies/rate-limiter',
+  },
+  {
+    id: 'cache',
+    kind: 'cache',
+    name: 'Cache',
+    icon: '💾',
+    category: 'proactive',
+    purpose:
+      'Store and reuse the results of expensive operations instead of repeating them.',
+    useCase: 'Slow or rate-limited lookups, data that changes rarely.',
+    to: '/strategies/cache',
+  },
+];
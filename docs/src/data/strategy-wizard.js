@@ -0,0 +1,217 @@
+/**
+ * Questions and decision rules of the "Which strategy do I need?" wizard
+ * (`<StrategyWizard />`).
+ *
+ * The answers are passed to the rules as `{[question.id]: choice.value}`.
+ * Every rule whose `when` matches either recommends a `strategy` (a kind from
+ * `src/lib/pipeline.js`), starting from `options` merged over that
+ * strategy's defaults, and says why in `reason`; or, without `strategy`, adds
+ * a `note` explaining something that was left out. When several rules
+ * recommend the same strategy, their options are merged in order.
+ *
+ * Recommended strategies are added to the pipeline in `PIPELINE_ORDER`, the
+ * outermost first, as advised in advanced/combining-strategies. Durations are
+ * milliseconds.
+ */
+
+export const QUESTIONS = [
+  {
+    id: 'failures',
+    question: 'How do the failures you see behave?',
+    choices: [
+      {
+        value: 'transient',
+        label: 'Transient',
+        description:
+          'Brief blips: a dropped connection, a 503 during a deploy. Trying again a moment later usually works.',
+      },
+      {
+        value: 'persistent',
+        label: 'Persistent',
+        description:
+          'The dependency goes down for minutes at a time, and every call fails until it recovers.',
+      },
+      {
+        value: 'both',
+        label: 'Both',
+        description: 'Mostly blips, with the occasional longer outage.',
+      },
+    ],
+  },
+  {
+    id: 'latency',
+    question: 'What do callers need from response times?',
+    choices: [
+      {
+        value: 'none',
+        label: 'No particular limit',
+        description: 'Background work: slow is fine as long as it finishes.',
+      },
+      {
+        value: 'deadline',
+        label: 'A deadline',
+        description: 'Calls must not hang; give up after a few seconds.',
+      },
+      {
+        value: 'slo',
+        label: 'A tight latency SLO',
+        description:
+          'Tail latency matters: a slow response is as bad as a failed one.',
+      },
+    ],
+  },
+  {
+    id: 'quota',
+    question: 'Does the downstream service enforce a quota?',
+    choices: [
+      {
+        value: 'yes',
+        label: 'Yes',
+        description:
+          'It throttles or rejects callers above a number of requests per second or minute.',
+      },
+      {
+        value: 'no',
+        label: 'No',
+        description: 'There is no limit you need to stay under.',
+      },
+    ],
+  },
+  {
+    id: 'idempotent',
+    question: 'Is the operation safe to run more than once?',
+    choices: [
+      {
+        value: 'yes',
+        label: 'Yes, it is idempotent',
+        description:
+          'Reads, or writes with an idempotency key: running it twice has the same effect as once.',
+      },
+      {
+        value: 'no',
+        label: 'No',
+        description:
+          'Payments, sending messages, plain inserts: a duplicate call is a problem.',
+      },
+    ],
+  },
+  {
+    id: 'stale',
+    question: 'Is stale or substitute data acceptable?',
+    choices: [
+      {
+        value: 'recent',
+        label: 'A recent result is fine',
+        description:
+          'The data changes rarely; a result a few minutes old is good enough.',
+      },
+      {
+        value: 'substitute',
+        label: 'A substitute is fine',
+        description:
+          'When the call fails, a default value or placeholder beats an error.',
+      },
+      {
+        value: 'no',
+        label: 'No, it must be current',
+        description: 'Callers need the current result, or an error.',
+      },
+    ],
+  },
+];
+
+export const RULES = [
+  {
+    strategy: 'retry',
+    when: (a) => a.failures !== 'persistent' && a.idempotent === 'yes',
+    options: {delay: 200, backoffType: 'exponential', useJitter: true},
+    reason:
+      'Transient failures usually go away when the call is tried again. ' +
+      'Exponential backoff with jitter spreads the retries out, so clients ' +
+      "don't retry in lockstep.",
+  },
+  {
+    when: (a) => a.failures !== 'persistent' && a.idempotent === 'no',
+    note:
+      "Retry is left out because the operation isn't idempotent: a call " +
+      'that failed may still have taken effect. Add an idempotency key to ' +
+      'retry it safely.',
+  },
+  {
+    strategy: 'circuitBreaker',
+    when: (a) => a.failures !== 'transient',
+    options: {breakDuration: 30_000},
+    reason:
+      'During an outage, calls fail fast instead of waiting on a service ' +
+      'that is down, which also gives it room to recover.',
+  },
+  {
+    strategy: 'timeout',
+    when: (a) => a.latency === 'deadline',
+    options: {timeout: 10_000},
+    reason:
+      'Bounds how long a call can hang. Added after retry, it limits each ' +
+      'attempt rather than all of them together.',
+  },
+  {
+    strategy: 'timeout',
+    when: (a) => a.latency === 'slo',
+    options: {timeout: 2_000},
+    reason:
+      'A tight SLO needs a tight limit on each attempt; set it a little ' +
+      'above the latency you promise.',
+  },
+  {
+    when: (a) => a.latency === 'none',
+    note:
+      'Even without a latency requirement, a generous timeout stops a hung ' +
+      'connection from holding resources forever.',
+  },
+  {
+    strategy: 'hedging',
+    when: (a) => a.latency === 'slo' && a.idempotent === 'yes',
+    options: {delay: 200},
+    reason:
+      'Starts a second attempt when the first one is slower than usual and ' +
+      'returns whichever succeeds first. Set the delay to about your p95 ' +
+      'latency.',
+  },
+  {
+    when: (a) => a.latency === 'slo' && a.idempotent === 'no',
+    note:
+      'Hedging is left out because it runs the operation more than once in ' +
+      "parallel, which isn't safe when the operation isn't idempotent.",
+  },
+  {
+    strategy: 'rateLimiter',
+    when: (a) => a.quota === 'yes',
+    options: {type: 'slidingWindow', segmentsPerWindow: 4},
+    reason:
+      'Keeps your calls under the quota instead of finding out from ' +
+      'throttled responses. Set permitLimit and window to match it.',
+  },
+  {
+    strategy: 'cache',
+    when: (a) => a.stale === 'recent',
+    reason:
+      'Repeated requests are served from memory: fewer calls reach the ' +
+      'service, and a cache hit cannot fail.',
+  },
+  {
+    strategy: 'fallback',
+    when: (a) => a.stale === 'substitute',
+    reason:
+      'Returns a substitute when everything else has failed, so callers ' +
+      'degrade gracefully instead of seeing an error.',
+  },
+];
+
+export const PIPELINE_ORDER = [
+  'fallback',
+  'cache',
+  'rateLimiter',
+  'retry',
+  'hedging',
+  'circuitBreaker',
+  'timeout',
+];
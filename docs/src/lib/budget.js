@@ -0,0 +1,328 @@
+// @ts-check
+/**
+ * Latency and attempt budget of a pipeline: how long a call through it can
+ * take, and how many times it can call the operation, given how fast the
+ * operation succeeds or fails. Durations are milliseconds.
+ *
+ * Each stage is applied to the outcome of the stages after it, innermost
+ * first, like the strategies wrap each other at run time. Circuit breaker,
+ * fallback, cache and rate limiter are taken to let the call through (closed
+ * circuit, cache miss, a permit available), as they only ever shorten a call
+ * or skip the operation; the exceptions are noted as `info` findings.
+ */
+
+import {formatDuration} from './dart';
+import {simulateHedging} from './hedging';
+import {indexesOf} from './pipeline';
+import {retryDelayRange} from './retry';
+
+/** @typedef {import('./pipeline').Stage} Stage */
+
+/**
+ * @typedef {object} OperationLatency
+ * @property {number} fastest How long the operation takes when it succeeds quickly.
+ * @property {number} slowest How long it takes to fail, or to hang until a timeout.
+ *
+ * @typedef {object} Run How a call through some stages plays out.
+ * @property {number} duration
+ * @property {number[]} starts When the operation is called, from the start.
+ * @property {boolean} success
+ *
+ * @typedef {object} Scenario
+ * @property {boolean} success Whether the operation succeeds.
+ * @property {number} latency How long the operation takes.
+ * @property {'min' | 'max'} delays Which end of the retry delay range is used.
+ *
+ * @typedef {object} BudgetFinding
+ * @property {'warning' | 'info'} severity
+ * @property {string} message
+ * @property {number[]} stages Indexes of the stages involved.
+ *
+ * @typedef {object} Budget
+ * @property {Run} best The first attempt succeeds as fast as it can.
+ * @property {Run} worst Every attempt fails as slowly as it can, with the
+ *   longest retry delays.
+ * @property {number} maxCalls Most operation calls for one pipeline call: every
+ *   attempt fails as fast as it can, with the shortest retry delays, so the
+ *   most attempts fit in the timeouts.
+ * @property {number} amplification Operation calls when everything fails,
+ *   per call when nothing does.
+ * @property {BudgetFinding[]} findings
+ */
+
+/**
+ * @param {number[]} starts
+ * @param {number} offset
+ */
+function shift(starts, offset) {
+  return starts.map((start) => start + offset);
+}
+
+/**
+ * Applies one stage to the run of the stages inside it.
+ * @param {Stage} stage
+ * @param {Run} inner
+ * @param {Scenario} scenario
+ * @returns {Run}
+ */
+function applyStage(stage, inner, scenario) {
+  const o = stage.options;
+  switch (stage.kind) {
+    case 'timeout':
+      if (inner.duration < o.timeout) return inner;
+      return {
+        duration: o.timeout,
+        starts: inner.starts.filter((start) => start < o.timeout),
+        success: false,
+      };
+    case 'retry': {
+      if (inner.success) return inner;
+      /** @type {number[]} */
+      const starts = [...inner.starts];
+      let time = inner.duration;
+      for (let attempt = 0; attempt < o.maxRetryAttempts; attempt++) {
+        time += retryDelayRange(o, attempt)[scenario.delays];
+        starts.push(...shift(inner.starts, time));
+        time += inner.duration;
+      }
+      return {duration: time, starts, success: false};
+    }
+    case 'hedging': {
+      const delays = Array(o.maxHedgedAttempts).fill(o.delay);
+      const run = simulateHedging(
+        {maxHedgedAttempts: o.maxHedgedAttempts, delays},
+        Array(o.maxHedgedAttempts + 1).fill({
+          latency: inner.duration,
+          success: inner.success,
+        }),
+      );
+      return {
+        duration: run.returned,
+        starts: run.attempts.flatMap((attempt) =>
+          shift(inner.starts, attempt.start),
+        ),
+        success: run.winner !== null,
+      };
+    }
+    default:
+      return inner;
+  }
+}
+
+/**
+ * @param {Stage[]} stages Outermost first.
+ * @param {Scenario} scenario
+ * @returns {Run}
+ */
+export function simulatePipeline(stages, scenario) {
+  return stages.reduceRight(
+    (inner, stage) => applyStage(stage, inner, scenario),
+    {duration: scenario.latency, starts: [0], success: scenario.success},
+  );
+}
+
+/**
+ * Worst-case run of the stage at `index` and the stages inside it.
+ * @param {Stage[]} stages
+ * @param {number} index
+ * @param {OperationLatency} latency
+ */
+function worstFrom(stages, index, latency) {
+  return simulatePipeline(stages.slice(index), {
+    success: false,
+    latency: latency.slowest,
+    delays: 'max',
+  });
+}
+
+/** What makes each strategy return without calling the operation. */
+const SKIPPED_BY = {
+  circuitBreaker: 'an open circuit',
+  cache: 'a cache hit',
+  rateLimiter: 'a rejected permit',
+};
+
+/**
+ * Checks on the budget; add new checks to the end of the list.
+ * @type {Array<(stages: Stage[], latency: OperationLatency, budget: Omit<Budget, 'findings'>) => BudgetFinding[]>}
+ */
+export const BUDGET_RULES = [
+  // A timeout that cuts off the retries or hedged attempts inside it.
+  (stages, latency) =>
+    indexesOf(stages, 'timeout').flatMap((timeout) => {
+      const {timeout: limit} = stages[timeout].options;
+      return stages.slice(timeout + 1).flatMap((stage, offset) => {
+        const index = timeout + 1 + offset;
+        if (stage.kind === 'retry') {
+          const budget = worstFrom(stages, index, latency).duration;
+          if (budget <= limit) return [];
+          return [
+            {
+              severity: /** @type {const} */ ('warning'),
+              stages: [timeout, index],
+              message:
+                `The ${formatDuration(limit)} timeout is shorter than the ` +
+                `retry budget inside it (up to ${formatDuration(budget)}), so ` +
+                'the last retries may never run. Raise the timeout, or lower ' +
+                'maxRetryAttempts or the delays.',
+            },
+          ];
+        }
+        if (stage.kind === 'hedging') {
+          const {maxHedgedAttempts, delay} = stage.options;
+          if (maxHedgedAttempts * delay < limit) return [];
+          return [
+            {
+              severity: /** @type {const} */ ('warning'),
+              stages: [timeout, index],
+              message:
+                `The ${formatDuration(limit)} timeout expires before the ` +
+                `last hedged attempt starts (after ` +
+                `${formatDuration(maxHedgedAttempts * delay)}). Shorten the ` +
+                'hedging delay or raise the timeout.',
+            },
+          ];
+        }
+        return [];
+      });
+    }),
+
+  // A timeout the operation can't complete within.
+  (stages, latency) =>
+    indexesOf(stages, 'timeout')
+      .filter((index) => stages[index].options.timeout <= latency.fastest)
+      .map((index) => ({
+        severity: /** @type {const} */ ('warning'),
+        stages: [index],
+        message:
+          `The ${formatDuration(stages[index].options.timeout)} timeout is ` +
+          `not longer than the fastest operation ` +
+          `(${formatDuration(latency.fastest)}), so every call times out.`,
+      })),
+
+  // Retry without a timeout inside waits for the slowest failures.
+  (stages) => {
+    const retry = indexesOf(stages, 'retry')[0];
+    if (retry === undefined) return [];
+    if (indexesOf(stages, 'timeout').some((index) => index > retry)) return [];
+    return [
+      {
+        severity: 'info',
+        stages: [retry],
+        message:
+          'No timeout is added after retry, so each attempt can take as long ' +
+          'as the operation does before it is retried.',
+      },
+    ];
+  },
+
+  // Hedging in polly_dart launches every hedged attempt.
+  (stages) =>
+    indexesOf(stages, 'hedging').map((index) => ({
+      severity: /** @type {const} */ ('info'),
+      stages: [index],
+      message:
+        'Hedging starts all of its hedged attempts before it looks at the ' +
+        'outcomes, so even a fast success makes ' +
+        `${stages[index].options.maxHedgedAttempts + 1} calls and takes at ` +
+        `least ${formatDuration(
+          stages[index].options.maxHedgedAttempts *
+            stages[index].options.delay,
+        )}.`,
+    })),
+
+  // High amplification turns an outage into a load spike.
+  (stages, _latency, budget) => {
+    if (budget.amplification < 10) return [];
+    return [
+      {
+        severity: 'warning',
+        stages: [...indexesOf(stages, 'retry'), ...indexesOf(stages, 'hedging')],
+        message:
+          `When the operation fails, each call makes up to ` +
+          `${budget.amplification}× as many calls as when it succeeds, which ` +
+          'adds load to a dependency that is already struggling. Add a ' +
+          'circuit breaker, or fewer attempts.',
+      },
+    ];
+  },
+
+  // Strategies that can make a call shorter, or longer, than modelled.
+  (stages) => {
+    /** @type {BudgetFinding[]} */
+    const findings = [];
+    const skipping = stages.flatMap((stage, index) =>
+      SKIPPED_BY[stage.kind] ? [index] : [],
+    );
+    if (skipping.length) {
+      const reasons = [
+        ...new Set(skipping.map((index) => SKIPPED_BY[stages[index].kind])),
+      ];
+      const list =
+        reasons.length > 1
+          ? `${reasons.slice(0, -1).join(', ')} or ${reasons.at(-1)}`
+          : reasons[0];
+      findings.push({
+        severity: 'info',
+        stages: skipping,
+        message:
+          `${list[0].toUpperCase()}${list.slice(1)} skips the operation ` +
+          'altogether, so a call can also be faster than the best case.',
+      });
+    }
+    const queued = indexesOf(stages, 'rateLimiter').filter(
+      (index) =>
+        stages[index].options.type === 'concurrencyLimiter' &&
+        stages[index].options.queueLimit > 0,
+    );
+    if (queued.length) {
+      findings.push({
+        severity: 'warning',
+        stages: queued,
+        message:
+          'Calls queued by the concurrency limiter wait for a permit before ' +
+          'they start, which is not included in the worst case.',
+      });
+    }
+    return findings;
+  },
+];
+
+/**
+ * @param {Stage[]} stages Outermost first.
+ * @param {OperationLatency} latency
+ * @returns {Budget}
+ */
+export function computeBudget(stages, latency) {
+  const best = simulatePipeline(stages, {
+    success: true,
+    latency: latency.fastest,
+    delays: 'min',
+  });
+  const worst = simulatePipeline(stages, {
+    success: false,
+    latency: latency.slowest,
+    delays: 'max',
+  });
+  // Without timeouts both failing runs make the same calls; with them, fast
+  // failures and short delays fit the most attempts in.
+  const maxCalls = Math.max(
+    worst.starts.length,
+    simulatePipeline(stages, {
+      success: false,
+      latency: latency.fastest,
+      delays: 'min',
+    }).starts.length,
+  );
+  const budget = {
+    best,
+    worst,
+    maxCalls,
+    amplification:
+      Math.round((maxCalls / Math.max(1, best.starts.length)) * 10) / 10,
+  };
+  return {
+    ...budget,
+    findings: BUDGET_RULES.flatMap((rule) => rule(stages, latency, budget)),
+  };
+}
@@ -0,0 +1,192 @@
+// @ts-check
+/**
+ * Step-by-step model of `CircuitBreakerStrategy`, kept in step with
+ * lib/src/strategies/circuit_breaker_strategy.dart. Durations are
+ * milliseconds and time starts at 0.
+ */
+
+import {dartCall, dartDuration, parseDuration} from './dart';
+
+/** Defaults of the `CircuitBreakerStrategyOptions` constructor. */
+export const CIRCUIT_BREAKER_DEFAULTS = {
+  failureRatio: 0.5,
+  samplingDuration: 30_000,
+  minimumThroughput: 10,
+  breakDuration: 5_000,
+};
+
+/**
+ * @typedef {typeof CIRCUIT_BREAKER_DEFAULTS} CircuitBreakerOptions
+ * @typedef {'closed' | 'open' | 'halfOpen' | 'isolated'} CircuitState
+ * @typedef {'onOpened' | 'onClosed' | 'onHalfOpened'} CircuitCallback
+ *
+ * @typedef {object} ScenarioEvent
+ * @property {'success' | 'failure' | 'wait' | 'isolate' | 'close'} kind
+ * @property {number} [duration] Only for `wait`.
+ *
+ * @typedef {object} SimulationStep
+ * @property {ScenarioEvent} event
+ * @property {number} time When the event happened.
+ * @property {CircuitState} stateBefore
+ * @property {CircuitState} state State after the event.
+ * @property {'success' | 'failure' | 'rejected' | null} outcome Null for non-calls.
+ * @property {CircuitCallback[]} callbacks Callbacks invoked, in order.
+ * @property {{total: number, failures: number}} window Sampled executions after the event.
+ */
+
+/**
+ * Parses a scenario written as whitespace- or comma-separated tokens:
+ * `S`/`F` for a successful or failed call (optionally repeated, e.g. `5F`),
+ * `+5s` to let time pass, and `isolate`/`close` for the manual control.
+ * @param {string} text
+ * @returns {{events: ScenarioEvent[], errors: string[]}}
+ */
+export function parseScenario(text) {
+  /** @type {ScenarioEvent[]} */
+  const events = [];
+  const errors = [];
+  for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+    const call = /^(\d*)([sSfF])$/.exec(token);
+    if (call) {
+      const count = call[1] ? Number(call[1]) : 1;
+      const kind = call[2].toLowerCase() === 's' ? 'success' : 'failure';
+      for (let i = 0; i < count; i++) events.push({kind});
+    } else if (token.startsWith('+') && parseDuration(token.slice(1)) !== null) {
+      events.push({kind: 'wait', duration: parseDuration(token.slice(1))});
+    } else if (/^(isolate|close)$/i.test(token)) {
+      events.push({kind: /** @type {'isolate' | 'close'} */ (token.toLowerCase())});
+    } else {
+      errors.push(token);
+    }
+  }
+  return {events, errors};
+}
+
+/**
+ * Runs the scenario through the circuit breaker. Calls are `callInterval`
+ * apart; manual isolate/close, like `CircuitBreakerManualControl`, only take
+ * effect on the next call.
+ * @param {CircuitBreakerOptions} options
+ * @param {ScenarioEvent[]} events
+ * @param {number} callInterval
+ * @returns {SimulationStep[]}
+ */
+export function simulateCircuitBreaker(options, events, callInterval) {
+  /** @type {CircuitState} */
+  let state = 'closed';
+  /** @type {{success: boolean, time: number}[]} */
+  let records = [];
+  /** @type {number | null} */
+  let breakEnd = null;
+  let isIsolated = false;
+  let isManuallyClosing = false;
+  let time = 0;
+
+  const reset = () => {
+    records = [];
+    breakEnd = null;
+  };
+  const window = () => ({
+    total: records.length,
+    failures: records.filter((record) => !record.success).length,
+  });
+
+  /** @type {SimulationStep[]} */
+  const steps = [];
+  for (const event of events) {
+    const stateBefore = state;
+    /** @type {CircuitCallback[]} */
+    const callbacks = [];
+
+    if (event.kind === 'wait' || event.kind === 'isolate' || event.kind === 'close') {
+      if (event.kind === 'isolate') isIsolated = true;
+      if (event.kind === 'close') {
+        isIsolated = false;
+        isManuallyClosing = true;
+      }
+      steps.push({event, time, stateBefore, state, outcome: null, callbacks, window: window()});
+      if (event.kind === 'wait') time += event.duration ?? 0;
+      continue;
+    }
+
+    /** @type {SimulationStep['outcome']} */
+    let outcome;
+    if (isIsolated) {
+      state = 'isolated';
+      outcome = 'rejected';
+    } else {
+      if (isManuallyClosing) {
+        state = 'closed';
+        isManuallyClosing = false;
+        reset();
+      }
+      const cutoff = time - options.samplingDuration;
+      records = records.filter((record) => record.time >= cutoff);
+
+      if (state === 'open' && breakEnd !== null && time > breakEnd) {
+        state = 'halfOpen';
+        callbacks.push('onHalfOpened');
+      }
+
+      if (state === 'open' || state === 'isolated') {
+        outcome = 'rejected';
+      } else {
+        const success = event.kind === 'success';
+        outcome = event.kind;
+        records.push({success, time});
+
+        if (state === 'halfOpen') {
+          if (success) {
+            state = 'closed';
+            reset();
+            callbacks.push('onClosed');
+          } else {
+            state = 'open';
+            breakEnd = time + options.breakDuration;
+            callbacks.push('onOpened');
+          }
+        } else {
+          const {total, failures} = window();
+          if (
+            total >= options.minimumThroughput &&
+            failures / total >= options.failureRatio
+          ) {
+            state = 'open';
+            breakEnd = time + options.breakDuration;
+            callbacks.push('onOpened');
+          }
+        }
+      }
+    }
+
+    steps.push({event, time, stateBefore, state, outcome, callbacks, window: window()});
+    time += callInterval;
+  }
+  return steps;
+}
+
+/**
+ * `CircuitBreakerStrategyOptions(...)` expression for the options, listing
+ * only the values that differ from the constructor defaults.
+ * @param {CircuitBreakerOptions} options
+ * @param {string} [indent]
+ * @param {Array<[string, string]>} [extra] Additional named arguments.
+ */
+export function circuitBreakerOptionsDart(options, indent = '', extra = []) {
+  /** @type {Array<[string, string]>} */
+  const args = [];
+  if (options.failureRatio !== CIRCUIT_BREAKER_DEFAULTS.failureRatio) {
+    const ratio = String(options.failureRatio);
+    args.push(['failureRatio', ratio.includes('.') ? ratio : `${ratio}.0`]);
+  }
+  if (options.samplingDuration !== CIRCUIT_BREAKER_DEFAULTS.samplingDuration) {
+    args.push(['samplingDuration', dartDuration(options.samplingDuration)]);
+  }
+  if (options.minimumThroughput !== CIRCUIT_BREAKER_DEFAULTS.minimumThroughput) {
+    args.push(['minimumThroughput', String(options.minimumThroughput)]);
+  }
+  if (options.breakDuration !== CIRCUIT_BREAKER_DEFAULTS.breakDuration) {
+    args.push(['breakDuration', dartDuration(options.breakDuration)]);
+  }
+  return dartCall('CircuitBreakerStrategyOptions', [...args, ...extra], indent);
+}
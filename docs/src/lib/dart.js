@@ -0,0 +1,74 @@
+// @ts-check
+/**
+ * Helpers for emitting Dart snippets and readable durations from the
+ * interactive docs components. Durations are plain milliseconds throughout.
+ */
+
+const UNITS = [
+  ['hours', 3_600_000],
+  ['minutes', 60_000],
+  ['seconds', 1_000],
+];
+
+/**
+ * Dart expression for a duration, using the largest whole unit.
+ * @param {number} ms
+ */
+export function dartDuration(ms) {
+  if (ms === 0) return 'Duration.zero';
+  for (const [unit, size] of UNITS) {
+    if (ms % size === 0) return `Duration(${unit}: ${ms / size})`;
+  }
+  return `Duration(milliseconds: ${Math.round(ms)})`;
+}
+
+const SUFFIXES = {ms: 1, s: 1_000, m: 60_000, min: 60_000, h: 3_600_000};
+
+/**
+ * Parses a duration such as `500ms`, `1.5s` or `2m`. A bare number is taken
+ * as milliseconds.
+ * @param {string} text
+ * @returns {number | null}
+ */
+export function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|min|m|h)?$/.exec(text.trim());
+  if (!match) return null;
+  return Math.round(Number(match[1]) * SUFFIXES[match[2] ?? 'ms']);
+}
+
+/**
+ * Short human-readable duration, e.g. `750 ms`, `1.5 s`, `2 min`.
+ * @param {number} ms
+ */
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '∞';
+  if (ms < 1_000) return `${Math.round(ms)} ms`;
+  if (ms < 60_000) return `${trim(ms / 1_000)} s`;
+  if (ms < 3_600_000) return `${trim(ms / 60_000)} min`;
+  return `${trim(ms / 3_600_000)} h`;
+}
+
+/** @param {number} value */
+function trim(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+/**
+ * Dart constructor call with named arguments, one per line once there is
+ * more than one, formatted like `dart format` output.
+ * @param {string} name e.g. `RetryStrategyOptions` or `RetryStrategyOptions<String>`.
+ * @param {Array<[string, string]>} args Named arguments as Dart source.
+ * @param {string} [indent] Indentation of the line the call starts on.
+ */
+export function dartCall(name, args, indent = '') {
+  if (args.length === 0) return `${name}()`;
+  if (args.length === 1 && !args[0][1].includes('\n')) {
+    const flat = `${name}(${args[0][0]}: ${args[0][1]})`;
+    if (indent.length + flat.length <= 80) return flat;
+  }
+  const inner = `${indent}  `;
+  const lines = args.map(
+    ([key, value]) => `${inner}${key}: ${value.replace(/\n/g, `\n${inner}`)},`,
+  );
+  return `${name}(\n${lines.join('\n')}\n${indent})`;
+}
@@ -0,0 +1,130 @@
+// @ts-check
+/**
+ * Mermaid diagrams in the site's colors, and their export as SVG and PNG.
+ *
+ * Mermaid's `base` theme derives every color of a diagram from a few theme
+ * variables, which must be plain colors: it can't resolve `var(--…)`. They
+ * are read from the Infima variables of the page (see src/css/custom.css),
+ * so the diagrams follow the palette of the current color mode.
+ */
+
+/**
+ * Mermaid theme variable → the Infima custom property its color comes from.
+ * @type {Record<string, string>}
+ */
+export const INFIMA_THEME_VARIABLES = {
+  // Nodes: a neutral fill with a border in the primary color.
+  primaryColor: '--ifm-color-emphasis-100',
+  primaryBorderColor: '--ifm-color-primary',
+  primaryTextColor: '--ifm-font-color-base',
+  // Alternate nodes, such as the states of a state diagram.
+  secondaryColor: '--ifm-color-emphasis-200',
+  secondaryBorderColor: '--ifm-color-primary-darker',
+  tertiaryColor: '--ifm-background-surface-color',
+  tertiaryBorderColor: '--ifm-color-emphasis-300',
+  background: '--ifm-background-surface-color',
+  mainBkg: '--ifm-color-emphasis-100',
+  textColor: '--ifm-font-color-base',
+  lineColor: '--ifm-color-emphasis-600',
+  edgeLabelBackground: '--ifm-background-surface-color',
+  clusterBkg: '--ifm-background-surface-color',
+  clusterBorder: '--ifm-color-emphasis-300',
+  titleColor: '--ifm-font-color-base',
+  noteBkgColor: '--ifm-color-warning-contrast-background',
+  noteTextColor: '--ifm-color-warning-contrast-foreground',
+  noteBorderColor: '--ifm-color-warning-dark',
+  fontFamily: '--ifm-font-family-base',
+};
+
+/**
+ * Mermaid theme variables for the colors currently applied to `element`,
+ * usually `document.documentElement`.
+ * @param {Element} element
+ * @param {'light' | 'dark'} colorMode
+ * @returns {Record<string, string | boolean>}
+ */
+export function readThemeVariables(element, colorMode) {
+  const style = getComputedStyle(element);
+  /** @type {Record<string, string | boolean>} */
+  const variables = {darkMode: colorMode === 'dark'};
+  for (const [name, property] of Object.entries(INFIMA_THEME_VARIABLES)) {
+    const value = style.getPropertyValue(property).trim();
+    if (value) variables[name] = value;
+  }
+  return variables;
+}
+
+/**
+ * Width and height of an SVG from its `viewBox`.
+ * @param {SVGSVGElement} svg
+ */
+export function svgSize(svg) {
+  const {width, height} = svg.viewBox.baseVal;
+  return width && height
+    ? {width, height}
+    : {width: svg.clientWidth, height: svg.clientHeight};
+}
+
+/**
+ * The markup of `svg` as a standalone file, sized to its `viewBox` rather
+ * than to the page. The styles Mermaid puts in the SVG come with it.
+ * @param {SVGSVGElement} svg
+ */
+export function serializeSvg(svg) {
+  const {width, height} = svgSize(svg);
+  const clone = /** @type {SVGSVGElement} */ (svg.cloneNode(true));
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+  clone.style.removeProperty('max-width');
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * `svg` drawn onto an opaque PNG, `scale` times its size: slides want more
+ * pixels than the page.
+ * @param {SVGSVGElement} svg
+ * @param {{background: string, scale?: number}} options
+ * @returns {Promise<Blob>}
+ */
+export async function svgToPng(svg, {background, scale = 2}) {
+  const {width, height} = svgSize(svg);
+  const image = new Image();
+  // A data: URL, as a blob: URL would taint the canvas in some browsers.
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+    serializeSvg(svg),
+  )}`;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil(height * scale);
+  const context = /** @type {CanvasRenderingContext2D} */ (
+    canvas.getContext('2d')
+  );
+  context.fillStyle = background;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error('Could not encode the PNG.')),
+      'image/png',
+    ),
+  );
+}
+
+/**
+ * Saves `blob` as `filename` through the browser's downloads.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Let the download start before the URL goes away.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
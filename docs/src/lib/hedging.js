@@ -0,0 +1,131 @@
+// @ts-check
+/**
+ * Hedging helpers, kept in step with lib/src/strategies/hedging_strategy.dart.
+ * Durations are milliseconds.
+ */
+
+import {dartCall, dartDuration} from './dart';
+
+/** Defaults of the `HedgingStrategyOptions` constructor. */
+export const HEDGING_DEFAULTS = {
+  maxHedgedAttempts: 1,
+  delay: 1_000,
+};
+
+/**
+ * `HedgingStrategyOptions(...)` expression for the options, listing only the
+ * values that differ from the constructor defaults.
+ * @param {typeof HEDGING_DEFAULTS} options
+ * @param {string} [indent]
+ * @param {Array<[string, string]>} [extra] Additional named arguments.
+ */
+export function hedgingOptionsDart(options, indent = '', extra = []) {
+  /** @type {Array<[string, string]>} */
+  const args = [];
+  if (options.maxHedgedAttempts !== HEDGING_DEFAULTS.maxHedgedAttempts) {
+    args.push(['maxHedgedAttempts', String(options.maxHedgedAttempts)]);
+  }
+  if (options.delay !== HEDGING_DEFAULTS.delay) {
+    args.push(['delay', dartDuration(options.delay)]);
+  }
+  return dartCall('HedgingStrategyOptions', [...args, ...extra], indent);
+}
+
+/**
+ * @typedef {object} HedgingAttemptInput
+ * @property {number} latency How long the callback takes.
+ * @property {boolean} success Whether its outcome is not handled by `shouldHandle`.
+ *
+ * @typedef {object} HedgingAttempt
+ * @property {number} index 0 for the primary attempt, then 1, 2, …
+ * @property {number} start
+ * @property {number} end When it completed, or was cancelled.
+ * @property {boolean} success
+ * @property {'won' | 'failed' | 'cancelled' | 'ignored'} status `failed`
+ *   attempts were inspected and handled; `ignored` ones completed but were
+ *   never inspected because another attempt won first.
+ *
+ * @typedef {object} HedgingRun
+ * @property {HedgingAttempt[]} attempts
+ * @property {{time: number, attemptNumber: number}[]} onHedging
+ * @property {number} launched When the last hedged attempt started.
+ * @property {number} returned When `executeCore` returned.
+ * @property {number | null} winner Index of the returned attempt; null when all failed.
+ */
+
+/**
+ * Replays `HedgingStrategy.executeCore`. The strategy first waits out every
+ * delay and launches all hedged attempts, and only then looks at outcomes:
+ * attempts that already completed are inspected in launch order, then the
+ * rest as they complete. The first unhandled outcome wins and the attempts
+ * still running are cancelled.
+ * @param {{maxHedgedAttempts: number, delays: number[]}} options
+ *   `delays[i]` is the delay before hedged attempt `i` (`attemptNumber`).
+ * @param {HedgingAttemptInput[]} inputs One per attempt, primary first.
+ * @returns {HedgingRun}
+ */
+export function simulateHedging(options, inputs) {
+  const attempt = (index, start) => ({
+    index,
+    start,
+    end: start + inputs[index].latency,
+    success: inputs[index].success,
+    status: /** @type {HedgingAttempt['status']} */ ('ignored'),
+  });
+
+  const attempts = [attempt(0, 0)];
+  const onHedging = [];
+  let time = 0;
+  for (let i = 0; i < options.maxHedgedAttempts; i++) {
+    time += Math.max(0, options.delays[i] ?? 0);
+    onHedging.push({time, attemptNumber: i});
+    attempts.push(attempt(i + 1, time));
+  }
+  const launched = time;
+
+  let pending = [...attempts];
+  /** @type {number | null} */
+  let winner = null;
+  while (pending.length) {
+    const done = pending.filter((a) => a.end <= time);
+    const next = done.length
+      ? done[0]
+      : pending.reduce((first, a) => (a.end < first.end ? a : first));
+    time = Math.max(time, next.end);
+    pending = pending.filter((a) => a !== next);
+    if (next.success) {
+      next.status = 'won';
+      winner = next.index;
+      break;
+    }
+    next.status = 'failed';
+  }
+  for (const a of pending) {
+    if (a.end > time) {
+      a.status = 'cancelled';
+      a.end = time;
+    }
+  }
+
+  return {attempts, onHedging, launched, returned: time, winner};
+}
+
+/**
+ * `delayGenerator` closure returning `delays[args.attemptNumber]`.
+ * @param {number[]} delays
+ */
+export function hedgingDelayGeneratorDart(delays) {
+  const cases = delays.slice(0, -1).flatMap((delay, index) => [
+    `    case ${index}:`,
+    `      return ${dartDuration(delay)};`,
+  ]);
+  return [
+    '(args) async {',
+    '  switch (args.attemptNumber) {',
+    ...cases,
+    '    default:',
+    `      return ${dartDuration(delays.at(-1) ?? 0)};`,
+    '  }',
+    '}',
+  ].join('\n');
+}
@@ -0,0 +1,48 @@
+// @ts-check
+/**
+ * Which pages the service worker from `@docusaurus/plugin-pwa` has saved for
+ * offline reading, read from the browser's Cache Storage. Workbox precaches
+ * each page as `<route>/index.html`, with a revision query.
+ */
+
+/** Cache names of Workbox precaches: `workbox-precache-v2-<scope>`. */
+const PRECACHE = /^workbox-precache/;
+
+/**
+ * `/strategies/retry/` and `/strategies/retry` → `/strategies/retry`.
+ * @param {string} pathname
+ */
+export function normalizeRoute(pathname) {
+  return pathname.replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Route of a precached URL, or null when it isn't a page.
+ * @param {string} url
+ */
+export function routeOf(url) {
+  const {pathname} = new URL(url, 'http://localhost');
+  if (!pathname.endsWith('.html')) return null;
+  return normalizeRoute(
+    pathname.replace(/\/index\.html$/, '/').replace(/\.html$/, ''),
+  );
+}
+
+/**
+ * @returns {Promise<Set<string> | null>} The routes of the precached pages,
+ *   or null when nothing is precached: no service worker, or not yet.
+ */
+export async function readPrecachedRoutes() {
+  if (typeof caches === 'undefined') return null;
+  const names = (await caches.keys()).filter((name) => PRECACHE.test(name));
+  /** @type {Set<string>} */
+  const routes = new Set();
+  for (const name of names) {
+    const cache = await caches.open(name);
+    for (const request of await cache.keys()) {
+      const route = routeOf(request.url);
+      if (route) routes.add(route);
+    }
+  }
+  return routes.size ? routes : null;
+}
@@ -0,0 +1,452 @@
+// @ts-check
+/**
+ * The strategies a pipeline can be composed of, how each one is written with
+ * `ResiliencePipelineBuilder`, and the ordering checks shown by the pipeline
+ * builder. Durations are milliseconds.
+ *
+ * Strategies run in the order they are added: the first one wraps all the
+ * others, the last one wraps the user's operation.
+ */
+
+import {STRATEGIES as GUIDES} from '../data/strategies';
+import {
+  CIRCUIT_BREAKER_DEFAULTS,
+  circuitBreakerOptionsDart,
+} from './circuit-breaker';
+import {dartCall, dartDuration, formatDuration} from './dart';
+import {HEDGING_DEFAULTS, hedgingOptionsDart} from './hedging';
+import {RATE_LIMITER_TYPES, rateLimiterOptionsDart} from './rate-limiter';
+import {BACKOFF_TYPES, RETRY_DEFAULTS, retryOptionsDart} from './retry';
+
+/**
+ * @typedef {'retry' | 'circuitBreaker' | 'timeout' | 'fallback' | 'hedging' | 'rateLimiter' | 'cache'} StrategyKind
+ *
+ * @typedef {object} StrategyField
+ * @property {string} key
+ * @property {string} label
+ * @property {'int' | 'ratio' | 'duration' | 'select' | 'bool' | 'dart'} type
+ *   `duration` is in milliseconds; `dart` is a Dart expression.
+ * @property {string[]} [choices] For `select`.
+ * @property {number} [min]
+ * @property {number} [max] Keeps the budget simulation, which runs each
+ *   attempt, small enough for the browser.
+ * @property {(options: Record<string, any>) => boolean} [visible]
+ *
+ * @typedef {object} Stage One strategy in the pipeline.
+ * @property {number} id
+ * @property {StrategyKind} kind
+ * @property {Record<string, any>} options
+ *
+ * @typedef {object} BuilderTarget
+ * @property {boolean} typed Whether `TypedResiliencePipelineBuilder<T>` is used.
+ * @property {string} resultType `T`.
+ *
+ * @typedef {object} StrategyDefinition
+ * @property {string} label The `name` of src/data/strategies.js.
+ * @property {string} description Its `purpose`.
+ * @property {Record<string, any>} defaults
+ * @property {StrategyField[]} fields
+ * @property {(options: Record<string, any>) => string} summary
+ * @property {(options: Record<string, any>, target: BuilderTarget, indent: string) => string} dart
+ *   Builder method call, without the leading dot.
+ *
+ * @typedef {object} OrderingIssue
+ * @property {'warning' | 'info'} severity
+ * @property {string} message
+ * @property {number[]} stages Indexes of the stages involved.
+ */
+
+/**
+ * What the builder needs of each strategy, besides what src/data/strategies.js
+ * says about it.
+ * @type {Record<StrategyKind, Omit<StrategyDefinition, 'label' | 'description'>>}
+ */
+const BUILDER_DEFINITIONS = {
+  retry: {
+    defaults: RETRY_DEFAULTS,
+    fields: [
+      {
+        key: 'maxRetryAttempts',
+        label: 'maxRetryAttempts',
+        type: 'int',
+        min: 0,
+        max: 20,
+      },
+      {key: 'delay', label: 'delay', type: 'duration'},
+      {
+        key: 'backoffType',
+        label: 'backoffType',
+        type: 'select',
+        choices: BACKOFF_TYPES,
+      },
+      {key: 'useJitter', label: 'useJitter', type: 'bool'},
+      {key: 'maxDelay', label: 'maxDelay', type: 'duration'},
+    ],
+    summary: (o) =>
+      `${o.maxRetryAttempts} retries, ${o.backoffType} from ` +
+      formatDuration(o.delay),
+    dart: (o, _target, indent) => `addRetry(${retryOptionsDart(o, indent)})`,
+  },
+  circuitBreaker: {
+    defaults: CIRCUIT_BREAKER_DEFAULTS,
+    fields: [
+      {key: 'failureRatio', label: 'failureRatio', type: 'ratio'},
+      {
+        key: 'minimumThroughput',
+        label: 'minimumThroughput',
+        type: 'int',
+        min: 1,
+      },
+      {key: 'samplingDuration', label: 'samplingDuration', type: 'duration'},
+      {key: 'breakDuration', label: 'breakDuration', type: 'duration'},
+    ],
+    summary: (o) =>
+      `opens at ${Math.round(o.failureRatio * 100)} % failures, ` +
+      `breaks for ${formatDuration(o.breakDuration)}`,
+    dart: (o, _target, indent) =>
+      `addCircuitBreaker(${circuitBreakerOptionsDart(o, indent)})`,
+  },
+  timeout: {
+    defaults: {timeout: 10_000},
+    fields: [{key: 'timeout', label: 'timeout', type: 'duration'}],
+    summary: (o) => formatDuration(o.timeout),
+    dart: (o) => `addTimeout(${dartDuration(o.timeout)})`,
+  },
+  fallback: {
+    defaults: {value: "'Fallback value'"},
+    fields: [{key: 'value', label: 'Fallback value', type: 'dart'}],
+    summary: (o) => `returns ${o.value}`,
+    dart: (o) => `addFallback(FallbackStrategyOptions.withValue(${o.value}))`,
+  },
+  hedging: {
+    defaults: HEDGING_DEFAULTS,
+    fields: [
+      {
+        key: 'maxHedgedAttempts',
+        label: 'maxHedgedAttempts',
+        type: 'int',
+        min: 1,
+        max: 10,
+      },
+      {key: 'delay', label: 'delay', type: 'duration'},
+    ],
+    summary: (o) =>
+      `up to ${o.maxHedgedAttempts} extra after ${formatDuration(o.delay)}`,
+    dart: (o, target, indent) =>
+      `addHedging(${hedgingOptionsDart(o, indent).replace(
+        /^HedgingStrategyOptions/,
+        `$&<${target.resultType}>`,
+      )})`,
+  },
+  rateLimiter: {
+    defaults: {
+      type: 'tokenBucket',
+      permitLimit: 10,
+      window: 1_000,
+      segmentsPerWindow: 1,
+      queueLimit: 0,
+    },
+    fields: [
+      {
+        key: 'type',
+        label: 'type',
+        type: 'select',
+        choices: Object.keys(RATE_LIMITER_TYPES),
+      },
+      {key: 'permitLimit', label: 'permitLimit', type: 'int', min: 1},
+      {
+        key: 'window',
+        label: 'window',
+        type: 'duration',
+        visible: (o) => o.type !== 'concurrencyLimiter',
+      },
+      {
+        key: 'segmentsPerWindow',
+        label: 'segmentsPerWindow',
+        type: 'int',
+        min: 1,
+        visible: (o) => o.type === 'tokenBucket' || o.type === 'slidingWindow',
+      },
+      {
+        key: 'queueLimit',
+        label: 'queueLimit',
+        type: 'int',
+        min: 0,
+        visible: (o) => o.type === 'concurrencyLimiter',
+      },
+    ],
+    summary: (o) =>
+      o.type === 'concurrencyLimiter'
+        ? `${o.permitLimit} concurrent, ${o.queueLimit} queued`
+        : `${o.permitLimit} per ${formatDuration(o.window)} (${o.type})`,
+    dart: (o, _target, indent) =>
+      `addRateLimiter(${rateLimiterOptionsDart(o, indent)})`,
+  },
+  cache: {
+    defaults: {ttl: 300_000, maxSize: 1_000},
+    fields: [
+      {key: 'ttl', label: 'ttl (0 = no expiry)', type: 'duration'},
+      {key: 'maxSize', label: 'maxSize (0 = unbounded)', type: 'int', min: 0},
+    ],
+    summary: (o) =>
+      `${o.ttl ? `${formatDuration(o.ttl)} TTL` : 'no expiry'}${
+        o.maxSize ? `, ${o.maxSize} entries` : ''
+      }`,
+    dart: (o, target, indent) => {
+      /** @type {Array<[string, string]>} */
+      const args = [];
+      if (o.ttl) args.push(['ttl', dartDuration(o.ttl)]);
+      if (o.maxSize) args.push(['maxSize', String(o.maxSize)]);
+      if (!target.typed) {
+        return dartCall(`addMemoryCache<${target.resultType}>`, args, indent);
+      }
+      // TypedResiliencePipelineBuilder has no cache shortcut.
+      /** @type {Array<[string, string]>} */
+      const provider = [];
+      if (o.ttl) provider.push(['defaultTtl', dartDuration(o.ttl)]);
+      if (o.maxSize) provider.push(['maxSize', String(o.maxSize)]);
+      /** @type {Array<[string, string]>} */
+      const options = [['cache', dartCall('MemoryCacheProvider', provider)]];
+      if (o.ttl) options.push(['ttl', dartDuration(o.ttl)]);
+      return `addStrategy(CacheStrategy(${dartCall(
+        'CacheStrategyOptions',
+        options,
+        indent,
+      )}))`;
+    },
+  },
+};
+
+/**
+ * The strategies of src/data/strategies.js, in its order, by `kind`.
+ * @type {Record<StrategyKind, StrategyDefinition>}
+ */
+export const STRATEGIES = /** @type {any} */ (
+  Object.fromEntries(
+    GUIDES.map((guide) => {
+      const definition =
+        BUILDER_DEFINITIONS[/** @type {StrategyKind} */ (guide.kind)];
+      if (!definition) {
+        throw new Error(
+          `pipeline: strategy "${guide.kind}" has no builder definition; ` +
+            'add it to BUILDER_DEFINITIONS.',
+        );
+      }
+      return [
+        guide.kind,
+        {label: guide.name, description: guide.purpose, ...definition},
+      ];
+    }),
+  )
+);
+
+/**
+ * The `ResiliencePipelineBuilder` chain for the stages.
+ * @param {Stage[]} stages
+ * @param {BuilderTarget} target
+ */
+export function pipelineDart(stages, target) {
+  const builder = target.typed
+    ? `TypedResiliencePipelineBuilder<${target.resultType}>()`
+    : 'ResiliencePipelineBuilder()';
+  const calls = stages.map(
+    (stage) =>
+      `    .${STRATEGIES[stage.kind].dart(stage.options, target, '    ')}`,
+  );
+  return [`final pipeline = ${builder}`, ...calls, '    .build();'].join('\n');
+}
+
+/**
+ * @param {string} text
+ */
+function mermaidLabel(text) {
+  return text.replace(/"/g, '#quot;');
+}
+
+/**
+ * Mermaid flowchart of the call going through the stages and back.
+ * @param {Stage[]} stages
+ */
+export function pipelineMermaid(stages) {
+  const lines = ['flowchart TB', '  caller(["Your code"])'];
+  stages.forEach((stage, index) => {
+    const definition = STRATEGIES[stage.kind];
+    lines.push(
+      `  s${index}["${index + 1}. ${definition.label}<br/><small>${mermaidLabel(
+        definition.summary(stage.options),
+      )}</small>"]`,
+    );
+  });
+  lines.push('  operation(["Your operation"])');
+  const chain = [
+    'caller',
+    ...stages.map((_, index) => `s${index}`),
+    'operation',
+  ];
+  for (let i = 0; i < chain.length - 1; i++) {
+    lines.push(`  ${chain[i]} --> ${chain[i + 1]}`);
+  }
+  for (let i = chain.length - 1; i > 0; i--) {
+    lines.push(`  ${chain[i]} -.-> ${chain[i - 1]}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The positions of the stages of `kind`, outermost first.
+ * @param {Stage[]} stages
+ * @param {StrategyKind} kind
+ */
+export function indexesOf(stages, kind) {
+  return stages.flatMap((stage, index) => (stage.kind === kind ? [index] : []));
+}
+
+/**
+ * @param {StrategyKind} kind
+ */
+function nameOf(kind) {
+  return STRATEGIES[kind].label.toLowerCase();
+}
+
+/**
+ * Ordering checks, based on the advice in advanced/combining-strategies.
+ * Each returns the issues it finds; add new checks to the end of the list.
+ * @type {Array<(stages: Stage[]) => OrderingIssue[]>}
+ */
+export const ORDERING_RULES = [
+  // Timeout outside retry bounds every attempt together.
+  (stages) => {
+    const retries = indexesOf(stages, 'retry');
+    const timeouts = indexesOf(stages, 'timeout');
+    if (!retries.length || !timeouts.length) return [];
+    const innermostRetry = Math.max(...retries);
+    if (timeouts.some((index) => index > innermostRetry)) return [];
+    return [
+      {
+        severity: 'warning',
+        stages: [timeouts[0], innermostRetry],
+        message:
+          'Timeout is added before retry, so it limits all attempts and the ' +
+          'delays between them together. Add it after retry if each attempt ' +
+          'should get its own timeout.',
+      },
+    ];
+  },
+
+  // Fallback inside a strategy that reacts to failures hides them from it.
+  (stages) =>
+    indexesOf(stages, 'fallback').flatMap((fallback) =>
+      stages
+        .slice(0, fallback)
+        .map((stage, index) => ({kind: stage.kind, index}))
+        .filter(({kind}) => ['retry', 'circuitBreaker', 'hedging'].includes(kind))
+        .map(({kind, index}) => ({
+          severity: /** @type {const} */ ('warning'),
+          stages: [index, fallback],
+          message:
+            `Fallback is added after ${nameOf(kind)}, so failures are ` +
+            `replaced with the fallback value before ${nameOf(kind)} sees ` +
+            'them. Add fallback first to handle what the other strategies ' +
+            "couldn't.",
+        })),
+    ),
+
+  // Circuit breaker outside retry only sees the final outcome of each call.
+  (stages) => {
+    const breaker = indexesOf(stages, 'circuitBreaker')[0];
+    const retry = indexesOf(stages, 'retry').find((index) => index > breaker);
+    if (breaker === undefined || retry === undefined) return [];
+    return [
+      {
+        severity: 'info',
+        stages: [breaker, retry],
+        message:
+          'Circuit breaker is added before retry, so it records one outcome ' +
+          'per call rather than one per attempt, and an open circuit rejects ' +
+          'the call without retrying. Add retry first unless that is intended.',
+      },
+    ];
+  },
+
+  // Limiter inside retry: every attempt uses a permit, rejections are retried.
+  (stages) => {
+    const retry = indexesOf(stages, 'retry')[0];
+    const limiter = indexesOf(stages, 'rateLimiter').find(
+      (index) => index > retry,
+    );
+    if (retry === undefined || limiter === undefined) return [];
+    return [
+      {
+        severity: 'warning',
+        stages: [retry, limiter],
+        message:
+          'Rate limiter is added after retry, so every retry attempt uses a ' +
+          'permit and RateLimiterRejectedException is retried. Add the rate ' +
+          'limiter first to limit calls rather than attempts.',
+      },
+    ];
+  },
+
+  // Cache behind other strategies makes hits pay for them.
+  (stages) => {
+    const cache = indexesOf(stages, 'cache')[0];
+    if (cache === undefined) return [];
+    const outer = stages
+      .slice(0, cache)
+      .map((stage, index) => ({kind: stage.kind, index}))
+      .filter(({kind}) =>
+        ['rateLimiter', 'circuitBreaker', 'timeout', 'hedging'].includes(kind),
+      );
+    if (!outer.length) return [];
+    return [
+      {
+        severity: 'info',
+        stages: [...outer.map(({index}) => index), cache],
+        message:
+          `Cache is added after ${outer.map(({kind}) => nameOf(kind)).join(', ')}, ` +
+          `so cache hits still go through ${outer.length > 1 ? 'them' : 'it'}. ` +
+          'Add the cache earlier to serve hits directly.',
+      },
+    ];
+  },
+
+  // The same strategy twice multiplies its effect.
+  (stages) =>
+    /** @type {StrategyKind[]} */ (['retry', 'hedging', 'circuitBreaker', 'cache'])
+      .map((kind) => ({kind, indexes: indexesOf(stages, kind)}))
+      .filter(({indexes}) => indexes.length > 1)
+      .map(({kind, indexes}) => ({
+        severity: /** @type {const} */ ('info'),
+        stages: indexes,
+        message:
+          `${STRATEGIES[kind].label} is added ${indexes.length} times. ` +
+          (kind === 'retry' || kind === 'hedging'
+            ? 'The attempts multiply: the inner one runs in full for every ' +
+              'outer attempt.'
+            : 'Each one keeps its own state.'),
+      })),
+
+  // Retry around hedging multiplies the number of calls.
+  (stages) => {
+    const retry = indexesOf(stages, 'retry')[0];
+    const hedging = indexesOf(stages, 'hedging').find((index) => index > retry);
+    if (retry === undefined || hedging === undefined) return [];
+    return [
+      {
+        severity: 'info',
+        stages: [retry, hedging],
+        message:
+          'Retry is added before hedging, so every retry starts a new set of ' +
+          'hedged attempts.',
+      },
+    ];
+  },
+];
+
+/**
+ * @param {Stage[]} stages
+ * @returns {OrderingIssue[]}
+ */
+export function checkOrdering(stages) {
+  return ORDERING_RULES.flatMap((rule) => rule(stages));
+}
@@ -0,0 +1,286 @@
+// @ts-check
+/**
+ * Models of the four limiters in lib/src/strategies/rate_limiter_strategy.dart,
+ * replayed against a list of request arrival times. Durations are
+ * milliseconds and time starts at 0, when the limiter is created.
+ */
+
+import {dartCall, dartDuration, parseDuration} from './dart';
+
+/**
+ * @typedef {'tokenBucket' | 'slidingWindow' | 'fixedWindow' | 'concurrencyLimiter'} RateLimiterType
+ *
+ * @typedef {object} RateLimiterOptions
+ * @property {RateLimiterType} type
+ * @property {number} permitLimit
+ * @property {number} window Ignored by the concurrency limiter.
+ * @property {number} segmentsPerWindow Only used by the token bucket.
+ * @property {number} queueLimit Only used by the concurrency limiter.
+ *
+ * @typedef {object} RateLimitedRequest
+ * @property {number} id One-based, in arrival order.
+ * @property {number} arrival
+ * @property {number | null} start When the callback started; null if rejected.
+ * @property {number | null} end
+ * @property {boolean} rejected Whether `RateLimiterRejectedException` was returned.
+ * @property {string | null} reason Rejection reason passed to `onRejected`.
+ * @property {number | null} retryAfter Suggested wait, when the limiter knows it.
+ * @property {number} available Permits left right after the decision.
+ * @property {number} queued Requests waiting right after the decision.
+ */
+
+/** Named constructors of `RateLimiterStrategyOptions`, by type. */
+export const RATE_LIMITER_TYPES = {
+  tokenBucket: {constructor: 'tokenBucket', segmentsPerWindow: 1},
+  slidingWindow: {constructor: 'slidingWindow', segmentsPerWindow: 4},
+  fixedWindow: {constructor: 'fixedWindow'},
+  concurrencyLimiter: {constructor: 'concurrencyLimiter'},
+};
+
+/** @type {Record<RateLimiterType, string>} */
+const REJECTION_REASONS = {
+  tokenBucket: 'Token bucket limit exceeded',
+  slidingWindow: 'Sliding window limit exceeded',
+  fixedWindow: 'Fixed window limit exceeded',
+  concurrencyLimiter: 'Concurrency limit exceeded',
+};
+
+/**
+ * Arrival times for `count` requests spaced `interval` apart.
+ * @param {number} count
+ * @param {number} interval
+ */
+export function steadyArrivals(count, interval) {
+  return Array.from({length: count}, (_, i) => i * interval);
+}
+
+/**
+ * Arrival times for `bursts` groups of `size` simultaneous requests, with
+ * `interval` between the start of each group.
+ * @param {number} bursts
+ * @param {number} size
+ * @param {number} interval
+ */
+export function burstyArrivals(bursts, size, interval) {
+  return Array.from({length: bursts * size}, (_, i) =>
+    Math.floor(i / size) * interval,
+  );
+}
+
+/**
+ * Parses a comma- or whitespace-separated list of arrival times such as
+ * `0, 0, 250ms, 1s`. Bare numbers are milliseconds.
+ * @param {string} text
+ * @returns {{arrivals: number[], errors: string[]}}
+ */
+export function parseArrivals(text) {
+  const arrivals = [];
+  const errors = [];
+  for (const token of text.split(/[\s,]+/).filter(Boolean)) {
+    const time = parseDuration(token);
+    if (time === null) errors.push(token);
+    else arrivals.push(time);
+  }
+  return {arrivals: arrivals.sort((a, b) => a - b), errors};
+}
+
+/**
+ * Time-based limiters decide each request on arrival and never queue.
+ * @param {RateLimiterOptions} options
+ * @returns {(now: number) => {acquired: boolean, retryAfter: number | null, available: number}}
+ */
+function timeBasedLimiter(options) {
+  const {permitLimit, window} = options;
+  switch (options.type) {
+    case 'tokenBucket': {
+      const segment = Math.floor(window / options.segmentsPerWindow);
+      let tokens = permitLimit;
+      let lastRefill = 0;
+      return (now) => {
+        const elapsed = now - lastRefill;
+        if (elapsed >= segment) {
+          const segments = segment > 0 ? Math.floor(elapsed / segment) : 0;
+          const added = Math.floor(
+            segments * (permitLimit / options.segmentsPerWindow),
+          );
+          tokens = Math.min(permitLimit, tokens + added);
+          // Time left over in a partial segment is discarded.
+          lastRefill = now;
+        }
+        if (tokens > 0) {
+          tokens--;
+          return {acquired: true, retryAfter: null, available: tokens};
+        }
+        const retryAfter = Math.max(0, segment - (now - lastRefill));
+        return {acquired: false, retryAfter, available: 0};
+      };
+    }
+    case 'slidingWindow': {
+      /** @type {number[]} */
+      const requests = [];
+      return (now) => {
+        while (requests.length && requests[0] < now - window) requests.shift();
+        if (requests.length < permitLimit) {
+          requests.push(now);
+          return {
+            acquired: true,
+            retryAfter: null,
+            available: permitLimit - requests.length,
+          };
+        }
+        const retryAfter = Math.max(0, requests[0] + window - now);
+        return {acquired: false, retryAfter, available: 0};
+      };
+    }
+    default: {
+      let count = 0;
+      let windowStart = 0;
+      return (now) => {
+        // A new window starts with the first request after the old one ends.
+        if (now - windowStart >= window) {
+          count = 0;
+          windowStart = now;
+        }
+        if (count < permitLimit) {
+          count++;
+          return {
+            acquired: true,
+            retryAfter: null,
+            available: permitLimit - count,
+          };
+        }
+        const retryAfter = Math.max(0, windowStart + window - now);
+        return {acquired: false, retryAfter, available: 0};
+      };
+    }
+  }
+}
+
+/**
+ * Replays the arrivals against the limiter. Every callback takes `duration`;
+ * only the concurrency limiter holds its permit for that long.
+ * @param {RateLimiterOptions} options
+ * @param {number[]} arrivals Sorted arrival times.
+ * @param {number} duration
+ * @returns {RateLimitedRequest[]}
+ */
+export function simulateRateLimiter(options, arrivals, duration) {
+  const reason = REJECTION_REASONS[options.type];
+
+  if (options.type !== 'concurrencyLimiter') {
+    const tryAcquire = timeBasedLimiter(options);
+    return arrivals.map((arrival, index) => {
+      const {acquired, retryAfter, available} = tryAcquire(arrival);
+      return {
+        id: index + 1,
+        arrival,
+        start: acquired ? arrival : null,
+        end: acquired ? arrival + duration : null,
+        rejected: !acquired,
+        reason: acquired ? null : reason,
+        retryAfter,
+        available,
+        queued: 0,
+      };
+    });
+  }
+
+  /** @type {RateLimitedRequest[]} */
+  const requests = [];
+  /** @type {RateLimitedRequest[]} */
+  const queue = [];
+  /** @type {number[]} */
+  let running = [];
+
+  const start = (request, time) => {
+    request.start = time;
+    request.end = time + duration;
+    running.push(request.end);
+  };
+  // Each completion releases its permit to the oldest queued request.
+  const releaseUntil = (time) => {
+    running.sort((a, b) => a - b);
+    while (running.length && running[0] <= time) {
+      const released = running.shift();
+      const next = queue.shift();
+      if (next) {
+        start(next, /** @type {number} */ (released));
+        running.sort((a, b) => a - b);
+      }
+    }
+  };
+
+  arrivals.forEach((arrival, index) => {
+    releaseUntil(arrival);
+    /** @type {RateLimitedRequest} */
+    const request = {
+      id: index + 1,
+      arrival,
+      start: null,
+      end: null,
+      rejected: false,
+      reason: null,
+      retryAfter: null,
+      available: 0,
+      queued: 0,
+    };
+    if (running.length < options.permitLimit) {
+      start(request, arrival);
+    } else if (queue.length < options.queueLimit) {
+      queue.push(request);
+    } else {
+      request.rejected = true;
+      request.reason = reason;
+    }
+    request.available = options.permitLimit - running.length;
+    request.queued = queue.length;
+    requests.push(request);
+  });
+  releaseUntil(Infinity);
+  return requests;
+}
+
+/**
+ * Totals shown under each simulation.
+ * @param {RateLimitedRequest[]} requests
+ */
+export function summarizeRequests(requests) {
+  const rejected = requests.filter((r) => r.rejected);
+  const waits = requests
+    .filter((r) => r.start !== null)
+    .map((r) => /** @type {number} */ (r.start) - r.arrival);
+  return {
+    permitted: requests.length - rejected.length,
+    queued: waits.filter((wait) => wait > 0).length,
+    rejected: rejected.length,
+    maxWait: Math.max(0, ...waits),
+  };
+}
+
+/**
+ * `RateLimiterStrategyOptions.<type>(...)` expression for the options.
+ * @param {RateLimiterOptions} options
+ * @param {string} [indent]
+ * @param {Array<[string, string]>} [extra] Additional named arguments.
+ */
+export function rateLimiterOptionsDart(options, indent = '', extra = []) {
+  const type = RATE_LIMITER_TYPES[options.type];
+  /** @type {Array<[string, string]>} */
+  const args = [['permitLimit', String(options.permitLimit)]];
+  if (options.type === 'concurrencyLimiter') {
+    args.push(['queueLimit', String(options.queueLimit)]);
+  } else {
+    args.push(['window', dartDuration(options.window)]);
+  }
+  if (
+    'segmentsPerWindow' in type &&
+    options.segmentsPerWindow !== type.segmentsPerWindow
+  ) {
+    args.push(['segmentsPerWindow', String(options.segmentsPerWindow)]);
+  }
+  return dartCall(
+    `RateLimiterStrategyOptions.${type.constructor}`,
+    [...args, ...extra],
+    indent,
+  );
+}
@@ -0,0 +1,117 @@
+// @ts-check
+/**
+ * Retry delay calculation, kept in step with `RetryStrategy._calculateDelay`
+ * in lib/src/strategies/retry_strategy.dart. Durations are milliseconds.
+ */
+
+import {dartCall, dartDuration} from './dart';
+
+/** Defaults of the `RetryStrategyOptions` constructor. */
+export const RETRY_DEFAULTS = {
+  maxRetryAttempts: 3,
+  delay: 1_000,
+  backoffType: 'exponential',
+  useJitter: false,
+  maxDelay: 30_000,
+};
+
+export const BACKOFF_TYPES = ['constant', 'linear', 'exponential'];
+
+/**
+ * Jitter scales the delay by `1 + (random - 0.5)`, i.e. into [50 %, 150 %).
+ */
+export const JITTER_MIN_FACTOR = 0.5;
+export const JITTER_MAX_FACTOR = 1.5;
+
+/**
+ * Delay before jitter and the `maxDelay` cap.
+ * @param {typeof RETRY_DEFAULTS} options
+ * @param {number} attemptNumber Zero-based number of the attempt that failed.
+ */
+export function baseRetryDelay(options, attemptNumber) {
+  switch (options.backoffType) {
+    case 'linear':
+      return options.delay * (attemptNumber + 1);
+    case 'exponential':
+      return options.delay * 2 ** attemptNumber;
+    default:
+      return options.delay;
+  }
+}
+
+/**
+ * Delay before the retry that follows `attemptNumber`, for a given jitter
+ * sample in [0, 1).
+ * @param {typeof RETRY_DEFAULTS} options
+ * @param {number} attemptNumber
+ * @param {number} [random]
+ */
+export function retryDelay(options, attemptNumber, random = 0.5) {
+  let delay = baseRetryDelay(options, attemptNumber);
+  // Jitter is applied before clamping so the cap is still respected.
+  if (options.useJitter && delay > 0) {
+    delay = Math.round(delay * (1 + (random - 0.5)));
+  }
+  return Math.min(delay, options.maxDelay);
+}
+
+/**
+ * Lowest and highest delay the retry after `attemptNumber` can get.
+ * @param {typeof RETRY_DEFAULTS} options
+ * @param {number} attemptNumber
+ */
+export function retryDelayRange(options, attemptNumber) {
+  if (!options.useJitter) {
+    const delay = retryDelay(options, attemptNumber);
+    return {min: delay, max: delay};
+  }
+  const base = baseRetryDelay(options, attemptNumber);
+  return {
+    min: Math.min(Math.round(base * JITTER_MIN_FACTOR), options.maxDelay),
+    max: Math.min(Math.round(base * JITTER_MAX_FACTOR), options.maxDelay),
+  };
+}
+
+/**
+ * One entry per retry with its delay range and the time waited so far.
+ * @param {typeof RETRY_DEFAULTS} options
+ */
+export function retrySchedule(options) {
+  const schedule = [];
+  let totalMin = 0;
+  let totalMax = 0;
+  for (let attempt = 0; attempt < options.maxRetryAttempts; attempt++) {
+    const {min, max} = retryDelayRange(options, attempt);
+    totalMin += min;
+    totalMax += max;
+    schedule.push({retry: attempt + 1, min, max, totalMin, totalMax});
+  }
+  return schedule;
+}
+
+/**
+ * `RetryStrategyOptions(...)` expression for the options, listing only the
+ * values that differ from the constructor defaults.
+ * @param {typeof RETRY_DEFAULTS} options
+ * @param {string} [indent]
+ */
+export function retryOptionsDart(options, indent = '') {
+  /** @type {Array<[string, string]>} */
+  const args = [];
+  if (options.maxRetryAttempts !== RETRY_DEFAULTS.maxRetryAttempts) {
+    args.push(['maxRetryAttempts', String(options.maxRetryAttempts)]);
+  }
+  if (options.delay !== RETRY_DEFAULTS.delay) {
+    args.push(['delay', dartDuration(options.delay)]);
+  }
+  if (options.backoffType !== RETRY_DEFAULTS.backoffType) {
+    args.push(['backoffType', `DelayBackoffType.${options.backoffType}`]);
+  }
+  if (options.useJitter !== RETRY_DEFAULTS.useJitter) {
+    args.push(['useJitter', String(options.useJitter)]);
+  }
+  if (options.maxDelay !== RETRY_DEFAULTS.maxDelay) {
+    args.push(['maxDelay', dartDuration(options.maxDelay)]);
+  }
+  return dartCall('RetryStrategyOptions', args, indent);
+}
@@ -0,0 +1,69 @@
+// @ts-check
+/**
+ * Turns the answers to the strategy wizard's questions into a pipeline, with
+ * the rules in src/data/strategy-wizard.js.
+ */
+
+import {PIPELINE_ORDER, RULES} from '../data/strategy-wizard';
+import {STRATEGIES as GUIDES} from '../data/strategies';
+import {STRATEGIES} from './pipeline';
+
+/** @typedef {import('./pipeline').Stage} Stage */
+
+/**
+ * @typedef {object} RecommendedStage
+ * @property {Stage} stage
+ * @property {string} label
+ * @property {string[]} reasons
+ * @property {string | null} to Path of the strategy's guide.
+ *
+ * @typedef {object} Recommendation
+ * @property {RecommendedStage[]} stages In pipeline order, outermost first.
+ * @property {string[]} notes What was left out, and why.
+ */
+
+/**
+ * @param {Record<string, string>} answers Choice value by question id.
+ * @returns {Recommendation}
+ */
+export function recommend(answers) {
+  /** @type {Map<string, {options: Record<string, any>, reasons: string[]}>} */
+  const picked = new Map();
+  /** @type {string[]} */
+  const notes = [];
+  for (const rule of RULES) {
+    if (!rule.when(answers)) continue;
+    if (!rule.strategy) {
+      notes.push(rule.note);
+      continue;
+    }
+    const definition = STRATEGIES[rule.strategy];
+    if (!definition || !PIPELINE_ORDER.includes(rule.strategy)) {
+      throw new Error(
+        `strategy-wizard: unknown strategy "${rule.strategy}"; use one of ` +
+          `${PIPELINE_ORDER.join(', ')}.`,
+      );
+    }
+    const current = picked.get(rule.strategy) ?? {
+      options: {...definition.defaults},
+      reasons: [],
+    };
+    picked.set(rule.strategy, {
+      options: {...current.options, ...rule.options},
+      reasons: [...current.reasons, rule.reason],
+    });
+  }
+
+  const stages = PIPELINE_ORDER.filter((kind) => picked.has(kind)).map(
+    (kind, index) => {
+      const {options, reasons} = /** @type {any} */ (picked.get(kind));
+      return {
+        stage: {id: index, kind: /** @type {any} */ (kind), options},
+        label: STRATEGIES[kind].label,
+        reasons,
+        to: GUIDES.find((guide) => guide.kind === kind)?.to ?? null,
+      };
+    },
+  );
+  return {stages, notes};
+}
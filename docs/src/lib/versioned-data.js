@@ -0,0 +1,28 @@
+// @ts-check
+/**
+ * Reads the global data that plugins/versioned-data.js keys by docs version.
+ */
+
+import {
+  useActiveVersion,
+  useLatestVersion,
+} from '@docusaurus/plugin-content-docs/client';
+
+/**
+ * The entry of `byVersion` for the polly_dart docs version of the page, and
+ * the prefix of that version's routes for links into its API reference.
+ * Pages outside those docs get the version served at the root, which is
+ * where their `/api` links go.
+ * @template T
+ * @param {Record<string, T>} byVersion
+ * @returns {{data: T, basePath: string}}
+ */
+export function useVersionedData(byVersion) {
+  const active = useActiveVersion(undefined);
+  const latest = useLatestVersion(undefined);
+  const version = active ?? latest;
+  return {
+    data: byVersion[version.name],
+    basePath: version.path.replace(/\/$/, ''),
+  };
+}
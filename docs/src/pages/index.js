@@ -0,0 +1,145 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@docusaurus/Link';
+import useDocusaurusContext from '@docusaurus/useDocusaurusContext';
+import {usePluginData} from '@docusaurus/useGlobalData';
+import Layout from '@theme/Layout';
+import CodeBlock from '@theme/CodeBlock';
+
+import StrategyCards from '@site/src/components/StrategyCards';
+
+import styles from './index.module.css';
+
+const EXAMPLE = `final pipeline = ResiliencePipelineBuilder()
+    .addRetry(RetryStrategyOptions(maxRetryAttempts: 3))
+    .addCircuitBreaker()
+    .addTimeout(Duration(seconds: 10))
+    .build();
+
+final data = await pipeline.execute((context) => fetchData());`;
+
+function Hero() {
+  const {siteConfig} = useDocusaurusContext();
+  return (
+    <header className={clsx('hero hero--primary', styles.hero)}>
+      <div className="container">
+        <img
+          className={styles.logo}
+          src={require('@site/static/img/logo.png').default}
+          alt=""
+          width={96}
+          height={96}
+        />
+        <h1 className="hero__title">{siteConfig.title}</h1>
+        <p className="hero__subtitle">{siteConfig.tagline}</p>
+        <div className={styles.buttons}>
+          <Link className="button button--secondary button--lg" to="/intro">
+            Get Started
+          </Link>
+          <Link
+            className="button button--outline button--secondary button--lg"
+            to="/strategies/overview">
+            Explore Strategies
+          </Link>
+        </div>
+      </div>
+    </header>
+  );
+}
+
+/** `pubspec.yaml` snippet for the version in the repository's pubspec. */
+function Install() {
+  const {siteConfig} = useDocusaurusContext();
+  const version = siteConfig.customFields.pollyDartVersion;
+  return (
+    <div className={styles.install}>
+      <h2>Install</h2>
+      <CodeBlock language="yaml" title="pubspec.yaml">
+        {`dependencies:\n  polly_dart: ^${version}`}
+      </CodeBlock>
+      <p>
+        Or run <code>dart pub add polly_dart</code>. See{' '}
+        <Link to="/getting-started/installation">Installation</Link> for
+        requirements and Flutter projects.
+      </p>
+    </div>
+  );
+}
+
+function Example() {
+  return (
+    <div className={clsx('example-showcase', styles.example)}>
+      <h3>Compose strategies into a pipeline</h3>
+      <CodeBlock language="dart">{EXAMPLE}</CodeBlock>
+    </div>
+  );
+}
+
+function LatestPost() {
+  const {latestPost} = usePluginData('docusaurus-plugin-content-blog');
+  if (!latestPost) return null;
+  const date = new Date(latestPost.date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+  return (
+    <section className={styles.section}>
+      <div className="container">
+        <div className={clsx('card', styles.post)}>
+          <div className="card__header">
+            <span className="badge badge--info">Latest from the blog</span>
+            <h3 className={styles.postTitle}>
+              <Link to={latestPost.permalink}>{latestPost.title}</Link>
+            </h3>
+            <p className={styles.postMeta}>
+              <time dateTime={latestPost.date}>{date}</time>
+              {latestPost.readingTime &&
+                ` · ${Math.ceil(latestPost.readingTime)} min read`}
+            </p>
+          </div>
+          <div className="card__body">
+            <p>{latestPost.description}</p>
+          </div>
+          <div className="card__footer">
+            <Link
+              className="button button--primary button--sm"
+              to={latestPost.permalink}>
+              Read the post
+            </Link>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default function Home() {
+  const {siteConfig} = useDocusaurusContext();
+  return (
+    <Layout title={siteConfig.title} description={siteConfig.tagline}>
+      <Hero />
+      <main>
+        <section className={styles.section}>
+          <div className={clsx('container', styles.gettingStarted)}>
+            <Install />
+            <Example />
+          </div>
+        </section>
+        <section className={styles.section}>
+          <div className="container">
+            <h2>Resilience strategies</h2>
+            <p>
+              Reactive strategies respond to failures after they occur;
+              proactive ones prevent them. Combine any of them in one
+              pipeline.
+            </p>
+            <StrategyCards />
+          </div>
+        </section>
+        <LatestPost />
+      </main>
+    </Layout>
+  );
+}
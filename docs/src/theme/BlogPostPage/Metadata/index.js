@@ -0,0 +1,52 @@
+import React from 'react';
+import {PageMetadata} from '@docusaurus/theme-common';
+import {useBlogPost} from '@docusaurus/plugin-content-blog/client';
+
+import {
+  CARD_HEIGHT,
+  CARD_WIDTH,
+  useSocialCard,
+} from '@site/src/components/SocialCard';
+
+/**
+ * The original metadata, with the post's generated social card as its image
+ * unless the front matter sets one.
+ */
+export default function BlogPostPageMetadata() {
+  const {assets, metadata} = useBlogPost();
+  const {title, description, date, tags, authors, frontMatter} = metadata;
+  const {keywords} = frontMatter;
+  const card = useSocialCard(metadata.permalink);
+  const image = assets.image ?? frontMatter.image;
+  return (
+    <PageMetadata
+      title={frontMatter.title_meta ?? title}
+      description={description}
+      keywords={keywords}
+      image={image ?? card}>
+      <meta property="og:type" content="article" />
+      <meta property="article:published_time" content={date} />
+      {authors.some((author) => author.url) && (
+        <meta
+          property="article:author"
+          content={authors
+            .map((author) => author.url)
+            .filter(Boolean)
+            .join(',')}
+        />
+      )}
+      {tags.length > 0 && (
+        <meta
+          property="article:tag"
+          content={tags.map((tag) => tag.label).join(',')}
+        />
+      )}
+      {!image && card && (
+        <meta property="og:image:width" content={String(CARD_WIDTH)} />
+      )}
+      {!image && card && (
+        <meta property="og:image:height" content={String(CARD_HEIGHT)} />
+      )}
+    </PageMetadata>
+  );
+}
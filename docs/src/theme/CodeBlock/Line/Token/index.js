@@ -0,0 +1,50 @@
+import React from 'react';
+import Link from '@docusaurus/Link';
+import {usePluginData} from '@docusaurus/useGlobalData';
+import {useCodeBlockContext} from '@docusaurus/theme-common/internal';
+import {useVersionedData} from '@site/src/lib/versioned-data';
+import styles from './styles.module.css';
+
+/** Token types whose text never names a symbol. */
+const SKIPPED_TYPES = ['comment', 'string', 'char'];
+
+/**
+ * Code block token that links polly_dart types in ```dart blocks to the API
+ * reference of the docs version being read, with the signature on hover.
+ * The table comes from the api-links plugin; everything else renders as the
+ * original token does.
+ */
+export default function CodeBlockLineToken({line, token, children, ...props}) {
+  const {metadata} = useCodeBlockContext();
+  const {data: types, basePath} = useVersionedData(
+    usePluginData('docusaurus-plugin-api-links'),
+  );
+  if (
+    metadata.language !== 'dart' ||
+    typeof children !== 'string' ||
+    token.types.some((type) => SKIPPED_TYPES.includes(type))
+  ) {
+    return <span {...props}>{children}</span>;
+  }
+  const parts = children.split(/([A-Za-z_$][\w$]*)/);
+  if (!parts.some((part) => Object.hasOwn(types, part))) {
+    return <span {...props}>{children}</span>;
+  }
+  return (
+    <span {...props}>
+      {parts.map((part, index) =>
+        Object.hasOwn(types, part) ? (
+          <Link
+            key={index}
+            to={`${basePath}${types[part].href}`}
+            title={types[part].signature}
+            className={styles.symbol}>
+            {part}
+          </Link>
+        ) : (
+          part
+        ),
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+import {PageMetadata} from '@docusaurus/theme-common';
+import {useDoc} from '@docusaurus/plugin-content-docs/client';
+
+import {
+  CARD_HEIGHT,
+  CARD_WIDTH,
+  useSocialCard,
+} from '@site/src/components/SocialCard';
+
+/**
+ * The original metadata, with the doc's generated social card as its image
+ * unless the front matter sets one.
+ */
+export default function DocItemMetadata() {
+  const {metadata, frontMatter, assets} = useDoc();
+  const card = useSocialCard(metadata.permalink);
+  const image = assets.image ?? frontMatter.image;
+  return (
+    <PageMetadata
+      title={metadata.title}
+      description={metadata.description}
+      keywords={frontMatter.keywords}
+      image={image ?? card}>
+      {!image && card && (
+        <meta property="og:image:width" content={String(CARD_WIDTH)} />
+      )}
+      {!image && card && (
+        <meta property="og:image:height" content={String(CARD_HEIGHT)} />
+      )}
+    </PageMetadata>
+  );
+}
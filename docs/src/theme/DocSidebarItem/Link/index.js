@@ -0,0 +1,32 @@
+import React from 'react';
+import clsx from 'clsx';
+import Link from '@theme-original/DocSidebarItem/Link';
+import isInternalUrl from '@docusaurus/isInternalUrl';
+
+import {
+  useIsSavedOffline,
+  useOfflineStatus,
+} from '@site/src/components/OfflineStatus';
+
+import styles from './styles.module.css';
+
+/**
+ * Dims the links to pages that aren't saved for offline reading while the
+ * browser is offline, as they won't open.
+ */
+export default function DocSidebarItemLink({item, ...props}) {
+  const {online} = useOfflineStatus();
+  const saved = useIsSavedOffline(item.href);
+  const unavailable = !online && saved === false && isInternalUrl(item.href);
+  return (
+    <Link
+      {...props}
+      item={
+        unavailable
+          ? {...item, className: clsx(item.className, styles.unavailable)}
+          : item
+      }
+      {...(unavailable && {title: 'Not saved for offline reading'})}
+    />
+  );
+}
@@ -0,0 +1,11 @@
+import MDXComponents from '@theme-original/MDXComponents';
+import GlossaryTerm from '@site/src/components/GlossaryTerm';
+
+/**
+ * Adds the components that remark plugins insert into pages without an
+ * import: `<GlossaryTerm>` from plugins/glossary.
+ */
+export default {
+  ...MDXComponents,
+  GlossaryTerm,
+};
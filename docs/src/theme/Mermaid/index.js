@@ -0,0 +1,165 @@
+import React, {useEffect, useMemo, useRef, useState} from 'react';
+import clsx from 'clsx';
+import ErrorBoundary from '@docusaurus/ErrorBoundary';
+import useIsBrowser from '@docusaurus/useIsBrowser';
+import {
+  ErrorBoundaryErrorMessageFallback,
+  useColorMode,
+} from '@docusaurus/theme-common';
+import {
+  MermaidContainerClassName,
+  useMermaidRenderResult,
+  useMermaidThemeConfig,
+} from '@docusaurus/theme-mermaid/client';
+
+import DiagramViewer from '@site/src/components/DiagramViewer';
+import {
+  downloadBlob,
+  readThemeVariables,
+  serializeSvg,
+  svgSize,
+  svgToPng,
+} from '@site/src/lib/diagram';
+
+import styles from './styles.module.css';
+
+/**
+ * Mermaid's config for the current color mode: the `base` theme in the
+ * Infima colors of the page. `themeVariables` in `themeConfig.mermaid`
+ * still win.
+ */
+function useInfimaMermaidConfig() {
+  const {colorMode} = useColorMode();
+  const {options} = useMermaidThemeConfig();
+  return useMemo(
+    () => ({
+      startOnLoad: false,
+      ...options,
+      theme: 'base',
+      themeVariables: {
+        ...readThemeVariables(document.documentElement, colorMode),
+        ...options.themeVariables,
+      },
+    }),
+    [colorMode, options],
+  );
+}
+
+/** `/strategies/circuit-breaker` → `circuit-breaker-diagram`. */
+function downloadName() {
+  const page = window.location.pathname.split('/').filter(Boolean).pop();
+  return page ? `${page}-diagram` : 'diagram';
+}
+
+function DownloadButtons({svgRef, background}) {
+  const [error, setError] = useState(null);
+  const download = (format) => {
+    const svg = svgRef.current?.querySelector('svg');
+    if (!svg) return;
+    setError(null);
+    const blob =
+      format === 'svg'
+        ? Promise.resolve(
+            new Blob([serializeSvg(svg)], {type: 'image/svg+xml'}),
+          )
+        : svgToPng(svg, {background});
+    blob
+      .then((file) => downloadBlob(file, `${downloadName()}.${format}`))
+      .catch(() => setError(`Could not export the ${format.toUpperCase()}.`));
+  };
+  return (
+    <>
+      {error && (
+        <span className={styles.error} role="alert">
+          {error}
+        </span>
+      )}
+      <button
+        type="button"
+        className="button button--sm button--secondary"
+        onClick={() => download('svg')}
+        title="Download as SVG">
+        SVG
+      </button>
+      <button
+        type="button"
+        className="button button--sm button--secondary"
+        onClick={() => download('png')}
+        title="Download as PNG, at twice the size">
+        PNG
+      </button>
+    </>
+  );
+}
+
+function MermaidRenderResult({renderResult, background}) {
+  const ref = useRef(null);
+  const [expanded, setExpanded] = useState(false);
+  useEffect(() => {
+    renderResult.bindFunctions?.(ref.current);
+  }, [renderResult]);
+
+  const downloads = <DownloadButtons svgRef={ref} background={background} />;
+  return (
+    <figure className={styles.figure}>
+      <div className={styles.toolbar}>
+        <button
+          type="button"
+          className="button button--sm button--secondary"
+          onClick={() => setExpanded(true)}
+          title="Open full screen to zoom and pan">
+          Expand
+        </button>
+        {downloads}
+      </div>
+      <div
+        ref={ref}
+        className={clsx(MermaidContainerClassName, styles.container)}
+        onClick={(event) => {
+          // Links and click handlers of the diagram keep working.
+          if (!event.target.closest('a, .clickable')) setExpanded(true);
+        }}
+        dangerouslySetInnerHTML={{__html: renderResult.svg}}
+      />
+      {expanded && (
+        <DiagramViewer
+          svg={renderResult.svg}
+          size={svgSize(ref.current.querySelector('svg'))}
+          title="Diagram"
+          onClose={() => setExpanded(false)}>
+          {downloads}
+        </DiagramViewer>
+      )}
+    </figure>
+  );
+}
+
+function MermaidRenderer({value}) {
+  const config = useInfimaMermaidConfig();
+  const renderResult = useMermaidRenderResult({text: value, config});
+  if (renderResult === null) {
+    return null;
+  }
+  return (
+    <MermaidRenderResult
+      renderResult={renderResult}
+      background={config.themeVariables.background}
+    />
+  );
+}
+
+/**
+ * Mermaid diagrams in the site's light and dark palettes, with a toolbar to
+ * open them full screen with zoom and pan, and to download them as SVG or
+ * PNG. Clicking a diagram also opens it full screen.
+ */
+export default function Mermaid(props) {
+  // The palette is read from the page's styles, so render in the browser.
+  const isBrowser = useIsBrowser();
+  return (
+    <ErrorBoundary
+      fallback={(params) => <ErrorBoundaryErrorMessageFallback {...params} />}>
+      {isBrowser && <MermaidRenderer {...props} />}
+    </ErrorBoundary>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import {useActivePlugin} from '@docusaurus/plugin-content-docs/client';
+import DocsVersionDropdownNavbarItem from '@theme/NavbarItem/DocsVersionDropdownNavbarItem';
+
+/**
+ * Version dropdown of the docs instance the current page belongs to, so
+ * polly_dart and each extension show their own versions in one navbar slot.
+ * Outside those instances (blog, release notes, pages) it shows the first of
+ * `docsPluginIds`.
+ */
+export default function ActiveDocsVersionDropdownNavbarItem({
+  docsPluginIds,
+  // Defaults the theme config validation only applies to the built-in
+  // docsVersionDropdown type.
+  dropdownItemsBefore = [],
+  dropdownItemsAfter = [],
+  dropdownActiveClassDisabled = false,
+  ...props
+}) {
+  const activePluginId = useActivePlugin()?.pluginId;
+  const docsPluginId = docsPluginIds.includes(activePluginId)
+    ? activePluginId
+    : docsPluginIds[0];
+  return (
+    <DocsVersionDropdownNavbarItem
+      key={docsPluginId}
+      docsPluginId={docsPluginId}
+      dropdownItemsBefore={dropdownItemsBefore}
+      dropdownItemsAfter={dropdownItemsAfter}
+      dropdownActiveClassDisabled={dropdownActiveClassDisabled}
+      {...props}
+    />
+  );
+}
@@ -0,0 +1,12 @@
+import ComponentTypes from '@theme-original/NavbarItem/ComponentTypes';
+import ActiveDocsVersionDropdownNavbarItem from '@theme/NavbarItem/ActiveDocsVersionDropdownNavbarItem';
+import HttpClientNavbarItem from '@theme/NavbarItem/HttpClientNavbarItem';
+import OfflineStatusNavbarItem from '@theme/NavbarItem/OfflineStatusNavbarItem';
+
+/** Adds the navbar item types used in docusaurus.config.js. */
+export default {
+  ...ComponentTypes,
+  'custom-activeDocsVersionDropdown': ActiveDocsVersionDropdownNavbarItem,
+  'custom-httpClient': HttpClientNavbarItem,
+  'custom-offlineStatus': OfflineStatusNavbarItem,
+};
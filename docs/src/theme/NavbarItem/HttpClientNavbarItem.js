@@ -0,0 +1,39 @@
+import React from 'react';
+import {useLocation} from '@docusaurus/router';
+import DropdownNavbarItem from '@theme/NavbarItem/DropdownNavbarItem';
+
+import {useHttpClient} from '@site/src/components/ClientVariants';
+import {HTTP_CLIENTS, HTTP_CLIENT_GROUP} from '@site/src/data/http-clients';
+
+/**
+ * Picks the HTTP client that `<ClientVariants>` snippets show, on every page.
+ * Items are `?http-client=` links to the page they are on, so they also work
+ * as plain links; they are left out of the broken links check, which doesn't
+ * know the 404 page's path.
+ */
+export default function HttpClientNavbarItem({label = 'HTTP client', ...props}) {
+  const {search} = useLocation();
+  const [client, setClient] = useHttpClient();
+  const items = HTTP_CLIENTS.map(({value, label: clientLabel}) => {
+    const searchParams = new URLSearchParams(search);
+    searchParams.set(HTTP_CLIENT_GROUP, value);
+    return {
+      label: clientLabel,
+      href: `?${searchParams}`,
+      'data-noBrokenLinkCheck': true,
+      className: value === client ? 'dropdown__link--active' : undefined,
+      onClick: (event) => {
+        event.preventDefault();
+        setClient(value);
+      },
+    };
+  });
+  return (
+    <DropdownNavbarItem
+      {...props}
+      label={HTTP_CLIENTS.find((c) => c.value === client)?.label ?? label}
+      title="HTTP client used in the code examples"
+      items={items}
+    />
+  );
+}
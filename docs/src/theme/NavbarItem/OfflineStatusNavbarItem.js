@@ -0,0 +1,24 @@
+import React from 'react';
+
+import {
+  OfflineBadge,
+  useOfflineBadge,
+} from '@site/src/components/OfflineStatus';
+
+/**
+ * Shows whether the current page is saved for offline reading, and whether
+ * the browser is offline; nothing while neither is worth mentioning.
+ */
+export default function OfflineStatusNavbarItem({mobile, className}) {
+  const badge = useOfflineBadge();
+  if (!badge) return null;
+  return mobile ? (
+    <li className="menu__list-item padding-horiz--md">
+      <OfflineBadge {...badge} className={className} />
+    </li>
+  ) : (
+    <div className="navbar__item">
+      <OfflineBadge {...badge} className={className} />
+    </div>
+  );
+}
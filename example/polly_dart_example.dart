@@ -452,6 +452,7 @@ Future<void> cacheWithCallbacksExample() async {
 Future<void> cacheWithOtherStrategiesExample() async {
   print('\n=== Cache with Other Strategies Example ===');
 
+  // #region cache-with-retry
   // Pipeline combining multiple strategies
   final pipeline = ResiliencePipelineBuilder()
       .addRetry(RetryStrategyOptions(
@@ -481,6 +482,7 @@ Future<void> cacheWithOtherStrategiesExample() async {
 
     return 'Success after retries!';
   }
+  // #endregion
 
   // First call - will retry and eventually succeed, then cache
   print('First call (will retry and cache result):');
@@ -611,6 +613,7 @@ Future<void> advancedCacheConfigurationExample() async {
 Future<void> cacheMetricsExample() async {
   print('\n=== Cache Metrics Example ===');
 
+  // #region cache-metrics
   // Create cache provider with metrics collection
   final baseCacheProvider =
       MemoryCacheProvider(defaultTtl: Duration(seconds: 5));
@@ -656,6 +659,7 @@ Future<void> cacheMetricsExample() async {
   print('Hit ratio: ${(metrics.hitRatio * 100).toStringAsFixed(1)}%');
   print('Average hit time: ${metrics.averageHitTime.inMicroseconds}μs');
   print('Average miss time: ${metrics.averageMissTime.inMicroseconds}μs');
+  // #endregion
 }
 
 /// Simple cache metrics collector (kept for backwards compatibility)
@@ -3,6 +3,7 @@ import 'package:polly_dart/polly_dart.dart';
 import 'package:polly_dart_http/polly_dart_http.dart';
 import 'package:test/test.dart';
 
+// #region fake-client
 class _DelayingClient extends http.BaseClient {
   final Duration delay;
 
@@ -18,6 +19,7 @@ class _DelayingClient extends http.BaseClient {
     );
   }
 }
+// #endregion
 
 void main() {
   group('CancellableHttpClient', () {
@@ -47,6 +49,7 @@ void main() {
       client.close();
     });
 
+    // #region cancel-mid-request
     test('throws OperationCancelledException when token is cancelled mid-request',
         () async {
       final token = CancellationToken();
@@ -62,6 +65,7 @@ void main() {
       await expectLater(sendFuture, throwsA(isA<OperationCancelledException>()));
       client.close();
     });
+    // #endregion
 
     test('works with TimeoutStrategy: token is cancelled on timeout', () async {
       final pipeline = ResiliencePipelineBuilder()
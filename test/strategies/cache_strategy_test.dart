@@ -7,6 +7,7 @@ import 'package:polly_dart/src/resilience_context.dart';
 import 'package:polly_dart/src/strategies/cache_strategy.dart';
 import 'package:test/test.dart';
 
+// #region mock-cache-provider
 /// Mock cache provider for testing
 class MockCacheProvider implements CacheProvider {
   final Map<String, dynamic> _storage = {};
@@ -68,6 +69,7 @@ class MockCacheProvider implements CacheProvider {
     _removeKeys.clear();
   }
 }
+// #endregion
 
 void main() {
   group('CacheStrategy', () {
@@ -294,6 +296,7 @@ void main() {
     });
 
     group('Callbacks', () {
+      // #region on-hit-callback
       test('should invoke onHit callback on cache hit', () async {
         await mockCache.set('test-operation', 'cached-result');
 
@@ -320,6 +323,7 @@ void main() {
         expect(hitArgs?.value, equals('cached-result'));
         expect(hitArgs?.context, equals(context));
       });
+      // #endregion
 
       test('should invoke onMiss callback on cache miss', () async {
         var missCallbackCalled = false;